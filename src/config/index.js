@@ -5,8 +5,9 @@ const config = {
     // Application
     env: process.env.NODE_ENV || 'development',
     port: parseInt(process.env.PORT) || 3000,
+    publicUrl: process.env.PUBLIC_URL, // where this agent is reachable; notifications link to reports under it
 
-    // Database
+    // Database (set DATABASE_URL=none to keep everything in JSON/HTML files)
     database: {
         url: process.env.DATABASE_URL || 'sqlite://./data/competitors.db'
     },
@@ -18,7 +19,8 @@ const config = {
         user: process.env.SMTP_USER,
         pass: process.env.SMTP_PASS,
         from: process.env.EMAIL_FROM,
-        to: process.env.EMAIL_TO
+        to: process.env.EMAIL_TO,
+        retries: parseInt(process.env.SMTP_RETRIES ?? 2)
     },
 
     // API Keys
@@ -31,6 +33,7 @@ const config = {
     // File Paths
     paths: {
         competitors: process.env.COMPETITORS_FILE || './data/competitors.json',
+        subscribers: process.env.SUBSCRIBERS_FILE || './data/subscribers.json',
         reports: process.env.REPORTS_DIR || './data/reports',
         logs: process.env.LOGS_DIR || './logs'
     },
@@ -44,22 +47,190 @@ const config = {
     // Monitoring Intervals (in milliseconds)
     intervals: {
         website: parseInt(process.env.WEBSITE_CHECK_INTERVAL) || 300000, // 5 minutes
-        socialMedia: parseInt(process.env.SOCIAL_MEDIA_CHECK_INTERVAL) || 600000, // 10 minutes
         price: parseInt(process.env.PRICE_CHECK_INTERVAL) || 3600000 // 1 hour
     },
 
+    // Real-time alerts: critical pages and catalogs checked on the intervals above, between full runs
+    alerts: {
+        enabled: process.env.ALERTS_ENABLED === 'true',
+        // changes at or above this severity are alerted; an unknown value falls back to high
+        minSeverity: ['low', 'medium', 'high'].includes(process.env.ALERT_MIN_SEVERITY) ? process.env.ALERT_MIN_SEVERITY : 'high',
+        quietHours: process.env.ALERT_QUIET_HOURS || '', // e.g. 22:00-07:00 (schedule timezone); alerts wait until it ends
+        dedupHours: parseInt(process.env.ALERT_DEDUP_HOURS) || 168, // the same change is alerted once in this window
+        channels: (process.env.ALERT_CHANNELS || '').split(',').map(s => s.trim()).filter(Boolean) // empty: every enabled channel
+    },
+
+    // Multi-page crawling defaults (per-competitor "crawl" settings override these)
+    crawl: {
+        maxDepth: parseInt(process.env.CRAWL_MAX_DEPTH) || 1,
+        maxPages: parseInt(process.env.CRAWL_MAX_PAGES) || 10
+    },
+
+    // Concurrent website monitoring
+    concurrency: {
+        competitors: parseInt(process.env.MONITOR_CONCURRENCY) || 3, // competitors monitored at the same time
+        domainDelay: parseInt(process.env.DOMAIN_DELAY || process.env.CRAWL_PAGE_DELAY) || 2000, // between requests to the same host
+        runBudget: (parseInt(process.env.RUN_TIME_BUDGET_MINUTES) || 120) * 60 * 1000
+    },
+
+    // Crawl etiquette
+    crawler: {
+        // sent with every request (appended to the device's browser user agent in the headless browser), with the
+        // contact URL site owners can reach us at; its name selects the robots.txt group
+        userAgent: `${process.env.CRAWLER_USER_AGENT || 'CompetitorsAnalysisAgent/1.0'}${process.env.CRAWLER_CONTACT_URL ? ` (+${process.env.CRAWLER_CONTACT_URL})` : ''}`,
+        respectRobots: process.env.RESPECT_ROBOTS_TXT !== 'false', // per-competitor "robots": { "respect": false } overrides it
+        robotsCacheTtl: (parseInt(process.env.ROBOTS_CACHE_HOURS) || 24) * 60 * 60 * 1000
+    },
+
+    // Page fetching
+    fetch: {
+        mode: process.env.FETCH_MODE || 'auto', // auto, http or browser (per-competitor "fetchMode" overrides it)
+        minStaticWords: parseInt(process.env.FETCH_MIN_STATIC_WORDS) || 50, // below this, auto mode renders the page in the browser
+        timeout: parseInt(process.env.PAGE_TIMEOUT) || 30000,
+        retries: parseInt(process.env.FETCH_RETRIES ?? 2), // retries of timeouts, connection errors, crashes, 5xx and 429
+        retryBackoff: parseInt(process.env.FETCH_RETRY_BACKOFF) || 5000, // doubled after each retry
+        availabilityThreshold: parseInt(process.env.AVAILABILITY_FAILURE_THRESHOLD) || 2 // consecutive failed checks before a page is reported down
+    },
+
+    // Device profiles pages are captured with (per-competitor "devices" overrides the default list);
+    // sites pick their mobile layout from the user agent as well as the viewport
+    devices: {
+        default: (process.env.DEVICE_PROFILES || 'desktop').split(',').map(s => s.trim()).filter(Boolean),
+        profiles: {
+            desktop: {
+                userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                viewport: { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false }
+            },
+            tablet: {
+                userAgent: 'Mozilla/5.0 (Linux; Android 14; SM-X710) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+                viewport: { width: 800, height: 1280, deviceScaleFactor: 1, isMobile: true, hasTouch: true }
+            },
+            mobile: {
+                userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+                viewport: { width: 412, height: 915, deviceScaleFactor: 1, isMobile: true, hasTouch: true }
+            }
+        }
+    },
+
+    // Page performance (navigation timing and Core Web Vitals) measured in the headless browser
+    performance: {
+        enabled: process.env.PERFORMANCE_TRACKING !== 'false',
+        regressionThreshold: (parseFloat(process.env.PERFORMANCE_REGRESSION_PERCENT) || 20) / 100, // relative change vs. the baseline median
+        baselineRuns: parseInt(process.env.PERFORMANCE_BASELINE_RUNS) || 5 // previous measurements the baseline is taken from
+    },
+
+    // Snapshot history retention (the latest version of a page is always kept)
+    snapshots: {
+        maxVersions: parseInt(process.env.SNAPSHOT_MAX_VERSIONS) || 52,
+        maxAgeDays: parseInt(process.env.SNAPSHOT_MAX_AGE_DAYS) || 365
+    },
+
+    // Full-page screenshots and visual diffs, stored with each snapshot version
+    screenshots: {
+        enabled: process.env.SCREENSHOTS_ENABLED !== 'false',
+        maxHeight: parseInt(process.env.SCREENSHOT_MAX_HEIGHT) || 8000, // pixels; very long pages are cropped
+        threshold: parseFloat(process.env.SCREENSHOT_DIFF_THRESHOLD) || 0.1, // per-pixel color tolerance (0-1)
+        minChangePercent: parseFloat(process.env.SCREENSHOT_MIN_CHANGE_PERCENT) || 1 // below this, no visual change is reported
+    },
+
+    // New-content discovery from sitemaps and RSS/Atom feeds
+    discovery: {
+        maxSitemaps: parseInt(process.env.DISCOVERY_MAX_SITEMAPS) || 20, // sitemap files read per competitor, indexes included
+        maxUrls: parseInt(process.env.DISCOVERY_MAX_URLS) || 5000
+    },
+
+    // Noisy page regions removed (selectors) or masked (regex patterns) before hashing and diffing.
+    // Competitors can add their own via "ignore", or opt out of these with "ignore.useDefaults": false
+    ignore: {
+        selectors: [
+            'script',
+            'noscript',
+            'style',
+            'iframe',
+            '#onetrust-consent-sdk',
+            '#CybotCookiebotDialog',
+            '#cookie-law-info-bar',
+            '#cmplz-cookiebanner-container',
+            '.iubenda-cs-container',
+            '.cc-window',
+            '.cookie-banner',
+            '.cookie-notice',
+            'ins.adsbygoogle',
+            '[id^="google_ads"]',
+            ...(process.env.IGNORE_SELECTORS ? process.env.IGNORE_SELECTORS.split(',').map(s => s.trim()) : [])
+        ],
+        patterns: [
+            'nonce="[^"]*"',
+            '<input[^>]+name="[^"]*(csrf|token|nonce)[^"]*"[^>]*>',
+            '<meta[^>]+name="csrf-[^"]*"[^>]*>',
+            '\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:?\\d{2})?',
+            '[?&](ver|v|_|cb|t)=[\\w.-]+'
+        ]
+    },
+
+    // Keyword and topic watchlists, counted on every monitored page
+    watchlists: {
+        file: process.env.WATCHLISTS_FILE || './data/watchlists.json',
+        frequencyChange: (parseFloat(process.env.KEYWORD_FREQUENCY_CHANGE_PERCENT) || 50) / 100, // relative change in mentions reported on a page
+        minFrequencyChange: parseInt(process.env.KEYWORD_MIN_MENTION_CHANGE) || 2, // and at least this many mentions more or fewer
+        trendPoints: parseInt(process.env.KEYWORD_TREND_POINTS) || 8 // snapshot days shown in keyword trends
+    },
+
+    // Change scoring (0-100) and classification rules
+    scoring: {
+        rulesFile: process.env.SCORING_RULES_FILE || path.join(__dirname, 'scoring.json'),
+        reportMinScore: parseInt(process.env.REPORT_MIN_SCORE) || 0 // changes scored lower are left out of the report details
+    },
+
     // Reports
     reports: {
         template: process.env.REPORT_TEMPLATE || 'weekly',
-        format: process.env.REPORT_FORMAT || 'html',
+        format: process.env.REPORT_FORMAT || 'html', // html, json, pdf, a comma-separated list, or all
+        // Agency branding in the page header of PDF reports
+        branding: {
+            name: process.env.REPORT_BRAND_NAME || '',
+            logo: process.env.REPORT_BRAND_LOGO || '', // PNG, JPEG or SVG file
+            color: process.env.REPORT_BRAND_COLOR || '#007bff'
+        },
         emailEnabled: process.env.ENABLE_EMAIL_REPORTS === 'true',
-        slackEnabled: process.env.ENABLE_SLACK_REPORTS === 'true'
+        slackEnabled: process.env.ENABLE_SLACK_REPORTS === 'true',
+        teamsEnabled: process.env.ENABLE_TEAMS_REPORTS === 'true',
+        webhookEnabled: process.env.ENABLE_WEBHOOK_REPORTS === 'true',
+        telegramEnabled: process.env.ENABLE_TELEGRAM_REPORTS === 'true'
+    },
+
+    // Notification delivery (each channel also has its own number of retries)
+    notifications: {
+        timeout: parseInt(process.env.NOTIFICATION_TIMEOUT) || 10000,
+        maxRetryDelay: (parseInt(process.env.NOTIFICATION_MAX_RETRY_DELAY) || 60) * 1000 // a channel asking to wait longer (Retry-After) fails the delivery
     },
 
     // Slack
     slack: {
         webhookUrl: process.env.SLACK_WEBHOOK_URL,
-        channel: process.env.SLACK_CHANNEL || '#competitors-analysis'
+        channel: process.env.SLACK_CHANNEL || '#competitors-analysis', // only honoured by legacy webhooks
+        retries: parseInt(process.env.SLACK_RETRIES ?? 3) // retries of rate-limited (429) and failed (5xx, network) posts
+    },
+
+    // Microsoft Teams (incoming webhook or Workflows URL)
+    teams: {
+        webhookUrl: process.env.TEAMS_WEBHOOK_URL,
+        retries: parseInt(process.env.TEAMS_RETRIES ?? 3)
+    },
+
+    // Generic JSON webhook
+    webhook: {
+        url: process.env.NOTIFY_WEBHOOK_URL,
+        secret: process.env.NOTIFY_WEBHOOK_SECRET, // signs the body (X-Signature-256) when set
+        retries: parseInt(process.env.NOTIFY_WEBHOOK_RETRIES ?? 3)
+    },
+
+    // Telegram bot
+    telegram: {
+        botToken: process.env.TELEGRAM_BOT_TOKEN,
+        chatId: process.env.TELEGRAM_CHAT_ID,
+        apiUrl: process.env.TELEGRAM_API_URL || 'https://api.telegram.org',
+        retries: parseInt(process.env.TELEGRAM_RETRIES ?? 3)
     }
 };
 
@@ -82,6 +253,10 @@ const validateConfig = () => {
         console.warn('Please check your .env file');
     }
 
+    if (process.env.ALERT_MIN_SEVERITY && process.env.ALERT_MIN_SEVERITY !== config.alerts.minSeverity) {
+        console.warn(`⚠️  ALERT_MIN_SEVERITY must be low, medium or high; using ${config.alerts.minSeverity}`);
+    }
+
     return missing.length === 0;
 };
 
@@ -1,5 +1,6 @@
 const express = require('express');
 const cron = require('node-cron');
+const { escape } = require('lodash');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -9,21 +10,41 @@ const logger = require('./utils/logger');
 
 // Import services
 const WebsiteMonitor = require('./services/websiteMonitor');
+const PriceMonitor = require('./services/priceMonitor');
+const SeoMonitor = require('./services/seoMonitor');
+const ContentDiscovery = require('./services/contentDiscovery');
 const ReportGenerator = require('./services/reportGenerator');
+const AlertWatcher = require('./services/alertWatcher');
+const SubscriberStore = require('./services/subscriberStore');
 
-// Import data loader
+// Import data loader and storage
 const CompetitorsLoader = require('./utils/competitorsLoader');
+const { getStorage, closeStorage } = require('./storage');
+const { getWatchTerms } = require('./utils/watchlists');
+const { createNotifiers } = require('./notifiers');
 
 class CompetitorsAnalysisAgent {
   constructor() {
     this.app = express();
     this.websiteMonitor = new WebsiteMonitor();
-    this.reportGenerator = new ReportGenerator();
+    this.priceMonitor = new PriceMonitor(this.websiteMonitor);
+    this.seoMonitor = new SeoMonitor(this.websiteMonitor);
+    this.contentDiscovery = new ContentDiscovery();
+    this.reportGenerator = new ReportGenerator(this.websiteMonitor);
+    this.notifiers = createNotifiers();
     this.competitorsLoader = new CompetitorsLoader();
+    this.subscriberStore = new SubscriberStore();
+    this.storage = getStorage();
+    this.alertWatcher = new AlertWatcher({
+      notifiers: this.notifiers,
+      competitorsLoader: this.competitorsLoader,
+      isBusy: () => this.isRunning
+    });
 
     this.isRunning = false;
-    this.lastRun = null;
+    this.lastRun = this.storage?.getLastRun()?.finishedAt || null;
     this.nextRun = null;
+    this.lastResults = null;
 
     this.setupExpress();
     this.setupScheduler();
@@ -95,7 +116,7 @@ class CompetitorsAnalysisAgent {
         }
 
         logger.info('Manual analysis triggered via API');
-        const result = await this.runAnalysis();
+        const result = await this.runAnalysis('manual');
         res.json(result);
       } catch (error) {
         logger.error('Manual analysis failed', error);
@@ -114,12 +135,17 @@ class CompetitorsAnalysisAgent {
       }
     });
 
-    // Download specific report
+    // Download specific report (?format=html, json or pdf)
     this.app.get('/reports/:id', async (req, res) => {
       try {
-        const reportPath = await this.getReportPath(req.params.id);
+        const format = req.query.format || 'html';
+        if (!['html', 'json', 'pdf'].includes(format)) {
+          return res.status(400).json({ error: 'Query parameter "format" must be html, json or pdf' });
+        }
+
+        const reportPath = await this.getReportPath(req.params.id, format);
         if (!reportPath) {
-          return res.status(404).json({ error: 'Report not found' });
+          return res.status(404).json({ error: format === 'html' ? 'Report not found' : `Report not found in ${format} format` });
         }
 
         res.download(reportPath);
@@ -129,6 +155,161 @@ class CompetitorsAnalysisAgent {
       }
     });
 
+    // Notification channels and their delivery log
+    this.app.get('/notifications', (req, res) => {
+      res.json(this.notifiers.list());
+    });
+
+    this.app.get('/notifications/deliveries', async (req, res) => {
+      try {
+        const channel = req.query.channel || null;
+        if (channel && !this.notifiers.get(channel)) {
+          return res.status(404).json({ error: `Notification channel ${channel} not found` });
+        }
+
+        const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit);
+        if (!(limit > 0)) {
+          return res.status(400).json({ error: 'Query parameter "limit" must be a positive number' });
+        }
+
+        const deliveries = await this.notifiers.deliveryLog.list({ channel, limit });
+        res.json(deliveries);
+      } catch (error) {
+        logger.error('Failed to list notification deliveries', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Report subscribers
+    this.app.get('/subscribers', async (req, res) => {
+      try {
+        res.json(await this.subscriberStore.list());
+      } catch (error) {
+        logger.error('Failed to list subscribers', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/subscribers/:id', async (req, res) => {
+      try {
+        const subscriber = await this.subscriberStore.get(Number(req.params.id));
+        if (!subscriber) {
+          return res.status(404).json({ error: `Subscriber ${req.params.id} not found` });
+        }
+
+        res.json(subscriber);
+      } catch (error) {
+        logger.error('Failed to get subscriber', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/subscribers', async (req, res) => {
+      try {
+        const competitorIds = this.competitorsLoader.getCompetitors().map(competitor => competitor.id);
+        const validation = this.subscriberStore.validate(req.body, { competitorIds });
+        if (!validation.isValid) {
+          return res.status(400).json({ error: 'Invalid subscriber data', errors: validation.errors });
+        }
+
+        if (await this.subscriberStore.getByEmail(req.body.email)) {
+          return res.status(409).json({ error: `${req.body.email} is already subscribed` });
+        }
+
+        const created = await this.subscriberStore.add(req.body);
+        res.status(201).json(created);
+      } catch (error) {
+        logger.error('Failed to add subscriber', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/subscribers/:id', async (req, res) => {
+      await this.saveSubscriber(req, res, { replace: true });
+    });
+
+    this.app.patch('/subscribers/:id', async (req, res) => {
+      await this.saveSubscriber(req, res, { replace: false });
+    });
+
+    this.app.delete('/subscribers/:id', async (req, res) => {
+      try {
+        if (!await this.subscriberStore.remove(Number(req.params.id))) {
+          return res.status(404).json({ error: `Subscriber ${req.params.id} not found` });
+        }
+
+        res.status(204).end();
+      } catch (error) {
+        logger.error('Failed to remove subscriber', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Unsubscribe links in report emails. Opening the link only asks for confirmation, since mail scanners and
+    // link previews follow links too; the form, like one-click unsubscribe in mail clients (RFC 8058), POSTs.
+    this.app.get('/unsubscribe/:token', async (req, res) => {
+      try {
+        const subscriber = await this.subscriberStore.getByToken(req.params.token);
+        if (!subscriber) {
+          return res.status(404).type('html').send(this.renderMessagePage('Link not valid', 'This unsubscribe link is not valid.'));
+        }
+        if (subscriber.unsubscribedAt) {
+          return res.type('html').send(this.renderMessagePage('Unsubscribed', 'You no longer receive the weekly competitors analysis report.'));
+        }
+
+        res.type('html').send(this.renderMessagePage(
+          'Unsubscribe',
+          `Stop sending the weekly competitors analysis report to ${escape(subscriber.email)}?`,
+          '<form method="post"><button type="submit">Unsubscribe</button></form>'
+        ));
+      } catch (error) {
+        logger.error('Failed to load unsubscribe page', error);
+        res.status(500).type('html').send(this.renderMessagePage('Something went wrong', 'Please try again later.'));
+      }
+    });
+
+    this.app.post('/unsubscribe/:token', async (req, res) => {
+      try {
+        const subscriber = await this.subscriberStore.unsubscribe(req.params.token);
+        if (!subscriber) {
+          return res.status(404).type('html').send(this.renderMessagePage('Link not valid', 'This unsubscribe link is not valid.'));
+        }
+
+        res.type('html').send(this.renderMessagePage('Unsubscribed', 'You will no longer receive the weekly competitors analysis report.'));
+      } catch (error) {
+        logger.error('Failed to unsubscribe', error);
+        res.status(500).type('html').send(this.renderMessagePage('Something went wrong', 'Please try again later.'));
+      }
+    });
+
+    // Continuous watch of critical pages: held and recently sent alerts
+    this.app.get('/alerts', async (req, res) => {
+      try {
+        res.json(await this.alertWatcher.getStatus());
+      } catch (error) {
+        logger.error('Failed to get alert status', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Website changes detected by the last run
+    this.app.get('/changes', (req, res) => {
+      try {
+        const minScore = req.query.minScore === undefined ? 0 : Number(req.query.minScore);
+        if (!Number.isFinite(minScore)) {
+          return res.status(400).json({ error: 'minScore must be a number' });
+        }
+
+        res.json({
+          lastRun: this.lastRun,
+          competitors: this.getLastRunChanges({ minScore, category: req.query.category || null })
+        });
+      } catch (error) {
+        logger.error('Failed to get changes', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Competitors management
     this.app.get('/competitors', (req, res) => {
       try {
@@ -140,12 +321,326 @@ class CompetitorsAnalysisAgent {
       }
     });
 
+    this.app.get('/competitors/:id', (req, res) => {
+      const competitor = this.competitorsLoader.getCompetitorById(req.params.id);
+      if (!competitor) {
+        return res.status(404).json({ error: `Competitor ${req.params.id} not found` });
+      }
+
+      res.json(competitor);
+    });
+
+    this.app.post('/competitors', async (req, res) => {
+      const competitor = { ...req.body };
+
+      try {
+        const validation = this.competitorsLoader.validateCompetitor(competitor);
+        if (!validation.isValid) {
+          return res.status(400).json({ error: 'Invalid competitor data', errors: validation.errors });
+        }
+
+        if (competitor.id && this.competitorsLoader.getCompetitorById(competitor.id)) {
+          return res.status(409).json({ error: `Competitor ${competitor.id} already exists` });
+        }
+
+        const created = await this.competitorsLoader.addCompetitor(competitor);
+        res.status(201).json(created);
+      } catch (error) {
+        // The file can gain the ID after the check above (another request, or a hand edit)
+        if (error.code === 'DUPLICATE_ID') {
+          return res.status(409).json({ error: `Competitor ${competitor.id} already exists` });
+        }
+        logger.error('Failed to add competitor', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/competitors/:id', async (req, res) => {
+      await this.saveCompetitor(req, res, { replace: true });
+    });
+
+    this.app.patch('/competitors/:id', async (req, res) => {
+      await this.saveCompetitor(req, res, { replace: false });
+    });
+
+    this.app.delete('/competitors/:id', async (req, res) => {
+      try {
+        if (!this.competitorsLoader.getCompetitorById(req.params.id)) {
+          return res.status(404).json({ error: `Competitor ${req.params.id} not found` });
+        }
+
+        await this.competitorsLoader.removeCompetitor(req.params.id);
+        res.status(204).end();
+      } catch (error) {
+        logger.error('Failed to remove competitor', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Snapshot history
+    this.app.get('/competitors/:id/snapshots', async (req, res) => {
+      try {
+        if (!this.competitorsLoader.getCompetitorById(req.params.id)) {
+          return res.status(404).json({ error: `Competitor ${req.params.id} not found` });
+        }
+
+        const pages = await this.websiteMonitor.snapshotStore.listPages(req.params.id);
+        res.json(pages);
+      } catch (error) {
+        logger.error('Failed to list snapshots', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/competitors/:id/snapshots/:pageKey/diff', async (req, res) => {
+      try {
+        if (!this.competitorsLoader.getCompetitorById(req.params.id)) {
+          return res.status(404).json({ error: `Competitor ${req.params.id} not found` });
+        }
+
+        const from = parseInt(req.query.from);
+        const to = parseInt(req.query.to);
+        if (!Number.isInteger(from) || !Number.isInteger(to)) {
+          return res.status(400).json({ error: 'Query parameters "from" and "to" must be version numbers' });
+        }
+
+        const diff = await this.websiteMonitor.diffVersions(req.params.id, req.params.pageKey, from, to);
+        if (!diff) {
+          return res.status(404).json({ error: 'Snapshot version not found' });
+        }
+
+        res.json(diff);
+      } catch (error) {
+        logger.error('Failed to diff snapshots', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/competitors/:id/snapshots/:pageKey/:version', async (req, res) => {
+      try {
+        if (!this.competitorsLoader.getCompetitorById(req.params.id)) {
+          return res.status(404).json({ error: `Competitor ${req.params.id} not found` });
+        }
+
+        const snapshot = await this.websiteMonitor.snapshotStore.getVersion(req.params.id, req.params.pageKey, req.params.version);
+        if (!snapshot) {
+          return res.status(404).json({ error: 'Snapshot version not found' });
+        }
+
+        res.json(snapshot);
+      } catch (error) {
+        logger.error('Failed to get snapshot', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/competitors/:id/snapshots/:pageKey/:version/screenshot', async (req, res) => {
+      try {
+        if (!this.competitorsLoader.getCompetitorById(req.params.id)) {
+          return res.status(404).json({ error: `Competitor ${req.params.id} not found` });
+        }
+
+        const png = await this.websiteMonitor.snapshotStore.loadScreenshot(
+          req.params.id, req.params.pageKey, req.params.version, req.query.variant || null
+        );
+        if (!png) {
+          return res.status(404).json({ error: 'Screenshot not found' });
+        }
+
+        res.type('png').send(png);
+      } catch (error) {
+        logger.error('Failed to get screenshot', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Technology profiles, page performance and extracted fields
+    this.app.get('/competitors/:id/technologies', async (req, res) => {
+      try {
+        if (!this.competitorsLoader.getCompetitorById(req.params.id)) {
+          return res.status(404).json({ error: `Competitor ${req.params.id} not found` });
+        }
+
+        const profile = await this.websiteMonitor.loadTechProfile(req.params.id);
+        res.json(profile || { updatedAt: null, technologies: [] });
+      } catch (error) {
+        logger.error('Failed to get technology profile', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/competitors/:id/performance', async (req, res) => {
+      try {
+        if (!this.competitorsLoader.getCompetitorById(req.params.id)) {
+          return res.status(404).json({ error: `Competitor ${req.params.id} not found` });
+        }
+
+        const series = await this.websiteMonitor.performanceTracker.loadSeries(req.params.id);
+        res.json(series);
+      } catch (error) {
+        logger.error('Failed to get performance history', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/competitors/:id/fields', async (req, res) => {
+      try {
+        if (!this.competitorsLoader.getCompetitorById(req.params.id)) {
+          return res.status(404).json({ error: `Competitor ${req.params.id} not found` });
+        }
+
+        const fields = await this.websiteMonitor.fieldTracker.loadFields(req.params.id);
+        res.json(fields);
+      } catch (error) {
+        logger.error('Failed to get extracted fields', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Watchlist mentions and their trend over the snapshot history
+    this.app.get('/competitors/:id/keywords', async (req, res) => {
+      try {
+        const competitor = this.competitorsLoader.getCompetitorById(req.params.id);
+        if (!competitor) {
+          return res.status(404).json({ error: `Competitor ${req.params.id} not found` });
+        }
+
+        const points = req.query.points === undefined ? undefined : parseInt(req.query.points);
+        if (points !== undefined && !(points > 0)) {
+          return res.status(400).json({ error: 'Query parameter "points" must be a positive number' });
+        }
+
+        const mentions = await this.websiteMonitor.keywordWatcher.loadMentions(competitor.id, getWatchTerms(), {
+          device: this.websiteMonitor.getDevices(competitor)[0],
+          points
+        });
+        res.json(mentions);
+      } catch (error) {
+        logger.error('Failed to get keyword mentions', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Discovered content
+    this.app.get('/competitors/:id/content', async (req, res) => {
+      try {
+        if (!this.competitorsLoader.getCompetitorById(req.params.id)) {
+          return res.status(404).json({ error: `Competitor ${req.params.id} not found` });
+        }
+
+        const items = await this.contentDiscovery.loadItems(req.params.id);
+        res.json(items);
+      } catch (error) {
+        logger.error('Failed to get discovered content', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Price history
+    this.app.get('/competitors/:id/prices', async (req, res) => {
+      try {
+        if (!this.competitorsLoader.getCompetitorById(req.params.id)) {
+          return res.status(404).json({ error: `Competitor ${req.params.id} not found` });
+        }
+
+        const history = await this.priceMonitor.loadHistory(req.params.id);
+        res.json(history);
+      } catch (error) {
+        logger.error('Failed to get price history', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Dashboard
     this.app.get('/dashboard', (req, res) => {
       res.sendFile(path.join(__dirname, '../public/dashboard.html'));
     });
   }
 
+  /**
+   * Handle PUT/PATCH requests for a competitor
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} options - Update options
+   * @param {boolean} options.replace - Replace the record (PUT) instead of merging (PATCH)
+   */
+  async saveCompetitor(req, res, { replace }) {
+    try {
+      const { id } = req.params;
+      const existing = this.competitorsLoader.getCompetitorById(id);
+      if (!existing) {
+        return res.status(404).json({ error: `Competitor ${id} not found` });
+      }
+
+      if (req.body.id !== undefined && req.body.id !== id) {
+        return res.status(400).json({
+          error: 'Invalid competitor data',
+          errors: [{ field: 'id', message: 'ID cannot be changed' }]
+        });
+      }
+
+      const candidate = replace ? { ...req.body, id } : { ...existing, ...req.body, id };
+      const validation = this.competitorsLoader.validateCompetitor(candidate);
+      if (!validation.isValid) {
+        return res.status(400).json({ error: 'Invalid competitor data', errors: validation.errors });
+      }
+
+      const updated = await this.competitorsLoader.updateCompetitor(id, req.body, { replace });
+      res.json(updated);
+    } catch (error) {
+      logger.error('Failed to update competitor', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Handle PUT/PATCH requests for a subscriber
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} options - Update options
+   * @param {boolean} options.replace - Replace the record (PUT) instead of merging (PATCH)
+   */
+  async saveSubscriber(req, res, { replace }) {
+    try {
+      const id = Number(req.params.id);
+      const existing = await this.subscriberStore.get(id);
+      if (!existing) {
+        return res.status(404).json({ error: `Subscriber ${req.params.id} not found` });
+      }
+
+      // Fields left out of a PATCH are kept as they are
+      const candidate = replace ? req.body : { email: existing.email, ...req.body };
+      const competitorIds = this.competitorsLoader.getCompetitors().map(competitor => competitor.id);
+      const validation = this.subscriberStore.validate(candidate, { competitorIds });
+      if (!validation.isValid) {
+        return res.status(400).json({ error: 'Invalid subscriber data', errors: validation.errors });
+      }
+
+      const sameEmail = await this.subscriberStore.getByEmail(candidate.email);
+      if (sameEmail && sameEmail.id !== id) {
+        return res.status(409).json({ error: `${candidate.email} is already subscribed` });
+      }
+
+      const updated = await this.subscriberStore.update(id, req.body, { replace });
+      res.json(updated);
+    } catch (error) {
+      logger.error('Failed to update subscriber', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Minimal HTML page for responses people open in a browser
+   * @param {string} title - Page title
+   * @param {string} message - Message
+   * @param {string} content - HTML placed after the message (e.g. a form)
+   * @returns {string} HTML
+   */
+  renderMessagePage(title, message, content = '') {
+    return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><title>${title}</title></head>`
+      + `<body style="font-family: Arial, sans-serif; text-align: center; padding: 60px;"><h1>${title}</h1><p>${message}</p>${content}</body></html>`;
+  }
+
   /**
    * Setup scheduled analysis
    */
@@ -153,7 +648,7 @@ class CompetitorsAnalysisAgent {
     // Schedule weekly analysis (every Wednesday at 9 AM)
     cron.schedule(config.schedule.analysis, async () => {
       logger.info('Scheduled analysis triggered');
-      await this.runAnalysis();
+      await this.runAnalysis('scheduled');
     }, {
       timezone: config.schedule.timezone
     });
@@ -177,14 +672,16 @@ class CompetitorsAnalysisAgent {
 
   /**
    * Run the complete analysis
+   * @param {string} trigger - What started the run (scheduled, manual)
    */
-  async runAnalysis() {
+  async runAnalysis(trigger = 'manual') {
     if (this.isRunning) {
       throw new Error('Analysis already running');
     }
 
     this.isRunning = true;
     const startTime = Date.now();
+    const runId = this.storage ? this.storage.startRun(trigger) : null;
 
     try {
       logger.info('Starting competitors analysis');
@@ -201,29 +698,61 @@ class CompetitorsAnalysisAgent {
       const results = {
         websiteMonitoring: [],
         priceMonitoring: [],
-        seoMonitoring: []
+        seoMonitoring: [],
+        contentDiscovery: []
       };
 
       // Website monitoring
       logger.info('Starting website monitoring');
-      results.websiteMonitoring = await this.websiteMonitor.monitorAll(competitors);
+      results.websiteMonitoring = await this.websiteMonitor.monitorAll(competitors, { runId });
+
+      // Price monitoring
+      logger.info('Starting price monitoring');
+      results.priceMonitoring = await this.priceMonitor.monitorAll(competitors, { runId });
+
+      // SEO monitoring
+      logger.info('Starting SEO monitoring');
+      results.seoMonitoring = await this.seoMonitor.monitorAll(competitors, { runId });
+
+      // New content discovery
+      logger.info('Starting content discovery');
+      results.contentDiscovery = await this.contentDiscovery.discoverAll(competitors);
 
       // Generate report
       logger.info('Generating weekly report');
-      const reportResult = await this.reportGenerator.generateWeeklyReport(results);
+      const reportResult = await this.reportGenerator.generateWeeklyReport(results, { runId });
 
-      // Send email report if enabled
-      if (config.reports.emailEnabled) {
-        await this.sendEmailReport(reportResult);
-      }
+      // Deliver the report to every enabled notification channel
+      const notifications = await this.notifiers.notifyAll('report', reportResult, { runId, reference: reportResult.reportId });
+      const delivered = Object.fromEntries(notifications.map(delivery => [delivery.channel, delivery.status]));
+      const subscriptions = await this.sendSubscriberReports(results, reportResult, { runId, competitors });
 
       this.lastRun = new Date().toISOString();
+      this.lastResults = results;
       const duration = Date.now() - startTime;
+      const websiteChanges = results.websiteMonitoring.reduce((sum, r) => sum + r.changes.length, 0);
+      const priceChanges = results.priceMonitoring.reduce((sum, r) => sum + r.events.length, 0);
+      const seoChanges = results.seoMonitoring.reduce((sum, r) => sum + r.events.length, 0);
+      const newContent = results.contentDiscovery.reduce((sum, r) => sum + r.added.length, 0);
+
+      if (runId) {
+        this.storage.finishRun(runId, {
+          status: 'success',
+          duration,
+          reportId: reportResult.reportId,
+          stats: { competitors: competitors.length, websiteChanges, priceChanges, seoChanges, newContent, notifications: delivered, subscriptions }
+        });
+      }
 
       logger.info(`Analysis completed successfully in ${duration}ms`, {
         competitors: competitors.length,
-        websiteChanges: results.websiteMonitoring.reduce((sum, r) => sum + r.changes.length, 0),
-        reportId: reportResult.reportId
+        websiteChanges,
+        priceChanges,
+        seoChanges,
+        newContent,
+        reportId: reportResult.reportId,
+        notifications: delivered,
+        subscriptions
       });
 
       return {
@@ -232,11 +761,16 @@ class CompetitorsAnalysisAgent {
         reportId: reportResult.reportId,
         summary: reportResult.summary,
         insights: reportResult.insights,
-        recommendations: reportResult.recommendations
+        recommendations: reportResult.recommendations,
+        notifications,
+        subscriptions
       };
 
     } catch (error) {
       logger.error('Analysis failed', error);
+      if (runId) {
+        this.storage.finishRun(runId, { status: 'failed', duration: Date.now() - startTime, error: error.message });
+      }
       throw error;
     } finally {
       this.isRunning = false;
@@ -244,44 +778,129 @@ class CompetitorsAnalysisAgent {
   }
 
   /**
-   * Send email report
+   * Email every active subscriber their own render of the report, when email reports are enabled
+   * @param {Object} results - Monitoring results of the run
+   * @param {Object} reportResult - Generated report information
+   * @param {Object} options - { runId, competitors }
+   * @returns {Object} Reports sent and failed ({ sent, failed })
    */
-  async sendEmailReport(reportResult) {
-    try {
-      const nodemailer = require('nodemailer');
+  async sendSubscriberReports(results, reportResult, { runId, competitors }) {
+    const counts = { sent: 0, failed: 0 };
+    const email = this.notifiers.get('email');
+    if (!email.isEnabled()) {
+      return counts;
+    }
 
-      const transporter = nodemailer.createTransport({
-        host: config.email.host,
-        port: config.email.port,
-        secure: false,
-        auth: {
-          user: config.email.user,
-          pass: config.email.pass
-        }
-      });
+    const subscribers = await this.subscriberStore.getActive();
+    if (subscribers.length > 0 && !config.publicUrl) {
+      logger.warn('PUBLIC_URL is not set: subscriber reports are sent without an unsubscribe link');
+    }
 
-      const htmlReportPath = reportResult.files.html;
-      const htmlContent = await fs.readFile(htmlReportPath, 'utf8');
-
-      const mailOptions = {
-        from: config.email.from,
-        to: config.email.to,
-        subject: `Competitors Analysis Report - ${reportResult.reportId}`,
-        html: htmlContent,
-        attachments: [
-          {
-            filename: `competitors-report-${reportResult.reportId}.html`,
-            path: htmlReportPath
-          }
-        ]
-      };
+    for (const subscriber of subscribers) {
+      try {
+        const { html, pdf } = await this.reportGenerator.renderSubscriberReport(results, subscriber, {
+          report: reportResult,
+          competitorIds: competitors.filter(competitor => this.subscriberStore.matches(subscriber, competitor)).map(competitor => competitor.id),
+          reportUrl: email.getReportUrl(reportResult.reportId),
+          unsubscribeUrl: email.getUnsubscribeUrl(subscriber.token)
+        });
+
+        const delivery = await this.notifiers.notifyChannel('email', 'subscription', { subscriber, report: reportResult, html, pdf }, {
+          runId,
+          reference: `${reportResult.reportId}:${subscriber.email}`
+        });
+        counts[delivery.status === 'sent' ? 'sent' : 'failed']++;
+      } catch (error) {
+        logger.error(`Failed to prepare the report of subscriber ${subscriber.email}`, error);
+        counts.failed++;
+      }
+    }
 
-      await transporter.sendMail(mailOptions);
-      logger.info('Email report sent successfully');
+    // PDF reports reopen the shared browser
+    await this.websiteMonitor.closeBrowser();
 
-    } catch (error) {
-      logger.error('Failed to send email report', error);
+    return counts;
+  }
+
+  /**
+   * Get the website changes of the last successful run, grouped by competitor and page, highest score first
+   * @param {Object} filters - Change filters
+   * @param {number} filters.minScore - Leave out changes scored lower
+   * @param {string} filters.category - Only changes of this category
+   * @returns {Array} Competitors with their changed pages
+   */
+  getLastRunChanges({ minScore = 0, category = null } = {}) {
+    const groups = this.groupLastRunChanges();
+    const keep = change => (change.score ?? 0) >= minScore && (!category || change.category === category);
+    const topScore = changes => Math.max(0, ...changes.map(change => change.score ?? 0));
+
+    return groups
+      .map(entry => ({
+        ...entry,
+        pages: entry.pages
+          .map(page => ({ ...page, changes: page.changes.filter(keep).sort((a, b) => (b.score ?? 0) - (a.score ?? 0)) }))
+          .filter(page => page.changes.length > 0)
+          .sort((a, b) => topScore(b.changes) - topScore(a.changes))
+      }))
+      .filter(entry => entry.pages.length > 0)
+      .sort((a, b) => topScore(b.pages[0].changes) - topScore(a.pages[0].changes));
+  }
+
+  /**
+   * Group the website changes of the last successful run by competitor and page
+   * @returns {Array} Competitors with their changed pages
+   */
+  groupLastRunChanges() {
+    if (!this.storage) {
+      return (this.lastResults?.websiteMonitoring || [])
+        .filter(result => result.changes.length > 0)
+        .map(result => ({
+          competitor: result.competitor,
+          website: result.website,
+          pages: (result.pages || [])
+            .filter(page => page.changes.length > 0)
+            .map(page => ({ url: page.url, name: page.name, device: page.device, changes: page.changes }))
+            .concat(this.getSiteChangeGroups(result.changes))
+        }));
     }
+
+    const lastRun = this.storage.getLastRun();
+    if (!lastRun) {
+      return [];
+    }
+
+    const competitors = new Map();
+    this.storage.getRunChanges(lastRun.id).forEach(change => {
+      if (!competitors.has(change.competitorId)) {
+        const competitor = this.competitorsLoader.getCompetitorById(change.competitorId);
+        competitors.set(change.competitorId, {
+          competitor: competitor?.name || change.competitorId,
+          website: competitor?.website || null,
+          pages: new Map()
+        });
+      }
+
+      const pages = competitors.get(change.competitorId).pages;
+      const pageId = `${change.page} ${change.device} ${change.pageName}`;
+      if (!pages.has(pageId)) {
+        pages.set(pageId, { url: change.page, name: change.pageName, device: change.device, changes: [] });
+      }
+      pages.get(pageId).changes.push(change);
+    });
+
+    return [...competitors.values()].map(entry => ({ ...entry, pages: [...entry.pages.values()] }));
+  }
+
+  /**
+   * Group site-level changes (technology stack) like page changes
+   * @param {Array} changes - Flattened changes of a competitor
+   * @returns {Array} Groups ({ url, name, device, changes })
+   */
+  getSiteChangeGroups(changes) {
+    const techChanges = changes.filter(change => change.type === 'technology');
+    return techChanges.length > 0
+      ? [{ url: techChanges[0].page, name: techChanges[0].pageName, device: 'desktop', changes: techChanges }]
+      : [];
   }
 
   /**
@@ -289,24 +908,36 @@ class CompetitorsAnalysisAgent {
    */
   async listReports() {
     try {
+      if (this.storage) {
+        return await this.listStoredReports();
+      }
+
       const files = await fs.readdir(config.paths.reports);
       const reports = [];
 
+      // One entry per report, described by its HTML file, or its first other format
+      const formatsById = new Map();
       for (const file of files) {
-        if (file.startsWith('competitors-report-') && file.endsWith('.html')) {
-          const filePath = path.join(config.paths.reports, file);
-          const stats = await fs.stat(filePath);
-
-          reports.push({
-            id: file.replace('competitors-report-', '').replace('.html', ''),
-            filename: file,
-            size: stats.size,
-            created: stats.birthtime,
-            modified: stats.mtime
-          });
+        const match = /^competitors-report-(.+)\.(html|json|pdf)$/.exec(file);
+        if (match) {
+          formatsById.set(match[1], [...(formatsById.get(match[1]) || []), match[2]]);
         }
       }
 
+      for (const [id, formats] of formatsById) {
+        const file = `competitors-report-${id}.${formats.includes('html') ? 'html' : formats[0]}`;
+        const stats = await fs.stat(path.join(config.paths.reports, file));
+
+        reports.push({
+          id,
+          filename: file,
+          size: stats.size,
+          created: stats.birthtime,
+          modified: stats.mtime,
+          formats
+        });
+      }
+
       return reports.sort((a, b) => new Date(b.modified) - new Date(a.modified));
     } catch (error) {
       logger.error('Failed to list reports', error);
@@ -314,14 +945,54 @@ class CompetitorsAnalysisAgent {
     }
   }
 
+  /**
+   * List reports recorded in the database
+   */
+  async listStoredReports() {
+    const reports = [];
+
+    for (const report of this.storage.listReports()) {
+      const filePath = report.files.html || Object.values(report.files)[0];
+      if (!filePath) {
+        continue;
+      }
+
+      try {
+        const stats = await fs.stat(filePath);
+        reports.push({
+          id: report.id,
+          filename: path.basename(filePath),
+          size: stats.size,
+          created: report.generatedAt,
+          modified: stats.mtime,
+          formats: Object.keys(report.files),
+          period: report.period,
+          summary: report.summary
+        });
+      } catch (error) {
+        logger.warn(`Report file missing for ${report.id}: ${filePath}`);
+      }
+    }
+
+    return reports;
+  }
+
   /**
    * Get report file path
+   * @param {string} reportId - Report ID
+   * @param {string} format - html, json or pdf
    */
-  async getReportPath(reportId) {
+  async getReportPath(reportId, format = 'html') {
     try {
-      const htmlPath = path.join(config.paths.reports, `competitors-report-${reportId}.html`);
-      await fs.access(htmlPath);
-      return htmlPath;
+      const storedPath = this.storage?.getReport(reportId)?.files[format];
+      if (storedPath) {
+        await fs.access(storedPath);
+        return storedPath;
+      }
+
+      const filePath = path.join(config.paths.reports, `competitors-report-${reportId}.${format}`);
+      await fs.access(filePath);
+      return filePath;
     } catch (error) {
       return null;
     }
@@ -350,19 +1021,27 @@ class CompetitorsAnalysisAgent {
         logger.info(`Dashboard: http://localhost:${config.port}/dashboard`);
       });
 
+      if (config.alerts.enabled) {
+        this.alertWatcher.start();
+      }
+
       // Graceful shutdown
       process.on('SIGTERM', () => {
         logger.info('SIGTERM received, shutting down gracefully');
+        this.alertWatcher.stop();
         server.close(() => {
           logger.info('Server closed');
+          closeStorage();
           process.exit(0);
         });
       });
 
       process.on('SIGINT', () => {
         logger.info('SIGINT received, shutting down gracefully');
+        this.alertWatcher.stop();
         server.close(() => {
           logger.info('Server closed');
+          closeStorage();
           process.exit(0);
         });
       });
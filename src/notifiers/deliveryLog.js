@@ -0,0 +1,77 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const { getStorage } = require('../storage');
+
+// Deliveries kept when no database is configured
+const MAX_FILE_DELIVERIES = 500;
+
+/**
+ * Log of notification deliveries, per channel: in the database, or data/reports/notifications/deliveries.json
+ */
+class DeliveryLog {
+  constructor() {
+    this.storage = getStorage();
+    this.logFile = path.join(config.paths.reports, 'notifications', 'deliveries.json');
+    // File appends rewrite the whole log, so they run one after the other
+    this.fileWrites = Promise.resolve();
+  }
+
+  /**
+   * Record a delivery
+   * @param {Object} delivery - { runId, channel, kind, reference, status, attempts, error, duration, createdAt }
+   */
+  async record(delivery) {
+    if (!this.storage) {
+      this.fileWrites = this.fileWrites.then(() => this.appendToFile(delivery));
+      return this.fileWrites;
+    }
+
+    try {
+      this.storage.recordDelivery(delivery);
+    } catch (error) {
+      logger.error(`Failed to record ${delivery.channel} delivery`, error);
+    }
+  }
+
+  async appendToFile(delivery) {
+    try {
+      const deliveries = await this.loadFile();
+      const id = (deliveries[0]?.id || 0) + 1;
+      deliveries.unshift({ id, ...delivery });
+
+      await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+      await fs.writeFile(this.logFile, JSON.stringify(deliveries.slice(0, MAX_FILE_DELIVERIES), null, 2));
+    } catch (error) {
+      logger.error(`Failed to record ${delivery.channel} delivery`, error);
+    }
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} filters - Delivery filters
+   * @param {string} filters.channel - Only deliveries to this channel
+   * @param {number} filters.limit - Maximum number of deliveries
+   * @returns {Array} Deliveries
+   */
+  async list({ channel = null, limit = 100 } = {}) {
+    if (this.storage) {
+      return this.storage.listDeliveries({ channel, limit });
+    }
+
+    await this.fileWrites;
+    const deliveries = await this.loadFile();
+    return deliveries.filter(delivery => !channel || delivery.channel === channel).slice(0, limit);
+  }
+
+  async loadFile() {
+    try {
+      return JSON.parse(await fs.readFile(this.logFile, 'utf8'));
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = DeliveryLog;
@@ -0,0 +1,144 @@
+const fs = require('fs').promises;
+const nodemailer = require('nodemailer');
+const Notifier = require('./notifier');
+const { config } = require('../config');
+
+// Permanent SMTP failures: bad credentials, rejected addresses
+const PERMANENT_ERRORS = ['EAUTH', 'EENVELOPE'];
+
+/**
+ * Sends email through SMTP (SMTP_HOST, SMTP_USER, ...), reusing one transport for every message.
+ * Messages go to EMAIL_TO, except subscriptions, which go to their subscriber.
+ */
+class EmailNotifier extends Notifier {
+  constructor() {
+    super('email', { enabled: config.reports.emailEnabled, retries: config.email.retries, retryBackoff: 5000 });
+    this.transporter = null;
+  }
+
+  isConfigured() {
+    return Boolean(config.email.host && config.email.from && config.email.to);
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: config.email.host,
+        port: config.email.port,
+        secure: false,
+        auth: {
+          user: config.email.user,
+          pass: config.email.pass
+        }
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * The full HTML report as the message body and as an attachment, with the PDF report attached when one was
+   * generated; a plain-text digest when no HTML report was generated
+   * @param {Object} reportResult - Generated report information
+   * @returns {Object} Mail options
+   */
+  async formatReport(reportResult) {
+    const subject = `Competitors Analysis Report - ${reportResult.reportId}`;
+    const htmlReportPath = reportResult.files?.html;
+    const pdfReportPath = reportResult.files?.pdf;
+    const pdfAttachments = pdfReportPath
+      ? [{ filename: `competitors-report-${reportResult.reportId}.pdf`, path: pdfReportPath, contentType: 'application/pdf' }]
+      : [];
+
+    if (!htmlReportPath) {
+      const { topChanges = [] } = reportResult.digest || {};
+      const reportUrl = this.getReportUrl(reportResult.reportId);
+
+      return {
+        subject,
+        text: [
+          this.getHeadline(reportResult),
+          '',
+          ...topChanges.map(change => `- ${change.score !== undefined ? `[${change.score}] ` : ''}${change.competitor}: ${change.description}`),
+          '',
+          reportUrl ? `Full report: ${reportUrl}` : `Full report: ${reportResult.reportId}`
+        ].join('\n'),
+        attachments: pdfAttachments
+      };
+    }
+
+    return {
+      subject,
+      html: await fs.readFile(htmlReportPath, 'utf8'),
+      attachments: [
+        {
+          filename: `competitors-report-${reportResult.reportId}.html`,
+          path: htmlReportPath
+        },
+        ...pdfAttachments
+      ]
+    };
+  }
+
+  /**
+   * Plain-text alert listing changes detected on critical pages
+   * @param {Object} data - { alerts }
+   * @returns {Object} Mail options
+   */
+  formatAlert({ alerts }) {
+    return {
+      subject: `[Alert] ${this.getAlertHeadline(alerts)}`,
+      text: [
+        ...alerts.map(alert => [
+          `- [${alert.severity}] ${alert.competitor}${alert.pageName ? ` (${alert.pageName})` : ''}: ${alert.description}`,
+          alert.page ? `  ${alert.page}` : null
+        ].filter(Boolean).join('\n')),
+        '',
+        'These changes are also included in the next weekly report.'
+      ].join('\n')
+    };
+  }
+
+  /**
+   * A subscriber's personalized report as the message body, and attached as PDF when one was rendered,
+   * with one-click unsubscribe headers
+   * @param {Object} data - { subscriber, report, html, pdf }
+   * @returns {Object} Mail options
+   */
+  formatSubscription({ subscriber, report, html, pdf = null }) {
+    const unsubscribeUrl = this.getUnsubscribeUrl(subscriber.token);
+
+    return {
+      to: subscriber.name ? { name: subscriber.name, address: subscriber.email } : subscriber.email,
+      subject: `Competitors Analysis ${subscriber.depth === 'summary' ? 'Summary' : 'Report'} - ${report.period || report.reportId}`,
+      html,
+      attachments: pdf ? [{ filename: `competitors-report-${report.reportId}.pdf`, content: pdf, contentType: 'application/pdf' }] : [],
+      headers: unsubscribeUrl
+        ? { 'List-Unsubscribe': `<${unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        : {}
+    };
+  }
+
+  async send(message) {
+    await this.getTransporter().sendMail({
+      from: config.email.from,
+      to: config.email.to,
+      ...message
+    });
+  }
+
+  /**
+   * Connection errors and temporary (4xx) SMTP replies are retried
+   */
+  isRetryable(error) {
+    if (PERMANENT_ERRORS.includes(error.code)) {
+      return false;
+    }
+    return !error.responseCode || error.responseCode < 500;
+  }
+
+  describeError(error) {
+    return error.response || error.message;
+  }
+}
+
+module.exports = EmailNotifier;
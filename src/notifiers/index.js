@@ -0,0 +1,127 @@
+const logger = require('../utils/logger');
+const DeliveryLog = require('./deliveryLog');
+const EmailNotifier = require('./emailNotifier');
+const SlackNotifier = require('./slackNotifier');
+const TeamsNotifier = require('./teamsNotifier');
+const WebhookNotifier = require('./webhookNotifier');
+const TelegramNotifier = require('./telegramNotifier');
+
+/**
+ * Registry of notification channels. Notifications fan out to every enabled channel,
+ * and each delivery is recorded in the delivery log.
+ */
+class NotifierRegistry {
+  /**
+   * @param {DeliveryLog} deliveryLog - Log the deliveries are recorded in
+   */
+  constructor(deliveryLog = new DeliveryLog()) {
+    this.notifiers = new Map();
+    this.deliveryLog = deliveryLog;
+  }
+
+  /**
+   * Add a channel, replacing any channel registered under the same name
+   * @param {Notifier} notifier - Channel
+   * @returns {NotifierRegistry} The registry
+   */
+  register(notifier) {
+    this.notifiers.set(notifier.name, notifier);
+    return this;
+  }
+
+  get(name) {
+    return this.notifiers.get(name) || null;
+  }
+
+  /**
+   * Describe the registered channels
+   * @returns {Array} Channels ({ name, enabled, configured })
+   */
+  list() {
+    return [...this.notifiers.values()].map(notifier => ({
+      name: notifier.name,
+      enabled: notifier.isEnabled(),
+      configured: notifier.isConfigured()
+    }));
+  }
+
+  getEnabled() {
+    return [...this.notifiers.values()].filter(notifier => notifier.isEnabled());
+  }
+
+  /**
+   * Send a notification to every enabled channel. A failing channel does not stop the others.
+   * @param {string} kind - Notification kind (report, alert)
+   * @param {Object} data - Notification data, formatted by each channel's template
+   * @param {Object} options - Delivery options
+   * @param {number} options.runId - Monitoring run the notification belongs to
+   * @param {string} options.reference - What the notification is about (report ID, ...)
+   * @param {Array} options.channels - Only these channels, when given
+   * @returns {Array} Deliveries ({ channel, kind, status, attempts, error, duration })
+   */
+  async notifyAll(kind, data, { runId = null, reference = null, channels = [] } = {}) {
+    const notifiers = this.getEnabled().filter(notifier => channels.length === 0 || channels.includes(notifier.name));
+
+    const deliveries = await Promise.all(notifiers.map(notifier => this.deliver(notifier, kind, data, { runId, reference })));
+
+    // Recorded one at a time: the file log is rewritten on each entry
+    for (const delivery of deliveries) {
+      await this.deliveryLog.record(delivery);
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Send a notification to one channel, enabled or not, and record the delivery
+   * @param {string} name - Channel name
+   * @param {string} kind - Notification kind
+   * @param {Object} data - Notification data
+   * @param {Object} options - { runId, reference }, as for notifyAll()
+   * @returns {Object} Delivery
+   */
+  async notifyChannel(name, kind, data, { runId = null, reference = null } = {}) {
+    const notifier = this.get(name);
+    if (!notifier) {
+      throw new Error(`Notification channel ${name} not found`);
+    }
+
+    const delivery = await this.deliver(notifier, kind, data, { runId, reference });
+    await this.deliveryLog.record(delivery);
+    return delivery;
+  }
+
+  async deliver(notifier, kind, data, { runId, reference }) {
+    const startTime = Date.now();
+    let delivery;
+    try {
+      delivery = await notifier.notify(kind, data);
+    } catch (error) {
+      delivery = { channel: notifier.name, kind, status: 'failed', attempts: 0, error: error.message };
+    }
+
+    if (delivery.status === 'sent') {
+      logger.info(`Sent ${kind} notification via ${notifier.name}`);
+    } else {
+      logger.error(`Failed to send ${kind} notification via ${notifier.name}: ${delivery.error}`);
+    }
+
+    return { ...delivery, runId, reference, duration: Date.now() - startTime, createdAt: new Date().toISOString() };
+  }
+}
+
+/**
+ * Create a registry with the built-in channels: email, Slack, Microsoft Teams, generic webhook and Telegram
+ * @returns {NotifierRegistry} Notifier registry
+ */
+const createNotifiers = () => new NotifierRegistry()
+  .register(new EmailNotifier())
+  .register(new SlackNotifier())
+  .register(new TeamsNotifier())
+  .register(new WebhookNotifier())
+  .register(new TelegramNotifier());
+
+module.exports = {
+  NotifierRegistry,
+  createNotifiers
+};
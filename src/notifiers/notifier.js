@@ -0,0 +1,175 @@
+const { upperFirst } = require('lodash');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+
+/**
+ * Common interface of notification channels.
+ *
+ * A channel formats each kind of notification with its own template (a format<Kind> method, e.g.
+ * formatReport) and sends the result with send(). notify() adds the channel's retry policy: by default
+ * rate limits (429), server errors and network errors are retried with exponential backoff. A delivery
+ * that would have to wait longer than NOTIFICATION_MAX_RETRY_DELAY before its next attempt fails instead,
+ * so a long Retry-After cannot hold up the run.
+ */
+class Notifier {
+  /**
+   * @param {string} name - Channel name
+   * @param {Object} options - Channel options
+   * @param {boolean} options.enabled - Whether runs notify this channel
+   * @param {number} options.retries - Retries after a failed delivery
+   * @param {number} options.retryBackoff - Wait before the first retry (ms), doubled after each one
+   */
+  constructor(name, { enabled = false, retries = 2, retryBackoff = 1000 } = {}) {
+    this.name = name;
+    this.enabled = enabled;
+    this.retries = retries;
+    this.retryBackoff = retryBackoff;
+  }
+
+  /**
+   * Whether the channel has the settings it needs to deliver (webhook URL, credentials...)
+   */
+  isConfigured() {
+    return true;
+  }
+
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * Format a notification with the channel's template for its kind
+   * @param {string} kind - Notification kind (report, alert)
+   * @param {Object} data - Notification data
+   * @returns {Object} Channel-specific message
+   */
+  async render(kind, data) {
+    const template = this[`format${upperFirst(kind)}`];
+    if (typeof template !== 'function') {
+      throw new Error(`The ${this.name} channel has no ${kind} template`);
+    }
+    return template.call(this, data);
+  }
+
+  /**
+   * Deliver a formatted message
+   * @param {Object} message - Message from render()
+   */
+  async send(message) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+
+  isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+  }
+
+  /**
+   * Wait before the next attempt: Retry-After on rate limits, exponential backoff otherwise
+   * @param {Error} error - Error of the failed attempt
+   * @param {number} attempt - Failed attempts so far
+   * @returns {number} Delay (ms)
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+    if (error.response?.status === 429 && retryAfter >= 0) {
+      return retryAfter * 1000;
+    }
+    return this.retryBackoff * 2 ** (attempt - 1);
+  }
+
+  describeError(error) {
+    const status = error.response?.status;
+    const body = typeof error.response?.data === 'string' ? error.response.data : null;
+    return `${status ? `HTTP ${status}: ` : ''}${body || error.message}`;
+  }
+
+  /**
+   * Format and deliver a notification, retrying with the channel's policy
+   * @param {string} kind - Notification kind
+   * @param {Object} data - Notification data
+   * @returns {Object} Delivery ({ channel, kind, status: sent or failed, attempts, error })
+   */
+  async notify(kind, data) {
+    const delivery = { channel: this.name, kind, status: 'failed', attempts: 0, error: null };
+
+    if (!this.isConfigured()) {
+      delivery.error = 'Channel enabled but not configured';
+      return delivery;
+    }
+
+    let message;
+    try {
+      message = await this.render(kind, data);
+    } catch (error) {
+      delivery.error = `Template failed: ${error.message}`;
+      return delivery;
+    }
+
+    for (;;) {
+      delivery.attempts++;
+      try {
+        await this.send(message);
+        delivery.status = 'sent';
+        delivery.error = null;
+        return delivery;
+      } catch (error) {
+        delivery.error = this.describeError(error);
+        if (!this.isRetryable(error) || delivery.attempts > this.retries) {
+          return delivery;
+        }
+
+        const wait = this.getRetryDelay(error, delivery.attempts);
+        if (wait > config.notifications.maxRetryDelay) {
+          delivery.error += ` (retry in ${Math.ceil(wait / 1000)}s is past the ${config.notifications.maxRetryDelay / 1000}s limit)`;
+          return delivery;
+        }
+
+        logger.warn(`${this.name} delivery failed (${delivery.error}), retrying in ${wait}ms`);
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    }
+  }
+
+  // Helpers shared by the templates
+
+  /**
+   * Link to a report, when PUBLIC_URL is set
+   * @param {string} reportId - Report ID
+   * @returns {string|null} Report URL
+   */
+  getReportUrl(reportId) {
+    return config.publicUrl ? `${config.publicUrl.replace(/\/+$/, '')}/reports/${encodeURIComponent(reportId)}` : null;
+  }
+
+  /**
+   * Link a subscriber follows to unsubscribe, when PUBLIC_URL is set
+   * @param {string} token - Subscriber's unsubscribe token
+   * @returns {string|null} Unsubscribe URL
+   */
+  getUnsubscribeUrl(token) {
+    return config.publicUrl ? `${config.publicUrl.replace(/\/+$/, '')}/unsubscribe/${encodeURIComponent(token)}` : null;
+  }
+
+  /**
+   * Headline of a run: its change counts
+   * @param {Object} reportResult - Generated report information
+   * @returns {string} Headline
+   */
+  getHeadline(reportResult) {
+    const summary = reportResult.summary || {};
+    return `Competitors analysis: ${summary.websiteChanges ?? 0} website, ${summary.priceChanges ?? 0} price and ${summary.seoChanges ?? 0} SEO changes`;
+  }
+
+  /**
+   * Headline of an alert: the competitors behind it
+   * @param {Array} alerts - Alerts raised by the watch
+   * @returns {string} Headline
+   */
+  getAlertHeadline(alerts) {
+    const competitors = [...new Set(alerts.map(alert => alert.competitor))];
+    return `${alerts.length} ${alerts.length === 1 ? 'change' : 'changes'} on critical pages: ${competitors.join(', ')}`;
+  }
+}
+
+module.exports = Notifier;
@@ -0,0 +1,148 @@
+const axios = require('axios');
+const { truncate } = require('lodash');
+const Notifier = require('./notifier');
+const { config } = require('../config');
+
+// Block Kit limits: characters in a section's text, and blocks per message
+const MAX_SECTION_TEXT = 3000;
+const MAX_BLOCKS = 50;
+
+// Longest description quoted for a single change or insight
+const MAX_ITEM_TEXT = 300;
+
+// Items listed per section of the run summary
+const MAX_TOP_CHANGES = 5;
+const MAX_INSIGHTS = 5;
+const MAX_RECOMMENDATIONS = 3;
+
+/**
+ * Posts Block Kit messages to a Slack incoming webhook (SLACK_WEBHOOK_URL)
+ */
+class SlackNotifier extends Notifier {
+  constructor() {
+    super('slack', { enabled: config.reports.slackEnabled, retries: config.slack.retries });
+    this.webhookUrl = config.slack.webhookUrl;
+    this.channel = config.slack.channel;
+  }
+
+  isConfigured() {
+    return Boolean(this.webhookUrl);
+  }
+
+  /**
+   * Block Kit summary of a run: top changes, insights, recommendations and a link to the full report
+   * @param {Object} reportResult - Generated report information (generateWeeklyReport)
+   * @returns {Object} Slack message ({ text, blocks })
+   */
+  formatReport(reportResult) {
+    const { topChanges = [], insights = [], recommendations = [] } = reportResult.digest || {};
+    const summary = reportResult.summary || {};
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: `Competitors Analysis - ${reportResult.period || reportResult.reportId}` } },
+      {
+        type: 'section',
+        fields: [
+          `*Competitors*\n${summary.totalCompetitors ?? 0}`,
+          `*Website changes*\n${summary.websiteChanges ?? 0}`,
+          `*Price changes*\n${summary.priceChanges ?? 0}`,
+          `*SEO changes*\n${summary.seoChanges ?? 0}`,
+          `*New publications*\n${summary.newContent ?? 0}`
+        ].map(text => ({ type: 'mrkdwn', text }))
+      }
+    ];
+
+    if (topChanges.length > 0) {
+      blocks.push({ type: 'divider' }, this.section('*Top changes*', topChanges.slice(0, MAX_TOP_CHANGES).map(change => [
+        change.score !== undefined ? `\`${change.score}\`` : null,
+        `*${this.escape(change.competitor)}*`,
+        change.pageName ? `${this.escape(change.pageName)}:` : null,
+        this.escape(truncate(change.description, { length: MAX_ITEM_TEXT })),
+        change.category ? `_${change.category}_` : null
+      ].filter(Boolean).join(' '))));
+    }
+
+    if (insights.length > 0) {
+      blocks.push({ type: 'divider' }, this.section('*Insights*', insights.slice(0, MAX_INSIGHTS).map(insight =>
+        `${insight.severity === 'high' ? ':red_circle:' : ':large_orange_circle:'} *${this.escape(insight.title)}* - ${this.escape(truncate(insight.description, { length: MAX_ITEM_TEXT }))}`
+      )));
+    }
+
+    if (recommendations.length > 0) {
+      blocks.push({ type: 'divider' }, this.section('*Recommendations*', recommendations.slice(0, MAX_RECOMMENDATIONS).map(recommendation =>
+        `*${this.escape(recommendation.title)}* (${recommendation.priority}) - ${this.escape(recommendation.action)}`
+      )));
+    }
+
+    const reportUrl = this.getReportUrl(reportResult.reportId);
+    blocks.push(reportUrl
+      ? {
+        type: 'actions',
+        elements: [{ type: 'button', text: { type: 'plain_text', text: 'Open full report' }, url: reportUrl }]
+      }
+      : { type: 'context', elements: [{ type: 'mrkdwn', text: `Full report: ${reportResult.reportId}` }] });
+
+    return {
+      text: this.getHeadline(reportResult),
+      blocks: blocks.slice(0, MAX_BLOCKS)
+    };
+  }
+
+  /**
+   * Block Kit alert listing changes detected on critical pages
+   * @param {Object} data - { alerts }
+   * @returns {Object} Slack message ({ text, blocks })
+   */
+  formatAlert({ alerts }) {
+    const headline = this.getAlertHeadline(alerts);
+
+    return {
+      text: headline,
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: `:rotating_light: ${headline}`.slice(0, 150) } },
+        this.section('*Changes*', alerts.map(alert => [
+          `*${this.escape(alert.competitor)}*`,
+          alert.page ? `<${alert.page}|${this.escape(alert.pageName || alert.page)}>:` : null,
+          this.escape(truncate(alert.description, { length: MAX_ITEM_TEXT })),
+          `_${alert.severity}_`
+        ].filter(Boolean).join(' '))),
+        { type: 'context', elements: [{ type: 'mrkdwn', text: 'These changes are also included in the next weekly report.' }] }
+      ]
+    };
+  }
+
+  /**
+   * A section listing items under a title, cut to Slack's text limit
+   */
+  section(title, items) {
+    let text = title;
+    for (const item of items) {
+      const line = `\n• ${item}`;
+      if (text.length + line.length > MAX_SECTION_TEXT) {
+        text = `${text}\n…`.slice(0, MAX_SECTION_TEXT);
+        break;
+      }
+      text += line;
+    }
+
+    return { type: 'section', text: { type: 'mrkdwn', text } };
+  }
+
+  /**
+   * Escape the characters Slack treats as control sequences in mrkdwn
+   */
+  escape(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Post a message to the webhook. Slack explains webhook errors (invalid_blocks, no_service,
+   * channel_is_archived, ...) in the plain-text body; only rate limits and server errors are retried.
+   * @param {Object} message - Slack message ({ text, blocks })
+   */
+  async send(message) {
+    const payload = this.channel ? { channel: this.channel, ...message } : message;
+    await axios.post(this.webhookUrl, payload, { timeout: config.notifications.timeout });
+  }
+}
+
+module.exports = SlackNotifier;
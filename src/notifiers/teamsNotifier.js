@@ -0,0 +1,132 @@
+const axios = require('axios');
+const { truncate } = require('lodash');
+const Notifier = require('./notifier');
+const { config } = require('../config');
+
+// Longest description quoted for a single change or insight
+const MAX_ITEM_TEXT = 300;
+
+// Items listed per section of the run summary
+const MAX_TOP_CHANGES = 5;
+const MAX_INSIGHTS = 5;
+const MAX_RECOMMENDATIONS = 3;
+
+/**
+ * Posts Adaptive Cards to a Microsoft Teams incoming webhook or Workflows URL (TEAMS_WEBHOOK_URL)
+ */
+class TeamsNotifier extends Notifier {
+  constructor() {
+    super('teams', { enabled: config.reports.teamsEnabled, retries: config.teams.retries });
+    this.webhookUrl = config.teams.webhookUrl;
+  }
+
+  isConfigured() {
+    return Boolean(this.webhookUrl);
+  }
+
+  /**
+   * Adaptive Card summary of a run
+   * @param {Object} reportResult - Generated report information
+   * @returns {Object} Teams message with a single Adaptive Card attachment
+   */
+  formatReport(reportResult) {
+    const { topChanges = [], insights = [], recommendations = [] } = reportResult.digest || {};
+    const summary = reportResult.summary || {};
+    const body = [
+      { type: 'TextBlock', size: 'Large', weight: 'Bolder', wrap: true, text: `Competitors Analysis - ${reportResult.period || reportResult.reportId}` },
+      {
+        type: 'FactSet',
+        facts: [
+          { title: 'Competitors', value: String(summary.totalCompetitors ?? 0) },
+          { title: 'Website changes', value: String(summary.websiteChanges ?? 0) },
+          { title: 'Price changes', value: String(summary.priceChanges ?? 0) },
+          { title: 'SEO changes', value: String(summary.seoChanges ?? 0) },
+          { title: 'New publications', value: String(summary.newContent ?? 0) }
+        ]
+      }
+    ];
+
+    const list = (title, items) => {
+      if (items.length > 0) {
+        body.push(
+          { type: 'TextBlock', weight: 'Bolder', spacing: 'Medium', separator: true, text: title },
+          { type: 'TextBlock', wrap: true, text: items.map(item => `- ${item}`).join('\n') }
+        );
+      }
+    };
+
+    list('Top changes', topChanges.slice(0, MAX_TOP_CHANGES).map(change => [
+      change.score !== undefined ? `**${change.score}**` : null,
+      `**${change.competitor}**`,
+      change.pageName ? `${change.pageName}:` : null,
+      truncate(change.description, { length: MAX_ITEM_TEXT }),
+      change.category ? `_${change.category}_` : null
+    ].filter(Boolean).join(' ')));
+    list('Insights', insights.slice(0, MAX_INSIGHTS).map(insight =>
+      `**${insight.title}**${insight.severity === 'high' ? ' (high)' : ''} - ${truncate(insight.description, { length: MAX_ITEM_TEXT })}`));
+    list('Recommendations', recommendations.slice(0, MAX_RECOMMENDATIONS).map(recommendation =>
+      `**${recommendation.title}** (${recommendation.priority}) - ${recommendation.action}`));
+
+    const reportUrl = this.getReportUrl(reportResult.reportId);
+    if (!reportUrl) {
+      body.push({ type: 'TextBlock', isSubtle: true, wrap: true, text: `Full report: ${reportResult.reportId}` });
+    }
+
+    return {
+      type: 'message',
+      summary: this.getHeadline(reportResult),
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body,
+          actions: reportUrl ? [{ type: 'Action.OpenUrl', title: 'Open full report', url: reportUrl }] : []
+        }
+      }]
+    };
+  }
+
+  /**
+   * Adaptive Card listing changes detected on critical pages
+   * @param {Object} data - { alerts }
+   * @returns {Object} Teams message with a single Adaptive Card attachment
+   */
+  formatAlert({ alerts }) {
+    const headline = this.getAlertHeadline(alerts);
+
+    return {
+      type: 'message',
+      summary: headline,
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', size: 'Large', weight: 'Bolder', color: 'Attention', wrap: true, text: headline },
+            {
+              type: 'TextBlock',
+              wrap: true,
+              text: alerts.map(alert => [
+                `- **${alert.competitor}**`,
+                alert.page ? `[${alert.pageName || alert.page}](${alert.page}):` : null,
+                truncate(alert.description, { length: MAX_ITEM_TEXT }),
+                `_${alert.severity}_`
+              ].filter(Boolean).join(' ')).join('\n')
+            },
+            { type: 'TextBlock', isSubtle: true, wrap: true, text: 'These changes are also included in the next weekly report.' }
+          ]
+        }
+      }]
+    };
+  }
+
+  async send(message) {
+    await axios.post(this.webhookUrl, message, { timeout: config.notifications.timeout });
+  }
+}
+
+module.exports = TeamsNotifier;
@@ -0,0 +1,125 @@
+const axios = require('axios');
+const { truncate } = require('lodash');
+const Notifier = require('./notifier');
+const { config } = require('../config');
+
+// Telegram's limit on the length of a message
+const MAX_MESSAGE_TEXT = 4096;
+
+// Longest description quoted for a single change or insight
+const MAX_ITEM_TEXT = 200;
+
+// Items listed per section of the run summary
+const MAX_TOP_CHANGES = 5;
+const MAX_INSIGHTS = 3;
+const MAX_RECOMMENDATIONS = 3;
+
+/**
+ * Sends messages to a Telegram chat through a bot (TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID)
+ */
+class TelegramNotifier extends Notifier {
+  constructor() {
+    super('telegram', { enabled: config.reports.telegramEnabled, retries: config.telegram.retries });
+    this.botToken = config.telegram.botToken;
+    this.chatId = config.telegram.chatId;
+  }
+
+  isConfigured() {
+    return Boolean(this.botToken && this.chatId);
+  }
+
+  /**
+   * HTML-formatted summary of a run
+   * @param {Object} reportResult - Generated report information
+   * @returns {Object} { text }
+   */
+  formatReport(reportResult) {
+    const { topChanges = [], insights = [], recommendations = [] } = reportResult.digest || {};
+    const lines = [`<b>${this.escape(`Competitors Analysis - ${reportResult.period || reportResult.reportId}`)}</b>`, this.escape(this.getHeadline(reportResult))];
+
+    const list = (title, items) => {
+      if (items.length > 0) {
+        lines.push('', `<b>${title}</b>`, ...items.map(item => `• ${item}`));
+      }
+    };
+
+    list('Top changes', topChanges.slice(0, MAX_TOP_CHANGES).map(change => [
+      change.score !== undefined ? `<code>${change.score}</code>` : null,
+      `<b>${this.escape(change.competitor)}</b>`,
+      change.pageName ? `${this.escape(change.pageName)}:` : null,
+      this.escape(truncate(change.description, { length: MAX_ITEM_TEXT })),
+      change.category ? `<i>${this.escape(change.category)}</i>` : null
+    ].filter(Boolean).join(' ')));
+    list('Insights', insights.slice(0, MAX_INSIGHTS).map(insight =>
+      `<b>${this.escape(insight.title)}</b> - ${this.escape(truncate(insight.description, { length: MAX_ITEM_TEXT }))}`));
+    list('Recommendations', recommendations.slice(0, MAX_RECOMMENDATIONS).map(recommendation =>
+      `<b>${this.escape(recommendation.title)}</b> (${recommendation.priority}) - ${this.escape(recommendation.action)}`));
+
+    const reportUrl = this.getReportUrl(reportResult.reportId);
+    lines.push('', reportUrl
+      ? `<a href="${this.escape(reportUrl)}">Open full report</a>`
+      : `Full report: ${this.escape(reportResult.reportId)}`);
+
+    return { text: this.fit(lines) };
+  }
+
+  /**
+   * HTML-formatted alert listing changes detected on critical pages
+   * @param {Object} data - { alerts }
+   * @returns {Object} { text }
+   */
+  formatAlert({ alerts }) {
+    return {
+      text: this.fit([
+        `<b>${this.escape(this.getAlertHeadline(alerts))}</b>`,
+        '',
+        ...alerts.map(alert => [
+          '•',
+          `<b>${this.escape(alert.competitor)}</b>`,
+          alert.page ? `<a href="${this.escape(alert.page)}">${this.escape(alert.pageName || alert.page)}</a>:` : null,
+          this.escape(truncate(alert.description, { length: MAX_ITEM_TEXT })),
+          `<i>${alert.severity}</i>`
+        ].filter(Boolean).join(' '))
+      ])
+    };
+  }
+
+  /**
+   * Drop whole lines from the end until the message fits Telegram's limit, so no tag is cut in half
+   */
+  fit(lines) {
+    const kept = [...lines];
+    while (kept.length > 1 && kept.join('\n').length > MAX_MESSAGE_TEXT) {
+      kept.pop();
+    }
+    return kept.join('\n').slice(0, MAX_MESSAGE_TEXT);
+  }
+
+  escape(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  async send(message) {
+    await axios.post(`${config.telegram.apiUrl}/bot${this.botToken}/sendMessage`, {
+      chat_id: this.chatId,
+      text: message.text,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    }, { timeout: config.notifications.timeout });
+  }
+
+  /**
+   * Rate-limited requests say how long to wait in parameters.retry_after (seconds)
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = error.response?.data?.parameters?.retry_after;
+    return error.response?.status === 429 && retryAfter >= 0 ? retryAfter * 1000 : super.getRetryDelay(error, attempt);
+  }
+
+  describeError(error) {
+    const description = error.response?.data?.description;
+    return description ? `HTTP ${error.response.status}: ${description}` : super.describeError(error);
+  }
+}
+
+module.exports = TelegramNotifier;
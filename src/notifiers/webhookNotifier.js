@@ -0,0 +1,88 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const Notifier = require('./notifier');
+const { config } = require('../config');
+
+/**
+ * Posts JSON events to any HTTP endpoint (NOTIFY_WEBHOOK_URL). With NOTIFY_WEBHOOK_SECRET set, the body is
+ * signed: X-Signature-256 is "sha256=" followed by the hex HMAC-SHA256 of the raw body.
+ */
+class WebhookNotifier extends Notifier {
+  constructor() {
+    super('webhook', { enabled: config.reports.webhookEnabled, retries: config.webhook.retries });
+    this.url = config.webhook.url;
+    this.secret = config.webhook.secret;
+  }
+
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  /**
+   * report.generated event
+   * @param {Object} reportResult - Generated report information
+   * @returns {Object} Event
+   */
+  formatReport(reportResult) {
+    const { topChanges = [], insights = [], recommendations = [] } = reportResult.digest || {};
+
+    return {
+      event: 'report.generated',
+      reportId: reportResult.reportId,
+      generatedAt: reportResult.generatedAt,
+      period: reportResult.period,
+      reportUrl: this.getReportUrl(reportResult.reportId),
+      summary: reportResult.summary,
+      topChanges: topChanges.map(change => ({
+        competitor: change.competitor,
+        type: change.type,
+        description: change.description,
+        page: change.page || null,
+        pageName: change.pageName || null,
+        score: change.score ?? null,
+        category: change.category || null,
+        severity: change.severity
+      })),
+      insights: insights.map(({ type, title, description, severity }) => ({ type, title, description, severity })),
+      recommendations
+    };
+  }
+
+  /**
+   * alert.triggered event
+   * @param {Object} data - { alerts }
+   * @returns {Object} Event
+   */
+  formatAlert({ alerts }) {
+    return {
+      event: 'alert.triggered',
+      triggeredAt: new Date().toISOString(),
+      alerts: alerts.map(alert => ({
+        id: alert.fingerprint,
+        competitor: alert.competitor,
+        competitorId: alert.competitorId,
+        source: alert.source,
+        type: alert.type,
+        description: alert.description,
+        page: alert.page || null,
+        pageName: alert.pageName || null,
+        score: alert.score ?? null,
+        category: alert.category || null,
+        severity: alert.severity,
+        detectedAt: alert.detectedAt
+      }))
+    };
+  }
+
+  async send(message) {
+    const body = JSON.stringify(message);
+    const headers = { 'Content-Type': 'application/json', 'X-Event': message.event };
+    if (this.secret) {
+      headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+    }
+
+    await axios.post(this.url, body, { headers, timeout: config.notifications.timeout });
+  }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,290 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const { getStorage } = require('../storage');
+const WebsiteMonitor = require('./websiteMonitor');
+const PriceMonitor = require('./priceMonitor');
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Alerts kept in the recent list
+const MAX_RECENT_ALERTS = 100;
+
+/**
+ * Continuous watch between full runs. Pages flagged "critical" are checked every WEBSITE_CHECK_INTERVAL and
+ * catalogs flagged "critical" every PRICE_CHECK_INTERVAL; changes at or above ALERT_MIN_SEVERITY are alerted
+ * right away through the notification channels.
+ *
+ * Checks compare with the last full run and record nothing, so every change still rolls up into the weekly
+ * report. The same change (same page or product and same new content or price) is alerted once per
+ * ALERT_DEDUP_HOURS; alerts raised during quiet hours are held and sent when they end.
+ *
+ * The watch has its own monitors, so its browser opens and closes independently of the full runs'.
+ */
+class AlertWatcher {
+  /**
+   * @param {Object} services - Services the watch uses
+   * @param {NotifierRegistry} services.notifiers - Notification channels
+   * @param {CompetitorsLoader} services.competitorsLoader - Competitors loader
+   * @param {Function} services.isBusy - Returns true while a full run is in progress; checks are skipped meanwhile
+   */
+  constructor({ notifiers, competitorsLoader, isBusy = () => false }) {
+    this.websiteMonitor = new WebsiteMonitor();
+    this.priceMonitor = new PriceMonitor(this.websiteMonitor);
+    this.notifiers = notifiers;
+    this.competitorsLoader = competitorsLoader;
+    this.isBusy = isBusy;
+    this.storage = getStorage();
+    this.stateFile = path.join(config.paths.reports, 'alerts', 'state.json');
+    this.timers = [];
+    this.checking = new Set();
+    this.lastChecks = {};
+  }
+
+  /**
+   * Start the periodic checks
+   */
+  start() {
+    if (this.timers.length > 0) {
+      return;
+    }
+
+    this.timers.push(
+      setInterval(() => this.runCheck('website', () => this.checkWebsites()), config.intervals.website),
+      setInterval(() => this.runCheck('price', () => this.checkPrices()), config.intervals.price)
+    );
+    logger.info(`Alert watch started: critical pages every ${config.intervals.website / 1000}s, critical catalogs every ${config.intervals.price / 1000}s`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  /**
+   * Run a check unless the previous one of its kind or a full run is still in progress
+   * @param {string} kind - website or price
+   * @param {Function} check - Check returning the alerts it raised
+   */
+  async runCheck(kind, check) {
+    if (this.checking.has(kind) || this.isBusy()) {
+      return;
+    }
+
+    this.checking.add(kind);
+    try {
+      const alerts = await check();
+      this.lastChecks[kind] = new Date().toISOString();
+      await this.dispatch(alerts);
+    } catch (error) {
+      logger.error(`Alert watch ${kind} check failed`, error);
+    } finally {
+      this.checking.delete(kind);
+      if (this.checking.size === 0) {
+        await this.websiteMonitor.closeBrowser().catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Check the critical pages of every competitor against their last snapshot
+   * @returns {Array} Alerts
+   */
+  async checkWebsites() {
+    const alerts = [];
+
+    for (const competitor of this.competitorsLoader.getCompetitorsWithMonitoring('website')) {
+      const targets = this.websiteMonitor.getTrackedPages(competitor).filter(target => target.critical);
+
+      for (const target of targets) {
+        const policy = await this.websiteMonitor.crawlPolicy.check(target.url, competitor);
+        if (!policy.allowed) {
+          continue;
+        }
+
+        try {
+          const { hash, changes } = await this.websiteMonitor.checkPage(competitor, target);
+          changes.filter(change => this.isAlertWorthy(change)).forEach(change => {
+            alerts.push(this.createAlert(competitor, change, {
+              source: 'website',
+              page: target.url,
+              pageName: target.name || this.websiteMonitor.getPageName(target.url),
+              identity: [target.url, change.type, hash]
+            }));
+          });
+        } catch (error) {
+          logger.warn(`Alert watch could not check ${target.url} (${competitor.name}): ${error.message}`);
+        }
+      }
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Check the critical catalogs against the price history, without recording the observations
+   * @returns {Array} Alerts
+   */
+  async checkPrices() {
+    const alerts = [];
+    const competitors = this.competitorsLoader.getCompetitorsWithMonitoring('pricing')
+      .filter(competitor => competitor.ecommerce?.url && competitor.ecommerce.critical);
+
+    for (const competitor of competitors) {
+      try {
+        const result = await this.priceMonitor.monitorCatalog(competitor, { record: false });
+        result.events.filter(event => this.isAlertWorthy(event)).forEach(event => {
+          alerts.push(this.createAlert(competitor, event, {
+            source: 'price',
+            page: event.product?.url || competitor.ecommerce.url,
+            pageName: event.product?.name || null,
+            identity: [event.product?.key, event.type, event.price, event.availability]
+          }));
+        });
+      } catch (error) {
+        logger.warn(`Alert watch could not check ${competitor.ecommerce.url} (${competitor.name}): ${error.message}`);
+      }
+    }
+
+    return alerts;
+  }
+
+  isAlertWorthy(change) {
+    return SEVERITIES.indexOf(change.severity) >= SEVERITIES.indexOf(config.alerts.minSeverity);
+  }
+
+  createAlert(competitor, change, { source, page, pageName, identity }) {
+    return {
+      fingerprint: crypto.createHash('sha1').update(JSON.stringify([competitor.id, ...identity])).digest('hex').slice(0, 16),
+      competitor: competitor.name,
+      competitorId: competitor.id,
+      source,
+      page,
+      pageName,
+      type: change.type,
+      description: change.description,
+      score: change.score,
+      category: change.category,
+      severity: change.severity,
+      detectedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Queue new alerts and, outside quiet hours, send everything queued
+   * @param {Array} alerts - Alerts raised by a check
+   */
+  async dispatch(alerts) {
+    const state = await this.loadState();
+    const now = Date.now();
+    const window = config.alerts.dedupHours * 60 * 60 * 1000;
+
+    Object.entries(state.sent).forEach(([fingerprint, alertedAt]) => {
+      if (now - new Date(alertedAt).getTime() > window) {
+        delete state.sent[fingerprint];
+      }
+    });
+
+    const fresh = alerts.filter(alert => !state.sent[alert.fingerprint]);
+    fresh.forEach(alert => {
+      state.sent[alert.fingerprint] = alert.detectedAt;
+    });
+    state.pending.push(...fresh);
+
+    if (state.pending.length > 0 && !this.isQuietTime()) {
+      const alertsToSend = state.pending;
+      const deliveries = await this.notifiers.notifyAll('alert', { alerts: alertsToSend }, {
+        reference: alertsToSend.map(alert => alert.fingerprint).join(','),
+        channels: config.alerts.channels
+      });
+
+      // Kept for the next check if no channel took them
+      if (deliveries.some(delivery => delivery.status === 'sent')) {
+        const sentAt = new Date().toISOString();
+        const channels = deliveries.filter(delivery => delivery.status === 'sent').map(delivery => delivery.channel);
+        state.recent = [...alertsToSend.map(alert => ({ ...alert, sentAt, channels })), ...state.recent].slice(0, MAX_RECENT_ALERTS);
+        state.pending = [];
+      }
+    } else if (fresh.length > 0) {
+      logger.info(`${fresh.length} alerts held until quiet hours end`);
+    }
+
+    await this.saveState(state);
+  }
+
+  /**
+   * Whether now falls within ALERT_QUIET_HOURS (HH:MM-HH:MM in the schedule timezone, may span midnight)
+   * @param {Date} date - Time to check
+   * @returns {boolean} True during quiet hours
+   */
+  isQuietTime(date = new Date()) {
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(config.alerts.quietHours.trim());
+    if (!match) {
+      return false;
+    }
+
+    const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+    const start = startHour * 60 + startMinute;
+    const end = endHour * 60 + endMinute;
+    const [hour, minute] = new Intl.DateTimeFormat('en-GB', {
+      timeZone: config.schedule.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(date).split(':').map(Number);
+    const current = hour * 60 + minute;
+
+    return start <= end ? current >= start && current < end : current >= start || current < end;
+  }
+
+  /**
+   * Alerting state: when each change was alerted, alerts held by quiet hours and recently sent alerts
+   * @returns {Object} { sent, pending, recent }
+   */
+  async loadState() {
+    const empty = { sent: {}, pending: [], recent: [] };
+
+    try {
+      const data = this.storage ? this.storage.getMeta('alerts') : await fs.readFile(this.stateFile, 'utf8');
+      return data ? { ...empty, ...JSON.parse(data) } : empty;
+    } catch (error) {
+      return empty;
+    }
+  }
+
+  async saveState(state) {
+    try {
+      if (this.storage) {
+        this.storage.setMeta('alerts', JSON.stringify(state));
+        return;
+      }
+
+      await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+      await fs.writeFile(this.stateFile, JSON.stringify(state, null, 2));
+    } catch (error) {
+      logger.error('Failed to save alert state', error);
+    }
+  }
+
+  /**
+   * Describe the watch: whether it runs, last checks, held and recent alerts
+   * @returns {Object} Status
+   */
+  async getStatus() {
+    const state = await this.loadState();
+
+    return {
+      enabled: this.timers.length > 0,
+      minSeverity: config.alerts.minSeverity,
+      quietHours: config.alerts.quietHours || null,
+      quietNow: this.isQuietTime(),
+      lastChecks: this.lastChecks,
+      pending: state.pending,
+      recent: state.recent
+    };
+  }
+}
+
+module.exports = AlertWatcher;
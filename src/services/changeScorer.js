@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../config/scoring.json');
+
+const SEVERITIES = ['low', 'medium', 'high'];
+
+let changeScorer;
+
+/**
+ * Rules-based scoring of detected changes. Every change gets a 0-100 score from the base score of its type
+ * plus the points of each matching rule, a category (pricing, offering, hiring, seo, ...) and a severity:
+ * the first matching rule's "severity" if one sets it, else the higher of the score's severity and the
+ * detector's, so scoring never downgrades what the detector flagged. Rules live in a JSON file
+ * (src/config/scoring.json, or SCORING_RULES_FILE).
+ *
+ * Rule conditions ("when", all must match):
+ * - type, source, severity, competitorPriority, pageImportance: a value or a list of values
+ * - page: regular expression matched against the page URL and name
+ * - keywords: any of the words appears in the change description or diff (case-insensitive)
+ * - diffSize: { min, max } share of the text, pixels, metric or price that changed (%)
+ * - homepage, discovered: true or false
+ */
+class ChangeScorer {
+  /**
+   * @param {Object} rules - Scoring rules ({ base, categories, severity, rules })
+   */
+  constructor(rules) {
+    this.base = rules.base || { default: 25, types: {} };
+    this.categories = rules.categories || { default: 'content' };
+    this.severity = rules.severity || { high: 70, medium: 40 };
+    this.rules = (rules.rules || []).map(rule => ({
+      ...rule,
+      pagePattern: rule.when?.page ? new RegExp(rule.when.page, 'i') : null,
+      keywords: (rule.when?.keywords || []).map(keyword => keyword.toLowerCase())
+    }));
+  }
+
+  /**
+   * Score changes in place
+   * @param {Array} changes - Changes or events
+   * @param {Object} context - Where the changes were found
+   * @param {Object} context.competitor - Competitor object ("priority": high, medium or low)
+   * @param {string} context.source - website, seo or price
+   * @param {Object} context.page - Page the changes belong to ({ url, name, importance, discovered, homepage })
+   * @returns {Array} The same changes, with score, category, severity and scoring factors
+   */
+  scoreChanges(changes, context) {
+    changes.forEach(change => Object.assign(change, this.score(change, context)));
+    return changes;
+  }
+
+  /**
+   * Score a single change
+   * @param {Object} change - Change or event
+   * @param {Object} context - See scoreChanges
+   * @returns {Object} { score, category, severity, scoring: { base, factors } }
+   */
+  score(change, { competitor = {}, source = 'website', page = null } = {}) {
+    const facts = this.getFacts(change, { competitor, source, page });
+    const base = this.base.types?.[change.type] ?? this.base.default ?? 25;
+    const factors = [];
+    let category = null;
+    let ruleSeverity = null;
+
+    this.rules.forEach(rule => {
+      if (!this.matches(rule, facts)) {
+        return;
+      }
+
+      if (rule.add) {
+        factors.push({ rule: rule.name, points: rule.add });
+      }
+      category = category || rule.category || null;
+      ruleSeverity = ruleSeverity || rule.severity || null;
+    });
+
+    const score = Math.max(0, Math.min(100, Math.round(factors.reduce((sum, factor) => sum + factor.points, base))));
+    const scoreSeverity = score >= this.severity.high ? 'high' : score >= this.severity.medium ? 'medium' : 'low';
+
+    return {
+      score,
+      category: category
+        || this.categories.types?.[change.type]
+        || this.categories.sources?.[source]
+        || this.categories.default
+        || 'content',
+      severity: ruleSeverity || SEVERITIES[Math.max(SEVERITIES.indexOf(scoreSeverity), SEVERITIES.indexOf(facts.severity))],
+      scoring: { base, factors, detectorSeverity: facts.severity }
+    };
+  }
+
+  /**
+   * Collect what the rule conditions look at
+   */
+  getFacts(change, { competitor, source, page }) {
+    const url = page?.url || change.page || change.product?.url || null;
+    const text = [
+      change.description,
+      ...(change.diff?.added || []),
+      ...(change.diff?.removed || []),
+      change.field?.name,
+      change.product?.name
+    ].filter(Boolean).join('\n').toLowerCase();
+
+    return {
+      type: change.type,
+      source,
+      // Rescoring keeps the detector's original judgement
+      severity: change.scoring?.detectorSeverity || change.severity || null,
+      competitorPriority: competitor.priority || 'medium',
+      pageImportance: page?.importance || 'medium',
+      homepage: Boolean(page?.homepage),
+      discovered: Boolean(page?.discovered),
+      page: [url, page?.name || change.pageName].filter(Boolean).join(' '),
+      text,
+      diffSize: this.getDiffSize(change)
+    };
+  }
+
+  /**
+   * How much changed, as a percentage, for the change types that have a measure
+   * @returns {number|null} Percentage, or null
+   */
+  getDiffSize(change) {
+    if (change.diff?.changeRate !== undefined) {
+      return change.diff.changeRate * 100;
+    }
+    if (change.visual?.changePercent !== undefined) {
+      return change.visual.changePercent;
+    }
+    if (change.type === 'metric' && change.change !== undefined) {
+      return change.change * 100;
+    }
+    if (change.performance?.change !== undefined && change.performance.change !== null) {
+      return Math.abs(change.performance.change) * 100;
+    }
+    if (change.changePercent !== undefined) {
+      return Math.abs(change.changePercent);
+    }
+    return null;
+  }
+
+  matches(rule, facts) {
+    const when = rule.when || {};
+    const oneOf = (expected, value) => (Array.isArray(expected) ? expected.includes(value) : expected === value);
+
+    return ['type', 'source', 'severity', 'competitorPriority', 'pageImportance', 'homepage', 'discovered']
+      .every(key => when[key] === undefined || oneOf(when[key], facts[key]))
+      && (!rule.pagePattern || rule.pagePattern.test(facts.page))
+      && (rule.keywords.length === 0 || rule.keywords.some(keyword => facts.text.includes(keyword)))
+      && (!when.diffSize || (facts.diffSize !== null
+        && (when.diffSize.min === undefined || facts.diffSize >= when.diffSize.min)
+        && (when.diffSize.max === undefined || facts.diffSize <= when.diffSize.max)));
+  }
+}
+
+/**
+ * Read scoring rules from a JSON file
+ * @param {string} file - Rules file
+ * @returns {Object} Scoring rules
+ * @throws {Error} When the file cannot be read or a rule is invalid
+ */
+function loadScoringRules(file) {
+  const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  (rules.rules || []).forEach((rule, index) => {
+    if (!rule.name || typeof rule.when !== 'object') {
+      throw new Error(`Rule ${index} needs a name and a "when" object`);
+    }
+    if (rule.add !== undefined && typeof rule.add !== 'number') {
+      throw new Error(`Rule "${rule.name}": "add" must be a number`);
+    }
+    if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Rule "${rule.name}": "severity" must be low, medium or high`);
+    }
+    if (rule.when.page) {
+      new RegExp(rule.when.page);
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Get the change scorer shared by all monitors. Falls back to the default rules when the configured file is invalid.
+ * @returns {ChangeScorer} Change scorer
+ */
+const getChangeScorer = () => {
+  if (!changeScorer) {
+    let rules;
+    try {
+      rules = loadScoringRules(config.scoring.rulesFile);
+    } catch (error) {
+      logger.error(`Invalid scoring rules in ${config.scoring.rulesFile}, using the defaults: ${error.message}`);
+      rules = loadScoringRules(DEFAULT_RULES_FILE);
+    }
+    changeScorer = new ChangeScorer(rules);
+  }
+
+  return changeScorer;
+};
+
+module.exports = {
+  ChangeScorer,
+  getChangeScorer,
+  loadScoringRules
+};
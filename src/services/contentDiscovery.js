@@ -0,0 +1,436 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const { getStorage } = require('../storage');
+const { getCrawlPolicy } = require('../utils/crawlPolicy');
+
+// The sitemap protocol caps a sitemap at 50MB uncompressed; anything bigger is not worth reading
+const MAX_DOCUMENT_SIZE = 50 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+class ContentDiscovery {
+  constructor() {
+    this.storage = getStorage();
+    this.crawlPolicy = getCrawlPolicy();
+    this.contentDir = path.join(config.paths.reports, 'content');
+  }
+
+  /**
+   * Discover the URLs a competitor publishes through sitemaps and RSS/Atom feeds,
+   * and compare them with the previous run
+   * @param {Object} competitor - Competitor object
+   * @returns {Object} Discovery results with added and removed URLs
+   */
+  async discoverContent(competitor) {
+    const startTime = Date.now();
+    logger.competitor(competitor.name, `Starting content discovery for ${competitor.website}`);
+
+    const results = {
+      competitor: competitor.name,
+      competitorId: competitor.id,
+      website: competitor.website,
+      timestamp: new Date().toISOString(),
+      sources: { sitemaps: [], feeds: [] },
+      total: 0,
+      added: [],
+      removed: [],
+      errors: [],
+      skipped: []
+    };
+
+    try {
+      const options = this.getDiscoveryOptions(competitor);
+      const items = new Map();
+
+      const sitemapItems = options.sitemaps
+        ? await this.readSitemaps(options.sitemaps, competitor, results)
+        : await this.readSitemaps(await this.findSitemaps(competitor, results), competitor, results, { detected: true });
+      const feedItems = await this.readFeeds(options.feeds || await this.findFeeds(competitor, results), competitor, results);
+
+      // Feeds usually carry better titles and dates than sitemaps
+      [...sitemapItems, ...feedItems].forEach(item => {
+        if (!this.isIncluded(item.url, options)) {
+          return;
+        }
+
+        const existing = items.get(item.url);
+        items.set(item.url, existing
+          ? { ...existing, title: item.title || existing.title, lastmod: existing.lastmod || item.lastmod }
+          : item);
+      });
+
+      const current = [...items.values()].slice(0, config.discovery.maxUrls);
+      const sitemapUrls = new Set(sitemapItems.map(item => item.url));
+      results.total = current.length;
+
+      if (current.length === 0) {
+        if (results.errors.length === 0 && results.skipped.length === 0) {
+          results.errors.push('No sitemap or feed URLs found');
+        }
+        return results;
+      }
+
+      const previous = await this.loadItems(competitor.id);
+      const previousUrls = new Set(previous.map(item => item.url));
+      const currentUrls = new Set(current.map(item => item.url));
+
+      // The first run only records a baseline
+      if (previous.length > 0) {
+        results.added = current.filter(item => !previousUrls.has(item.url));
+
+        // Feeds only list recent posts and maxUrls cuts the list, so only a URL gone from a fully
+        // read sitemap counts as removed
+        if (results.errors.length === 0 && results.skipped.length === 0) {
+          results.removed = previous.filter(item => item.source === 'sitemap' && !sitemapUrls.has(item.url) && !currentUrls.has(item.url));
+        }
+      }
+
+      await this.saveItems(competitor.id, current, results.removed, results.timestamp);
+
+      const duration = Date.now() - startTime;
+      logger.competitor(competitor.name, `Content discovery completed in ${duration}ms`, {
+        urls: results.total,
+        added: results.added.length,
+        removed: results.removed.length
+      });
+
+      return results;
+
+    } catch (error) {
+      logger.error(`Content discovery failed for ${competitor.name}`, error);
+      results.errors.push(error.message);
+      return results;
+    }
+  }
+
+  /**
+   * Get a competitor's discovery settings
+   * @param {Object} competitor - Competitor object
+   * @returns {Object} { sitemaps, feeds, include, exclude } (null sitemaps/feeds means auto-detect)
+   */
+  getDiscoveryOptions(competitor) {
+    const discovery = competitor.discovery || {};
+    const resolve = urls => (urls ? urls.map(url => new URL(url, competitor.website).href) : null);
+
+    return {
+      sitemaps: resolve(discovery.sitemaps),
+      feeds: resolve(discovery.feeds),
+      include: this.compilePatterns(competitor, 'include', discovery.include),
+      exclude: this.compilePatterns(competitor, 'exclude', discovery.exclude)
+    };
+  }
+
+  /**
+   * Compile discovery patterns, leaving out (and logging) invalid ones from hand-edited competitor files
+   * @param {Object} competitor - Competitor object
+   * @param {string} key - include or exclude
+   * @param {Array} patterns - Regular expressions
+   * @returns {Array} Compiled patterns
+   */
+  compilePatterns(competitor, key, patterns = []) {
+    return patterns.flatMap(pattern => {
+      try {
+        return [new RegExp(pattern)];
+      } catch (error) {
+        logger.warn(`Ignoring invalid discovery.${key} pattern for ${competitor.name}: ${error.message}`);
+        return [];
+      }
+    });
+  }
+
+  isIncluded(url, options) {
+    let pathWithQuery;
+    try {
+      const parsed = new URL(url);
+      pathWithQuery = `${parsed.pathname}${parsed.search}`;
+    } catch (error) {
+      return false;
+    }
+
+    if (options.include.length > 0 && !options.include.some(pattern => pattern.test(pathWithQuery))) {
+      return false;
+    }
+    return !options.exclude.some(pattern => pattern.test(pathWithQuery));
+  }
+
+  /**
+   * Fetch a URL as text, decompressing gzipped sitemaps, unless robots.txt disallows it
+   * @param {string} url - URL
+   * @param {Object} competitor - Competitor object
+   * @param {Object} results - Discovery results, where a disallowed URL is listed as skipped
+   * @returns {string|null} Response body, or null if the URL was skipped
+   */
+  async fetchText(url, competitor, results) {
+    const policy = await this.crawlPolicy.check(url, competitor);
+    if (!policy.allowed) {
+      logger.competitor(competitor.name, `Skipping ${url}: ${policy.reason}`);
+      results.skipped.push({ url, reason: policy.reason });
+      return null;
+    }
+
+    await this.crawlPolicy.wait(url);
+    const response = await axios.get(url, {
+      timeout: 30000,
+      responseType: 'arraybuffer',
+      maxContentLength: MAX_DOCUMENT_SIZE,
+      maxRedirects: MAX_REDIRECTS,
+      headers: {
+        'User-Agent': config.crawler.userAgent
+      }
+    });
+
+    const body = Buffer.from(response.data);
+    const isGzip = body[0] === 0x1f && body[1] === 0x8b;
+    return (isGzip ? zlib.gunzipSync(body, { maxOutputLength: MAX_DOCUMENT_SIZE }) : body).toString('utf8');
+  }
+
+  /**
+   * Find a site's sitemaps: "Sitemap:" lines in robots.txt, else /sitemap.xml
+   * @param {Object} competitor - Competitor object
+   * @param {Object} results - Discovery results
+   * @returns {Array} Sitemap URLs
+   */
+  async findSitemaps(competitor, results) {
+    const origin = new URL(competitor.website).origin;
+
+    try {
+      const robotsTxt = await this.fetchText(`${origin}/robots.txt`, competitor, results) || '';
+      const sitemaps = robotsTxt.split('\n')
+        .map(line => /^\s*sitemap:\s*(\S+)/i.exec(line)?.[1])
+        .filter(Boolean);
+
+      if (sitemaps.length > 0) {
+        return sitemaps;
+      }
+    } catch (error) {
+      logger.debug(`No robots.txt for ${origin}`);
+    }
+
+    return [`${origin}/sitemap.xml`];
+  }
+
+  /**
+   * Find the RSS/Atom feeds advertised on a site's homepage
+   * @param {Object} competitor - Competitor object
+   * @param {Object} results - Discovery results, for skipped URLs and errors
+   * @returns {Array} Feed URLs
+   */
+  async findFeeds(competitor, results) {
+    const website = competitor.website;
+
+    try {
+      const html = await this.fetchText(website, competitor, results);
+      if (html === null) {
+        return [];
+      }
+
+      const $ = cheerio.load(html);
+      return $('link[rel="alternate"][type="application/rss+xml"], link[rel="alternate"][type="application/atom+xml"]')
+        .toArray()
+        .map(element => $(element).attr('href'))
+        .filter(Boolean)
+        .map(href => new URL(href, website).href);
+    } catch (error) {
+      results.errors.push(`${website}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Read sitemaps, following sitemap indexes
+   * @param {Array} sitemapUrls - Sitemap URLs
+   * @param {Object} competitor - Competitor object
+   * @param {Object} results - Discovery results, for sources, skipped URLs and errors
+   * @param {Object} options - Read options
+   * @param {boolean} options.detected - Sitemaps were auto-detected, so a missing one is not an error
+   * @returns {Array} Content items
+   */
+  async readSitemaps(sitemapUrls, competitor, results, { detected = false } = {}) {
+    const queue = [...sitemapUrls];
+    const visited = new Set();
+    const items = [];
+
+    while (queue.length > 0 && visited.size < config.discovery.maxSitemaps) {
+      const url = queue.shift();
+      if (visited.has(url)) {
+        continue;
+      }
+      visited.add(url);
+
+      let xml;
+      try {
+        xml = await this.fetchText(url, competitor, results);
+      } catch (error) {
+        if (!detected || error.response?.status !== 404) {
+          results.errors.push(`${url}: ${error.message}`);
+        }
+        continue;
+      }
+      if (xml === null) {
+        continue;
+      }
+
+      const $ = cheerio.load(xml, { xmlMode: true });
+      results.sources.sitemaps.push(url);
+
+      $('sitemapindex > sitemap > loc').each((i, element) => {
+        queue.push($(element).text().trim());
+      });
+
+      $('urlset > url').each((i, element) => {
+        const entry = $(element);
+        items.push({
+          url: entry.children('loc').text().trim(),
+          title: entry.find('news\\:title').first().text().trim() || null,
+          lastmod: entry.children('lastmod').text().trim() || null,
+          source: 'sitemap'
+        });
+      });
+    }
+
+    return items.filter(item => item.url);
+  }
+
+  /**
+   * Read RSS and Atom feeds
+   * @param {Array} feedUrls - Feed URLs
+   * @param {Object} competitor - Competitor object
+   * @param {Object} results - Discovery results, for sources, skipped URLs and errors
+   * @returns {Array} Content items
+   */
+  async readFeeds(feedUrls, competitor, results) {
+    const items = [];
+
+    for (const url of feedUrls) {
+      let xml;
+      try {
+        xml = await this.fetchText(url, competitor, results);
+      } catch (error) {
+        results.errors.push(`${url}: ${error.message}`);
+        continue;
+      }
+      if (xml === null) {
+        continue;
+      }
+
+      const $ = cheerio.load(xml, { xmlMode: true });
+      results.sources.feeds.push(url);
+
+      // RSS 2.0
+      $('item').each((i, element) => {
+        const entry = $(element);
+        items.push({
+          url: this.resolveUrl(entry.children('link').text().trim() || entry.children('guid').text().trim(), url),
+          title: entry.children('title').text().trim() || null,
+          lastmod: this.toIsoDate(entry.children('pubDate').text().trim()),
+          source: 'feed'
+        });
+      });
+
+      // Atom
+      $('entry').each((i, element) => {
+        const entry = $(element);
+        const link = entry.children('link[rel="alternate"]').first().attr('href') || entry.children('link').first().attr('href');
+        items.push({
+          url: this.resolveUrl(link, url),
+          title: entry.children('title').text().trim() || null,
+          lastmod: this.toIsoDate(entry.children('updated').text().trim() || entry.children('published').text().trim()),
+          source: 'feed'
+        });
+      });
+    }
+
+    return items.filter(item => item.url);
+  }
+
+  resolveUrl(url, base) {
+    if (!url) {
+      return null;
+    }
+
+    try {
+      return new URL(url, base).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  toIsoDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date.toISOString() : null;
+  }
+
+  /**
+   * Load the URLs a competitor published at the previous run
+   * @param {string} competitorId - Competitor ID
+   * @returns {Array} Content items
+   */
+  async loadItems(competitorId) {
+    if (this.storage) {
+      return this.storage.listContentItems(competitorId);
+    }
+
+    try {
+      const data = await fs.readFile(path.join(this.contentDir, `${competitorId}.json`), 'utf8');
+      return JSON.parse(data).items || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Save the URLs seen now, keeping when each was first seen
+   */
+  async saveItems(competitorId, items, removed, seenAt) {
+    try {
+      if (this.storage) {
+        this.storage.saveContentItems(competitorId, items, removed.map(item => item.url), seenAt);
+        return;
+      }
+
+      const previous = await this.loadItems(competitorId);
+      const firstSeen = new Map(previous.map(item => [item.url, item.firstSeenAt]));
+      const seenUrls = new Set([...items, ...removed].map(item => item.url));
+      const data = {
+        items: [
+          ...items.map(item => ({
+            ...item,
+            firstSeenAt: firstSeen.get(item.url) || seenAt,
+            lastSeenAt: seenAt
+          })),
+          // Like the database, keep URLs that were not seen this time but not removed either
+          ...previous.filter(item => !seenUrls.has(item.url))
+        ]
+      };
+
+      await fs.mkdir(this.contentDir, { recursive: true });
+      await fs.writeFile(path.join(this.contentDir, `${competitorId}.json`), JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save discovered content for ${competitorId}`, error);
+    }
+  }
+
+  /**
+   * Discover new content for multiple competitors
+   * @param {Array} competitors - List of competitors
+   * @returns {Array} Discovery results
+   */
+  async discoverAll(competitors) {
+    const withDiscovery = competitors.filter(competitor => competitor.monitoring?.content !== false);
+    logger.info(`Starting content discovery for ${withDiscovery.length} competitors`);
+
+    const results = [];
+    for (const competitor of withDiscovery) {
+      results.push(await this.discoverContent(competitor));
+    }
+
+    logger.info(`Content discovery completed for ${results.length} competitors`);
+    return results;
+  }
+}
+
+module.exports = ContentDiscovery;
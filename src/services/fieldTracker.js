@@ -0,0 +1,106 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const { getStorage } = require('../storage');
+const { describeFieldChange } = require('../utils/extractionRules');
+
+// Values kept per field when no database is configured
+const MAX_FILE_HISTORY = 100;
+
+class FieldTracker {
+  constructor() {
+    this.storage = getStorage();
+    this.fieldsDir = path.join(config.paths.reports, 'fields');
+  }
+
+  /**
+   * Record the values extracted from a page and report the fields whose value changed
+   * @param {string} competitorId - Competitor ID
+   * @param {string} url - Page the fields were extracted from
+   * @param {Array} fields - Extracted fields ({ rule, value, display })
+   * @param {Object} options - Tracking options
+   * @param {number} options.runId - Monitoring run the values are recorded under
+   * @returns {Array} Field changes
+   */
+  async track(competitorId, url, fields, { runId = null } = {}) {
+    const history = await this.loadFields(competitorId);
+    const changes = [];
+
+    fields.forEach(({ rule, value, display }) => {
+      const previous = history[rule.name]?.history.slice(-1)[0];
+      if (!previous) {
+        return;
+      }
+
+      const description = describeFieldChange(rule, previous, { value, display });
+      if (description) {
+        changes.push({
+          type: 'extraction',
+          severity: rule.severity || 'medium',
+          description,
+          field: {
+            name: rule.name,
+            type: rule.type || 'text',
+            previous: previous.value,
+            current: value,
+            previousDisplay: previous.display,
+            currentDisplay: display
+          }
+        });
+      }
+    });
+
+    await this.recordValues(competitorId, url, fields, runId);
+    return changes;
+  }
+
+  /**
+   * Load the value history of a competitor's extracted fields
+   * @param {string} competitorId - Competitor ID
+   * @returns {Object} Fields keyed by name ({ url, type, history: [{ value, display, observedAt }] }), oldest value first
+   */
+  async loadFields(competitorId) {
+    if (this.storage) {
+      return this.storage.getFieldHistory(competitorId);
+    }
+
+    try {
+      const data = await fs.readFile(path.join(this.fieldsDir, `${competitorId}.json`), 'utf8');
+      return JSON.parse(data).fields || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Append extracted values to the fields' history
+   */
+  async recordValues(competitorId, url, fields, runId) {
+    const observedAt = new Date().toISOString();
+
+    try {
+      if (this.storage) {
+        this.storage.recordFieldValues(runId, competitorId, url, fields, observedAt);
+        return;
+      }
+
+      const history = await this.loadFields(competitorId);
+      fields.forEach(({ rule, value, display }) => {
+        const entry = history[rule.name] || { history: [] };
+        history[rule.name] = {
+          url,
+          type: rule.type || 'text',
+          history: [...entry.history, { value, display, observedAt }].slice(-MAX_FILE_HISTORY)
+        };
+      });
+
+      await fs.mkdir(this.fieldsDir, { recursive: true });
+      await fs.writeFile(path.join(this.fieldsDir, `${competitorId}.json`), JSON.stringify({ fields: history }, null, 2));
+    } catch (error) {
+      logger.error(`Failed to record extracted fields for ${competitorId} (${url})`, error);
+    }
+  }
+}
+
+module.exports = FieldTracker;
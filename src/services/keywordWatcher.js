@@ -0,0 +1,156 @@
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const { countMentions } = require('../utils/watchlists');
+
+/**
+ * Watchlist mentions on competitor pages: changes between snapshots of a page, per-site totals
+ * and trends read back from the snapshot history.
+ */
+class KeywordWatcher {
+  /**
+   * @param {SnapshotStore} snapshotStore - Store the page snapshots are read from
+   */
+  constructor(snapshotStore) {
+    this.snapshotStore = snapshotStore;
+  }
+
+  /**
+   * Report the watched terms that appeared on, disappeared from or changed frequency on a page
+   * @param {Array} terms - Watched terms
+   * @param {Object} current - Mentions in the current snapshot, keyed by term
+   * @param {Object} previous - Mentions in the previous snapshot, keyed by term
+   * @returns {Array} Keyword changes
+   */
+  compare(terms, current, previous) {
+    const { frequencyChange, minFrequencyChange } = config.watchlists;
+
+    return terms.flatMap(({ term, watchlist, severity }) => {
+      const before = previous[term] || 0;
+      const after = current[term] || 0;
+      const keyword = { term, watchlist, previous: before, current: after };
+
+      if (before === 0 && after > 0) {
+        return [{
+          type: 'keyword',
+          severity: severity || 'medium',
+          description: `"${term}" now mentioned (${this.formatMentions(after)})`,
+          keyword: { ...keyword, action: 'appeared' }
+        }];
+      }
+
+      if (before > 0 && after === 0) {
+        return [{
+          type: 'keyword',
+          severity: severity || 'medium',
+          description: `"${term}" no longer mentioned (was ${this.formatMentions(before)})`,
+          keyword: { ...keyword, action: 'disappeared' }
+        }];
+      }
+
+      if (before > 0 && Math.abs(after - before) >= minFrequencyChange && Math.abs(after - before) / before >= frequencyChange) {
+        return [{
+          type: 'keyword',
+          severity: severity || 'low',
+          description: `"${term}" mentioned ${this.formatMentions(after)} (was ${before})`,
+          keyword: { ...keyword, action: after > before ? 'increased' : 'decreased' }
+        }];
+      }
+
+      return [];
+    });
+  }
+
+  formatMentions(count) {
+    return count === 1 ? 'once' : `${count} times`;
+  }
+
+  /**
+   * Add up the mentions counted on each page of a site
+   * @param {Array} terms - Watched terms
+   * @param {Array} pages - Page results with keyword counts
+   * @returns {Array} Mentions per term ({ term, watchlist, count, pages })
+   */
+  summarize(terms, pages) {
+    const counted = pages.filter(page => page.keywords);
+
+    return terms.map(({ term, watchlist }) => ({
+      term,
+      watchlist,
+      count: counted.reduce((total, page) => total + (page.keywords[term] || 0), 0),
+      pages: counted.filter(page => page.keywords[term] > 0).length
+    }));
+  }
+
+  /**
+   * Mentions of the watched terms across a competitor's site on each of the most recent snapshot days.
+   * A page counts with its latest version as of each day, so pages that did not change still count.
+   * @param {string} competitorId - Competitor ID
+   * @param {Array} terms - Watched terms
+   * @param {Object} options - Trend options
+   * @param {string} options.device - Device profile whose snapshots are counted
+   * @param {number} options.points - Number of days
+   * @returns {Object} { dates, terms } - terms maps each term to its total per date
+   */
+  async getTrend(competitorId, terms, { device = 'desktop', points = config.watchlists.trendPoints } = {}) {
+    const trend = { dates: [], terms: {} };
+    if (terms.length === 0) {
+      return trend;
+    }
+
+    const pages = (await this.snapshotStore.listPages(competitorId)).filter(page => page.device === device);
+    const day = version => version.timestamp.slice(0, 10);
+    trend.dates = [...new Set(pages.flatMap(page => page.versions.map(day)))].sort().slice(-points);
+    terms.forEach(({ term }) => {
+      trend.terms[term] = trend.dates.map(() => 0);
+    });
+
+    for (const page of pages) {
+      // Unchanged versions share their content, so each distinct hash is only counted once
+      const counts = new Map();
+
+      for (const [index, date] of trend.dates.entries()) {
+        const version = page.versions.filter(entry => day(entry) <= date).pop();
+        if (!version) {
+          continue;
+        }
+
+        if (!counts.has(version.hash)) {
+          const snapshot = await this.snapshotStore.getVersion(competitorId, page.pageKey, version.version);
+          counts.set(version.hash, snapshot ? countMentions(snapshot.textContent, terms) : {});
+        }
+
+        const mentions = counts.get(version.hash);
+        terms.forEach(({ term }) => {
+          trend.terms[term][index] += mentions[term] || 0;
+        });
+      }
+    }
+
+    return trend;
+  }
+
+  /**
+   * Current mentions and trend for a competitor, from the snapshot history
+   * @param {string} competitorId - Competitor ID
+   * @param {Array} terms - Watched terms
+   * @param {Object} options - See getTrend
+   * @returns {Array} Terms ({ term, watchlist, count, trend: [{ date, count }] })
+   */
+  async loadMentions(competitorId, terms, options = {}) {
+    try {
+      const trend = await this.getTrend(competitorId, terms, options);
+
+      return terms.map(({ term, watchlist }) => ({
+        term,
+        watchlist,
+        count: trend.terms[term][trend.dates.length - 1] ?? 0,
+        trend: trend.dates.map((date, index) => ({ date, count: trend.terms[term][index] }))
+      }));
+    } catch (error) {
+      logger.error(`Failed to load keyword trends for ${competitorId}`, error);
+      return [];
+    }
+  }
+}
+
+module.exports = KeywordWatcher;
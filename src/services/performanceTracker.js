@@ -0,0 +1,234 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const { getStorage } = require('../storage');
+
+// Measurements kept per page and device when no database is configured
+const MAX_FILE_HISTORY = 100;
+
+// Tracked metrics: smaller is better for all of them.
+// minDelta is the smallest absolute change worth reporting; good/poor are the Core Web Vitals thresholds.
+const METRICS = [
+  { key: 'lcp', label: 'Largest Contentful Paint', unit: 'ms', minDelta: 250, good: 2500, poor: 4000, core: true },
+  { key: 'cls', label: 'Cumulative Layout Shift', unit: 'score', minDelta: 0.05, good: 0.1, poor: 0.25, core: true },
+  { key: 'tbt', label: 'Total Blocking Time', unit: 'ms', minDelta: 100, good: 200, poor: 600, core: true },
+  { key: 'fcp', label: 'First Contentful Paint', unit: 'ms', minDelta: 250, good: 1800, poor: 3000 },
+  { key: 'ttfb', label: 'Time to First Byte', unit: 'ms', minDelta: 200, good: 800, poor: 1800 },
+  { key: 'load', label: 'Page load time', unit: 'ms', minDelta: 500 },
+  { key: 'transferSize', label: 'Transfer size', unit: 'bytes', minDelta: 100 * 1024 },
+  { key: 'requestCount', label: 'Request count', unit: 'count', minDelta: 10 },
+  { key: 'thirdPartyShare', label: 'Third-party request share', unit: 'share', minDelta: 0.1, absolute: true }
+];
+
+const RATINGS = ['good', 'needs-improvement', 'poor'];
+
+/**
+ * Format a metric value for reports
+ * @param {number} value - Metric value
+ * @param {string} unit - Metric unit (ms, score, bytes, count, share)
+ * @returns {string} Formatted value
+ */
+function formatMetric(value, unit) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+
+  switch (unit) {
+    case 'ms':
+      return value >= 1000 ? `${(value / 1000).toFixed(1)} s` : `${Math.round(value)} ms`;
+    case 'bytes':
+      return value >= 1024 * 1024 ? `${(value / 1024 / 1024).toFixed(1)} MB` : `${Math.round(value / 1024)} KB`;
+    case 'score':
+      return value.toFixed(2);
+    case 'share':
+      return `${Math.round(value * 100)}%`;
+    default:
+      return String(value);
+  }
+}
+
+class PerformanceTracker {
+  constructor() {
+    this.storage = getStorage();
+    this.performanceDir = path.join(config.paths.reports, 'performance');
+  }
+
+  /**
+   * Record a page's performance measurement and compare it with the page's recent baseline
+   * @param {string} competitorId - Competitor ID
+   * @param {Object} pageResult - Page result ({ url, device, performance })
+   * @param {Object} options - Tracking options
+   * @param {number} options.runId - Monitoring run the measurement is recorded under
+   * @returns {Array} Performance changes (regressions and improvements)
+   */
+  async track(competitorId, pageResult, { runId = null } = {}) {
+    const { url, device, performance } = pageResult;
+    const history = await this.loadHistory(competitorId, url, device);
+    const events = this.detectPerformanceEvents(performance, history.slice(-config.performance.baselineRuns));
+
+    await this.recordMeasurement(competitorId, url, device, performance, runId);
+    return events;
+  }
+
+  /**
+   * Compare a measurement with the median of previous ones. Lab measurements are noisy, so a change
+   * must pass both the metric's minimum delta and the relative threshold to be reported.
+   * @param {Object} current - Current metrics
+   * @param {Array} baseline - Previous measurements, oldest first
+   * @returns {Array} Performance changes
+   */
+  detectPerformanceEvents(current, baseline) {
+    if (!current || baseline.length === 0) {
+      return [];
+    }
+
+    const events = [];
+    const threshold = config.performance.regressionThreshold;
+
+    METRICS.forEach(metric => {
+      const value = current[metric.key];
+      const previous = this.median(baseline.map(entry => entry[metric.key]));
+      if (value === null || value === undefined || previous === null) {
+        return;
+      }
+
+      const delta = value - previous;
+      const relative = previous > 0 ? delta / previous : null;
+      if (Math.abs(delta) < metric.minDelta || (!metric.absolute && relative !== null && Math.abs(relative) < threshold)) {
+        return;
+      }
+
+      const direction = delta > 0 ? 'regression' : 'improvement';
+      const rating = this.getRating(metric, value);
+      const previousRating = this.getRating(metric, previous);
+      const changeText = metric.absolute || relative === null
+        ? ''
+        : ` (${delta > 0 ? '+' : ''}${Math.round(relative * 100)}%)`;
+
+      let severity = 'low';
+      if (direction === 'regression') {
+        if (rating && RATINGS.indexOf(rating) > RATINGS.indexOf(previousRating)) {
+          severity = rating === 'poor' ? 'high' : 'medium';
+        } else if (metric.core) {
+          severity = 'medium';
+        }
+      } else if (rating && RATINGS.indexOf(rating) < RATINGS.indexOf(previousRating)) {
+        severity = 'medium';
+      }
+
+      events.push({
+        type: 'performance',
+        severity,
+        description: `${metric.label} ${direction === 'regression' ? 'regressed' : 'improved'} from `
+          + `${formatMetric(previous, metric.unit)} to ${formatMetric(value, metric.unit)}${changeText}`,
+        performance: {
+          metric: metric.key,
+          direction,
+          previous,
+          current: value,
+          change: relative === null ? null : Math.round(relative * 1000) / 1000,
+          rating
+        }
+      });
+    });
+
+    return events;
+  }
+
+  /**
+   * Format all metrics of a measurement for reports
+   * @param {Object} metrics - Measurement
+   * @returns {Object} Formatted values keyed by metric
+   */
+  static formatMetrics(metrics) {
+    return Object.fromEntries(METRICS.map(metric => [metric.key, formatMetric(metrics[metric.key], metric.unit)]));
+  }
+
+  /**
+   * Rate a Core Web Vitals value
+   * @returns {string|null} good, needs-improvement or poor (null for metrics without thresholds)
+   */
+  getRating(metric, value) {
+    if (metric.good === undefined) {
+      return null;
+    }
+    if (value <= metric.good) {
+      return 'good';
+    }
+    return value <= metric.poor ? 'needs-improvement' : 'poor';
+  }
+
+  median(values) {
+    const sorted = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+      return null;
+    }
+
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  /**
+   * Load the measurements of a page, oldest first
+   * @param {string} competitorId - Competitor ID
+   * @param {string} url - Page URL
+   * @param {string} device - Device profile
+   * @returns {Array} Measurements ({ measuredAt, lcp, cls, tbt, ... })
+   */
+  async loadHistory(competitorId, url, device = 'desktop') {
+    if (this.storage) {
+      return this.storage.getPerformanceHistory(competitorId, url, device);
+    }
+
+    const series = await this.loadSeries(competitorId);
+    return series.find(entry => entry.url === url && entry.device === device)?.history || [];
+  }
+
+  /**
+   * Load all performance series of a competitor
+   * @param {string} competitorId - Competitor ID
+   * @returns {Array} Series ({ url, device, history })
+   */
+  async loadSeries(competitorId) {
+    if (this.storage) {
+      return this.storage.listPerformanceSeries(competitorId);
+    }
+
+    try {
+      const data = await fs.readFile(path.join(this.performanceDir, `${competitorId}.json`), 'utf8');
+      return JSON.parse(data).series || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Append a measurement to a page's time series
+   */
+  async recordMeasurement(competitorId, url, device, metrics, runId) {
+    const measuredAt = new Date().toISOString();
+
+    try {
+      if (this.storage) {
+        this.storage.recordPerformance(runId, competitorId, url, device, metrics, measuredAt);
+        return;
+      }
+
+      const series = await this.loadSeries(competitorId);
+      let entry = series.find(item => item.url === url && item.device === device);
+      if (!entry) {
+        entry = { url, device, history: [] };
+        series.push(entry);
+      }
+      entry.history = [...entry.history, { measuredAt, ...metrics }].slice(-MAX_FILE_HISTORY);
+
+      await fs.mkdir(this.performanceDir, { recursive: true });
+      await fs.writeFile(path.join(this.performanceDir, `${competitorId}.json`), JSON.stringify({ series }, null, 2));
+    } catch (error) {
+      logger.error(`Failed to record performance for ${competitorId} (${url})`, error);
+    }
+  }
+}
+
+module.exports = PerformanceTracker;
@@ -0,0 +1,439 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const { getStorage } = require('../storage');
+const { getCrawlPolicy } = require('../utils/crawlPolicy');
+const { parsePrice, detectCurrency } = require('../utils/priceParsing');
+const { getChangeScorer } = require('./changeScorer');
+
+// Price history kept per product when no database is configured
+const MAX_FILE_HISTORY = 100;
+
+class PriceMonitor {
+  /**
+   * @param {Object} websiteMonitor - Used to render catalogs that need JavaScript ("render": true)
+   */
+  constructor(websiteMonitor = null) {
+    this.websiteMonitor = websiteMonitor;
+    this.storage = getStorage();
+    this.crawlPolicy = getCrawlPolicy();
+    this.historyDir = path.join(config.paths.reports, 'prices');
+  }
+
+  /**
+   * Monitor a competitor's e-commerce catalog for price changes
+   * @param {Object} competitor - Competitor object
+   * @param {Object} options - Monitoring options
+   * @param {number} options.runId - Monitoring run the observations are recorded under
+   * @param {boolean} options.record - Record the observations (false compares with the history only)
+   * @returns {Object} Monitoring results with price events
+   */
+  async monitorCatalog(competitor, { runId = null, record = true } = {}) {
+    const startTime = Date.now();
+    const ecommerce = competitor.ecommerce;
+    logger.competitor(competitor.name, `Starting price monitoring for ${ecommerce.url}`);
+
+    const results = {
+      competitor: competitor.name,
+      competitorId: competitor.id,
+      url: ecommerce.url,
+      timestamp: new Date().toISOString(),
+      products: [],
+      events: [],
+      errors: [],
+      skipped: []
+    };
+
+    try {
+      const products = new Map();
+
+      for (const pageUrl of this.getCatalogPages(ecommerce)) {
+        const policy = await this.crawlPolicy.check(pageUrl, competitor);
+        if (!policy.allowed) {
+          results.skipped.push({ url: pageUrl, reason: policy.reason });
+          continue;
+        }
+
+        try {
+          const html = await this.fetchHtml(pageUrl, ecommerce.render);
+          this.extractProducts(html, pageUrl, ecommerce.selectors).forEach(product => {
+            if (!products.has(product.key)) {
+              products.set(product.key, product);
+            }
+          });
+        } catch (error) {
+          logger.error(`Failed to fetch catalog page ${pageUrl}`, error);
+          results.errors.push(`${pageUrl}: ${error.message}`);
+        }
+      }
+
+      results.products = [...products.values()];
+
+      const history = await this.loadHistory(competitor.id);
+      results.events = getChangeScorer().scoreChanges(this.detectPriceEvents(results.products, history), { competitor, source: 'price' });
+
+      if (results.products.length > 0) {
+        if (record) {
+          await this.recordObservations(competitor.id, results.products, results.timestamp, runId);
+        }
+      } else if (results.errors.length === 0 && results.skipped.length === 0) {
+        results.errors.push('No products found on catalog pages');
+      }
+
+      const duration = Date.now() - startTime;
+      logger.competitor(competitor.name, `Price monitoring completed in ${duration}ms`, {
+        products: results.products.length,
+        events: results.events.length,
+        errors: results.errors.length
+      });
+
+      return results;
+
+    } catch (error) {
+      logger.error(`Price monitoring failed for ${competitor.name}`, error);
+      results.errors.push(error.message);
+      return results;
+    }
+  }
+
+  /**
+   * Get the catalog pages to fetch: listing pages plus individual product URLs
+   * @param {Object} ecommerce - Competitor e-commerce settings
+   * @returns {Array} Page URLs
+   */
+  getCatalogPages(ecommerce) {
+    const pages = [...(ecommerce.pages || [ecommerce.url])];
+
+    (ecommerce.products || []).forEach(product => {
+      try {
+        pages.push(new URL(product, ecommerce.url).href);
+      } catch (error) {
+        // Product names (not URLs) are informational only
+      }
+    });
+
+    return [...new Set(pages.map(page => new URL(page, ecommerce.url).href))];
+  }
+
+  /**
+   * Fetch a catalog page's HTML
+   * @param {string} url - Page URL
+   * @param {boolean} render - Render with the headless browser instead of a plain HTTP request
+   * @returns {string} HTML
+   */
+  async fetchHtml(url, render = false) {
+    if (render && this.websiteMonitor) {
+      const content = await this.websiteMonitor.getPageContent(url);
+      return content.html;
+    }
+
+    await this.crawlPolicy.wait(url);
+    const response = await axios.get(url, {
+      timeout: 30000,
+      responseType: 'text',
+      headers: {
+        'User-Agent': config.crawler.userAgent,
+        'Accept': 'text/html,application/xhtml+xml'
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Extract products from a catalog or product page.
+   * JSON-LD Product markup is used first, then the configured CSS selectors.
+   * @param {string} html - Page HTML
+   * @param {string} pageUrl - Page URL
+   * @param {Object} selectors - CSS selectors ({ item, name, sku, price, currency, availability, url })
+   * @returns {Array} Products
+   */
+  extractProducts(html, pageUrl, selectors) {
+    const $ = cheerio.load(html);
+    const products = [
+      ...this.extractJsonLdProducts($, pageUrl),
+      ...(selectors?.item ? this.extractSelectorProducts($, pageUrl, selectors) : [])
+    ];
+
+    return products
+      .filter(product => product.name || product.sku)
+      .map(product => ({ ...product, key: this.getProductKey(product) }));
+  }
+
+  /**
+   * Extract products from JSON-LD (Product, ItemList and @graph structures)
+   */
+  extractJsonLdProducts($, pageUrl) {
+    const products = [];
+
+    const visit = node => {
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+      if (Array.isArray(node)) {
+        node.forEach(visit);
+        return;
+      }
+
+      const types = [].concat(node['@type'] || []);
+      if (types.includes('Product')) {
+        products.push(this.fromJsonLdProduct(node, pageUrl));
+      }
+
+      visit(node['@graph']);
+      visit(node.itemListElement);
+      visit(node.item);
+    };
+
+    $('script[type="application/ld+json"]').each((i, element) => {
+      try {
+        visit(JSON.parse($(element).contents().text()));
+      } catch (error) {
+        logger.debug(`Skipping invalid JSON-LD on ${pageUrl}`);
+      }
+    });
+
+    return products;
+  }
+
+  fromJsonLdProduct(node, pageUrl) {
+    const offers = [].concat(node.offers || []);
+    const offer = offers[0] || {};
+    const price = offer.price ?? offer.lowPrice ?? offer.priceSpecification?.price;
+
+    return {
+      name: typeof node.name === 'string' ? node.name.trim() : null,
+      sku: node.sku || node.mpn || node.gtin13 || null,
+      url: this.resolveUrl(node.url || offer.url, pageUrl),
+      price: parsePrice(price),
+      currency: offer.priceCurrency || offer.priceSpecification?.priceCurrency || null,
+      availability: this.normalizeAvailability(offer.availability)
+    };
+  }
+
+  /**
+   * Extract products with CSS selectors. A selector may end with "@attribute" to read an attribute.
+   */
+  extractSelectorProducts($, pageUrl, selectors) {
+    const read = (item, selector) => {
+      if (!selector) {
+        return null;
+      }
+
+      const [css, attribute] = selector.split('@');
+      const element = css ? item.find(css).first() : item;
+      if (element.length === 0) {
+        return null;
+      }
+
+      const value = attribute ? element.attr(attribute) : element.text();
+      return value ? value.replace(/\s+/g, ' ').trim() : null;
+    };
+
+    return $(selectors.item).toArray().map(element => {
+      const item = $(element);
+      const priceText = read(item, selectors.price);
+
+      return {
+        name: read(item, selectors.name),
+        sku: read(item, selectors.sku),
+        url: this.resolveUrl(read(item, selectors.url), pageUrl),
+        price: parsePrice(priceText),
+        currency: read(item, selectors.currency) || detectCurrency(priceText),
+        availability: this.normalizeAvailability(read(item, selectors.availability))
+      };
+    });
+  }
+
+  /**
+   * Map schema.org availability URLs and shop wording to in_stock / out_of_stock
+   * @param {string} value - Availability value
+   * @returns {string|null} Normalized availability
+   */
+  normalizeAvailability(value) {
+    if (!value) {
+      return null;
+    }
+
+    // Negative wording first: "not in stock" and "non disponibile" contain the positive phrases
+    if (/OutOfStock|SoldOut|Discontinued|out of stock|not in stock|sold out|unavailable|not available|esaurito|non disponibile/i.test(value)) {
+      return 'out_of_stock';
+    }
+    if (/InStock|LimitedAvailability|PreOrder|BackOrder|in stock|disponibile/i.test(value)) {
+      return 'in_stock';
+    }
+
+    return null;
+  }
+
+  resolveUrl(url, base) {
+    if (!url) {
+      return null;
+    }
+
+    try {
+      return new URL(url, base).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Identify a product across runs: SKU when available, else URL, else name
+   * @param {Object} product - Product
+   * @returns {string} Product key
+   */
+  getProductKey(product) {
+    const identity = product.sku ? `sku:${product.sku}` : product.url ? `url:${product.url}` : `name:${product.name.toLowerCase()}`;
+    return crypto.createHash('sha1').update(identity).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Compare current products with their last observation
+   * @param {Array} products - Current products
+   * @param {Object} history - Price history keyed by product key
+   * @returns {Array} Price events
+   */
+  detectPriceEvents(products, history) {
+    const events = [];
+    const isFirstRun = Object.keys(history).length === 0;
+
+    products.forEach(product => {
+      const label = product.name || product.sku;
+      const base = {
+        product: { key: product.key, name: product.name, sku: product.sku, url: product.url },
+        currency: product.currency
+      };
+      const known = history[product.key];
+
+      if (!known) {
+        if (!isFirstRun) {
+          events.push({
+            ...base,
+            type: 'new-product',
+            price: product.price,
+            description: `New product: ${label}${product.price != null ? ` (${this.formatPrice(product.price, product.currency)})` : ''}`,
+            severity: 'medium'
+          });
+        }
+        return;
+      }
+
+      const previous = known.history[known.history.length - 1];
+      // Amounts in different currencies (a shop switching its display currency) are not comparable
+      const sameCurrency = !product.currency || !previous.currency || product.currency === previous.currency;
+
+      if (sameCurrency && product.price != null && previous.price != null && product.price !== previous.price) {
+        const changePercent = ((product.price - previous.price) / previous.price) * 100;
+        const isDrop = product.price < previous.price;
+
+        events.push({
+          ...base,
+          type: isDrop ? 'price-drop' : 'price-increase',
+          previousPrice: previous.price,
+          price: product.price,
+          changePercent: Math.round(changePercent * 10) / 10,
+          description: `${label}: price ${isDrop ? 'dropped' : 'increased'} from ${this.formatPrice(previous.price, previous.currency)} to ${this.formatPrice(product.price, product.currency)} (${changePercent > 0 ? '+' : ''}${changePercent.toFixed(1)}%)`,
+          severity: Math.abs(changePercent) >= 20 ? 'high' : 'medium'
+        });
+      }
+
+      if (product.availability === 'out_of_stock' && previous.availability !== 'out_of_stock') {
+        events.push({
+          ...base,
+          type: 'out-of-stock',
+          price: product.price,
+          description: `${label} is out of stock`,
+          severity: 'medium'
+        });
+      }
+    });
+
+    return events;
+  }
+
+  formatPrice(price, currency) {
+    return currency === 'EUR' ? `€${price.toFixed(2)}` : `${price.toFixed(2)}${currency ? ` ${currency}` : ''}`;
+  }
+
+  /**
+   * Load the price history of a competitor's products
+   * @param {string} competitorId - Competitor ID
+   * @returns {Object} Products keyed by product key ({ name, sku, url, history })
+   */
+  async loadHistory(competitorId) {
+    if (this.storage) {
+      return this.storage.getPriceHistory(competitorId);
+    }
+
+    try {
+      const data = await fs.readFile(path.join(this.historyDir, `${competitorId}.json`), 'utf8');
+      return JSON.parse(data).products || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Append the current observations to the price history
+   */
+  async recordObservations(competitorId, products, observedAt, runId) {
+    try {
+      if (this.storage) {
+        this.storage.recordPriceObservations(runId, competitorId, products, observedAt);
+        return;
+      }
+
+      const history = await this.loadHistory(competitorId);
+      products.forEach(product => {
+        const entry = history[product.key] || { history: [] };
+        entry.name = product.name;
+        entry.sku = product.sku;
+        entry.url = product.url;
+        entry.history = [
+          ...entry.history,
+          { price: product.price, currency: product.currency, availability: product.availability, observedAt }
+        ].slice(-MAX_FILE_HISTORY);
+        history[product.key] = entry;
+      });
+
+      await fs.mkdir(this.historyDir, { recursive: true });
+      await fs.writeFile(path.join(this.historyDir, `${competitorId}.json`), JSON.stringify({ products: history }, null, 2));
+    } catch (error) {
+      logger.error(`Failed to record prices for ${competitorId}`, error);
+    }
+  }
+
+  /**
+   * Monitor the catalogs of multiple competitors
+   * @param {Array} competitors - List of competitors
+   * @param {Object} options - Monitoring options
+   * @param {number} options.runId - Monitoring run the observations are recorded under
+   * @returns {Array} Price monitoring results
+   */
+  async monitorAll(competitors, { runId = null } = {}) {
+    const withCatalog = competitors.filter(competitor =>
+      competitor.ecommerce?.url && competitor.monitoring?.pricing !== false
+    );
+    logger.info(`Starting price monitoring for ${withCatalog.length} competitors`);
+
+    const results = [];
+    for (const competitor of withCatalog) {
+      results.push(await this.monitorCatalog(competitor, { runId }));
+    }
+
+    // Rendered catalogs reopen the shared browser
+    if (this.websiteMonitor) {
+      await this.websiteMonitor.closeBrowser();
+    }
+
+    logger.info(`Price monitoring completed for ${results.length} competitors`);
+    return results;
+  }
+}
+
+module.exports = PriceMonitor;
@@ -2,13 +2,32 @@ const fs = require('fs').promises;
 const path = require('path');
 const Handlebars = require('handlebars');
 const moment = require('moment');
+const { cloneDeep, uniqBy } = require('lodash');
 const logger = require('../utils/logger');
 const { config } = require('../config');
+const { getStorage } = require('../storage');
+const SnapshotStore = require('./snapshotStore');
+const PerformanceTracker = require('./performanceTracker');
+
+// Changes listed under "Top Changes"
+const TOP_CHANGES = 10;
+
+const REPORT_FORMATS = ['html', 'json', 'pdf'];
+
+const LOGO_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.svg': 'image/svg+xml' };
+
+const SEVERITIES = ['low', 'medium', 'high'];
 
 class ReportGenerator {
-  constructor() {
+  /**
+   * @param {WebsiteMonitor} websiteMonitor - Website monitor whose browser prints PDF reports
+   */
+  constructor(websiteMonitor) {
+    this.websiteMonitor = websiteMonitor;
     this.templatesDir = path.join(__dirname, '../templates');
     this.reportsDir = config.paths.reports;
+    this.storage = getStorage();
+    this.snapshotStore = new SnapshotStore(path.join(this.reportsDir, 'snapshots'));
     this.ensureDirectories();
   }
 
@@ -24,9 +43,11 @@ class ReportGenerator {
   /**
    * Generate a comprehensive weekly report
    * @param {Object} data - Monitoring data from all services
+   * @param {Object} options - Report options
+   * @param {number} options.runId - Monitoring run the report belongs to
    * @returns {Object} Generated report information
    */
-  async generateWeeklyReport(data) {
+  async generateWeeklyReport(data, { runId = null } = {}) {
     const startTime = Date.now();
     logger.info('Starting weekly report generation');
 
@@ -34,39 +55,46 @@ class ReportGenerator {
       const reportId = this.generateReportId();
       const reportDate = new Date();
 
-      // Process and analyze data
-      const processedData = this.processData(data);
-      const insights = this.generateInsights(processedData);
-      const recommendations = this.generateRecommendations(insights);
-
-      const reportData = {
-        reportId,
-        generatedAt: reportDate.toISOString(),
-        period: this.getReportPeriod(),
-        summary: this.generateSummary(processedData),
-        insights,
-        recommendations,
-        detailedData: processedData,
-        metadata: {
-          competitors: processedData.competitors.length,
-          totalChanges: this.countTotalChanges(processedData),
-          totalEngagement: this.calculateTotalEngagement(processedData)
-        }
-      };
+      const reportData = this.buildReportData(data, { reportId, generatedAt: reportDate.toISOString() });
+      const { insights, recommendations, detailedData: processedData } = reportData;
 
       // Generate different report formats
+      const formats = this.getFormats();
       const reports = {};
 
-      if (config.reports.format === 'html' || config.reports.format === 'all') {
+      if (formats.includes('html') || formats.includes('pdf')) {
         reports.html = await this.generateHTMLReport(reportData);
       }
 
-      if (config.reports.format === 'json' || config.reports.format === 'all') {
+      if (formats.includes('json')) {
         reports.json = await this.generateJSONReport(reportData);
       }
 
+      // A report without its PDF is better than no report
+      if (formats.includes('pdf')) {
+        try {
+          reports.pdf = await this.generatePDFReport(reports.html, reportData);
+        } catch (error) {
+          logger.error('Failed to generate PDF report', error);
+        } finally {
+          await this.websiteMonitor.closeBrowser();
+        }
+      }
+
+      if (!formats.includes('html')) {
+        delete reports.html;
+      }
+
       // Save report files
       const savedFiles = await this.saveReports(reportId, reports);
+      this.recordReport({
+        reportId,
+        runId,
+        generatedAt: reportData.generatedAt,
+        period: reportData.period,
+        summary: reportData.summary,
+        files: savedFiles
+      });
 
       const duration = Date.now() - startTime;
       logger.info(`Weekly report generated in ${duration}ms`, {
@@ -77,10 +105,17 @@ class ReportGenerator {
       return {
         reportId,
         generatedAt: reportDate.toISOString(),
+        period: reportData.period,
         files: savedFiles,
         summary: reportData.summary,
         insights: insights.length,
-        recommendations: recommendations.length
+        recommendations: recommendations.length,
+        // Highlights for notifications
+        digest: {
+          topChanges: processedData.topChanges,
+          insights,
+          recommendations
+        }
       };
 
     } catch (error) {
@@ -89,6 +124,100 @@ class ReportGenerator {
     }
   }
 
+  /**
+   * Process and analyze monitoring data into the data the templates render
+   * @param {Object} data - Monitoring data from all services
+   * @param {Object} report - { reportId, generatedAt }
+   * @returns {Object} Report data
+   */
+  buildReportData(data, { reportId, generatedAt }) {
+    const processedData = this.processData(data);
+    const insights = this.generateInsights(processedData);
+    const recommendations = this.generateRecommendations(insights);
+
+    return {
+      reportId,
+      generatedAt,
+      period: this.getReportPeriod(),
+      summary: this.generateSummary(processedData),
+      insights,
+      recommendations,
+      detailedData: processedData,
+      metadata: {
+        competitors: processedData.competitors.length,
+        totalChanges: this.countTotalChanges(processedData),
+        totalEngagement: this.calculateTotalEngagement(processedData)
+      }
+    };
+  }
+
+  /**
+   * Render the HTML report for one subscriber: only their competitors and changes of at least their
+   * minimum severity, as the executive summary or the full report. Nothing is saved.
+   * @param {Object} data - Monitoring data from all services
+   * @param {Object} subscriber - Subscriber
+   * @param {Object} options - Render options
+   * @param {Object} options.report - The weekly report ({ reportId, generatedAt })
+   * @param {Array} options.competitorIds - Competitors the subscriber receives
+   * @param {string} options.reportUrl - Link to the full report
+   * @param {string} options.unsubscribeUrl - Unsubscribe link
+   * @returns {Object} { html, pdf, summary }, pdf only when REPORT_FORMAT includes pdf
+   */
+  async renderSubscriberReport(data, subscriber, { report, competitorIds, reportUrl = null, unsubscribeUrl = null }) {
+    const reportData = this.buildReportData(this.filterData(data, { competitorIds, minSeverity: subscriber.minSeverity }), report);
+    const filter = [
+      subscriber.competitors.length > 0 || subscriber.tags.length > 0 ? `${competitorIds.length} ${competitorIds.length === 1 ? 'competitor' : 'competitors'}` : 'All competitors',
+      subscriber.minSeverity !== 'low' ? `${subscriber.minSeverity} severity and above` : null
+    ].filter(Boolean).join(', ');
+
+    reportData.subscription = {
+      name: subscriber.name,
+      email: subscriber.email,
+      filter,
+      summaryOnly: subscriber.depth === 'summary',
+      reportUrl,
+      unsubscribeUrl
+    };
+
+    const html = await this.generateHTMLReport(reportData);
+    let pdf = null;
+    if (this.getFormats().includes('pdf')) {
+      try {
+        pdf = await this.generatePDFReport(html, reportData);
+      } catch (error) {
+        logger.error(`Failed to generate the PDF report of subscriber ${subscriber.email}`, error);
+      }
+    }
+
+    return {
+      html,
+      pdf,
+      summary: reportData.summary
+    };
+  }
+
+  /**
+   * Keep the monitoring results of some competitors, and their changes of at least a severity
+   * @param {Object} data - Monitoring data from all services
+   * @param {Object} filter - { competitorIds, minSeverity }
+   * @returns {Object} Filtered monitoring data
+   */
+  filterData(data, { competitorIds, minSeverity = 'low' }) {
+    const included = result => competitorIds.includes(result.competitorId);
+    const severe = change => SEVERITIES.indexOf(change.severity || 'low') >= SEVERITIES.indexOf(minSeverity);
+
+    return {
+      websiteMonitoring: (data.websiteMonitoring || []).filter(included).map(result => ({
+        ...result,
+        changes: result.changes.filter(severe),
+        pages: (result.pages || []).map(page => ({ ...page, changes: (page.changes || []).filter(severe) }))
+      })),
+      priceMonitoring: (data.priceMonitoring || []).filter(included).map(result => ({ ...result, events: result.events.filter(severe) })),
+      seoMonitoring: (data.seoMonitoring || []).filter(included).map(result => ({ ...result, events: result.events.filter(severe) })),
+      contentDiscovery: (data.contentDiscovery || []).filter(included)
+    };
+  }
+
   /**
    * Process raw monitoring data into structured format
    * @param {Object} data - Raw monitoring data
@@ -99,40 +228,130 @@ class ReportGenerator {
       competitors: [],
       websiteChanges: [],
       priceChanges: [],
-      seoMetrics: [],
+      seoChanges: [],
+      newContent: [],
+      performance: [],
+      fields: [],
+      keywords: null,
+      topChanges: [],
       summary: {}
     };
 
     // Process website monitoring data
     if (data.websiteMonitoring) {
       data.websiteMonitoring.forEach(result => {
+        const pages = result.pages || [];
+
         processed.competitors.push({
           name: result.competitor,
           website: result.website,
+          pages: new Set(pages.map(page => page.url)).size,
+          devices: [...new Set(pages.map(page => page.device || 'desktop'))],
           changes: result.changes.length,
-          errors: result.errors.length
+          errors: result.errors.length,
+          skipped: result.skipped || []
         });
 
-        if (result.changes.length > 0) {
+        const changes = this.rankChanges(result.changes);
+        if (changes.length > 0) {
           processed.websiteChanges.push({
             competitor: result.competitor,
-            changes: result.changes,
-            metrics: result.metrics
+            competitorId: result.competitorId,
+            changes,
+            topScore: this.getTopScore(changes),
+            metrics: result.metrics,
+            pages: pages
+              .map(page => ({
+                url: page.url,
+                name: page.name,
+                device: page.device || 'desktop',
+                changes: this.rankChanges(page.changes)
+              }))
+              .filter(page => page.changes.length > 0)
+              .sort((a, b) => this.getTopScore(b.changes) - this.getTopScore(a.changes)),
+            technologyChanges: changes.filter(change => change.type === 'technology')
+          });
+        }
+
+        // Current values of the competitor's extraction rules
+        const extracted = pages.flatMap(page => (page.fields || []).map(field => ({ ...field, url: page.url })));
+        if (extracted.length > 0) {
+          const changedFields = result.changes.filter(change => change.type === 'extraction').map(change => change.field.name);
+          processed.fields.push({
+            competitor: result.competitor,
+            fields: extracted.map(field => ({ ...field, changed: changedFields.includes(field.name) })),
+            changes: result.changes.filter(change => change.type === 'extraction')
+          });
+        }
+
+        // Site speed of the pages rendered in the browser this run
+        const measured = pages.filter(page => page.performance);
+        if (measured.length > 0) {
+          processed.performance.push({
+            competitor: result.competitor,
+            pages: measured.map(page => ({
+              url: page.url,
+              name: page.name,
+              device: page.device || 'desktop',
+              metrics: page.performance,
+              values: PerformanceTracker.formatMetrics(page.performance)
+            })),
+            events: measured.flatMap(page => page.changes.filter(change => change.type === 'performance'))
           });
         }
       });
+
+      processed.keywords = this.buildKeywordMatrix(data.websiteMonitoring);
     }
 
 
 
     // Process price monitoring data (if available)
     if (data.priceMonitoring) {
-      processed.priceChanges = data.priceMonitoring;
+      processed.priceChanges = data.priceMonitoring
+        .map(result => ({
+          competitor: result.competitor,
+          url: result.url,
+          products: result.products.length,
+          events: this.rankChanges(result.events)
+        }))
+        .filter(result => result.events.length > 0)
+        .sort((a, b) => this.getTopScore(b.events) - this.getTopScore(a.events));
     }
 
     // Process SEO data (if available)
     if (data.seoMonitoring) {
-      processed.seoMetrics = data.seoMonitoring;
+      processed.seoChanges = data.seoMonitoring
+        .map(result => ({
+          competitor: result.competitor,
+          website: result.website,
+          events: this.rankChanges(result.events)
+        }))
+        .filter(result => result.events.length > 0)
+        .sort((a, b) => this.getTopScore(b.events) - this.getTopScore(a.events));
+    }
+
+    processed.websiteChanges.sort((a, b) => b.topScore - a.topScore);
+
+    // Highest-scored changes across all monitors
+    processed.topChanges = [
+      ...processed.websiteChanges.flatMap(item => item.changes.map(change => ({ ...change, competitor: item.competitor }))),
+      ...processed.priceChanges.flatMap(item => item.events.map(event => ({ ...event, competitor: item.competitor }))),
+      ...processed.seoChanges.flatMap(item => item.events.map(event => ({ ...event, competitor: item.competitor })))
+    ]
+      .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
+      .slice(0, TOP_CHANGES);
+
+    // Process content discovery data (if available)
+    if (data.contentDiscovery) {
+      processed.newContent = data.contentDiscovery
+        .filter(result => result.added.length > 0 || result.removed.length > 0)
+        .map(result => ({
+          competitor: result.competitor,
+          website: result.website,
+          added: result.added,
+          removed: result.removed
+        }));
     }
 
     // Generate summary statistics
@@ -141,6 +360,52 @@ class ReportGenerator {
     return processed;
   }
 
+  /**
+   * Build the watchlist matrix: one row per watched term, one column per competitor
+   * @param {Array} results - Website monitoring results
+   * @returns {Object|null} { competitors, terms: [{ term, watchlist, cells: [{ count, trend, changed }]}] }, or null without watchlists
+   */
+  buildKeywordMatrix(results) {
+    const watched = results.filter(result => result.keywords?.length > 0);
+    if (watched.length === 0) {
+      return null;
+    }
+
+    const terms = uniqBy(watched.flatMap(result => result.keywords.map(({ term, watchlist }) => ({ term, watchlist }))), 'term');
+
+    return {
+      competitors: watched.map(result => result.competitor),
+      terms: terms.map(({ term, watchlist }) => ({
+        term,
+        watchlist,
+        cells: watched.map(result => {
+          const mentions = result.keywords.find(entry => entry.term === term);
+          return {
+            count: mentions?.count ?? 0,
+            pages: mentions?.pages ?? 0,
+            trend: (mentions?.trend || []).map(point => point.count).join(' · '),
+            changed: result.changes.some(change => change.type === 'keyword' && change.keyword.term === term)
+          };
+        })
+      }))
+    };
+  }
+
+  /**
+   * Keep the changes scored at least REPORT_MIN_SCORE, highest score first
+   * @param {Array} changes - Changes or events
+   * @returns {Array} Ranked changes (unscored ones are kept, last)
+   */
+  rankChanges(changes = []) {
+    return changes
+      .filter(change => change.score === undefined || change.score >= config.scoring.reportMinScore)
+      .sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+  }
+
+  getTopScore(changes) {
+    return Math.max(0, ...changes.map(change => change.score ?? 0));
+  }
+
   /**
    * Generate insights from processed data
    * @param {Object} processedData - Processed monitoring data
@@ -161,7 +426,114 @@ class ReportGenerator {
       });
     }
 
+    // Availability insights
+    const outages = processedData.websiteChanges
+      .map(item => ({ ...item, down: item.changes.filter(change => change.availability?.status === 'down') }))
+      .filter(item => item.down.length > 0);
+    if (outages.length > 0) {
+      const totalDown = outages.reduce((sum, item) => sum + item.down.length, 0);
+      insights.push({
+        type: 'availability',
+        title: 'Competitor Pages Unavailable',
+        description: `${totalDown} pages of ${outages.length} competitors failed to load on consecutive checks`,
+        severity: outages.some(item => item.down.some(change => change.severity === 'high')) ? 'high' : 'medium',
+        competitors: outages.map(item => ({ name: item.competitor }))
+      });
+    }
 
+    // Technology stack insights
+    const stackChanges = processedData.websiteChanges.filter(item => item.technologyChanges.length > 0);
+    if (stackChanges.length > 0) {
+      const techChanges = stackChanges.flatMap(item => item.technologyChanges);
+      insights.push({
+        type: 'technology',
+        title: 'Technology Stack Changes',
+        description: `${techChanges.length} technologies added or removed by ${stackChanges.length} competitors`,
+        severity: techChanges.some(change => change.severity === 'high') ? 'high' : 'medium',
+        competitors: stackChanges.map(item => ({ name: item.competitor }))
+      });
+    }
+
+    // Extracted field insights
+    const fieldChanges = processedData.fields.filter(item => item.changes.length > 0);
+    if (fieldChanges.length > 0) {
+      const changes = fieldChanges.flatMap(item => item.changes);
+      insights.push({
+        type: 'extraction',
+        title: 'Tracked Facts Changed',
+        description: `${changes.length} tracked fields changed across ${fieldChanges.length} competitors: ${changes.slice(0, 3).map(change => change.field.name).join(', ')}${changes.length > 3 ? '...' : ''}`,
+        severity: changes.some(change => change.severity === 'high') ? 'high' : 'medium',
+        competitors: fieldChanges.map(item => ({ name: item.competitor }))
+      });
+    }
+
+    // Watchlist insights
+    const keywordChanges = processedData.websiteChanges
+      .map(item => ({ competitor: item.competitor, changes: item.changes.filter(change => change.type === 'keyword') }))
+      .filter(item => item.changes.length > 0);
+    if (keywordChanges.length > 0) {
+      const changes = keywordChanges.flatMap(item => item.changes);
+      const appeared = uniqBy(changes.filter(change => change.keyword.action === 'appeared'), change => change.keyword.term);
+      insights.push({
+        type: 'keyword',
+        title: 'Watchlist Mentions Changed',
+        description: `${changes.length} watchlist mention changes across ${keywordChanges.length} competitors${appeared.length > 0 ? `; newly mentioned: ${appeared.slice(0, 3).map(change => change.keyword.term).join(', ')}${appeared.length > 3 ? '...' : ''}` : ''}`,
+        severity: changes.some(change => change.severity === 'high') ? 'high' : 'medium',
+        competitors: keywordChanges.map(item => ({ name: item.competitor }))
+      });
+    }
+
+    // Site speed insights
+    const speedChanges = processedData.performance.filter(item => item.events.length > 0);
+    if (speedChanges.length > 0) {
+      const events = speedChanges.flatMap(item => item.events);
+      const regressions = events.filter(event => event.performance.direction === 'regression').length;
+      insights.push({
+        type: 'performance',
+        title: 'Site Speed Changes',
+        description: `${regressions} performance regressions and ${events.length - regressions} improvements across ${speedChanges.length} competitors`,
+        severity: events.some(event => event.severity === 'high') ? 'high' : 'medium',
+        competitors: speedChanges.map(item => ({ name: item.competitor }))
+      });
+    }
+
+    // Pricing insights
+    if (processedData.priceChanges.length > 0) {
+      const events = processedData.priceChanges.flatMap(item => item.events);
+      const drops = events.filter(event => event.type === 'price-drop').length;
+      insights.push({
+        type: 'pricing',
+        title: 'Pricing Activity Detected',
+        description: `${events.length} price events detected across ${processedData.priceChanges.length} competitors (${drops} price drops)`,
+        severity: events.some(event => event.severity === 'high') ? 'high' : 'medium',
+        competitors: processedData.priceChanges.map(item => ({ name: item.competitor }))
+      });
+    }
+
+    // SEO insights
+    if (processedData.seoChanges.length > 0) {
+      const events = processedData.seoChanges.flatMap(item => item.events);
+      insights.push({
+        type: 'seo',
+        title: 'SEO Changes Detected',
+        description: `${events.length} on-page SEO changes detected across ${processedData.seoChanges.length} competitors`,
+        severity: events.some(event => event.severity === 'high') ? 'high' : 'medium',
+        competitors: processedData.seoChanges.map(item => ({ name: item.competitor }))
+      });
+    }
+
+    // New content insights
+    const publications = processedData.newContent.filter(item => item.added.length > 0);
+    if (publications.length > 0) {
+      const totalAdded = publications.reduce((sum, item) => sum + item.added.length, 0);
+      insights.push({
+        type: 'content',
+        title: 'New Content Published',
+        description: `${totalAdded} new pages published by ${publications.length} competitors`,
+        severity: totalAdded > 10 ? 'high' : 'medium',
+        competitors: publications.map(item => ({ name: item.competitor }))
+      });
+    }
 
     // Competitive analysis insights
     const topCompetitors = this.identifyTopCompetitors(processedData);
@@ -197,7 +569,77 @@ class ReportGenerator {
           });
           break;
 
+        case 'availability':
+          recommendations.push({
+            title: 'Check Competitor Outages',
+            description: 'Competitor pages have been down or blocked repeatedly. An outage can be an opportunity; a bot challenge means the monitoring needs attention.',
+            priority: insight.severity === 'high' ? 'high' : 'medium',
+            action: 'Verify the outages manually and review how blocked sites are monitored'
+          });
+          break;
+
+        case 'technology':
+          recommendations.push({
+            title: 'Review Competitor Technology Moves',
+            description: 'Competitors have changed their platform or marketing tools. A CMS or framework migration usually means a redesign or relaunch is underway.',
+            priority: insight.severity === 'high' ? 'high' : 'medium',
+            action: 'Check what the new tools enable and whether your own stack or offer should respond'
+          });
+          break;
+
+        case 'extraction':
+          recommendations.push({
+            title: 'Review Changed Competitor Facts',
+            description: 'Offers, package prices, team size or client lists you track on competitor sites have changed.',
+            priority: insight.severity === 'high' ? 'high' : 'medium',
+            action: 'Check the new values against your own offer and positioning'
+          });
+          break;
+
+        case 'keyword':
+          recommendations.push({
+            title: 'Follow Watched Topics',
+            description: 'Competitors started or stopped talking about terms on your watchlists, or mention them much more or less often.',
+            priority: insight.severity === 'high' ? 'high' : 'medium',
+            action: 'Read the pages where the terms changed and decide whether your own messaging should respond'
+          });
+          break;
+
+        case 'performance':
+          recommendations.push({
+            title: 'Compare Site Speed',
+            description: 'Competitor pages got noticeably faster or slower. Faster pages usually follow a replatform or optimisation project; slower ones often come with new scripts or tools.',
+            priority: insight.severity === 'high' ? 'high' : 'medium',
+            action: 'Measure your own Core Web Vitals on the same pages and devices'
+          });
+          break;
+
+        case 'pricing':
+          recommendations.push({
+            title: 'Review Pricing Strategy',
+            description: 'Competitors have changed prices or availability. Compare them against your own catalog.',
+            priority: insight.severity === 'high' ? 'high' : 'medium',
+            action: 'Review price positioning of overlapping products'
+          });
+          break;
+
+        case 'seo':
+          recommendations.push({
+            title: 'Review Competitor SEO Changes',
+            description: 'Competitors have changed titles, meta tags or site structure. Check which keywords they are targeting.',
+            priority: insight.severity === 'high' ? 'high' : 'medium',
+            action: 'Compare their titles and headings with your own pages'
+          });
+          break;
 
+        case 'content':
+          recommendations.push({
+            title: 'Review New Competitor Content',
+            description: 'Competitors have published new pages. Check which topics, services and case studies they are pushing.',
+            priority: insight.severity === 'high' ? 'high' : 'medium',
+            action: 'Read the new publications and plan your own content response'
+          });
+          break;
 
         case 'competitive':
           recommendations.push({
@@ -229,10 +671,16 @@ class ReportGenerator {
   generateSummaryStats(processedData) {
     const totalCompetitors = processedData.competitors.length;
     const totalWebsiteChanges = processedData.websiteChanges.reduce((sum, item) => sum + item.changes.length, 0);
+    const totalPriceChanges = processedData.priceChanges.reduce((sum, item) => sum + item.events.length, 0);
+    const totalSeoChanges = processedData.seoChanges.reduce((sum, item) => sum + item.events.length, 0);
+    const totalNewContent = processedData.newContent.reduce((sum, item) => sum + item.added.length, 0);
 
     return {
       totalCompetitors,
       totalWebsiteChanges,
+      totalPriceChanges,
+      totalSeoChanges,
+      totalNewContent,
       activeCompetitors: processedData.competitors.filter(c => c.changes > 0).length
     };
   }
@@ -261,10 +709,104 @@ class ReportGenerator {
    */
   async generateHTMLReport(reportData) {
     const template = await this.loadHTMLTemplate();
-    const html = template(reportData);
+    const html = template(await this.embedScreenshots(reportData));
     return html;
   }
 
+  /**
+   * Embed before/after thumbnails of visual changes as data URIs, so the HTML report is self-contained
+   * @param {Object} reportData - Report data
+   * @returns {Object} Copy of the report data with thumbnails on visual changes
+   */
+  async embedScreenshots(reportData) {
+    const data = cloneDeep(reportData);
+    const toDataUri = png => (png ? `data:image/png;base64,${png.toString('base64')}` : null);
+
+    for (const item of data.detailedData.websiteChanges) {
+      for (const page of item.pages) {
+        for (const change of page.changes.filter(entry => entry.visual)) {
+          const { pageKey, previousVersion, version } = change.visual;
+          change.visual.thumbnails = {
+            before: toDataUri(await this.snapshotStore.loadScreenshot(item.competitorId, pageKey, previousVersion, 'thumb')),
+            after: toDataUri(await this.snapshotStore.loadScreenshot(item.competitorId, pageKey, version, 'thumb')),
+            diff: toDataUri(await this.snapshotStore.loadScreenshot(item.competitorId, pageKey, version, 'diff-thumb'))
+          };
+        }
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Print the HTML report to an A4 PDF, with the agency branding in the page header and page numbers in the footer.
+   * Uses the website monitor's browser; the caller closes it.
+   * @param {string} html - HTML report
+   * @param {Object} reportData - Report data
+   * @returns {Buffer} PDF content
+   */
+  async generatePDFReport(html, reportData) {
+    const branding = await this.getBranding();
+    const escape = Handlebars.escapeExpression;
+    const color = escape(branding.color);
+    const frame = 'width: 100%; margin: 0 12mm; font-family: Arial, sans-serif; display: flex; align-items: center; justify-content: space-between;';
+
+    const browser = await this.websiteMonitor.initBrowser();
+    const page = await browser.newPage();
+    try {
+      await page.setContent(html, { waitUntil: 'load', timeout: config.fetch.timeout });
+      await page.emulateMediaType('print');
+
+      return Buffer.from(await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        displayHeaderFooter: true,
+        margin: { top: '22mm', bottom: '18mm', left: '12mm', right: '12mm' },
+        headerTemplate: `<div style="${frame} font-size: 9px; color: #555; border-bottom: 1px solid ${color}; padding-bottom: 4px;">
+          <span style="display: flex; align-items: center;">${branding.logo ? `<img src="${branding.logo}" style="height: 16px; margin-right: 6px;">` : ''}<strong style="color: ${color};">${escape(branding.name)}</strong></span>
+          <span>Competitors Analysis Report - ${escape(reportData.period)}</span>
+        </div>`,
+        footerTemplate: `<div style="${frame} font-size: 8px; color: #777;">
+          <span>${branding.name ? `${escape(branding.name)} | ` : ''}Report ${escape(reportData.reportId)}</span>
+          <span>Page <span class="pageNumber"></span> of <span class="totalPages"></span></span>
+        </div>`
+      }));
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Agency branding for PDF reports, with the logo as a data URI (page headers cannot load files)
+   * @returns {Object} { name, logo, color }
+   */
+  async getBranding() {
+    const { name, logo, color } = config.reports.branding;
+    if (!logo) {
+      return { name, logo: null, color };
+    }
+
+    const type = LOGO_TYPES[path.extname(logo).toLowerCase()];
+    try {
+      if (!type) {
+        throw new Error('the logo must be a PNG, JPEG or SVG file');
+      }
+      return { name, logo: `data:${type};base64,${(await fs.readFile(logo)).toString('base64')}`, color };
+    } catch (error) {
+      logger.warn(`Report logo ${logo} not used: ${error.message}`);
+      return { name, logo: null, color };
+    }
+  }
+
+  /**
+   * Formats generated for each report (REPORT_FORMAT)
+   * @returns {Array} Formats among html, json and pdf
+   */
+  getFormats() {
+    const formats = config.reports.format.split(',').map(format => format.trim().toLowerCase());
+    return formats.includes('all') ? REPORT_FORMATS : REPORT_FORMATS.filter(format => formats.includes(format));
+  }
+
   /**
    * Generate JSON report
    * @param {Object} reportData - Report data
@@ -417,6 +959,22 @@ class ReportGenerator {
     return savedFiles;
   }
 
+  /**
+   * Record report metadata in the database, when one is configured
+   * @param {Object} report - Report metadata
+   */
+  recordReport(report) {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.saveReport(report);
+    } catch (error) {
+      logger.error(`Failed to record report ${report.reportId}`, error);
+    }
+  }
+
   /**
    * Generate unique report ID
    * @returns {string} Report ID
@@ -450,6 +1008,14 @@ class ReportGenerator {
       total += processedData.websiteChanges.reduce((sum, item) => sum + item.changes.length, 0);
     }
 
+    if (processedData.priceChanges) {
+      total += processedData.priceChanges.reduce((sum, item) => sum + item.events.length, 0);
+    }
+
+    if (processedData.seoChanges) {
+      total += processedData.seoChanges.reduce((sum, item) => sum + item.events.length, 0);
+    }
+
     return total;
   }
 
@@ -470,7 +1036,10 @@ class ReportGenerator {
   generateSummary(processedData) {
     return {
       totalCompetitors: processedData.competitors.length,
-      websiteChanges: this.countTotalChanges(processedData),
+      websiteChanges: processedData.summary.totalWebsiteChanges,
+      priceChanges: processedData.summary.totalPriceChanges,
+      seoChanges: processedData.summary.totalSeoChanges,
+      newContent: processedData.summary.totalNewContent,
       totalEngagement: this.calculateTotalEngagement(processedData)
     };
   }
@@ -0,0 +1,435 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const { diffText } = require('../utils/textDiff');
+const { getStorage } = require('../storage');
+const { getCrawlPolicy } = require('../utils/crawlPolicy');
+const { getChangeScorer } = require('./changeScorer');
+
+// Relative change in internal links worth reporting
+const LINK_CHANGE_THRESHOLD = 0.2;
+
+// Page fields compared between runs: [field, event type, label, severity]
+const PAGE_FIELDS = [
+  ['title', 'title-changed', 'Title', 'high'],
+  ['metaDescription', 'meta-description-changed', 'Meta description', 'medium'],
+  ['canonical', 'canonical-changed', 'Canonical URL', 'high'],
+  ['robots', 'robots-meta-changed', 'Robots meta tag', 'medium'],
+  ['hreflang', 'hreflang-changed', 'Hreflang alternates', 'medium'],
+  ['headings.h1', 'h1-changed', 'H1', 'medium'],
+  ['headings.h2', 'h2-outline-changed', 'H2 outline', 'low'],
+  ['structuredData', 'structured-data-changed', 'Structured data types', 'medium'],
+  ['openGraph', 'open-graph-changed', 'Open Graph tags', 'low']
+];
+
+class SeoMonitor {
+  /**
+   * @param {Object} websiteMonitor - Provides the tracked pages of each competitor
+   */
+  constructor(websiteMonitor) {
+    this.websiteMonitor = websiteMonitor;
+    this.storage = getStorage();
+    this.crawlPolicy = getCrawlPolicy();
+    this.seoDir = path.join(config.paths.reports, 'seo');
+  }
+
+  /**
+   * Monitor the on-page SEO of a competitor's tracked pages, robots.txt and sitemap.xml
+   * @param {Object} competitor - Competitor object
+   * @param {Object} options - Monitoring options
+   * @param {number} options.runId - Monitoring run the snapshot is recorded under
+   * @returns {Object} Monitoring results with SEO events
+   */
+  async monitorSeo(competitor, { runId = null } = {}) {
+    const startTime = Date.now();
+    logger.competitor(competitor.name, `Starting SEO monitoring for ${competitor.website}`);
+
+    const results = {
+      competitor: competitor.name,
+      competitorId: competitor.id,
+      website: competitor.website,
+      timestamp: new Date().toISOString(),
+      pages: [],
+      events: [],
+      errors: [],
+      skipped: []
+    };
+
+    try {
+      const previous = await this.loadPreviousSnapshot(competitor.id);
+
+      // Pages that could not be fetched keep their previous data, so the next run compares against it
+      const trackedPages = this.websiteMonitor.getTrackedPages(competitor);
+      const pages = [];
+      for (const target of trackedPages) {
+        const policy = await this.crawlPolicy.check(target.url, competitor);
+        if (!policy.allowed) {
+          results.skipped.push({ url: target.url, reason: policy.reason });
+          pages.push(previous?.pages.find(page => page.url === target.url));
+          continue;
+        }
+
+        try {
+          await this.crawlPolicy.wait(target.url);
+          const html = await this.fetchText(target.url);
+          const page = this.extractSeoData(html, target.url);
+          results.pages.push(page);
+          pages.push(page);
+        } catch (error) {
+          logger.error(`Failed to fetch ${target.url} for SEO monitoring`, error);
+          results.errors.push(`${target.url}: ${error.message}`);
+          pages.push(previous?.pages.find(page => page.url === target.url));
+        }
+      }
+
+      // Only a 404 means the file is gone; after any other failure the previous state is kept
+      const origin = new URL(competitor.website).origin;
+      const robotsTxt = await this.fetchOptional(`${origin}/robots.txt`, competitor, results);
+      const sitemap = await this.fetchOptional(`${origin}/sitemap.xml`, competitor, results);
+
+      const current = {
+        timestamp: results.timestamp,
+        pages: pages.filter(Boolean),
+        robotsTxt: robotsTxt === undefined ? previous?.robotsTxt
+          : robotsTxt === null ? null : { hash: this.hash(robotsTxt), content: robotsTxt },
+        sitemap: sitemap === undefined ? previous?.sitemap
+          : sitemap === null ? null : this.summarizeSitemap(sitemap)
+      };
+
+      if (previous) {
+        results.events = this.detectSeoEvents(current, previous);
+        this.scoreEvents(results.events, competitor, trackedPages);
+      }
+
+      await this.saveSnapshot(competitor.id, current, results.events, runId);
+
+      const duration = Date.now() - startTime;
+      logger.competitor(competitor.name, `SEO monitoring completed in ${duration}ms`, {
+        pages: results.pages.length,
+        events: results.events.length,
+        errors: results.errors.length
+      });
+
+      return results;
+
+    } catch (error) {
+      logger.error(`SEO monitoring failed for ${competitor.name}`, error);
+      results.errors.push(error.message);
+      return results;
+    }
+  }
+
+  /**
+   * Fetch a URL as text
+   * @param {string} url - URL
+   * @returns {string} Response body
+   */
+  async fetchText(url) {
+    const response = await axios.get(url, {
+      timeout: 30000,
+      responseType: 'text',
+      headers: {
+        'User-Agent': config.crawler.userAgent
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Fetch a file that a site may not have (robots.txt, sitemap.xml), unless robots.txt disallows it
+   * @param {string} url - URL
+   * @param {Object} competitor - Competitor object
+   * @param {Object} results - Monitoring results, for skipped URLs and failures other than 404
+   * @returns {string|null|undefined} Response body, null if the site has none (404),
+   *   or undefined if it was skipped or could not be fetched
+   */
+  async fetchOptional(url, competitor, results) {
+    const policy = await this.crawlPolicy.check(url, competitor);
+    if (!policy.allowed) {
+      results.skipped.push({ url, reason: policy.reason });
+      return undefined;
+    }
+
+    try {
+      await this.crawlPolicy.wait(url);
+      return await this.fetchText(url);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      results.errors.push(`${url}: ${error.message}`);
+      return undefined;
+    }
+  }
+
+  /**
+   * Extract on-page SEO signals from a page
+   * @param {string} html - Page HTML
+   * @param {string} url - Page URL
+   * @returns {Object} SEO data
+   */
+  extractSeoData(html, url) {
+    const $ = cheerio.load(html);
+    const origin = new URL(url).origin;
+    const text = selector => $(selector).first().text().replace(/\s+/g, ' ').trim() || null;
+    const attr = (selector, name) => $(selector).first().attr(name)?.trim() || null;
+
+    const hreflang = $('link[rel="alternate"][hreflang]').toArray()
+      .map(element => `${$(element).attr('hreflang')} ${$(element).attr('href')}`)
+      .sort();
+
+    const openGraph = {};
+    $('meta[property^="og:"]').each((i, element) => {
+      openGraph[$(element).attr('property')] = $(element).attr('content') || '';
+    });
+
+    const structuredData = new Set();
+    $('script[type="application/ld+json"]').each((i, element) => {
+      try {
+        this.collectJsonLdTypes(JSON.parse($(element).contents().text()), structuredData);
+      } catch (error) {
+        structuredData.add('(invalid JSON-LD)');
+      }
+    });
+    $('[itemtype]').each((i, element) => {
+      structuredData.add($(element).attr('itemtype').split('/').pop());
+    });
+
+    const links = { internal: 0, external: 0 };
+    $('a[href]').each((i, element) => {
+      try {
+        const link = new URL($(element).attr('href'), url);
+        if (['http:', 'https:'].includes(link.protocol)) {
+          links[link.origin === origin ? 'internal' : 'external']++;
+        }
+      } catch (error) {
+        // Ignore malformed links
+      }
+    });
+
+    return {
+      url,
+      title: text('head > title'),
+      metaDescription: attr('meta[name="description"]', 'content'),
+      canonical: attr('link[rel="canonical"]', 'href'),
+      robots: attr('meta[name="robots"]', 'content'),
+      hreflang,
+      headings: {
+        h1: $('h1').toArray().map(element => $(element).text().replace(/\s+/g, ' ').trim()),
+        h2: $('h2').toArray().map(element => $(element).text().replace(/\s+/g, ' ').trim())
+      },
+      structuredData: [...structuredData].sort(),
+      openGraph,
+      links
+    };
+  }
+
+  collectJsonLdTypes(node, types) {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach(child => this.collectJsonLdTypes(child, types));
+      return;
+    }
+
+    [].concat(node['@type'] || []).forEach(type => types.add(type));
+    this.collectJsonLdTypes(node['@graph'], types);
+  }
+
+  /**
+   * Summarize a sitemap (or sitemap index) by its listed URLs
+   * @param {string} xml - Sitemap XML
+   * @returns {Object} { hash, urlCount, isIndex }
+   */
+  summarizeSitemap(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const urls = $('loc').toArray().map(element => $(element).text().trim()).sort();
+
+    return {
+      hash: this.hash(urls.join('\n')),
+      urlCount: urls.length,
+      isIndex: $('sitemapindex').length > 0
+    };
+  }
+
+  /**
+   * Score SEO events with the importance of the page they were found on
+   * @param {Array} events - SEO events
+   * @param {Object} competitor - Competitor object
+   * @param {Array} trackedPages - Tracked pages, homepage first
+   */
+  scoreEvents(events, competitor, trackedPages) {
+    const scorer = getChangeScorer();
+    events.forEach(event => {
+      const index = trackedPages.findIndex(target => target.url === event.page);
+      const page = index === -1 ? null : { ...trackedPages[index], homepage: index === 0 };
+      Object.assign(event, scorer.score(event, { competitor, source: 'seo', page }));
+    });
+  }
+
+  /**
+   * Compare the current SEO state with the previous one
+   * @param {Object} current - Current SEO state
+   * @param {Object} previous - Previous SEO state
+   * @returns {Array} SEO events
+   */
+  detectSeoEvents(current, previous) {
+    const events = [];
+
+    current.pages.forEach(page => {
+      const before = previous.pages.find(item => item.url === page.url);
+      if (!before) {
+        return;
+      }
+
+      PAGE_FIELDS.forEach(([field, type, label, severity]) => {
+        const value = this.getField(page, field);
+        const previousValue = this.getField(before, field);
+
+        if (JSON.stringify(value) !== JSON.stringify(previousValue)) {
+          events.push({
+            type,
+            page: page.url,
+            field,
+            previous: previousValue,
+            current: value,
+            description: this.describeFieldChange(label, previousValue, value),
+            severity: type === 'robots-meta-changed' && /noindex/i.test(value || '') ? 'high' : severity
+          });
+        }
+      });
+
+      const linkChange = before.links.internal > 0
+        ? (page.links.internal - before.links.internal) / before.links.internal
+        : (page.links.internal > 0 ? 1 : 0);
+      if (Math.abs(linkChange) >= LINK_CHANGE_THRESHOLD) {
+        events.push({
+          type: 'internal-links-changed',
+          page: page.url,
+          field: 'links.internal',
+          previous: before.links.internal,
+          current: page.links.internal,
+          description: `Internal links changed from ${before.links.internal} to ${page.links.internal}`,
+          severity: 'low'
+        });
+      }
+    });
+
+    // A file that has never been fetched (undefined, not null) has no state to compare yet
+    if (current.robotsTxt !== undefined && previous.robotsTxt !== undefined && current.robotsTxt?.hash !== previous.robotsTxt?.hash) {
+      const diff = diffText(previous.robotsTxt?.content, current.robotsTxt?.content);
+      events.push({
+        type: 'robots-txt-changed',
+        page: null,
+        field: 'robotsTxt',
+        description: !current.robotsTxt ? 'robots.txt was removed' : !previous.robotsTxt ? 'robots.txt was added' : `robots.txt changed: ${diff.addedCount} lines added, ${diff.removedCount} removed`,
+        diff: { added: diff.added, removed: diff.removed, hunks: diff.hunks },
+        severity: 'high'
+      });
+    }
+
+    if (current.sitemap !== undefined && previous.sitemap !== undefined && current.sitemap?.hash !== previous.sitemap?.hash) {
+      const before = previous.sitemap?.urlCount || 0;
+      const after = current.sitemap?.urlCount || 0;
+      events.push({
+        type: 'sitemap-changed',
+        page: null,
+        field: 'sitemap',
+        previous: before,
+        current: after,
+        description: !current.sitemap ? 'sitemap.xml was removed' : `sitemap.xml changed: ${after} URLs (was ${before})`,
+        severity: 'medium'
+      });
+    }
+
+    return events;
+  }
+
+  getField(data, field) {
+    return field.split('.').reduce((value, key) => value?.[key], data) ?? null;
+  }
+
+  describeFieldChange(label, previous, current) {
+    const format = value => {
+      if (value === null || (Array.isArray(value) && value.length === 0)) {
+        return '(none)';
+      }
+      if (Array.isArray(value)) {
+        return value.join(', ');
+      }
+      if (typeof value === 'object') {
+        return Object.entries(value).map(([key, item]) => `${key}=${item}`).join(', ') || '(none)';
+      }
+      return `"${value}"`;
+    };
+
+    return `${label} changed from ${format(previous)} to ${format(current)}`;
+  }
+
+  hash(content) {
+    return crypto.createHash('md5').update(content).digest('hex');
+  }
+
+  /**
+   * Load the previous SEO state of a competitor
+   * @param {string} competitorId - Competitor ID
+   * @returns {Object|null} SEO state
+   */
+  async loadPreviousSnapshot(competitorId) {
+    if (this.storage) {
+      return this.storage.getLatestSeoSnapshot(competitorId);
+    }
+
+    try {
+      const data = await fs.readFile(path.join(this.seoDir, `${competitorId}.json`), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Save the current SEO state of a competitor
+   */
+  async saveSnapshot(competitorId, snapshot, events, runId) {
+    try {
+      if (this.storage) {
+        this.storage.saveSeoSnapshot(runId, competitorId, snapshot, events);
+        return;
+      }
+
+      await fs.mkdir(this.seoDir, { recursive: true });
+      await fs.writeFile(path.join(this.seoDir, `${competitorId}.json`), JSON.stringify(snapshot, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save SEO snapshot for ${competitorId}`, error);
+    }
+  }
+
+  /**
+   * Monitor the SEO of multiple competitors
+   * @param {Array} competitors - List of competitors
+   * @param {Object} options - Monitoring options
+   * @param {number} options.runId - Monitoring run the snapshots are recorded under
+   * @returns {Array} SEO monitoring results
+   */
+  async monitorAll(competitors, { runId = null } = {}) {
+    const withSeo = competitors.filter(competitor => competitor.monitoring?.seo !== false);
+    logger.info(`Starting SEO monitoring for ${withSeo.length} competitors`);
+
+    const results = [];
+    for (const competitor of withSeo) {
+      results.push(await this.monitorSeo(competitor, { runId }));
+    }
+
+    logger.info(`SEO monitoring completed for ${results.length} competitors`);
+    return results;
+  }
+}
+
+module.exports = SeoMonitor;
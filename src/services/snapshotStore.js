@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+
+/**
+ * Append-only, versioned store of page snapshots.
+ *
+ * Layout: <snapshotsDir>/<competitorId>/<pageKey>/index.json lists the versions of a page,
+ * and the page HTML/text lives in content-addressed blobs/<hash>.json files, so an unchanged
+ * page only adds a small version record instead of another full copy. Screenshots are kept
+ * per version as screenshots/v<version>[-<variant>].png (variants: thumb, diff, diff-thumb); a version
+ * that looks like the previous one points at its screenshot (screenshotVersion) instead.
+ * availability.json tracks the page's current run of failed fetches.
+ */
+class SnapshotStore {
+  constructor(snapshotsDir) {
+    this.snapshotsDir = snapshotsDir;
+  }
+
+  /**
+   * Get the storage key for a page URL as seen by a device profile
+   * @param {string} url - Page URL
+   * @param {string} device - Device profile (desktop pages keep their original, URL-only key)
+   * @returns {string} Page key
+   */
+  getPageKey(url, device = 'desktop') {
+    const identity = device === 'desktop' ? url : `${url}#device=${device}`;
+    return crypto.createHash('sha1').update(identity).digest('hex').slice(0, 16);
+  }
+
+  getPageDir(competitorId, pageKey) {
+    return path.join(this.snapshotsDir, competitorId, pageKey);
+  }
+
+  getBlobPath(competitorId, pageKey, hash) {
+    return path.join(this.getPageDir(competitorId, pageKey), 'blobs', `${hash}.json`);
+  }
+
+  getScreenshotPath(competitorId, pageKey, version, variant = null) {
+    const suffix = variant ? `-${variant}` : '';
+    return path.join(this.getPageDir(competitorId, pageKey), 'screenshots', `v${version}${suffix}.png`);
+  }
+
+  /**
+   * Load the version index of a page
+   * @param {string} competitorId - Competitor ID
+   * @param {string} pageKey - Page key
+   * @returns {Object|null} Index ({ url, device, versions }) or null if the page has no history
+   */
+  async loadIndex(competitorId, pageKey) {
+    if (!/^[a-f0-9]{16}$/.test(pageKey)) {
+      return null;
+    }
+
+    try {
+      const data = await fs.readFile(path.join(this.getPageDir(competitorId, pageKey), 'index.json'), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async saveIndex(competitorId, pageKey, index) {
+    const pageDir = this.getPageDir(competitorId, pageKey);
+    await fs.mkdir(pageDir, { recursive: true });
+    await fs.writeFile(path.join(pageDir, 'index.json'), JSON.stringify(index, null, 2));
+  }
+
+  /**
+   * Append a snapshot as a new version of a page
+   * @param {string} competitorId - Competitor ID
+   * @param {string} url - Tracked page URL
+   * @param {Object} snapshot - Snapshot data ({ html, textContent, hash, title, url, metrics, screenshot, ... });
+   *   screenshotVersion instead of screenshot shares the screenshot of an earlier version
+   * @param {string} device - Device profile the page was captured with
+   * @returns {Object} Version record
+   */
+  async save(competitorId, url, snapshot, device = 'desktop') {
+    const pageKey = this.getPageKey(url, device);
+    const index = await this.loadIndex(competitorId, pageKey) || { url, device, versions: [] };
+    const { html, textContent, screenshot, screenshotVersion, ...metadata } = snapshot;
+
+    // Content-addressed blob: only written the first time this content is seen
+    const blobPath = this.getBlobPath(competitorId, pageKey, snapshot.hash);
+    try {
+      await fs.access(blobPath);
+    } catch (error) {
+      await fs.mkdir(path.dirname(blobPath), { recursive: true });
+      await fs.writeFile(blobPath, JSON.stringify({ html, textContent }));
+    }
+
+    const lastVersion = index.versions[index.versions.length - 1];
+    const version = (lastVersion?.version || 0) + 1;
+    const record = {
+      ...metadata,
+      version,
+      timestamp: snapshot.timestamp || new Date().toISOString(),
+      unchanged: lastVersion?.hash === snapshot.hash,
+      screenshot: Boolean(screenshot || screenshotVersion),
+      screenshotVersion: screenshot ? version : screenshotVersion || null
+    };
+
+    if (screenshot) {
+      await this.saveScreenshot(competitorId, pageKey, record.version, screenshot);
+    }
+
+    index.versions.push(record);
+    await this.saveIndex(competitorId, pageKey, this.applyRetention(index));
+    await this.pruneBlobs(competitorId, pageKey, index);
+    await this.pruneScreenshots(competitorId, pageKey, index);
+
+    return { ...record, pageKey };
+  }
+
+  /**
+   * Load a page's availability state
+   * @param {string} competitorId - Competitor ID
+   * @param {string} pageKey - Page key
+   * @returns {Object} { failures, since, lastError } (failures is 0 while the page loads fine)
+   */
+  async loadAvailability(competitorId, pageKey) {
+    try {
+      const data = await fs.readFile(path.join(this.getPageDir(competitorId, pageKey), 'availability.json'), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      return { failures: 0 };
+    }
+  }
+
+  async saveAvailability(competitorId, pageKey, state) {
+    const pageDir = this.getPageDir(competitorId, pageKey);
+    try {
+      await fs.mkdir(pageDir, { recursive: true });
+      await fs.writeFile(path.join(pageDir, 'availability.json'), JSON.stringify(state, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save availability of ${competitorId}/${pageKey}`, error);
+    }
+  }
+
+  /**
+   * Load a full snapshot (version record plus content)
+   * @param {string} competitorId - Competitor ID
+   * @param {string} pageKey - Page key
+   * @param {number} version - Version number
+   * @returns {Object|null} Snapshot
+   */
+  async getVersion(competitorId, pageKey, version) {
+    const index = await this.loadIndex(competitorId, pageKey);
+    const record = index?.versions.find(entry => entry.version === Number(version));
+    if (!record) {
+      return null;
+    }
+
+    return this.loadSnapshot(competitorId, pageKey, record);
+  }
+
+  /**
+   * Load the most recent snapshot of a page
+   * @param {string} competitorId - Competitor ID
+   * @param {string} url - Tracked page URL
+   * @param {string} device - Device profile
+   * @returns {Object|null} Snapshot
+   */
+  async getLatest(competitorId, url, device = 'desktop') {
+    const pageKey = this.getPageKey(url, device);
+    const index = await this.loadIndex(competitorId, pageKey);
+    if (!index || index.versions.length === 0) {
+      return null;
+    }
+
+    return this.loadSnapshot(competitorId, pageKey, index.versions[index.versions.length - 1]);
+  }
+
+  /**
+   * Save a screenshot (or a derived image) of a version
+   * @param {string} competitorId - Competitor ID
+   * @param {string} pageKey - Page key
+   * @param {number} version - Version number
+   * @param {Buffer} png - PNG image
+   * @param {string} variant - Derived image name (thumb, diff, diff-thumb), or null for the screenshot
+   */
+  async saveScreenshot(competitorId, pageKey, version, png, variant = null) {
+    const screenshotPath = this.getScreenshotPath(competitorId, pageKey, version, variant);
+    await fs.mkdir(path.dirname(screenshotPath), { recursive: true });
+    await fs.writeFile(screenshotPath, png);
+  }
+
+  /**
+   * Load a screenshot (or a derived image) of a version, following a shared screenshot to the version that stored it
+   * @returns {Buffer|null} PNG image
+   */
+  async loadScreenshot(competitorId, pageKey, version, variant = null) {
+    if (!/^[a-f0-9]{16}$/.test(pageKey) || !/^(thumb|diff|diff-thumb)?$/.test(variant || '')) {
+      return null;
+    }
+
+    // Diff overlays belong to the version they were computed for
+    let fileVersion = Number(version);
+    if (!variant?.startsWith('diff')) {
+      const index = await this.loadIndex(competitorId, pageKey);
+      fileVersion = index?.versions.find(entry => entry.version === fileVersion)?.screenshotVersion || fileVersion;
+    }
+
+    try {
+      return await fs.readFile(this.getScreenshotPath(competitorId, pageKey, fileVersion, variant));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Load the most recent screenshot of a page
+   * @param {string} competitorId - Competitor ID
+   * @param {string} url - Tracked page URL
+   * @param {string} device - Device profile
+   * @returns {Object|null} { version, png }
+   */
+  async getLatestScreenshot(competitorId, url, device = 'desktop') {
+    const pageKey = this.getPageKey(url, device);
+    const index = await this.loadIndex(competitorId, pageKey);
+    const record = index?.versions.filter(entry => entry.screenshot).pop();
+    if (!record) {
+      return null;
+    }
+
+    const version = record.screenshotVersion || record.version;
+    const png = await this.loadScreenshot(competitorId, pageKey, version);
+    return png ? { version, png } : null;
+  }
+
+  async loadSnapshot(competitorId, pageKey, record) {
+    try {
+      const data = await fs.readFile(this.getBlobPath(competitorId, pageKey, record.hash), 'utf8');
+      return { ...record, ...JSON.parse(data), pageKey };
+    } catch (error) {
+      logger.error(`Snapshot content missing for ${competitorId}/${pageKey} v${record.version}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * List the tracked pages of a competitor with their version history (metadata only)
+   * @param {string} competitorId - Competitor ID
+   * @returns {Array} Pages ({ pageKey, url, device, versions })
+   */
+  async listPages(competitorId) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.join(this.snapshotsDir, competitorId), { withFileTypes: true });
+    } catch (error) {
+      return [];
+    }
+
+    const pages = [];
+    for (const entry of entries.filter(item => item.isDirectory())) {
+      const index = await this.loadIndex(competitorId, entry.name);
+      if (index) {
+        pages.push({
+          pageKey: entry.name,
+          url: index.url,
+          device: index.device || 'desktop',
+          versions: index.versions.map(({ version, timestamp, hash, title, unchanged, screenshot }) => ({
+            version, timestamp, hash, title, unchanged, screenshot: Boolean(screenshot)
+          }))
+        });
+      }
+    }
+
+    return pages;
+  }
+
+  /**
+   * Drop versions beyond the configured count and age limits. The newest version is always kept.
+   * @param {Object} index - Page index
+   * @returns {Object} Pruned index
+   */
+  applyRetention(index) {
+    const { maxVersions, maxAgeDays } = config.snapshots;
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const latest = index.versions[index.versions.length - 1];
+
+    index.versions = index.versions
+      .filter(entry => entry === latest || new Date(entry.timestamp).getTime() >= cutoff)
+      .slice(-maxVersions);
+
+    return index;
+  }
+
+  /**
+   * Delete blobs no longer referenced by any retained version
+   */
+  async pruneBlobs(competitorId, pageKey, index) {
+    const referenced = new Set(index.versions.map(entry => `${entry.hash}.json`));
+    const blobsDir = path.join(this.getPageDir(competitorId, pageKey), 'blobs');
+
+    try {
+      const files = await fs.readdir(blobsDir);
+      for (const file of files.filter(name => !referenced.has(name))) {
+        await fs.unlink(path.join(blobsDir, file));
+      }
+    } catch (error) {
+      logger.error(`Failed to prune snapshot blobs for ${competitorId}/${pageKey}`, error);
+    }
+  }
+
+  /**
+   * Delete screenshots of versions no longer retained, unless a retained version shares them
+   */
+  async pruneScreenshots(competitorId, pageKey, index) {
+    const retained = new Set(index.versions.flatMap(entry => [String(entry.version), String(entry.screenshotVersion)]));
+    const screenshotsDir = path.join(this.getPageDir(competitorId, pageKey), 'screenshots');
+
+    let files;
+    try {
+      files = await fs.readdir(screenshotsDir);
+    } catch (error) {
+      return;
+    }
+
+    try {
+      for (const file of files.filter(name => !retained.has(/^v(\d+)/.exec(name)?.[1]))) {
+        await fs.unlink(path.join(screenshotsDir, file));
+      }
+    } catch (error) {
+      logger.error(`Failed to prune screenshots for ${competitorId}/${pageKey}`, error);
+    }
+  }
+
+  /**
+   * Import the homepage snapshot written before history was kept (<competitorId>.json), if one exists
+   * @param {string} competitorId - Competitor ID
+   * @param {string} url - Homepage URL
+   * @param {Function} prepare - Brings the old snapshot in line with current ones (its hash covered the raw HTML)
+   * @returns {Object|null} Imported version record
+   */
+  async importLegacySnapshot(competitorId, url, prepare = snapshot => snapshot) {
+    const legacyPath = path.join(this.snapshotsDir, `${competitorId}.json`);
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await fs.readFile(legacyPath, 'utf8'));
+    } catch (error) {
+      // No legacy snapshot for this competitor
+      return null;
+    }
+
+    const record = await this.save(competitorId, url, prepare(snapshot));
+    await fs.unlink(legacyPath);
+    logger.info(`Imported legacy snapshot ${legacyPath} as ${competitorId}/${this.getPageKey(url)} v${record.version}`);
+    return record;
+  }
+}
+
+module.exports = SnapshotStore;
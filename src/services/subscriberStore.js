@@ -0,0 +1,243 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { config } = require('../config');
+const { getStorage } = require('../storage');
+
+const SEVERITIES = ['low', 'medium', 'high'];
+const DEPTHS = ['summary', 'full'];
+
+/**
+ * Recipients of the weekly report, each with their own filter: in the database, or SUBSCRIBERS_FILE.
+ *
+ * A subscriber receives the competitors listed in `competitors` plus those tagged with any of `tags`
+ * (all competitors when both are empty), only changes of at least `minSeverity`, and either the
+ * executive summary or the full report (`depth`). Every subscriber has a secret token for the
+ * unsubscribe link.
+ */
+class SubscriberStore {
+  constructor() {
+    this.storage = getStorage();
+    this.filePath = config.paths.subscribers;
+  }
+
+  async list() {
+    if (this.storage) {
+      return this.storage.listSubscribers();
+    }
+    return this.readFile();
+  }
+
+  /**
+   * Subscribers who have not unsubscribed
+   * @returns {Array} Subscribers
+   */
+  async getActive() {
+    return (await this.list()).filter(subscriber => !subscriber.unsubscribedAt);
+  }
+
+  async get(id) {
+    if (this.storage) {
+      return this.storage.getSubscriber(id);
+    }
+    return (await this.readFile()).find(subscriber => subscriber.id === id) || null;
+  }
+
+  async getByEmail(email) {
+    const address = email.trim().toLowerCase();
+    return (await this.list()).find(subscriber => subscriber.email.toLowerCase() === address) || null;
+  }
+
+  async getByToken(token) {
+    if (this.storage) {
+      return this.storage.getSubscriberByToken(token);
+    }
+    return (await this.readFile()).find(subscriber => subscriber.token === token) || null;
+  }
+
+  /**
+   * Add a subscriber
+   * @param {Object} fields - { email, name, competitors, tags, minSeverity, depth }
+   * @returns {Object} Created subscriber
+   */
+  async add(fields) {
+    const now = new Date().toISOString();
+    const subscriber = {
+      ...this.normalize(fields),
+      token: crypto.randomBytes(24).toString('base64url'),
+      unsubscribedAt: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const created = await this.save(subscriber);
+    logger.info(`Added report subscriber ${created.email}`);
+    return created;
+  }
+
+  /**
+   * Update a subscriber. `active: true` subscribes again after an unsubscribe, `active: false` unsubscribes.
+   * @param {number} id - Subscriber ID
+   * @param {Object} updates - Updated fields
+   * @param {Object} options - Update options
+   * @param {boolean} options.replace - Reset the fields not given to their defaults instead of keeping them
+   * @returns {Object|null} Updated subscriber, or null if not found
+   */
+  async update(id, updates, { replace = false } = {}) {
+    const existing = await this.get(id);
+    if (!existing) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const subscriber = {
+      ...existing,
+      ...this.normalize(replace ? updates : { ...existing, ...updates }),
+      updatedAt: now
+    };
+    if (updates.active !== undefined) {
+      subscriber.unsubscribedAt = updates.active ? null : existing.unsubscribedAt || now;
+    }
+
+    return this.save(subscriber);
+  }
+
+  async remove(id) {
+    if (this.storage) {
+      return this.storage.deleteSubscriber(id);
+    }
+
+    const subscribers = await this.readFile();
+    const remaining = subscribers.filter(subscriber => subscriber.id !== id);
+    await this.writeFile(remaining);
+    return remaining.length < subscribers.length;
+  }
+
+  /**
+   * Unsubscribe the owner of an unsubscribe token
+   * @param {string} token - Token from the unsubscribe link
+   * @returns {Object|null} Subscriber, or null for an unknown token
+   */
+  async unsubscribe(token) {
+    const subscriber = await this.getByToken(token);
+    if (!subscriber || subscriber.unsubscribedAt) {
+      return subscriber;
+    }
+
+    logger.info(`Report subscriber ${subscriber.email} unsubscribed`);
+    return this.update(subscriber.id, { active: false });
+  }
+
+  /**
+   * Whether a subscriber receives a competitor
+   * @param {Object} subscriber - Subscriber
+   * @param {Object} competitor - Competitor
+   * @returns {boolean} True when the competitor is listed, shares a tag, or the subscriber has no filter
+   */
+  matches(subscriber, competitor) {
+    if (subscriber.competitors.length === 0 && subscriber.tags.length === 0) {
+      return true;
+    }
+    return subscriber.competitors.includes(competitor.id) || (competitor.tags || []).some(tag => subscriber.tags.includes(tag));
+  }
+
+  normalize(fields) {
+    return {
+      email: fields.email.trim(),
+      name: fields.name || null,
+      competitors: fields.competitors || [],
+      tags: fields.tags || [],
+      minSeverity: fields.minSeverity || 'low',
+      depth: fields.depth || 'full'
+    };
+  }
+
+  /**
+   * Validate subscriber data
+   * @param {Object} subscriber - Subscriber fields
+   * @param {Object} options - Validation options
+   * @param {Array} options.competitorIds - IDs of the configured competitors
+   * @returns {Object} Validation result with field-level errors ({ field, message })
+   */
+  validate(subscriber, { competitorIds = [] } = {}) {
+    const errors = [];
+
+    if (typeof subscriber.email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(subscriber.email.trim())) {
+      errors.push({ field: 'email', message: 'A valid email address is required' });
+    }
+
+    if (subscriber.name !== undefined && subscriber.name !== null && typeof subscriber.name !== 'string') {
+      errors.push({ field: 'name', message: 'Name must be a string' });
+    }
+
+    if (subscriber.competitors !== undefined) {
+      if (!Array.isArray(subscriber.competitors)) {
+        errors.push({ field: 'competitors', message: 'Competitors must be an array of competitor IDs' });
+      } else {
+        subscriber.competitors.forEach((id, index) => {
+          if (!competitorIds.includes(id)) {
+            errors.push({ field: `competitors[${index}]`, message: `Unknown competitor ${id}` });
+          }
+        });
+      }
+    }
+
+    if (subscriber.tags !== undefined && (!Array.isArray(subscriber.tags) || subscriber.tags.some(tag => typeof tag !== 'string'))) {
+      errors.push({ field: 'tags', message: 'Tags must be an array of strings' });
+    }
+
+    if (subscriber.minSeverity !== undefined && !SEVERITIES.includes(subscriber.minSeverity)) {
+      errors.push({ field: 'minSeverity', message: 'Minimum severity must be low, medium or high' });
+    }
+
+    if (subscriber.depth !== undefined && !DEPTHS.includes(subscriber.depth)) {
+      errors.push({ field: 'depth', message: 'Depth must be summary or full' });
+    }
+
+    if (subscriber.active !== undefined && typeof subscriber.active !== 'boolean') {
+      errors.push({ field: 'active', message: 'Active must be true or false' });
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  async save(subscriber) {
+    if (this.storage) {
+      return this.storage.saveSubscriber(subscriber);
+    }
+
+    const subscribers = await this.readFile();
+    if (subscriber.id === undefined) {
+      subscriber.id = Math.max(0, ...subscribers.map(entry => entry.id)) + 1;
+      subscribers.push(subscriber);
+    } else {
+      subscribers[subscribers.findIndex(entry => entry.id === subscriber.id)] = subscriber;
+    }
+
+    await this.writeFile(subscribers);
+    return subscriber;
+  }
+
+  async readFile() {
+    try {
+      const jsonData = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      return Array.isArray(jsonData.subscribers) ? jsonData.subscribers : [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  async writeFile(subscribers) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify({ subscribers }, null, 2));
+  }
+}
+
+module.exports = SubscriberStore;
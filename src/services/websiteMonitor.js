@@ -2,15 +2,43 @@ const axios = require('axios');
 const puppeteer = require('puppeteer');
 const cheerio = require('cheerio');
 const crypto = require('crypto');
+const moment = require('moment');
+const { omit } = require('lodash');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const SnapshotStore = require('./snapshotStore');
+const PerformanceTracker = require('./performanceTracker');
+const FieldTracker = require('./fieldTracker');
+const KeywordWatcher = require('./keywordWatcher');
+const { getChangeScorer } = require('./changeScorer');
+const { getStorage } = require('../storage');
+const { diffText } = require('../utils/textDiff');
+const { getIgnoreRules, filterHtml, maskContent } = require('../utils/ignoreRules');
+const { compareScreenshots, createThumbnail } = require('../utils/visualDiff');
+const { runPool } = require('../utils/workerPool');
+const { getCrawlPolicy } = require('../utils/crawlPolicy');
+const { detectTechnologies, getCategory } = require('../utils/techFingerprint');
+const { extractField } = require('../utils/extractionRules');
+const { getWatchTerms, countMentions } = require('../utils/watchlists');
+const { startPerformanceCapture } = require('../utils/pagePerformance');
+const { classifyError, classifyResponse } = require('../utils/fetchErrors');
 const { config } = require('../config');
 
 class WebsiteMonitor {
   constructor() {
     this.browser = null;
+    this.crawlPolicy = getCrawlPolicy();
+    this.browserOrigins = null;
     this.snapshotsDir = path.join(config.paths.reports, 'snapshots');
+    this.browserOriginsFile = path.join(this.snapshotsDir, 'browser-origins.json');
+    this.technologiesDir = path.join(config.paths.reports, 'technologies');
+    this.snapshotStore = new SnapshotStore(this.snapshotsDir);
+    this.storage = getStorage();
+    this.performanceTracker = new PerformanceTracker();
+    this.fieldTracker = new FieldTracker();
+    this.keywordWatcher = new KeywordWatcher(this.snapshotStore);
+    this.changeScorer = getChangeScorer();
     this.ensureSnapshotsDir();
   }
 
@@ -24,7 +52,8 @@ class WebsiteMonitor {
 
   async initBrowser() {
     if (!this.browser) {
-      this.browser = await puppeteer.launch({
+      // Keep the launch promise, so concurrent workers share a single browser
+      const launch = puppeteer.launch({
         headless: "new",
         args: [
           '--no-sandbox',
@@ -35,109 +64,964 @@ class WebsiteMonitor {
           '--no-zygote',
           '--disable-gpu'
         ]
+      }).then(browser => {
+        // Relaunch on next use if the browser crashes
+        browser.once('disconnected', () => {
+          if (this.browser === launch) {
+            this.browser = null;
+          }
+        });
+        return browser;
+      }).catch(error => {
+        this.browser = null;
+        throw error;
       });
+      this.browser = launch;
     }
     return this.browser;
   }
 
   async closeBrowser() {
     if (this.browser) {
-      await this.browser.close();
+      const browser = await this.browser.catch(() => null);
       this.browser = null;
+      if (browser) {
+        await browser.close();
+      }
     }
   }
 
+  /**
+   * Create an empty monitoring result for a competitor
+   * @param {Object} competitor - Competitor object
+   * @returns {Object} Monitoring result
+   */
+  createResult(competitor) {
+    return {
+      competitor: competitor.name,
+      competitorId: competitor.id,
+      website: competitor.website,
+      timestamp: new Date().toISOString(),
+      pages: [],
+      changes: [],
+      errors: [],
+      skipped: [],
+      metrics: {}
+    };
+  }
+
   /**
    * Monitor a competitor's website for changes
    * @param {Object} competitor - Competitor object
-   * @returns {Object} Monitoring results
+   * @param {Object} options - Monitoring options
+   * @param {number} options.runId - Monitoring run the page results are recorded under
+   * @param {number} options.deadline - Time (ms since epoch) after which no further pages are fetched
+   * @returns {Object} Monitoring results, with one entry per monitored page and device profile
    */
-  async monitorWebsite(competitor) {
+  async monitorWebsite(competitor, { runId = null, deadline = Infinity } = {}) {
     const startTime = Date.now();
     logger.competitor(competitor.name, `Starting website monitoring for ${competitor.website}`);
 
+    const results = this.createResult(competitor);
+
     try {
-      const results = {
-        competitor: competitor.name,
-        website: competitor.website,
-        timestamp: new Date().toISOString(),
-        changes: [],
-        errors: [],
-        metrics: {}
-      };
+      const crawl = this.getCrawlOptions(competitor);
+      const devices = this.getDevices(competitor);
+      const extractionRules = this.getExtractionRules(competitor);
+      const watchTerms = getWatchTerms();
+      const queue = this.getTrackedPages(competitor).map(target => ({ ...target, depth: 0 }));
+      const seen = new Set(queue.map(target => target.url));
 
-      // Get current page content
-      const currentContent = await this.getPageContent(competitor.website);
+      while (queue.length > 0) {
+        if (Date.now() > deadline) {
+          results.errors.push(`Run time budget exceeded: ${queue.length} pages not monitored`);
+          break;
+        }
 
-      if (!currentContent) {
-        results.errors.push('Failed to fetch page content');
-        return results;
-      }
+        const target = queue.shift();
+        let content = null;
 
-      // Generate content hash
-      const contentHash = this.generateHash(currentContent.html);
+        const policy = await this.crawlPolicy.check(target.url, competitor);
+        if (!policy.allowed) {
+          logger.competitor(competitor.name, `Skipping ${target.url}: ${policy.reason}`);
+          results.skipped.push({ url: target.url, reason: policy.reason });
+          continue;
+        }
 
-      // Load previous snapshot
-      const previousSnapshot = await this.loadPreviousSnapshot(competitor.id);
+        // Each device profile gets its own snapshot; links are followed, fields extracted and keywords counted on the first one
+        for (const device of devices) {
+          const extract = device === devices[0] ? extractionRules.filter(rule => rule.url === target.url) : [];
+          const watch = device === devices[0] ? watchTerms : [];
+          const pageOutcome = await this.monitorPage(competitor, target, { runId, device, extract, watch });
+          results.pages.push(pageOutcome.pageResult);
+          content = content || pageOutcome.content;
+        }
 
-      if (previousSnapshot) {
-        // Compare with previous snapshot
-        const changes = this.detectChanges(currentContent, previousSnapshot);
-        results.changes = changes;
+        // Queue same-origin links found on this page, within the crawl bounds
+        if (content && crawl && target.depth < crawl.maxDepth) {
+          for (const link of this.extractLinks(content.html, content.url, crawl)) {
+            if (seen.size >= crawl.maxPages) break;
+            if (seen.has(link)) continue;
 
-        // Calculate metrics
-        results.metrics = this.calculateMetrics(currentContent, previousSnapshot);
+            seen.add(link);
+            queue.push({ url: link, name: null, depth: target.depth + 1, discovered: true });
+          }
+        }
       }
 
-      // Save current snapshot
-      await this.saveSnapshot(competitor.id, {
-        ...currentContent,
-        hash: contentHash,
-        timestamp: new Date().toISOString()
+      // Flatten page results so callers can still read changes/errors per competitor
+      results.pages.forEach(page => {
+        results.changes.push(...page.changes.map(change => ({ ...change, page: page.url, pageName: page.name, device: page.device })));
+        results.errors.push(...page.errors.map(error => `${page.url} (${page.device}): ${error}`));
       });
+      results.metrics = results.pages[0]?.metrics || {};
+
+      if (watchTerms.length > 0) {
+        const trends = await this.keywordWatcher.loadMentions(competitor.id, watchTerms, { device: devices[0] });
+        results.keywords = this.keywordWatcher.summarize(watchTerms, results.pages).map(mentions => ({
+          ...mentions,
+          trend: trends.find(entry => entry.term === mentions.term)?.trend || []
+        }));
+      }
+
+      // Technology changes concern the whole site, not one page
+      const techChanges = await this.updateTechProfile(competitor, results);
+      if (techChanges.length > 0) {
+        this.changeScorer.scoreChanges(techChanges, { competitor, source: 'website', page: { url: techChanges[0].page, homepage: true } });
+        results.changes.push(...techChanges);
+        this.recordSiteChanges(runId, competitor, techChanges);
+      }
 
       const duration = Date.now() - startTime;
       logger.competitor(competitor.name, `Website monitoring completed in ${duration}ms`, {
+        pages: results.pages.length,
         changes: results.changes.length,
-        errors: results.errors.length
+        errors: results.errors.length,
+        skipped: results.skipped.length
       });
 
       return results;
 
     } catch (error) {
       logger.error(`Website monitoring failed for ${competitor.name}`, error);
+      results.errors.push(error.message);
+      return results;
+    }
+  }
+
+  /**
+   * Monitor a single page of a competitor's website
+   * @param {Object} competitor - Competitor object
+   * @param {Object} target - Page to monitor ({ url, name, depth, discovered })
+   * @param {Object} options - Monitoring options
+   * @param {number} options.runId - Monitoring run the page result is recorded under
+   * @param {string} options.device - Device profile to capture the page with
+   * @param {Array} options.extract - Extraction rules evaluated on the page
+   * @param {Array} options.watch - Watched terms counted on the page
+   * @returns {Object} Page result and the fetched content (null on failure)
+   */
+  async monitorPage(competitor, target, { runId = null, device = 'desktop', extract = [], watch = [] } = {}) {
+    const pageResult = {
+      url: target.url,
+      name: target.name || this.getPageName(target.url),
+      device,
+      discovered: Boolean(target.discovered),
+      timestamp: new Date().toISOString(),
+      changes: [],
+      errors: [],
+      metrics: {}
+    };
+
+    const isHomepage = target.url === this.normalizeUrl(competitor.website);
+    const scoringContext = {
+      competitor,
+      source: 'website',
+      page: { url: target.url, name: pageResult.name, importance: target.importance, discovered: pageResult.discovered, homepage: isHomepage }
+    };
+
+    // Get current page content, without the regions the ignore rules mark as noise
+    const ignoreRules = getIgnoreRules(competitor);
+    const pageKey = this.snapshotStore.getPageKey(target.url, device);
+    let fetchedContent;
+    try {
+      fetchedContent = await this.getPageContent(target.url, {
+        ignoreSelectors: ignoreRules.selectors,
+        screenshot: this.isScreenshotEnabled(competitor),
+        device,
+        mode: this.getFetchMode(competitor)
+      });
+    } catch (error) {
+      const fetchError = classifyError(error);
+      pageResult.pageKey = pageKey;
+      pageResult.status = fetchError.status;
+      pageResult.fetchError = fetchError.toJSON();
+      pageResult.errors.push(`Failed to fetch page content (${fetchError.category}): ${fetchError.message}`);
+
+      const availabilityChange = await this.trackAvailability(competitor.id, pageKey, fetchError);
+      if (availabilityChange) {
+        pageResult.changes.push(availabilityChange);
+      }
+
+      this.changeScorer.scoreChanges(pageResult.changes, scoringContext);
+      this.recordPageResult(runId, competitor, pageResult);
+      return { pageResult, content: null };
+    }
+
+    pageResult.status = fetchedContent.status;
+    pageResult.technologies = detectTechnologies(fetchedContent);
+    const availabilityChange = await this.trackAvailability(competitor.id, pageKey);
+    if (availabilityChange) {
+      pageResult.changes.push(availabilityChange);
+    }
+
+    // Performance is only measured when the page was rendered in the browser
+    if (fetchedContent.performance) {
+      pageResult.performance = fetchedContent.performance;
+      pageResult.changes.push(...await this.performanceTracker.track(competitor.id, pageResult, { runId }));
+    }
+
+    if (extract.length > 0) {
+      const fields = this.extractFields(fetchedContent.html, extract, pageResult);
+      pageResult.fields = fields.map(({ rule, value, display }) => ({ name: rule.name, value, display }));
+      pageResult.changes.push(...await this.fieldTracker.track(competitor.id, target.url, fields, { runId }));
+    }
+
+    const currentContent = maskContent(fetchedContent, ignoreRules);
+
+    // Generate content hash
+    const contentHash = this.generateHash(filterHtml(currentContent.html, ignoreRules));
+    const currentSnapshot = { ...currentContent, hash: contentHash };
+
+    // Load previous snapshot
+    const previousSnapshot = await this.loadPreviousSnapshot(competitor.id, target.url, { isHomepage, device, ignoreRules });
+
+    if (previousSnapshot) {
+      // Compare with previous snapshot
+      pageResult.changes.push(...this.detectChanges(currentSnapshot, previousSnapshot));
+
+      // Calculate metrics
+      pageResult.metrics = this.calculateMetrics(currentSnapshot, previousSnapshot);
+    }
+
+    if (watch.length > 0) {
+      pageResult.keywords = countMentions(currentSnapshot.textContent, watch);
+      if (previousSnapshot) {
+        pageResult.changes.push(...this.keywordWatcher.compare(watch, pageResult.keywords, countMentions(previousSnapshot.textContent, watch)));
+      }
+    }
+
+    const previousScreenshot = currentSnapshot.screenshot
+      ? await this.snapshotStore.getLatestScreenshot(competitor.id, target.url, device)
+      : null;
+    const visualDiff = previousScreenshot
+      ? this.compareWithPreviousScreenshot(competitor.id, pageKey, currentSnapshot.screenshot, previousScreenshot)
+      : null;
+
+    // A page that still looks the same shares the previous screenshot instead of storing another copy
+    const sameRendering = Boolean(visualDiff && !visualDiff.overlay);
+
+    // Save current snapshot
+    const version = await this.saveSnapshot(competitor.id, target.url, {
+      ...currentSnapshot,
+      ...(sameRendering && { screenshot: null, screenshotVersion: previousScreenshot.version }),
+      timestamp: new Date().toISOString()
+    }, device);
+    pageResult.pageKey = version?.pageKey || pageKey;
+    pageResult.version = version?.version || null;
+
+    if (version?.screenshot && !sameRendering) {
+      const visualChange = await this.detectVisualChange(competitor.id, version, currentSnapshot.screenshot, previousScreenshot, visualDiff);
+      if (visualChange) {
+        pageResult.changes.push(visualChange);
+      }
+    }
+
+    this.changeScorer.scoreChanges(pageResult.changes, scoringContext);
+    this.recordPageResult(runId, competitor, pageResult, currentSnapshot);
+
+    return { pageResult, content: currentContent };
+  }
+
+  /**
+   * Check a page against its latest snapshot without recording anything, so the next full run
+   * still reports the change. Used by the continuous watch between runs.
+   * @param {Object} competitor - Competitor object
+   * @param {Object} target - Tracked page ({ url, name, importance })
+   * @returns {Object} { hash, changes } - hash of the current content, and the scored changes (none without a snapshot)
+   */
+  async checkPage(competitor, target) {
+    const ignoreRules = getIgnoreRules(competitor);
+    const device = this.getDevices(competitor)[0];
+    const fetchedContent = await this.getPageContent(target.url, {
+      ignoreSelectors: ignoreRules.selectors,
+      screenshot: false,
+      device,
+      mode: this.getFetchMode(competitor)
+    });
+
+    const currentContent = maskContent(fetchedContent, ignoreRules);
+    const currentSnapshot = { ...currentContent, hash: this.generateHash(filterHtml(currentContent.html, ignoreRules)) };
+    const previousSnapshot = await this.snapshotStore.getLatest(competitor.id, target.url, device);
+    const changes = previousSnapshot ? this.detectChanges(currentSnapshot, previousSnapshot) : [];
+
+    this.changeScorer.scoreChanges(changes, {
+      competitor,
+      source: 'website',
+      page: {
+        url: target.url,
+        name: target.name || this.getPageName(target.url),
+        importance: target.importance,
+        homepage: target.url === this.normalizeUrl(competitor.website)
+      }
+    });
+
+    return { hash: currentSnapshot.hash, changes };
+  }
+
+  /**
+   * Update a page's run of consecutive failed checks, and report when it crosses the
+   * availability threshold or the page comes back
+   * @param {string} competitorId - Competitor ID
+   * @param {string} pageKey - Page key
+   * @param {FetchError} fetchError - Failure of this check, or null if the page loaded
+   * @returns {Object|null} Availability change
+   */
+  async trackAvailability(competitorId, pageKey, fetchError = null) {
+    const threshold = config.fetch.availabilityThreshold;
+    const state = await this.snapshotStore.loadAvailability(competitorId, pageKey);
+
+    if (fetchError) {
+      const failures = state.failures + 1;
+      const since = state.since || new Date().toISOString();
+      await this.snapshotStore.saveAvailability(competitorId, pageKey, { failures, since, lastError: fetchError.toJSON() });
+
+      if (failures !== threshold) {
+        return null;
+      }
+
+      const blocked = fetchError.category === 'bot-challenge';
       return {
-        competitor: competitor.name,
-        website: competitor.website,
-        timestamp: new Date().toISOString(),
-        changes: [],
-        errors: [error.message],
-        metrics: {}
+        type: 'availability',
+        severity: blocked ? 'medium' : 'high',
+        description: `Page ${blocked ? 'blocked by a bot challenge' : 'unavailable'} for ${failures} consecutive checks (${fetchError.category}: ${fetchError.message})`,
+        availability: { status: 'down', failures, since, category: fetchError.category, httpStatus: fetchError.status }
       };
     }
+
+    if (state.failures === 0) {
+      return null;
+    }
+
+    await this.snapshotStore.saveAvailability(competitorId, pageKey, { failures: 0 });
+
+    if (state.failures < threshold) {
+      return null;
+    }
+
+    return {
+      type: 'availability',
+      severity: 'medium',
+      description: `Page back online after ${state.failures} failed checks (down since ${moment(state.since).format('MMM D, HH:mm')})`,
+      availability: { status: 'up', failures: state.failures, since: state.since, category: state.lastError?.category }
+    };
+  }
+
+  /**
+   * Update a competitor's technology profile with the technologies found on this run's pages.
+   * A technology counts as removed only once every page it was seen on loaded without it.
+   * @param {Object} competitor - Competitor object
+   * @param {Object} results - Website monitoring results
+   * @returns {Array} Technology changes (none on the first run, which records a baseline)
+   */
+  async updateTechProfile(competitor, results) {
+    const fetched = results.pages.filter(page => page.technologies);
+    if (fetched.length === 0) {
+      return [];
+    }
+
+    const fetchedUrls = new Set(fetched.map(page => page.url));
+    const current = new Map();
+    fetched.forEach(page => {
+      page.technologies.forEach(tech => {
+        const entry = current.get(tech.name) || { ...tech, pages: new Set() };
+        entry.pages.add(page.url);
+        current.set(tech.name, entry);
+      });
+    });
+
+    const previous = await this.loadTechProfile(competitor.id);
+    const previousByName = new Map((previous?.technologies || []).map(tech => [tech.name, tech]));
+    const changes = [];
+    const technologies = [];
+
+    current.forEach(tech => {
+      const known = previousByName.get(tech.name);
+      // Pages that did not load this time still count as pages the technology is on
+      const unchecked = (known?.pages || []).filter(url => !fetchedUrls.has(url));
+      technologies.push({
+        name: tech.name,
+        category: tech.category,
+        pages: [...tech.pages, ...unchecked],
+        firstSeenAt: known?.firstSeenAt || results.timestamp,
+        lastSeenAt: results.timestamp
+      });
+
+      if (previous && !known) {
+        changes.push(this.createTechChange(competitor, tech, 'added', [...tech.pages]));
+      }
+    });
+
+    previousByName.forEach(tech => {
+      if (current.has(tech.name)) {
+        return;
+      }
+
+      // Pages that loaded without it are done with; the others are checked again on later runs
+      const unchecked = tech.pages.filter(url => !fetchedUrls.has(url));
+      if (unchecked.length === 0) {
+        changes.push(this.createTechChange(competitor, tech, 'removed', tech.pages));
+      } else {
+        technologies.push({ ...tech, pages: unchecked });
+      }
+    });
+
+    await this.saveTechProfile(competitor.id, {
+      updatedAt: results.timestamp,
+      technologies: technologies.sort((a, b) => a.name.localeCompare(b.name))
+    });
+
+    return changes;
+  }
+
+  createTechChange(competitor, tech, action, pages) {
+    const category = getCategory(tech.category);
+    return {
+      type: 'technology',
+      severity: category.severity,
+      description: `Technology ${action}: ${tech.name} (${category.label})`,
+      technology: { name: tech.name, category: tech.category, action, pages },
+      page: this.normalizeUrl(competitor.website),
+      pageName: 'Technology stack'
+    };
+  }
+
+  /**
+   * Load the technology profile of a competitor
+   * @param {string} competitorId - Competitor ID
+   * @returns {Object|null} Profile ({ updatedAt, technologies })
+   */
+  async loadTechProfile(competitorId) {
+    if (this.storage) {
+      return this.storage.getTechProfile(competitorId);
+    }
+
+    try {
+      const data = await fs.readFile(path.join(this.technologiesDir, `${competitorId}.json`), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async saveTechProfile(competitorId, profile) {
+    try {
+      if (this.storage) {
+        this.storage.saveTechProfile(competitorId, profile);
+        return;
+      }
+
+      await fs.mkdir(this.technologiesDir, { recursive: true });
+      await fs.writeFile(path.join(this.technologiesDir, `${competitorId}.json`), JSON.stringify(profile, null, 2));
+    } catch (error) {
+      logger.error(`Failed to save technology profile for ${competitorId}`, error);
+    }
+  }
+
+  /**
+   * Record site-level changes in the database, when one is configured
+   */
+  recordSiteChanges(runId, competitor, changes) {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.recordSiteChanges(runId, competitor.id, changes);
+    } catch (error) {
+      logger.error(`Failed to record site changes for ${competitor.name}`, error);
+    }
+  }
+
+  /**
+   * Record a page result and its changes in the database, when one is configured
+   * @param {number|null} runId - Monitoring run ID
+   * @param {Object} competitor - Competitor object
+   * @param {Object} pageResult - Page result
+   * @param {Object} snapshot - Current snapshot ({ hash, title })
+   */
+  recordPageResult(runId, competitor, pageResult, snapshot = {}) {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.recordPageResult(runId, competitor.id, pageResult, snapshot);
+    } catch (error) {
+      logger.error(`Failed to record page result for ${competitor.name} (${pageResult.url})`, error);
+    }
+  }
+
+  /**
+   * Get the list of pages to monitor for a competitor
+   * @param {Object} competitor - Competitor object
+   * @returns {Array} Tracked pages ({ url, name, importance, critical }), homepage first
+   */
+  getTrackedPages(competitor) {
+    const pages = [{ url: this.normalizeUrl(competitor.website), name: 'Homepage' }];
+
+    (competitor.pages || []).forEach(page => {
+      const entry = typeof page === 'string' ? { url: page } : page;
+
+      try {
+        const url = this.normalizeUrl(new URL(entry.url, competitor.website).href);
+        const existing = pages.find(tracked => tracked.url === url);
+        if (!existing) {
+          pages.push({ url, name: entry.name || null, importance: entry.importance, critical: entry.critical === true });
+        } else if (existing === pages[0]) {
+          // The homepage can be listed to give it an importance or flag it as critical
+          Object.assign(existing, { importance: entry.importance, critical: entry.critical === true });
+        }
+      } catch (error) {
+        logger.warn(`Ignoring invalid tracked page for ${competitor.name}: ${entry.url}`);
+      }
+    });
+
+    // Pages extraction rules read from are always monitored
+    this.getExtractionRules(competitor).forEach(rule => {
+      if (!pages.some(existing => existing.url === rule.url)) {
+        pages.push({ url: rule.url, name: null });
+      }
+    });
+
+    return pages;
+  }
+
+  /**
+   * Get a competitor's extraction rules, with the URL of the page each one is evaluated on
+   * @param {Object} competitor - Competitor object
+   * @returns {Array} Extraction rules ({ name, url, selector | xpath, attribute, regex, type, severity })
+   */
+  getExtractionRules(competitor) {
+    return (competitor.extract || []).flatMap(rule => {
+      try {
+        return [{ ...rule, url: this.normalizeUrl(new URL(rule.page || competitor.website, competitor.website).href) }];
+      } catch (error) {
+        logger.warn(`Ignoring extraction rule "${rule.name}" for ${competitor.name}: invalid page ${rule.page}`);
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Evaluate extraction rules on a page; a rule that fails is reported as a page error
+   * @param {string} html - Page HTML
+   * @param {Array} rules - Extraction rules
+   * @param {Object} pageResult - Page result the errors are added to
+   * @returns {Array} Extracted fields ({ rule, value, display })
+   */
+  extractFields(html, rules, pageResult) {
+    return rules.flatMap(rule => {
+      try {
+        return [{ rule, ...extractField(html, rule) }];
+      } catch (error) {
+        pageResult.errors.push(`Extraction rule "${rule.name}" failed: ${error.message}`);
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Get the device profiles a competitor's pages are captured with
+   * @param {Object} competitor - Competitor object
+   * @returns {Array} Device profile names, known profiles only
+   */
+  getDevices(competitor) {
+    const devices = (competitor.devices || config.devices.default)
+      .filter(device => config.devices.profiles[device]);
+
+    return devices.length > 0 ? [...new Set(devices)] : ['desktop'];
+  }
+
+  /**
+   * Get how a competitor's pages are fetched
+   * @param {Object} competitor - Competitor object
+   * @returns {string} auto, http or browser
+   */
+  getFetchMode(competitor) {
+    return competitor.fetchMode || config.fetch.mode;
+  }
+
+  /**
+   * Get crawl options for a competitor, merged with the global defaults
+   * @param {Object} competitor - Competitor object
+   * @returns {Object|null} Crawl options, or null if crawling is disabled
+   */
+  getCrawlOptions(competitor) {
+    if (!competitor.crawl || competitor.crawl.enabled === false) {
+      return null;
+    }
+
+    return {
+      maxDepth: competitor.crawl.maxDepth ?? config.crawl.maxDepth,
+      maxPages: competitor.crawl.maxPages ?? config.crawl.maxPages,
+      include: this.compilePatterns(competitor, 'include', competitor.crawl.include),
+      exclude: this.compilePatterns(competitor, 'exclude', competitor.crawl.exclude)
+    };
+  }
+
+  /**
+   * Compile crawl patterns, leaving out (and logging) invalid ones from hand-edited competitor files
+   * @param {Object} competitor - Competitor object
+   * @param {string} key - include or exclude
+   * @param {Array} patterns - Regular expressions
+   * @returns {Array} Compiled patterns
+   */
+  compilePatterns(competitor, key, patterns = []) {
+    return patterns.flatMap(pattern => {
+      try {
+        return [new RegExp(pattern)];
+      } catch (error) {
+        logger.warn(`Ignoring invalid crawl.${key} pattern for ${competitor.name}: ${error.message}`);
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Extract crawlable same-origin links from a page
+   * @param {string} html - Page HTML
+   * @param {string} baseUrl - URL the HTML was loaded from
+   * @param {Object} crawl - Crawl options
+   * @returns {Array} Normalized URLs, in document order
+   */
+  extractLinks(html, baseUrl, crawl) {
+    const $ = cheerio.load(html);
+    const origin = new URL(baseUrl).origin;
+    const links = [];
+
+    $('a[href]').each((i, element) => {
+      let url;
+      try {
+        url = new URL($(element).attr('href'), baseUrl);
+      } catch (error) {
+        return;
+      }
+
+      if (url.origin !== origin || !['http:', 'https:'].includes(url.protocol)) {
+        return;
+      }
+
+      const pathWithQuery = `${url.pathname}${url.search}`;
+      if (crawl.include.length > 0 && !crawl.include.some(pattern => pattern.test(pathWithQuery))) {
+        return;
+      }
+      if (crawl.exclude.some(pattern => pattern.test(pathWithQuery))) {
+        return;
+      }
+
+      const normalized = this.normalizeUrl(url.href);
+      if (!links.includes(normalized)) {
+        links.push(normalized);
+      }
+    });
+
+    return links;
+  }
+
+  /**
+   * Normalize a URL so the same page is always tracked under the same key
+   * @param {string} url - URL
+   * @returns {string} URL without fragment and trailing slash
+   */
+  normalizeUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+      parsed.pathname = parsed.pathname.slice(0, -1);
+    }
+    return parsed.href;
+  }
+
+  /**
+   * Derive a readable page name from its URL
+   * @param {string} url - Page URL
+   * @returns {string} Page name
+   */
+  getPageName(url) {
+    const { pathname } = new URL(url);
+    return pathname === '/' ? 'Homepage' : pathname;
+  }
+
+  /**
+   * Wait for the given number of milliseconds
+   * @param {number} ms - Delay
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Get page content, retrying transient failures with exponential backoff
+   * @param {string} url - Website URL
+   * @param {Object} options - Fetch options
+   * @param {Array} options.ignoreSelectors - Elements left out of the text content and metrics
+   * @param {boolean} options.screenshot - Also capture a full-page PNG screenshot (needs the browser)
+   * @param {string} options.device - Device profile to emulate (user agent, viewport, touch)
+   * @param {string} options.mode - browser (Puppeteer), http (plain request parsed with Cheerio),
+   *   or auto (http, falling back to the browser for pages that need JavaScript)
+   * @returns {Object} Page content and metadata (html is the unfiltered markup)
+   * @throws {FetchError} When the page could not be loaded, classified by cause
+   */
+  async getPageContent(url, options = {}) {
+    const { retries, retryBackoff } = config.fetch;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.fetchPage(url, options);
+      } catch (error) {
+        const fetchError = classifyError(error);
+        fetchError.attempts = attempt;
+
+        if (!fetchError.retryable || attempt > retries) {
+          logger.error(`Failed to get page content for ${url} (${fetchError.category}, ${attempt} attempts)`, fetchError);
+          throw fetchError;
+        }
+
+        const backoff = retryBackoff * 2 ** (attempt - 1);
+        logger.warn(`Fetching ${url} failed (${fetchError.category}: ${fetchError.message}), retrying in ${backoff}ms`);
+        await this.delay(backoff);
+      }
+    }
+  }
+
+  /**
+   * Fetch a page once with the requested strategy
+   * @param {string} url - Website URL
+   * @param {Object} options - Fetch options (see getPageContent)
+   * @returns {Object} Page content and metadata
+   */
+  async fetchPage(url, { mode = 'browser', ...options } = {}) {
+    const origin = new URL(url).origin;
+    const browserOrigins = mode === 'auto' ? await this.getBrowserOrigins() : null;
+    const useHttp = mode === 'http'
+      || (mode === 'auto' && !options.screenshot && !browserOrigins.has(origin));
+
+    if (!useHttp) {
+      return this.loadPage(url, options);
+    }
+
+    let content;
+    try {
+      content = await this.loadStaticPage(url, options);
+    } catch (error) {
+      // Some sites only challenge or forbid clients that do not run JavaScript
+      const fetchError = classifyError(error);
+      if (mode === 'http' || !(fetchError.category === 'bot-challenge' || fetchError.status === 403)) {
+        throw fetchError;
+      }
+      content = null;
+    }
+
+    if (mode === 'http' || (content && !this.needsBrowser(content))) {
+      return content;
+    }
+
+    logger.debug(`${url} needs a browser, falling back from HTTP fetch`);
+    const rendered = await this.loadPage(url, options);
+
+    // When scripts or a challenge clearly made the difference, the site is loaded in the browser from now on,
+    // so its snapshots keep comparing like with like
+    if (!content || rendered.metrics.wordCount > 2 * content.metrics.wordCount) {
+      browserOrigins.add(origin);
+      await this.saveBrowserOrigins();
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Origins that auto mode loads in the browser, kept across runs (database, or browser-origins.json)
+   * @returns {Set} Origins
+   */
+  async getBrowserOrigins() {
+    if (!this.browserOrigins) {
+      // Keep the pending read, so concurrent workers share it
+      this.browserOrigins = (async () => {
+        try {
+          const data = this.storage ? this.storage.getMeta('browser_origins') : await fs.readFile(this.browserOriginsFile, 'utf8');
+          return new Set(data ? JSON.parse(data) : []);
+        } catch (error) {
+          return new Set();
+        }
+      })();
+    }
+
+    return this.browserOrigins;
+  }
+
+  async saveBrowserOrigins() {
+    try {
+      // Keep what another monitor (the alert watch has its own) added meanwhile
+      const browserOrigins = await this.getBrowserOrigins();
+      const stored = this.storage ? this.storage.getMeta('browser_origins') : await fs.readFile(this.browserOriginsFile, 'utf8').catch(() => null);
+      JSON.parse(stored || '[]').forEach(origin => browserOrigins.add(origin));
+
+      const data = JSON.stringify([...browserOrigins].sort());
+      if (this.storage) {
+        this.storage.setMeta('browser_origins', data);
+        return;
+      }
+
+      await fs.mkdir(this.snapshotsDir, { recursive: true });
+      await fs.writeFile(this.browserOriginsFile, data);
+    } catch (error) {
+      logger.error('Failed to save browser origins', error);
+    }
   }
 
   /**
-   * Get page content using Puppeteer
+   * Load a page with a plain HTTP request and parse it with Cheerio.
+   * Returns the same shape as loadPage, without running scripts or taking screenshots.
    * @param {string} url - Website URL
+   * @param {Object} options - Fetch options (see getPageContent)
    * @returns {Object} Page content and metadata
    */
-  async getPageContent(url) {
+  async loadStaticPage(url, { ignoreSelectors = [] } = {}) {
+    await this.crawlPolicy.wait(url);
+
+    const response = await axios.get(url, {
+      timeout: config.fetch.timeout,
+      responseType: 'text',
+      maxContentLength: 10 * 1024 * 1024,
+      validateStatus: () => true,
+      headers: {
+        'User-Agent': config.crawler.userAgent,
+        'Accept': 'text/html,application/xhtml+xml'
+      }
+    });
+
+    const html = String(response.data);
+    const status = response.status;
+    const headers = omit({ ...response.headers }, 'set-cookie');
+    const cookies = [].concat(response.headers['set-cookie'] || []).map(cookie => cookie.split('=')[0].trim());
+    const $ = cheerio.load(html);
+    const title = $('title').first().text().replace(/\s+/g, ' ').trim();
+
+    const failure = classifyResponse(status, headers, { title, html });
+    if (failure) {
+      throw failure;
+    }
+
+    // Drop ignored regions and non-visible markup before reading the text
+    $('script, style, noscript, template, head').remove();
+    ignoreSelectors.forEach(selector => {
+      try {
+        $(selector).remove();
+      } catch (error) {
+        // Skip selectors Cheerio cannot parse
+      }
+    });
+
+    const textContent = this.extractText($);
+
+    return {
+      html,
+      title,
+      url: response.request?.res?.responseUrl || url,
+      status,
+      headers,
+      cookies,
+      fetchMode: 'http',
+      textContent,
+      metrics: {
+        wordCount: textContent.split(/\s+/).length,
+        linkCount: $('a').length,
+        imageCount: $('img').length,
+        headingCount: $('h1, h2, h3, h4, h5, h6').length
+      },
+      performance: null,
+      screenshot: null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Read the text of a parsed page, one line per block element, close to what the browser's innerText gives
+   * @param {Object} $ - Cheerio document
+   * @returns {string} Text content
+   */
+  extractText($) {
+    $('br').replaceWith('\n');
+    $('p, div, section, article, header, footer, nav, aside, main, li, tr, h1, h2, h3, h4, h5, h6, blockquote, pre, form, table, ul, ol, dl, dt, dd, figure, figcaption')
+      .each((i, element) => {
+        $(element).prepend('\n').append('\n');
+      });
+
+    return $('body').text()
+      .split('\n')
+      .map(line => line.replace(/\s+/g, ' ').trim())
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  /**
+   * Check whether a page fetched over plain HTTP only renders its content with JavaScript
+   * @param {Object} content - Page content from loadStaticPage
+   * @returns {boolean} True if the page should be loaded in the browser
+   */
+  needsBrowser(content) {
+    if (content.metrics.wordCount < config.fetch.minStaticWords) {
+      return true;
+    }
+
+    // Empty single-page-app mount points
+    const $ = cheerio.load(content.html);
+    return $('#root, #app, #__next, #__nuxt, [ng-app], app-root').toArray()
+      .some(element => $(element).text().trim().length === 0);
+  }
+
+  /**
+   * Load a page once in a new browser tab
+   * @param {string} url - Website URL
+   * @param {Object} options - Fetch options (see getPageContent)
+   * @returns {Object} Page content and metadata
+   */
+  async loadPage(url, { ignoreSelectors = [], screenshot = false, device = 'desktop' } = {}) {
     const browser = await this.initBrowser();
+    const profile = config.devices.profiles[device] || config.devices.profiles.desktop;
+    let page;
+
+    await this.crawlPolicy.wait(url);
 
     try {
-      const page = await browser.newPage();
+      page = await browser.newPage();
 
-      // Set user agent to avoid detection
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36');
+      // Emulate the device profile, with the agent's own token appended so the crawler stays identifiable
+      await page.setUserAgent(`${profile.userAgent} ${config.crawler.userAgent}`);
+      await page.setViewport(profile.viewport);
 
-      // Set viewport
-      await page.setViewport({ width: 1920, height: 1080 });
+      // Measure navigation timing, Core Web Vitals and network totals of the page load
+      const performanceCapture = config.performance.enabled
+        ? await startPerformanceCapture(page).catch(error => {
+          logger.warn(`Failed to start performance capture for ${url}: ${error.message}`);
+          return null;
+        })
+        : null;
 
       // Navigate to page with timeout
-      await page.goto(url, {
+      const response = await page.goto(url, {
         waitUntil: 'networkidle2',
-        timeout: 30000
+        timeout: config.fetch.timeout
       });
 
       // Wait for content to load
@@ -146,7 +1030,41 @@ class WebsiteMonitor {
       // Get page content
       const html = await page.content();
       const title = await page.title();
-      const url = page.url();
+      const finalUrl = page.url();
+
+      // Keep the response status and headers (minus cookies), and fail on error pages and bot challenges
+      const status = response ? response.status() : null;
+      const headers = response ? omit(response.headers(), 'set-cookie') : {};
+      const cookies = (await page.cookies()).map(cookie => cookie.name);
+      const failure = status ? classifyResponse(status, headers, { title, html }) : null;
+      if (failure) {
+        throw failure;
+      }
+
+      // Read the measurement before screenshots and element removal add layout shifts and tasks
+      const pagePerformance = performanceCapture
+        ? await performanceCapture.collect(finalUrl).catch(error => {
+          logger.warn(`Failed to collect performance metrics for ${url}: ${error.message}`);
+          return null;
+        })
+        : null;
+
+      // Capture the rendering with ignored regions hidden (not removed, so the layout does not shift)
+      let screenshotPng = null;
+      if (screenshot) {
+        screenshotPng = await this.captureScreenshot(page, ignoreSelectors);
+      }
+
+      // Drop ignored regions before reading the visible text
+      await page.evaluate((selectors) => {
+        selectors.forEach(selector => {
+          try {
+            document.querySelectorAll(selector).forEach(element => element.remove());
+          } catch (error) {
+            // Skip selectors the browser cannot parse
+          }
+        });
+      }, ignoreSelectors);
 
       // Extract text content
       const textContent = await page.evaluate(() => {
@@ -168,14 +1086,57 @@ class WebsiteMonitor {
       return {
         html,
         title,
-        url,
+        url: finalUrl,
+        status,
+        headers,
+        cookies,
+        fetchMode: 'browser',
         textContent,
         metrics,
+        performance: pagePerformance,
+        screenshot: screenshotPng,
         timestamp: new Date().toISOString()
       };
 
     } catch (error) {
-      logger.error(`Failed to get page content for ${url}`, error);
+      if (page && !page.isClosed()) {
+        await page.close().catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Capture a full-page screenshot, cropped to the configured maximum height
+   * @param {Object} page - Puppeteer page
+   * @param {Array} ignoreSelectors - Elements hidden before capturing
+   * @returns {Buffer|null} PNG screenshot
+   */
+  async captureScreenshot(page, ignoreSelectors = []) {
+    try {
+      const height = await page.evaluate((selectors) => {
+        selectors.forEach(selector => {
+          try {
+            document.querySelectorAll(selector).forEach(element => {
+              if (element.style) {
+                element.style.setProperty('visibility', 'hidden', 'important');
+              }
+            });
+          } catch (error) {
+            // Skip selectors the browser cannot parse
+          }
+        });
+        return document.documentElement.scrollHeight;
+      }, ignoreSelectors);
+
+      const viewport = page.viewport();
+      return await page.screenshot({
+        type: 'png',
+        captureBeyondViewport: true,
+        clip: { x: 0, y: 0, width: viewport.width, height: Math.min(height, config.screenshots.maxHeight) }
+      });
+    } catch (error) {
+      logger.warn(`Failed to capture screenshot of ${page.url()}: ${error.message}`);
       return null;
     }
   }
@@ -192,33 +1153,149 @@ class WebsiteMonitor {
   /**
    * Load previous snapshot for comparison
    * @param {string} competitorId - Competitor ID
+   * @param {string} url - Page URL
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.isHomepage - Also import the legacy single-page snapshot
+   * @param {string} options.device - Device profile
+   * @param {Object} options.ignoreRules - Ignore rules, to rehash an imported legacy snapshot
    * @returns {Object|null} Previous snapshot
    */
-  async loadPreviousSnapshot(competitorId) {
+  async loadPreviousSnapshot(competitorId, url, { isHomepage = false, device = 'desktop', ignoreRules = { selectors: [], patterns: [] } } = {}) {
     try {
-      const snapshotPath = path.join(this.snapshotsDir, `${competitorId}.json`);
-      const snapshotData = await fs.readFile(snapshotPath, 'utf8');
-      return JSON.parse(snapshotData);
+      const latest = await this.snapshotStore.getLatest(competitorId, url, device);
+      if (latest) {
+        return latest;
+      }
+
+      // Carry over the homepage snapshot written before history was kept (always a desktop capture)
+      const prepare = snapshot => {
+        const content = maskContent(snapshot, ignoreRules);
+        return { ...content, hash: this.generateHash(filterHtml(content.html, ignoreRules)) };
+      };
+      if (isHomepage && device === 'desktop' && await this.snapshotStore.importLegacySnapshot(competitorId, url, prepare)) {
+        return await this.snapshotStore.getLatest(competitorId, url);
+      }
+
+      return null;
     } catch (error) {
-      // No previous snapshot exists
+      logger.error(`Failed to load previous snapshot for ${competitorId} (${url})`, error);
       return null;
     }
   }
 
   /**
-   * Save current snapshot
+   * Save current snapshot as a new version
    * @param {string} competitorId - Competitor ID
+   * @param {string} url - Page URL
    * @param {Object} snapshot - Snapshot data
+   * @param {string} device - Device profile
+   * @returns {Object|null} Version record
+   */
+  async saveSnapshot(competitorId, url, snapshot, device = 'desktop') {
+    try {
+      return await this.snapshotStore.save(competitorId, url, snapshot, device);
+    } catch (error) {
+      logger.error(`Failed to save snapshot for ${competitorId} (${url})`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether screenshots are captured for a competitor
+   * @param {Object} competitor - Competitor object
+   * @returns {boolean} True if enabled
    */
-  async saveSnapshot(competitorId, snapshot) {
+  isScreenshotEnabled(competitor) {
+    return config.screenshots.enabled && competitor.monitoring?.screenshots !== false;
+  }
+
+  /**
+   * Compare a new screenshot with the previous capture of the page
+   * @param {string} competitorId - Competitor ID
+   * @param {string} pageKey - Page key
+   * @param {Buffer} screenshot - New screenshot
+   * @param {Object} previous - Previous screenshot ({ version, png })
+   * @returns {Object|null} Comparison (its overlay is null below SCREENSHOT_MIN_CHANGE_PERCENT), or null if it failed
+   */
+  compareWithPreviousScreenshot(competitorId, pageKey, screenshot, previous) {
     try {
-      const snapshotPath = path.join(this.snapshotsDir, `${competitorId}.json`);
-      await fs.writeFile(snapshotPath, JSON.stringify(snapshot, null, 2));
+      return compareScreenshots(previous.png, screenshot, {
+        threshold: config.screenshots.threshold,
+        maxHeight: config.screenshots.maxHeight,
+        minChangePercent: config.screenshots.minChangePercent
+      });
     } catch (error) {
-      logger.error(`Failed to save snapshot for ${competitorId}`, error);
+      logger.error(`Failed to compare screenshots for ${competitorId}/${pageKey}`, error);
+      return null;
     }
   }
 
+  /**
+   * Store a thumbnail of a new screenshot and, when the page changed, a highlighted diff overlay
+   * @param {string} competitorId - Competitor ID
+   * @param {Object} version - Version record of the new snapshot
+   * @param {Buffer} screenshot - New screenshot
+   * @param {Object|null} previous - Previous screenshot ({ version, png })
+   * @param {Object|null} diff - Comparison with the previous screenshot
+   * @returns {Object|null} Visual change, or null if the rendering did not change noticeably
+   */
+  async detectVisualChange(competitorId, version, screenshot, previous, diff) {
+    try {
+      await this.snapshotStore.saveScreenshot(competitorId, version.pageKey, version.version, createThumbnail(screenshot), 'thumb');
+
+      if (!previous || !diff?.overlay) {
+        return null;
+      }
+
+      await this.snapshotStore.saveScreenshot(competitorId, version.pageKey, version.version, diff.overlay, 'diff');
+      await this.snapshotStore.saveScreenshot(competitorId, version.pageKey, version.version, createThumbnail(diff.overlay), 'diff-thumb');
+
+      return {
+        type: 'visual',
+        description: `Visual change: ${diff.changePercent}% of the page rendering changed`,
+        severity: diff.changePercent >= 30 ? 'high' : diff.changePercent >= 10 ? 'medium' : 'low',
+        visual: {
+          pageKey: version.pageKey,
+          previousVersion: previous.version,
+          version: version.version,
+          changePercent: diff.changePercent
+        }
+      };
+    } catch (error) {
+      logger.error(`Failed to save the visual diff for ${competitorId}/${version.pageKey}`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Compare two stored versions of a page
+   * @param {string} competitorId - Competitor ID
+   * @param {string} pageKey - Page key
+   * @param {number} fromVersion - Older version
+   * @param {number} toVersion - Newer version
+   * @returns {Object|null} Changes between the versions, or null if a version does not exist
+   */
+  async diffVersions(competitorId, pageKey, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.snapshotStore.getVersion(competitorId, pageKey, fromVersion),
+      this.snapshotStore.getVersion(competitorId, pageKey, toVersion)
+    ]);
+
+    if (!from || !to) {
+      return null;
+    }
+
+    return {
+      competitorId,
+      pageKey,
+      url: to.url,
+      from: { version: from.version, timestamp: from.timestamp },
+      to: { version: to.version, timestamp: to.timestamp },
+      changes: this.detectChanges(to, from),
+      metrics: this.calculateMetrics(to, from)
+    };
+  }
+
   /**
    * Detect changes between current and previous content
    * @param {Object} current - Current content
@@ -230,11 +1307,7 @@ class WebsiteMonitor {
 
     // Check if content hash changed
     if (current.hash !== previous.hash) {
-      changes.push({
-        type: 'content',
-        description: 'Page content has changed',
-        severity: 'medium'
-      });
+      changes.push(this.describeContentChange(current, previous));
     }
 
     // Check title changes
@@ -306,46 +1379,84 @@ class WebsiteMonitor {
   }
 
   /**
-   * Calculate overall change rate
+   * Build the content change record, with the paragraphs added and removed
    * @param {Object} current - Current content
    * @param {Object} previous - Previous content
-   * @returns {number} Change rate percentage
+   * @returns {Object} Content change
    */
-  calculateChangeRate(current, previous) {
-    // Simple change rate calculation based on content similarity
-    const currentWords = current.textContent.split(/\s+/);
-    const previousWords = previous.textContent.split(/\s+/);
+  describeContentChange(current, previous) {
+    const diff = diffText(previous.textContent, current.textContent);
 
-    const commonWords = currentWords.filter(word => previousWords.includes(word));
-    const changeRate = 1 - (commonWords.length / Math.max(currentWords.length, previousWords.length));
+    if (diff.addedCount === 0 && diff.removedCount === 0) {
+      return {
+        type: 'content',
+        description: 'Page markup has changed (no visible text changes)',
+        severity: 'low'
+      };
+    }
 
-    return changeRate;
+    const parts = [];
+    if (diff.addedCount > 0) {
+      parts.push(`${diff.addedCount} block${diff.addedCount === 1 ? '' : 's'} added`);
+    }
+    if (diff.removedCount > 0) {
+      parts.push(`${diff.removedCount} block${diff.removedCount === 1 ? '' : 's'} removed`);
+    }
+
+    return {
+      type: 'content',
+      description: `Page text changed: ${parts.join(', ')}`,
+      severity: diff.changeRate > 0.3 ? 'high' : 'medium',
+      diff: {
+        added: diff.added,
+        removed: diff.removed,
+        hunks: diff.hunks,
+        truncated: diff.truncated,
+        changeRate: diff.changeRate
+      }
+    };
+  }
+
+  /**
+   * Calculate overall change rate
+   * @param {Object} current - Current content
+   * @param {Object} previous - Previous content
+   * @returns {number} Share of text blocks added or removed (0-1)
+   */
+  calculateChangeRate(current, previous) {
+    return diffText(previous.textContent, current.textContent).changeRate;
   }
 
   /**
    * Monitor multiple competitors
    * @param {Array} competitors - List of competitors
+   * @param {Object} options - Monitoring options
+   * @param {number} options.runId - Monitoring run the results are recorded under
    * @returns {Array} Monitoring results for all competitors
    */
-  async monitorAll(competitors) {
-    logger.info(`Starting website monitoring for ${competitors.length} competitors`);
+  async monitorAll(competitors, { runId = null } = {}) {
+    const withWebsite = competitors.filter(competitor => competitor.monitoring?.website);
+    const { competitors: concurrency, runBudget } = config.concurrency;
+    const deadline = Date.now() + runBudget;
+    logger.info(`Starting website monitoring for ${withWebsite.length} competitors (concurrency ${concurrency})`);
 
-    const results = [];
+    try {
+      const results = await runPool(withWebsite, competitor => {
+        if (Date.now() > deadline) {
+          logger.competitor(competitor.name, 'Skipping website monitoring: run time budget exceeded');
+          const result = this.createResult(competitor);
+          result.errors.push('Skipped: run time budget exceeded');
+          return result;
+        }
 
-    for (const competitor of competitors) {
-      if (competitor.monitoring?.website) {
-        const result = await this.monitorWebsite(competitor);
-        results.push(result);
+        return this.monitorWebsite(competitor, { runId, deadline });
+      }, { concurrency });
 
-        // Add delay between requests to be respectful
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
+      logger.info(`Website monitoring completed for ${results.length} competitors`);
+      return results;
+    } finally {
+      await this.closeBrowser();
     }
-
-    await this.closeBrowser();
-
-    logger.info(`Website monitoring completed for ${results.length} competitors`);
-    return results;
   }
 }
 
@@ -0,0 +1,74 @@
+const logger = require('../utils/logger');
+const { config } = require('../config');
+
+let storage;
+
+/**
+ * Create a storage backend for a database URL
+ * @param {string} url - Database URL (e.g. sqlite://./data/competitors.db)
+ * @returns {Object} Storage backend, already migrated
+ */
+const createStorage = (url) => {
+  const match = /^(\w+):\/\/(.+)$/.exec(url);
+  if (!match) {
+    throw new Error(`Invalid database URL: ${url}`);
+  }
+
+  const [, scheme, location] = match;
+
+  switch (scheme) {
+    case 'sqlite': {
+      const SqliteStorage = require('./sqliteStorage');
+      const backend = new SqliteStorage(location);
+      backend.migrate();
+      return backend;
+    }
+
+    default:
+      throw new Error(`Unsupported database type: ${scheme}`);
+  }
+};
+
+/**
+ * Get the shared storage backend.
+ * Returns null when no database is configured (DATABASE_URL=none) or it cannot be opened,
+ * in which case callers keep using their JSON/HTML files.
+ * @returns {Object|null} Storage backend
+ */
+const getStorage = () => {
+  if (storage !== undefined) {
+    return storage;
+  }
+
+  const url = config.database.url;
+  if (!url || url === 'none') {
+    storage = null;
+    return storage;
+  }
+
+  try {
+    storage = createStorage(url);
+    logger.info(`Using database storage: ${url}`);
+  } catch (error) {
+    logger.error('Failed to open database, falling back to file storage', error);
+    storage = null;
+  }
+
+  return storage;
+};
+
+/**
+ * Close the shared storage backend, if open
+ */
+const closeStorage = () => {
+  if (storage) {
+    storage.close();
+  }
+  storage = undefined;
+};
+
+module.exports = {
+  createStorage,
+  getStorage,
+  closeStorage
+};
@@ -0,0 +1,245 @@
+/**
+ * Schema migrations, applied in order. Never edit a released migration: add a new one.
+ */
+module.exports = [
+  {
+    version: 1,
+    name: 'initial schema',
+    up: `
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+
+      CREATE TABLE competitors (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        website TEXT NOT NULL,
+        data TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE monitoring_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trigger TEXT NOT NULL,
+        status TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        duration INTEGER,
+        report_id TEXT,
+        error TEXT,
+        stats TEXT
+      );
+
+      CREATE TABLE page_results (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER REFERENCES monitoring_runs(id) ON DELETE CASCADE,
+        competitor_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        name TEXT,
+        page_key TEXT,
+        snapshot_version INTEGER,
+        hash TEXT,
+        title TEXT,
+        metrics TEXT,
+        errors TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_page_results_run ON page_results(run_id);
+      CREATE INDEX idx_page_results_competitor ON page_results(competitor_id, url);
+
+      CREATE TABLE change_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER REFERENCES monitoring_runs(id) ON DELETE CASCADE,
+        page_result_id INTEGER REFERENCES page_results(id) ON DELETE CASCADE,
+        competitor_id TEXT NOT NULL,
+        url TEXT,
+        type TEXT NOT NULL,
+        severity TEXT,
+        description TEXT,
+        data TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_change_events_run ON change_events(run_id);
+      CREATE INDEX idx_change_events_competitor ON change_events(competitor_id, created_at);
+
+      CREATE TABLE reports (
+        id TEXT PRIMARY KEY,
+        run_id INTEGER REFERENCES monitoring_runs(id) ON DELETE SET NULL,
+        generated_at TEXT NOT NULL,
+        period TEXT,
+        summary TEXT,
+        files TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'price observations',
+    up: `
+      CREATE TABLE price_observations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER REFERENCES monitoring_runs(id) ON DELETE SET NULL,
+        competitor_id TEXT NOT NULL,
+        product_key TEXT NOT NULL,
+        name TEXT,
+        sku TEXT,
+        url TEXT,
+        price REAL,
+        currency TEXT,
+        availability TEXT,
+        observed_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_price_observations_product ON price_observations(competitor_id, product_key, observed_at);
+    `
+  },
+  {
+    version: 3,
+    name: 'seo snapshots',
+    up: `
+      CREATE TABLE seo_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER REFERENCES monitoring_runs(id) ON DELETE SET NULL,
+        competitor_id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        events TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_seo_snapshots_competitor ON seo_snapshots(competitor_id, id);
+    `
+  },
+  {
+    version: 4,
+    name: 'discovered content',
+    up: `
+      CREATE TABLE content_items (
+        competitor_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        title TEXT,
+        lastmod TEXT,
+        source TEXT,
+        first_seen_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL,
+        removed_at TEXT,
+        PRIMARY KEY (competitor_id, url)
+      );
+    `
+  },
+  {
+    version: 5,
+    name: 'page result device',
+    up: `
+      ALTER TABLE page_results ADD COLUMN device TEXT NOT NULL DEFAULT 'desktop';
+    `
+  },
+  {
+    version: 6,
+    name: 'page fetch status',
+    up: `
+      ALTER TABLE page_results ADD COLUMN http_status INTEGER;
+      ALTER TABLE page_results ADD COLUMN error_category TEXT;
+    `
+  },
+  {
+    version: 7,
+    name: 'technology profiles',
+    up: `
+      CREATE TABLE technology_profiles (
+        competitor_id TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 8,
+    name: 'performance metrics',
+    up: `
+      CREATE TABLE performance_metrics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER REFERENCES monitoring_runs(id) ON DELETE SET NULL,
+        competitor_id TEXT NOT NULL,
+        url TEXT NOT NULL,
+        device TEXT NOT NULL,
+        measured_at TEXT NOT NULL,
+        ttfb REAL,
+        fcp REAL,
+        dom_content_loaded REAL,
+        load REAL,
+        lcp REAL,
+        cls REAL,
+        tbt REAL,
+        transfer_size INTEGER,
+        request_count INTEGER,
+        third_party_share REAL
+      );
+
+      CREATE INDEX idx_performance_metrics_page ON performance_metrics(competitor_id, url, device, id);
+    `
+  },
+  {
+    version: 9,
+    name: 'extracted field values',
+    up: `
+      CREATE TABLE field_values (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER REFERENCES monitoring_runs(id) ON DELETE SET NULL,
+        competitor_id TEXT NOT NULL,
+        field TEXT NOT NULL,
+        url TEXT NOT NULL,
+        type TEXT NOT NULL,
+        value TEXT,
+        display TEXT,
+        observed_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_field_values_field ON field_values(competitor_id, field, id);
+    `
+  },
+  {
+    version: 10,
+    name: 'notification deliveries',
+    up: `
+      CREATE TABLE notification_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        run_id INTEGER REFERENCES monitoring_runs(id) ON DELETE SET NULL,
+        channel TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        reference TEXT,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL,
+        error TEXT,
+        duration INTEGER,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_notification_deliveries_channel ON notification_deliveries(channel, id);
+    `
+  },
+  {
+    version: 11,
+    name: 'report subscribers',
+    up: `
+      CREATE TABLE subscribers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        name TEXT,
+        competitors TEXT NOT NULL,
+        tags TEXT NOT NULL,
+        min_severity TEXT NOT NULL,
+        depth TEXT NOT NULL,
+        token TEXT NOT NULL UNIQUE,
+        unsubscribed_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+    `
+  }
+];
@@ -0,0 +1,688 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('../utils/logger');
+const migrations = require('./migrations');
+
+const toJson = value => (value === undefined ? null : JSON.stringify(value));
+const fromJson = value => (value == null ? null : JSON.parse(value));
+
+class SqliteStorage {
+  /**
+   * @param {string} filename - Database file path (":memory:" for an in-memory database)
+   */
+  constructor(filename) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.filename = filename;
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+  }
+
+  /**
+   * Apply pending schema migrations
+   * @returns {number} Number of migrations applied
+   */
+  migrate() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = new Set(this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    const apply = this.db.transaction(migration => {
+      this.db.exec(migration.up);
+      this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+        .run(migration.version, migration.name, new Date().toISOString());
+    });
+
+    pending.forEach(migration => {
+      apply(migration);
+      logger.info(`Applied database migration ${migration.version}: ${migration.name}`);
+    });
+
+    return pending.length;
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  getMeta(key) {
+    return this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key)?.value ?? null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+      .run(key, value);
+  }
+
+  // Competitors
+
+  /**
+   * List competitors in their configured order
+   * @returns {Array} Competitors
+   */
+  listCompetitors() {
+    return this.db.prepare('SELECT data FROM competitors ORDER BY position, created_at')
+      .all()
+      .map(row => fromJson(row.data));
+  }
+
+  /**
+   * Replace the whole competitors list, keeping creation dates of existing records
+   * @param {Array} competitors - Competitors
+   */
+  saveCompetitors(competitors) {
+    const now = new Date().toISOString();
+    const upsert = this.db.prepare(`
+      INSERT INTO competitors (id, name, website, data, position, created_at, updated_at)
+      VALUES (@id, @name, @website, @data, @position, @now, @now)
+      ON CONFLICT(id) DO UPDATE SET
+        name = excluded.name,
+        website = excluded.website,
+        data = excluded.data,
+        position = excluded.position,
+        updated_at = CASE WHEN competitors.data = excluded.data THEN competitors.updated_at ELSE excluded.updated_at END
+    `);
+
+    this.db.transaction(() => {
+      const ids = competitors.map(competitor => competitor.id);
+      this.db.prepare(`DELETE FROM competitors WHERE id NOT IN (SELECT value FROM json_each(?))`).run(JSON.stringify(ids));
+
+      competitors.forEach((competitor, position) => {
+        upsert.run({
+          id: competitor.id,
+          name: competitor.name,
+          website: competitor.website,
+          data: JSON.stringify(competitor),
+          position,
+          now
+        });
+      });
+    })();
+  }
+
+  countCompetitors() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM competitors').get().count;
+  }
+
+  // Monitoring runs
+
+  /**
+   * Record the start of a monitoring run
+   * @param {string} trigger - What started the run (scheduled, manual, ...)
+   * @returns {number} Run ID
+   */
+  startRun(trigger) {
+    const result = this.db.prepare('INSERT INTO monitoring_runs (trigger, status, started_at) VALUES (?, ?, ?)')
+      .run(trigger, 'running', new Date().toISOString());
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * Record the end of a monitoring run
+   * @param {number} runId - Run ID
+   * @param {Object} outcome - { status, duration, reportId, error, stats }
+   */
+  finishRun(runId, { status, duration, reportId = null, error = null, stats = null }) {
+    this.db.prepare(`
+      UPDATE monitoring_runs
+      SET status = ?, finished_at = ?, duration = ?, report_id = ?, error = ?, stats = ?
+      WHERE id = ?
+    `).run(status, new Date().toISOString(), duration, reportId, error, toJson(stats), runId);
+  }
+
+  /**
+   * Get the most recent finished run
+   * @param {string} status - Only consider runs with this status
+   * @returns {Object|null} Run
+   */
+  getLastRun(status = 'success') {
+    const row = this.db.prepare(`
+      SELECT * FROM monitoring_runs WHERE status = ? ORDER BY id DESC LIMIT 1
+    `).get(status);
+
+    return row ? this.mapRun(row) : null;
+  }
+
+  mapRun(row) {
+    return {
+      id: row.id,
+      trigger: row.trigger,
+      status: row.status,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      duration: row.duration,
+      reportId: row.report_id,
+      error: row.error,
+      stats: fromJson(row.stats)
+    };
+  }
+
+  // Page results and change events
+
+  /**
+   * Record the result of monitoring one page, with its change events
+   * @param {number|null} runId - Run ID
+   * @param {string} competitorId - Competitor ID
+   * @param {Object} pageResult - Page result from WebsiteMonitor
+   * @param {Object} snapshot - Saved snapshot metadata ({ hash, title })
+   * @returns {number} Page result ID
+   */
+  recordPageResult(runId, competitorId, pageResult, snapshot = {}) {
+    const now = new Date().toISOString();
+    const insertChange = this.db.prepare(`
+      INSERT INTO change_events (run_id, page_result_id, competitor_id, url, type, severity, description, data, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    return this.db.transaction(() => {
+      const result = this.db.prepare(`
+        INSERT INTO page_results (run_id, competitor_id, url, name, device, page_key, snapshot_version, hash, title, metrics, errors,
+          http_status, error_category, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        runId,
+        competitorId,
+        pageResult.url,
+        pageResult.name,
+        pageResult.device || 'desktop',
+        pageResult.pageKey || null,
+        pageResult.version || null,
+        snapshot.hash || null,
+        snapshot.title || null,
+        toJson(pageResult.metrics),
+        toJson(pageResult.errors),
+        pageResult.status || null,
+        pageResult.fetchError?.category || null,
+        now
+      );
+      const pageResultId = Number(result.lastInsertRowid);
+
+      pageResult.changes.forEach(change => {
+        const { type, severity, description, ...data } = change;
+        insertChange.run(runId, pageResultId, competitorId, pageResult.url, type, severity || null, description || null, toJson(data), now);
+      });
+
+      return pageResultId;
+    })();
+  }
+
+  /**
+   * Record change events that belong to a competitor's site rather than to one page result
+   * @param {number|null} runId - Run ID
+   * @param {string} competitorId - Competitor ID
+   * @param {Array} changes - Changes ({ type, severity, description, page, ... })
+   */
+  recordSiteChanges(runId, competitorId, changes) {
+    const now = new Date().toISOString();
+    const insertChange = this.db.prepare(`
+      INSERT INTO change_events (run_id, page_result_id, competitor_id, url, type, severity, description, data, created_at)
+      VALUES (?, NULL, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      changes.forEach(change => {
+        const { type, severity, description, page, ...data } = change;
+        insertChange.run(runId, competitorId, page || null, type, severity || null, description || null, toJson(data), now);
+      });
+    })();
+  }
+
+  /**
+   * List change events of a run, grouped by competitor and page
+   * @param {number} runId - Run ID
+   * @returns {Array} Change events
+   */
+  getRunChanges(runId) {
+    return this.db.prepare(`
+      SELECT c.competitor_id, c.url, p.name AS page_name, p.device, c.type, c.severity, c.description, c.data, c.created_at
+      FROM change_events c
+      LEFT JOIN page_results p ON p.id = c.page_result_id
+      WHERE c.run_id = ?
+      ORDER BY c.id
+    `).all(runId).map(row => ({
+      ...fromJson(row.data),
+      competitorId: row.competitor_id,
+      page: row.url,
+      pageName: row.page_name || fromJson(row.data)?.pageName || null,
+      device: row.device || 'desktop',
+      type: row.type,
+      severity: row.severity,
+      description: row.description,
+      detectedAt: row.created_at
+    }));
+  }
+
+  // Price observations
+
+  /**
+   * Record the products seen on a competitor's catalog
+   * @param {number|null} runId - Run ID
+   * @param {string} competitorId - Competitor ID
+   * @param {Array} products - Products ({ key, name, sku, url, price, currency, availability })
+   * @param {string} observedAt - Observation time
+   */
+  recordPriceObservations(runId, competitorId, products, observedAt) {
+    const insert = this.db.prepare(`
+      INSERT INTO price_observations (run_id, competitor_id, product_key, name, sku, url, price, currency, availability, observed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      products.forEach(product => {
+        insert.run(runId, competitorId, product.key, product.name, product.sku, product.url,
+          product.price, product.currency, product.availability, observedAt);
+      });
+    })();
+  }
+
+  /**
+   * Get the price history of a competitor's products, oldest observation first
+   * @param {string} competitorId - Competitor ID
+   * @returns {Object} Products keyed by product key ({ name, sku, url, history })
+   */
+  getPriceHistory(competitorId) {
+    const products = {};
+
+    this.db.prepare(`
+      SELECT * FROM price_observations WHERE competitor_id = ? ORDER BY observed_at, id
+    `).all(competitorId).forEach(row => {
+      const product = products[row.product_key] || { name: row.name, sku: row.sku, url: row.url, history: [] };
+      Object.assign(product, { name: row.name, sku: row.sku, url: row.url });
+      product.history.push({
+        price: row.price,
+        currency: row.currency,
+        availability: row.availability,
+        observedAt: row.observed_at
+      });
+      products[row.product_key] = product;
+    });
+
+    return products;
+  }
+
+  // Performance metrics
+
+  /**
+   * Record a page's performance measurement
+   * @param {number|null} runId - Run ID
+   * @param {string} competitorId - Competitor ID
+   * @param {string} url - Page URL
+   * @param {string} device - Device profile
+   * @param {Object} metrics - Measurement ({ ttfb, fcp, domContentLoaded, load, lcp, cls, tbt, transferSize, requestCount, thirdPartyShare })
+   * @param {string} measuredAt - Measurement time
+   */
+  recordPerformance(runId, competitorId, url, device, metrics, measuredAt) {
+    this.db.prepare(`
+      INSERT INTO performance_metrics (run_id, competitor_id, url, device, measured_at, ttfb, fcp, dom_content_loaded, load,
+        lcp, cls, tbt, transfer_size, request_count, third_party_share)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(runId, competitorId, url, device, measuredAt, metrics.ttfb ?? null, metrics.fcp ?? null,
+      metrics.domContentLoaded ?? null, metrics.load ?? null, metrics.lcp ?? null, metrics.cls ?? null, metrics.tbt ?? null,
+      metrics.transferSize ?? null, metrics.requestCount ?? null, metrics.thirdPartyShare ?? null);
+  }
+
+  /**
+   * Get the performance measurements of a page, oldest first
+   * @param {string} competitorId - Competitor ID
+   * @param {string} url - Page URL
+   * @param {string} device - Device profile
+   * @returns {Array} Measurements
+   */
+  getPerformanceHistory(competitorId, url, device) {
+    return this.db.prepare(`
+      SELECT * FROM performance_metrics WHERE competitor_id = ? AND url = ? AND device = ? ORDER BY id
+    `).all(competitorId, url, device).map(row => this.mapPerformance(row));
+  }
+
+  /**
+   * List the performance time series of a competitor's pages
+   * @param {string} competitorId - Competitor ID
+   * @returns {Array} Series ({ url, device, history })
+   */
+  listPerformanceSeries(competitorId) {
+    const series = new Map();
+
+    this.db.prepare(`
+      SELECT * FROM performance_metrics WHERE competitor_id = ? ORDER BY url, device, id
+    `).all(competitorId).forEach(row => {
+      const key = `${row.url}|${row.device}`;
+      if (!series.has(key)) {
+        series.set(key, { url: row.url, device: row.device, history: [] });
+      }
+      series.get(key).history.push(this.mapPerformance(row));
+    });
+
+    return [...series.values()];
+  }
+
+  mapPerformance(row) {
+    return {
+      measuredAt: row.measured_at,
+      ttfb: row.ttfb,
+      fcp: row.fcp,
+      domContentLoaded: row.dom_content_loaded,
+      load: row.load,
+      lcp: row.lcp,
+      cls: row.cls,
+      tbt: row.tbt,
+      transferSize: row.transfer_size,
+      requestCount: row.request_count,
+      thirdPartyShare: row.third_party_share
+    };
+  }
+
+  // Extracted fields
+
+  /**
+   * Record the values of fields extracted from a page
+   * @param {number|null} runId - Run ID
+   * @param {string} competitorId - Competitor ID
+   * @param {string} url - Page URL
+   * @param {Array} fields - Extracted fields ({ rule, value, display })
+   * @param {string} observedAt - Observation time
+   */
+  recordFieldValues(runId, competitorId, url, fields, observedAt) {
+    const insert = this.db.prepare(`
+      INSERT INTO field_values (run_id, competitor_id, field, url, type, value, display, observed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      fields.forEach(({ rule, value, display }) => {
+        insert.run(runId, competitorId, rule.name, url, rule.type || 'text', toJson(value), display, observedAt);
+      });
+    })();
+  }
+
+  /**
+   * Get the value history of a competitor's extracted fields, oldest value first
+   * @param {string} competitorId - Competitor ID
+   * @returns {Object} Fields keyed by name ({ url, type, history })
+   */
+  getFieldHistory(competitorId) {
+    const fields = {};
+
+    this.db.prepare(`
+      SELECT * FROM field_values WHERE competitor_id = ? ORDER BY id
+    `).all(competitorId).forEach(row => {
+      const field = fields[row.field] || { history: [] };
+      Object.assign(field, { url: row.url, type: row.type });
+      field.history.push({ value: fromJson(row.value), display: row.display, observedAt: row.observed_at });
+      fields[row.field] = field;
+    });
+
+    return fields;
+  }
+
+  // Notification deliveries
+
+  /**
+   * Record the outcome of delivering a notification to a channel
+   * @param {Object} delivery - { runId, channel, kind, reference, status, attempts, error, duration, createdAt }
+   * @returns {number} Delivery ID
+   */
+  recordDelivery({ runId = null, channel, kind, reference = null, status, attempts, error = null, duration = null, createdAt }) {
+    const result = this.db.prepare(`
+      INSERT INTO notification_deliveries (run_id, channel, kind, reference, status, attempts, error, duration, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(runId, channel, kind, reference, status, attempts, error, duration, createdAt);
+    return Number(result.lastInsertRowid);
+  }
+
+  /**
+   * List notification deliveries, newest first
+   * @param {Object} filters - { channel, limit }
+   * @returns {Array} Deliveries
+   */
+  listDeliveries({ channel = null, limit = 100 } = {}) {
+    const rows = channel
+      ? this.db.prepare('SELECT * FROM notification_deliveries WHERE channel = ? ORDER BY id DESC LIMIT ?').all(channel, limit)
+      : this.db.prepare('SELECT * FROM notification_deliveries ORDER BY id DESC LIMIT ?').all(limit);
+
+    return rows.map(row => ({
+      id: row.id,
+      runId: row.run_id,
+      channel: row.channel,
+      kind: row.kind,
+      reference: row.reference,
+      status: row.status,
+      attempts: row.attempts,
+      error: row.error,
+      duration: row.duration,
+      createdAt: row.created_at
+    }));
+  }
+
+  // Report subscribers
+
+  listSubscribers() {
+    return this.db.prepare('SELECT * FROM subscribers ORDER BY id').all().map(row => this.mapSubscriber(row));
+  }
+
+  getSubscriber(id) {
+    const row = this.db.prepare('SELECT * FROM subscribers WHERE id = ?').get(id);
+    return row ? this.mapSubscriber(row) : null;
+  }
+
+  getSubscriberByToken(token) {
+    const row = this.db.prepare('SELECT * FROM subscribers WHERE token = ?').get(token);
+    return row ? this.mapSubscriber(row) : null;
+  }
+
+  /**
+   * Insert or update a subscriber
+   * @param {Object} subscriber - Subscriber, without an ID when new
+   * @returns {Object} Stored subscriber
+   */
+  saveSubscriber(subscriber) {
+    const values = {
+      id: subscriber.id ?? null,
+      email: subscriber.email,
+      name: subscriber.name ?? null,
+      competitors: JSON.stringify(subscriber.competitors),
+      tags: JSON.stringify(subscriber.tags),
+      minSeverity: subscriber.minSeverity,
+      depth: subscriber.depth,
+      token: subscriber.token,
+      unsubscribedAt: subscriber.unsubscribedAt ?? null,
+      createdAt: subscriber.createdAt,
+      updatedAt: subscriber.updatedAt
+    };
+
+    if (values.id === null) {
+      const result = this.db.prepare(`
+        INSERT INTO subscribers (email, name, competitors, tags, min_severity, depth, token, unsubscribed_at, created_at, updated_at)
+        VALUES (@email, @name, @competitors, @tags, @minSeverity, @depth, @token, @unsubscribedAt, @createdAt, @updatedAt)
+      `).run(values);
+      values.id = Number(result.lastInsertRowid);
+    } else {
+      this.db.prepare(`
+        UPDATE subscribers SET email = @email, name = @name, competitors = @competitors, tags = @tags, min_severity = @minSeverity,
+          depth = @depth, token = @token, unsubscribed_at = @unsubscribedAt, updated_at = @updatedAt
+        WHERE id = @id
+      `).run(values);
+    }
+
+    return this.getSubscriber(values.id);
+  }
+
+  deleteSubscriber(id) {
+    return this.db.prepare('DELETE FROM subscribers WHERE id = ?').run(id).changes > 0;
+  }
+
+  mapSubscriber(row) {
+    return {
+      id: row.id,
+      email: row.email,
+      name: row.name,
+      competitors: fromJson(row.competitors),
+      tags: fromJson(row.tags),
+      minSeverity: row.min_severity,
+      depth: row.depth,
+      token: row.token,
+      unsubscribedAt: row.unsubscribed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // SEO snapshots
+
+  /**
+   * Record a competitor's on-page SEO state and the events detected against the previous one
+   * @param {number|null} runId - Run ID
+   * @param {string} competitorId - Competitor ID
+   * @param {Object} snapshot - SEO state ({ pages, robotsTxt, sitemap })
+   * @param {Array} events - SEO events
+   */
+  saveSeoSnapshot(runId, competitorId, snapshot, events = []) {
+    this.db.prepare(`
+      INSERT INTO seo_snapshots (run_id, competitor_id, data, events, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(runId, competitorId, JSON.stringify(snapshot), toJson(events), new Date().toISOString());
+  }
+
+  /**
+   * Get the most recent SEO state of a competitor
+   * @param {string} competitorId - Competitor ID
+   * @returns {Object|null} SEO state
+   */
+  getLatestSeoSnapshot(competitorId) {
+    const row = this.db.prepare(`
+      SELECT data FROM seo_snapshots WHERE competitor_id = ? ORDER BY id DESC LIMIT 1
+    `).get(competitorId);
+
+    return row ? fromJson(row.data) : null;
+  }
+
+  // Technology profiles
+
+  /**
+   * Get the technologies a competitor's site was last seen using
+   * @param {string} competitorId - Competitor ID
+   * @returns {Object|null} Profile ({ updatedAt, technologies })
+   */
+  getTechProfile(competitorId) {
+    const row = this.db.prepare('SELECT data FROM technology_profiles WHERE competitor_id = ?').get(competitorId);
+    return row ? fromJson(row.data) : null;
+  }
+
+  saveTechProfile(competitorId, profile) {
+    this.db.prepare(`
+      INSERT INTO technology_profiles (competitor_id, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(competitor_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run(competitorId, JSON.stringify(profile), profile.updatedAt);
+  }
+
+  // Discovered content
+
+  /**
+   * List the URLs currently published by a competitor (not removed)
+   * @param {string} competitorId - Competitor ID
+   * @returns {Array} Content items ({ url, title, lastmod, source, firstSeenAt, lastSeenAt })
+   */
+  listContentItems(competitorId) {
+    return this.db.prepare(`
+      SELECT * FROM content_items WHERE competitor_id = ? AND removed_at IS NULL ORDER BY first_seen_at DESC, url
+    `).all(competitorId).map(row => ({
+      url: row.url,
+      title: row.title,
+      lastmod: row.lastmod,
+      source: row.source,
+      firstSeenAt: row.first_seen_at,
+      lastSeenAt: row.last_seen_at
+    }));
+  }
+
+  /**
+   * Record the URLs seen in a discovery pass and mark the missing ones as removed
+   * @param {string} competitorId - Competitor ID
+   * @param {Array} items - Content items seen now ({ url, title, lastmod, source })
+   * @param {Array} removedUrls - URLs no longer listed
+   * @param {string} seenAt - Discovery time
+   */
+  saveContentItems(competitorId, items, removedUrls, seenAt) {
+    const upsert = this.db.prepare(`
+      INSERT INTO content_items (competitor_id, url, title, lastmod, source, first_seen_at, last_seen_at)
+      VALUES (@competitorId, @url, @title, @lastmod, @source, @seenAt, @seenAt)
+      ON CONFLICT(competitor_id, url) DO UPDATE SET
+        title = COALESCE(excluded.title, content_items.title),
+        lastmod = excluded.lastmod,
+        source = excluded.source,
+        first_seen_at = CASE WHEN content_items.removed_at IS NULL THEN content_items.first_seen_at ELSE excluded.first_seen_at END,
+        last_seen_at = excluded.last_seen_at,
+        removed_at = NULL
+    `);
+    const remove = this.db.prepare('UPDATE content_items SET removed_at = ? WHERE competitor_id = ? AND url = ?');
+
+    this.db.transaction(() => {
+      items.forEach(item => {
+        upsert.run({
+          competitorId,
+          url: item.url,
+          title: item.title || null,
+          lastmod: item.lastmod || null,
+          source: item.source || null,
+          seenAt
+        });
+      });
+      removedUrls.forEach(url => remove.run(seenAt, competitorId, url));
+    })();
+  }
+
+  // Reports
+
+  /**
+   * Save report metadata
+   * @param {Object} report - { reportId, runId, generatedAt, period, summary, files }
+   */
+  saveReport({ reportId, runId = null, generatedAt, period, summary, files }) {
+    this.db.prepare(`
+      INSERT INTO reports (id, run_id, generated_at, period, summary, files, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        run_id = excluded.run_id,
+        generated_at = excluded.generated_at,
+        period = excluded.period,
+        summary = excluded.summary,
+        files = excluded.files
+    `).run(reportId, runId, generatedAt, period || null, toJson(summary), JSON.stringify(files), new Date().toISOString());
+  }
+
+  /**
+   * List reports, newest first
+   * @returns {Array} Reports
+   */
+  listReports() {
+    return this.db.prepare('SELECT * FROM reports ORDER BY generated_at DESC').all().map(row => this.mapReport(row));
+  }
+
+  getReport(reportId) {
+    const row = this.db.prepare('SELECT * FROM reports WHERE id = ?').get(reportId);
+    return row ? this.mapReport(row) : null;
+  }
+
+  mapReport(row) {
+    return {
+      id: row.id,
+      runId: row.run_id,
+      generatedAt: row.generated_at,
+      period: row.period,
+      summary: fromJson(row.summary),
+      files: fromJson(row.files)
+    };
+  }
+}
+
+module.exports = SqliteStorage;
@@ -1,21 +1,34 @@
 const fs = require('fs').promises;
 const path = require('path');
+const xpath = require('xpath');
 const logger = require('./logger');
 const { config } = require('../config');
+const { getStorage } = require('../storage');
+const { FIELD_TYPES } = require('./extractionRules');
+
+const DEFAULT_MONITORING = { enabled: true, website: true, socialMedia: true, pricing: true, seo: true };
 
 class CompetitorsLoader {
   constructor() {
     this.competitors = [];
     this.lastLoaded = null;
     this.filePath = config.paths.competitors;
+    this.storage = getStorage();
   }
 
   /**
-   * Load competitors from JSON file
+   * Load competitors from the database, or from the JSON file when no database is configured
    * @returns {Array} Array of competitors
    */
   async loadCompetitors() {
     try {
+      if (this.storage) {
+        this.competitors = this.loadFromStorage();
+        this.lastLoaded = new Date().toISOString();
+        logger.info(`Loaded ${this.competitors.length} competitors from database`);
+        return this.competitors;
+      }
+
       const data = await fs.readFile(this.filePath, 'utf8');
       const jsonData = JSON.parse(data);
       
@@ -43,9 +56,13 @@ class CompetitorsLoader {
     if (this.competitors.length === 0) {
       // Load synchronously for immediate use
       try {
-        const data = require('fs').readFileSync(this.filePath, 'utf8');
-        const jsonData = JSON.parse(data);
-        this.competitors = jsonData.competitors || [];
+        if (this.storage) {
+          this.competitors = this.loadFromStorage();
+        } else {
+          const data = require('fs').readFileSync(this.filePath, 'utf8');
+          const jsonData = JSON.parse(data);
+          this.competitors = jsonData.competitors || [];
+        }
         this.lastLoaded = new Date().toISOString();
       } catch (error) {
         logger.error('Failed to load competitors synchronously', error);
@@ -56,6 +73,24 @@ class CompetitorsLoader {
     return this.competitors;
   }
 
+  /**
+   * Read competitors from the database, importing the JSON file the first time
+   * @returns {Array} Array of competitors
+   */
+  loadFromStorage() {
+    if (!this.storage.getMeta('competitors_imported')) {
+      const fsSync = require('fs');
+      if (fsSync.existsSync(this.filePath)) {
+        const jsonData = JSON.parse(fsSync.readFileSync(this.filePath, 'utf8'));
+        this.storage.saveCompetitors(jsonData.competitors || []);
+        logger.info(`Imported ${(jsonData.competitors || []).length} competitors from ${this.filePath} into the database`);
+      }
+      this.storage.setMeta('competitors_imported', new Date().toISOString());
+    }
+
+    return this.storage.listCompetitors();
+  }
+
   /**
    * Get competitors count
    * @returns {number} Number of competitors
@@ -104,7 +139,7 @@ class CompetitorsLoader {
   /**
    * Add a new competitor
    * @param {Object} competitor - Competitor object
-   * @returns {boolean} Success status
+   * @returns {Object} Added competitor
    */
   async addCompetitor(competitor) {
     try {
@@ -118,37 +153,31 @@ class CompetitorsLoader {
         competitor.id = this.generateCompetitorId(competitor.name);
       }
 
-      // Check for duplicates
-      if (this.getCompetitorById(competitor.id)) {
-        throw new Error(`Competitor with ID ${competitor.id} already exists`);
-      }
-
       // Add default monitoring settings
-      competitor.monitoring = {
-        enabled: true,
-        website: true,
-        socialMedia: true,
-        pricing: true,
-        seo: true,
-        ...competitor.monitoring
-      };
+      competitor.monitoring = { ...DEFAULT_MONITORING, ...competitor.monitoring };
 
       // Load current data
-      const data = await fs.readFile(this.filePath, 'utf8');
-      const jsonData = JSON.parse(data);
+      const jsonData = await this.readCompetitorsData();
+
+      // Check for duplicates
+      if (jsonData.competitors.some(comp => comp.id === competitor.id)) {
+        const error = new Error(`Competitor with ID ${competitor.id} already exists`);
+        error.code = 'DUPLICATE_ID';
+        throw error;
+      }
 
       // Add new competitor
       jsonData.competitors.push(competitor);
 
       // Save updated data
-      await fs.writeFile(this.filePath, JSON.stringify(jsonData, null, 2));
+      await this.writeCompetitorsData(jsonData);
 
       // Update local cache
       this.competitors = jsonData.competitors;
       this.lastLoaded = new Date().toISOString();
 
       logger.info(`Added competitor: ${competitor.name}`);
-      return true;
+      return competitor;
     } catch (error) {
       logger.error('Failed to add competitor', error);
       throw error;
@@ -159,13 +188,14 @@ class CompetitorsLoader {
    * Update an existing competitor
    * @param {string} id - Competitor ID
    * @param {Object} updates - Updated competitor data
-   * @returns {boolean} Success status
+   * @param {Object} options - Update options
+   * @param {boolean} options.replace - Replace the whole record instead of merging
+   * @returns {Object} Updated competitor
    */
-  async updateCompetitor(id, updates) {
+  async updateCompetitor(id, updates, { replace = false } = {}) {
     try {
       // Load current data
-      const data = await fs.readFile(this.filePath, 'utf8');
-      const jsonData = JSON.parse(data);
+      const jsonData = await this.readCompetitorsData();
 
       // Find competitor
       const index = jsonData.competitors.findIndex(comp => comp.id === id);
@@ -173,18 +203,20 @@ class CompetitorsLoader {
         throw new Error(`Competitor with ID ${id} not found`);
       }
 
-      // Update competitor
-      jsonData.competitors[index] = { ...jsonData.competitors[index], ...updates };
+      // Update competitor (the ID is immutable); a replaced record gets the same defaults as a new one
+      jsonData.competitors[index] = replace
+        ? { ...updates, id, monitoring: { ...DEFAULT_MONITORING, ...updates.monitoring } }
+        : { ...jsonData.competitors[index], ...updates, id };
 
       // Save updated data
-      await fs.writeFile(this.filePath, JSON.stringify(jsonData, null, 2));
+      await this.writeCompetitorsData(jsonData);
 
       // Update local cache
       this.competitors = jsonData.competitors;
       this.lastLoaded = new Date().toISOString();
 
       logger.info(`Updated competitor: ${jsonData.competitors[index].name}`);
-      return true;
+      return jsonData.competitors[index];
     } catch (error) {
       logger.error('Failed to update competitor', error);
       throw error;
@@ -199,8 +231,7 @@ class CompetitorsLoader {
   async removeCompetitor(id) {
     try {
       // Load current data
-      const data = await fs.readFile(this.filePath, 'utf8');
-      const jsonData = JSON.parse(data);
+      const jsonData = await this.readCompetitorsData();
 
       // Find competitor
       const index = jsonData.competitors.findIndex(comp => comp.id === id);
@@ -214,7 +245,7 @@ class CompetitorsLoader {
       jsonData.competitors.splice(index, 1);
 
       // Save updated data
-      await fs.writeFile(this.filePath, JSON.stringify(jsonData, null, 2));
+      await this.writeCompetitorsData(jsonData);
 
       // Update local cache
       this.competitors = jsonData.competitors;
@@ -228,6 +259,44 @@ class CompetitorsLoader {
     }
   }
 
+  /**
+   * Read the stored competitors, starting from an empty list if there are none yet
+   * @returns {Object} Competitors data ({ competitors })
+   */
+  async readCompetitorsData() {
+    if (this.storage) {
+      return { competitors: this.loadFromStorage() };
+    }
+
+    try {
+      const data = await fs.readFile(this.filePath, 'utf8');
+      const jsonData = JSON.parse(data);
+      if (!Array.isArray(jsonData.competitors)) {
+        jsonData.competitors = [];
+      }
+      return jsonData;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { competitors: [] };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the competitors to the database, or to the JSON file
+   * @param {Object} jsonData - Competitors data ({ competitors })
+   */
+  async writeCompetitorsData(jsonData) {
+    if (this.storage) {
+      this.storage.saveCompetitors(jsonData.competitors);
+      return;
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.writeFile(this.filePath, JSON.stringify(jsonData, null, 2));
+  }
+
   /**
    * Generate a unique competitor ID
    * @param {string} name - Competitor name
@@ -254,31 +323,262 @@ class CompetitorsLoader {
   /**
    * Validate competitor data
    * @param {Object} competitor - Competitor object
-   * @returns {Object} Validation result
+   * @returns {Object} Validation result with field-level errors ({ field, message })
    */
   validateCompetitor(competitor) {
     const errors = [];
 
+    if (competitor.id !== undefined && (typeof competitor.id !== 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(competitor.id))) {
+      errors.push({ field: 'id', message: 'ID must contain only lowercase letters, numbers and dashes' });
+    }
+
     if (!competitor.name) {
-      errors.push('Name is required');
+      errors.push({ field: 'name', message: 'Name is required' });
+    } else if (typeof competitor.name !== 'string') {
+      errors.push({ field: 'name', message: 'Name must be a string' });
     }
 
     if (!competitor.website) {
-      errors.push('Website URL is required');
+      errors.push({ field: 'website', message: 'Website URL is required' });
     } else if (!this.isValidUrl(competitor.website)) {
-      errors.push('Invalid website URL');
+      errors.push({ field: 'website', message: 'Invalid website URL' });
+    }
+
+    if (competitor.priority !== undefined && !['low', 'medium', 'high'].includes(competitor.priority)) {
+      errors.push({ field: 'priority', message: 'Priority must be low, medium or high' });
+    }
+
+    if (competitor.tags !== undefined && (!Array.isArray(competitor.tags) || competitor.tags.some(tag => typeof tag !== 'string'))) {
+      errors.push({ field: 'tags', message: 'Tags must be an array of strings' });
     }
 
     if (competitor.socialMedia) {
       Object.entries(competitor.socialMedia).forEach(([platform, handle]) => {
         if (handle && typeof handle !== 'string') {
-          errors.push(`${platform} handle must be a string`);
+          errors.push({ field: `socialMedia.${platform}`, message: `${platform} handle must be a string` });
         }
       });
     }
 
     if (competitor.ecommerce?.url && !this.isValidUrl(competitor.ecommerce.url)) {
-      errors.push('Invalid e-commerce URL');
+      errors.push({ field: 'ecommerce.url', message: 'Invalid e-commerce URL' });
+    }
+
+    if (competitor.ecommerce?.pages !== undefined) {
+      if (!Array.isArray(competitor.ecommerce.pages)) {
+        errors.push({ field: 'ecommerce.pages', message: 'Catalog pages must be an array' });
+      } else {
+        competitor.ecommerce.pages.forEach((page, index) => {
+          if (typeof page !== 'string' || !this.isValidUrl(page, competitor.ecommerce.url)) {
+            errors.push({ field: `ecommerce.pages[${index}]`, message: 'Invalid catalog page URL' });
+          }
+        });
+      }
+    }
+
+    if (competitor.ecommerce?.critical !== undefined && typeof competitor.ecommerce.critical !== 'boolean') {
+      errors.push({ field: 'ecommerce.critical', message: 'Critical must be true or false' });
+    }
+
+    if (competitor.ecommerce?.selectors !== undefined) {
+      const selectors = competitor.ecommerce.selectors;
+      if (!selectors || typeof selectors !== 'object' || Array.isArray(selectors)) {
+        errors.push({ field: 'ecommerce.selectors', message: 'Selectors must be an object' });
+      } else {
+        if (!selectors.item) {
+          errors.push({ field: 'ecommerce.selectors.item', message: 'Product item selector is required' });
+        }
+        Object.entries(selectors).forEach(([key, selector]) => {
+          if (typeof selector !== 'string') {
+            errors.push({ field: `ecommerce.selectors.${key}`, message: 'Selector must be a string' });
+          }
+        });
+      }
+    }
+
+    if (competitor.pages !== undefined) {
+      if (!Array.isArray(competitor.pages)) {
+        errors.push({ field: 'pages', message: 'Pages must be an array' });
+      } else {
+        competitor.pages.forEach((page, index) => {
+          const url = typeof page === 'string' ? page : page?.url;
+          if (!url || !this.isValidUrl(url, competitor.website)) {
+            errors.push({ field: `pages[${index}]`, message: 'Invalid page URL' });
+          }
+          if (page?.importance !== undefined && !['low', 'medium', 'high'].includes(page.importance)) {
+            errors.push({ field: `pages[${index}].importance`, message: 'Importance must be low, medium or high' });
+          }
+          if (page?.critical !== undefined && typeof page.critical !== 'boolean') {
+            errors.push({ field: `pages[${index}].critical`, message: 'Critical must be true or false' });
+          }
+        });
+      }
+    }
+
+    if (competitor.crawl !== undefined) {
+      const { maxDepth, maxPages, include = [], exclude = [] } = competitor.crawl || {};
+
+      if (maxDepth !== undefined && (!Number.isInteger(maxDepth) || maxDepth < 0)) {
+        errors.push({ field: 'crawl.maxDepth', message: 'Max depth must be a non-negative integer' });
+      }
+      if (maxPages !== undefined && (!Number.isInteger(maxPages) || maxPages < 1)) {
+        errors.push({ field: 'crawl.maxPages', message: 'Max pages must be a positive integer' });
+      }
+
+      Object.entries({ include, exclude }).forEach(([key, patterns]) => {
+        if (!Array.isArray(patterns)) {
+          errors.push({ field: `crawl.${key}`, message: `${key} patterns must be an array` });
+          return;
+        }
+        patterns.forEach((pattern, index) => {
+          try {
+            new RegExp(pattern);
+          } catch {
+            errors.push({ field: `crawl.${key}[${index}]`, message: 'Invalid regular expression' });
+          }
+        });
+      });
+    }
+
+    if (competitor.ignore !== undefined) {
+      const { selectors = [], patterns = [] } = competitor.ignore || {};
+
+      if (!Array.isArray(selectors) || selectors.some(selector => typeof selector !== 'string')) {
+        errors.push({ field: 'ignore.selectors', message: 'Ignore selectors must be an array of strings' });
+      }
+
+      if (!Array.isArray(patterns)) {
+        errors.push({ field: 'ignore.patterns', message: 'Ignore patterns must be an array' });
+      } else {
+        patterns.forEach((pattern, index) => {
+          try {
+            new RegExp(pattern);
+          } catch {
+            errors.push({ field: `ignore.patterns[${index}]`, message: 'Invalid regular expression' });
+          }
+        });
+      }
+    }
+
+    if (competitor.discovery !== undefined) {
+      const { sitemaps = [], feeds = [], include = [], exclude = [] } = competitor.discovery || {};
+
+      Object.entries({ sitemaps, feeds }).forEach(([key, urls]) => {
+        if (!Array.isArray(urls)) {
+          errors.push({ field: `discovery.${key}`, message: `${key} must be an array of URLs` });
+          return;
+        }
+        urls.forEach((url, index) => {
+          if (typeof url !== 'string' || !this.isValidUrl(url, competitor.website)) {
+            errors.push({ field: `discovery.${key}[${index}]`, message: 'Invalid URL' });
+          }
+        });
+      });
+
+      Object.entries({ include, exclude }).forEach(([key, patterns]) => {
+        if (!Array.isArray(patterns)) {
+          errors.push({ field: `discovery.${key}`, message: `${key} patterns must be an array` });
+          return;
+        }
+        patterns.forEach((pattern, index) => {
+          try {
+            new RegExp(pattern);
+          } catch {
+            errors.push({ field: `discovery.${key}[${index}]`, message: 'Invalid regular expression' });
+          }
+        });
+      });
+    }
+
+    if (competitor.devices !== undefined) {
+      if (!Array.isArray(competitor.devices) || competitor.devices.length === 0) {
+        errors.push({ field: 'devices', message: 'Devices must be a non-empty array' });
+      } else {
+        competitor.devices.forEach((device, index) => {
+          if (!config.devices.profiles[device]) {
+            errors.push({
+              field: `devices[${index}]`,
+              message: `Unknown device profile (use ${Object.keys(config.devices.profiles).join(', ')})`
+            });
+          }
+        });
+      }
+    }
+
+    if (competitor.robots !== undefined) {
+      const { respect, reason } = competitor.robots || {};
+      if (typeof respect !== 'boolean') {
+        errors.push({ field: 'robots.respect', message: 'robots.respect must be true or false' });
+      }
+      if (reason !== undefined && typeof reason !== 'string') {
+        errors.push({ field: 'robots.reason', message: 'robots.reason must be a string' });
+      }
+    }
+
+    if (competitor.extract !== undefined) {
+      if (!Array.isArray(competitor.extract)) {
+        errors.push({ field: 'extract', message: 'Extraction rules must be an array' });
+      } else {
+        const names = new Set();
+        competitor.extract.forEach((rule, index) => {
+          const field = `extract[${index}]`;
+          if (!rule || typeof rule !== 'object') {
+            errors.push({ field, message: 'Extraction rule must be an object' });
+            return;
+          }
+
+          if (!rule.name || typeof rule.name !== 'string') {
+            errors.push({ field: `${field}.name`, message: 'Field name is required' });
+          } else if (names.has(rule.name)) {
+            errors.push({ field: `${field}.name`, message: `Duplicate field name "${rule.name}"` });
+          }
+          names.add(rule.name);
+
+          if (Boolean(rule.selector) === Boolean(rule.xpath)) {
+            errors.push({ field, message: 'Either selector or xpath is required' });
+          } else if (rule.selector !== undefined && typeof rule.selector !== 'string') {
+            errors.push({ field: `${field}.selector`, message: 'Selector must be a string' });
+          } else if (rule.xpath !== undefined) {
+            try {
+              xpath.parse(rule.xpath);
+            } catch {
+              errors.push({ field: `${field}.xpath`, message: 'Invalid XPath expression' });
+            }
+          }
+
+          if (rule.attribute !== undefined && typeof rule.attribute !== 'string') {
+            errors.push({ field: `${field}.attribute`, message: 'Attribute must be a string' });
+          }
+
+          if (rule.regex !== undefined) {
+            try {
+              new RegExp(rule.regex);
+            } catch {
+              errors.push({ field: `${field}.regex`, message: 'Invalid regular expression' });
+            }
+          }
+
+          if (rule.type !== undefined && !FIELD_TYPES.includes(rule.type)) {
+            errors.push({ field: `${field}.type`, message: `Type must be one of ${FIELD_TYPES.join(', ')}` });
+          }
+
+          if (rule.page !== undefined && (typeof rule.page !== 'string' || !this.isValidUrl(rule.page, competitor.website))) {
+            errors.push({ field: `${field}.page`, message: 'Invalid page URL' });
+          }
+
+          if (rule.severity !== undefined && !['low', 'medium', 'high'].includes(rule.severity)) {
+            errors.push({ field: `${field}.severity`, message: 'Severity must be low, medium or high' });
+          }
+        });
+      }
+    }
+
+    if (competitor.fetchMode !== undefined && !['auto', 'http', 'browser'].includes(competitor.fetchMode)) {
+      errors.push({ field: 'fetchMode', message: 'Fetch mode must be auto, http or browser' });
+    }
+
+    if (competitor.monitoring !== undefined && (typeof competitor.monitoring !== 'object' || competitor.monitoring === null || Array.isArray(competitor.monitoring))) {
+      errors.push({ field: 'monitoring', message: 'Monitoring settings must be an object' });
     }
 
     return {
@@ -288,14 +588,15 @@ class CompetitorsLoader {
   }
 
   /**
-   * Validate URL format
+   * Validate URL format (only http and https URLs can be monitored)
    * @param {string} url - URL to validate
-   * @returns {boolean} Is valid URL
+   * @param {string} base - Base URL for relative URLs
+   * @returns {boolean} Is a valid http(s) URL
    */
-  isValidUrl(url) {
+  isValidUrl(url, base) {
     try {
-      new URL(url);
-      return true;
+      const { protocol } = new URL(url, base);
+      return protocol === 'http:' || protocol === 'https:';
     } catch {
       return false;
     }
@@ -0,0 +1,233 @@
+const axios = require('axios');
+const logger = require('./logger');
+const DomainThrottle = require('./domainThrottle');
+const { config } = require('../config');
+
+// Longest wait between requests a robots.txt Crawl-delay can impose (ms)
+const MAX_CRAWL_DELAY = 60000;
+
+// An unreachable robots.txt is retried after this long, even if the cache TTL is longer (ms)
+const FAILED_FETCH_TTL = 60 * 60 * 1000;
+
+let crawlPolicy;
+
+/**
+ * Parse robots.txt into user-agent groups
+ * @param {string} text - robots.txt content
+ * @returns {Array} Groups ({ agents, rules: [{ allow, path }], crawlDelay })
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let group = null;
+  let readingAgents = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const match = /^\s*([a-z-]+)\s*:\s*(.*?)\s*$/i.exec(rawLine.replace(/#.*$/, ''));
+    if (!match) {
+      return;
+    }
+
+    const field = match[1].toLowerCase();
+    const value = match[2];
+
+    // Consecutive User-agent lines share one group
+    if (field === 'user-agent') {
+      if (!readingAgents) {
+        group = { agents: [], rules: [], crawlDelay: null };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      readingAgents = true;
+      return;
+    }
+
+    readingAgents = false;
+    if (!group) {
+      return;
+    }
+
+    if ((field === 'allow' || field === 'disallow') && value) {
+      group.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay' && !isNaN(parseFloat(value))) {
+      group.crawlDelay = parseFloat(value);
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Check whether a robots.txt path pattern (with * and $ wildcards) matches a path
+ * @param {string} pattern - Rule path
+ * @param {string} pathWithQuery - URL path and query string
+ * @returns {boolean} True if the rule applies
+ */
+function matchesRule(pattern, pathWithQuery) {
+  const anchored = pattern.endsWith('$');
+  const source = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}${anchored ? '$' : ''}`).test(pathWithQuery);
+}
+
+/**
+ * Crawl etiquette shared by all monitors: robots.txt rules and Crawl-delay for our user agent,
+ * plus a minimum delay between requests to the same host.
+ */
+class CrawlPolicy {
+  /**
+   * @param {Object} options - Policy options
+   * @param {string} options.userAgent - Identifying user agent; its product token selects the robots.txt group
+   * @param {boolean} options.respectRobots - Apply robots.txt rules
+   * @param {number} options.cacheTtl - How long a fetched robots.txt is reused (ms)
+   * @param {number} options.domainDelay - Minimum time between two requests to the same host (ms)
+   */
+  constructor({ userAgent, respectRobots = true, cacheTtl, domainDelay }) {
+    this.userAgent = userAgent;
+    this.agentToken = userAgent.split('/')[0].trim().toLowerCase();
+    this.respectRobots = respectRobots;
+    this.cacheTtl = cacheTtl;
+    this.throttle = new DomainThrottle(domainDelay);
+    this.cache = new Map();
+  }
+
+  /**
+   * Check whether a URL may be fetched
+   * @param {string} url - URL about to be fetched
+   * @param {Object} competitor - Competitor the URL belongs to ("robots": { "respect": false } opts out)
+   * @returns {Object} { allowed, reason } (reason explains a refusal)
+   */
+  async check(url, competitor = {}) {
+    if (!this.respectRobots) {
+      return { allowed: true, reason: null };
+    }
+
+    if (competitor.robots?.respect === false) {
+      const note = competitor.robots.reason ? `: ${competitor.robots.reason}` : '';
+      logger.warn(`Ignoring robots.txt for ${url} (override for ${competitor.name}${note})`);
+      return { allowed: true, reason: null };
+    }
+
+    const parsed = new URL(url);
+    const pathWithQuery = `${parsed.pathname}${parsed.search}`;
+    if (parsed.pathname === '/robots.txt') {
+      return { allowed: true, reason: null };
+    }
+
+    const robots = await this.getRobots(parsed.origin);
+    if (robots.unavailable) {
+      return { allowed: false, reason: `robots.txt unavailable (${robots.unavailable}), retrying later` };
+    }
+
+    const matching = robots.rules.filter(rule => matchesRule(rule.path, pathWithQuery));
+    if (matching.length === 0) {
+      return { allowed: true, reason: null };
+    }
+
+    // The most specific (longest) rule wins; Allow wins a tie
+    const rule = matching.reduce((best, candidate) => {
+      if (candidate.path.length !== best.path.length) {
+        return candidate.path.length > best.path.length ? candidate : best;
+      }
+      return candidate.allow ? candidate : best;
+    });
+
+    return rule.allow
+      ? { allowed: true, reason: null }
+      : { allowed: false, reason: `Disallowed by robots.txt (Disallow: ${rule.path})` };
+  }
+
+  /**
+   * Wait until a request to the URL's host is allowed, honoring the site's Crawl-delay
+   * @param {string} url - URL about to be requested
+   */
+  async wait(url) {
+    const robots = this.respectRobots ? await this.getRobots(new URL(url).origin) : { crawlDelay: null };
+    const crawlDelay = Math.min((robots.crawlDelay || 0) * 1000, MAX_CRAWL_DELAY);
+    await this.throttle.wait(url, Math.max(this.throttle.delay, crawlDelay));
+  }
+
+  /**
+   * Get the robots.txt rules that apply to our user agent on an origin (cached)
+   * @param {string} origin - Site origin
+   * @returns {Object} { rules, crawlDelay }
+   */
+  async getRobots(origin) {
+    const cached = this.cache.get(origin);
+    if (cached && cached.expires > Date.now()) {
+      return cached.robots;
+    }
+
+    // Cache the pending fetch, so concurrent workers share it
+    const entry = { expires: Date.now() + this.cacheTtl };
+    entry.robots = this.fetchRobots(origin).catch(error => {
+      // Failed fetch: keep the last known rules and try again later. Without them, a server error means
+      // everything is disallowed (RFC 9309); an unreachable site allows everything, so the pages report it down.
+      logger.debug(`Could not fetch robots.txt for ${origin}: ${error.message}`);
+      entry.expires = Date.now() + Math.min(this.cacheTtl, FAILED_FETCH_TTL);
+      if (cached) {
+        return cached.robots;
+      }
+      return error.response?.status >= 500
+        ? { rules: [], crawlDelay: null, unavailable: `HTTP ${error.response.status}` }
+        : { rules: [], crawlDelay: null };
+    });
+    this.cache.set(origin, entry);
+
+    return entry.robots;
+  }
+
+  /**
+   * Fetch and parse an origin's robots.txt
+   * @param {string} origin - Site origin
+   * @returns {Object} { rules, crawlDelay }
+   */
+  async fetchRobots(origin) {
+    const response = await axios.get(`${origin}/robots.txt`, {
+      timeout: 15000,
+      responseType: 'text',
+      validateStatus: status => status < 500,
+      headers: { 'User-Agent': this.userAgent }
+    });
+
+    // A missing or forbidden robots.txt means no restrictions
+    if (response.status >= 400 || typeof response.data !== 'string') {
+      return { rules: [], crawlDelay: null };
+    }
+
+    const groups = parseRobotsTxt(response.data);
+    const ours = groups.filter(group => group.agents.includes(this.agentToken));
+    const applicable = ours.length > 0 ? ours : groups.filter(group => group.agents.includes('*'));
+
+    return {
+      rules: applicable.flatMap(group => group.rules),
+      crawlDelay: applicable.map(group => group.crawlDelay).find(delay => delay !== null) ?? null
+    };
+  }
+}
+
+/**
+ * Get the crawl policy shared by all monitors
+ * @returns {CrawlPolicy} Crawl policy
+ */
+const getCrawlPolicy = () => {
+  if (!crawlPolicy) {
+    crawlPolicy = new CrawlPolicy({
+      userAgent: config.crawler.userAgent,
+      respectRobots: config.crawler.respectRobots,
+      cacheTtl: config.crawler.robotsCacheTtl,
+      domainDelay: config.concurrency.domainDelay
+    });
+  }
+
+  return crawlPolicy;
+};
+
+module.exports = {
+  CrawlPolicy,
+  getCrawlPolicy,
+  parseRobotsTxt,
+  matchesRule
+};
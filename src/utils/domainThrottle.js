@@ -0,0 +1,33 @@
+/**
+ * Spaces out requests to the same host, so concurrent workers stay polite to each site
+ * while requests to different sites run freely.
+ */
+class DomainThrottle {
+  /**
+   * @param {number} delay - Default minimum time between two requests to the same host (ms)
+   */
+  constructor(delay) {
+    this.delay = delay;
+    this.nextSlot = new Map();
+  }
+
+  /**
+   * Wait until a request to the URL's host is allowed
+   * @param {string} url - URL about to be requested
+   * @param {number} delay - Minimum time before the next request to the host (ms)
+   */
+  async wait(url, delay = this.delay) {
+    const host = new URL(url).host;
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(host) || 0);
+
+    // Reserve the slot before waiting, so concurrent callers queue up behind each other
+    this.nextSlot.set(host, slot + delay);
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+}
+
+module.exports = DomainThrottle;
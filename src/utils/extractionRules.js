@@ -0,0 +1,151 @@
+const cheerio = require('cheerio');
+const xpath = require('xpath');
+const { DOMParser } = require('@xmldom/xmldom');
+const { isEqual } = require('lodash');
+const { parsePrice, detectCurrency } = require('./priceParsing');
+
+/**
+ * Declarative extraction of specific facts from competitor pages ("extract" in the competitor config):
+ * headline offers, package prices, team size, listed clients, phone numbers, addresses...
+ *
+ * Types: text (first match), number, price, list (all matches), count (number of matches)
+ */
+const FIELD_TYPES = ['text', 'number', 'price', 'list', 'count'];
+
+// Largest number of list items named in a change description
+const MAX_LISTED_ITEMS = 10;
+
+const silentParser = new DOMParser({ errorHandler: { warning: () => {}, error: () => {}, fatalError: () => {} } });
+
+/**
+ * Read the strings a rule's selector or XPath expression matches in a page
+ * @param {string} html - Page HTML
+ * @param {Object} rule - Extraction rule ({ selector | xpath, attribute })
+ * @returns {Array} Matched strings, in document order
+ */
+function selectMatches(html, rule) {
+  const $ = cheerio.load(html);
+
+  if (rule.xpath) {
+    // Re-serialized by the HTML parser first: xmldom expects well-formed markup
+    const document = silentParser.parseFromString($.xml(), 'text/html');
+    const result = xpath.parse(rule.xpath).evaluate({ node: document, isHtml: true });
+
+    // string(), count() and other functions return a single value
+    if (!result.toArray) {
+      return [result.stringValue()];
+    }
+
+    return result.toArray().map(node => (rule.attribute && node.getAttribute
+      ? node.getAttribute(rule.attribute)
+      : node.textContent));
+  }
+
+  return $(rule.selector).toArray().map(element => (rule.attribute ? $(element).attr(rule.attribute) : $(element).text()));
+}
+
+/**
+ * Apply a rule's regex to a matched string: the first capture group, or the whole match
+ * @param {string} text - Matched string
+ * @param {string} regex - Pattern
+ * @returns {string|null} Extracted text, or null if the pattern does not match
+ */
+function applyRegex(text, regex) {
+  if (!regex) {
+    return text;
+  }
+
+  const match = new RegExp(regex).exec(text);
+  if (!match) {
+    return null;
+  }
+  return match[1] !== undefined ? match[1] : match[0];
+}
+
+/**
+ * Evaluate an extraction rule on a page
+ * @param {string} html - Page HTML
+ * @param {Object} rule - Extraction rule
+ * @returns {Object} { value, display } (value is null when nothing matched)
+ */
+function extractField(html, rule) {
+  const matches = selectMatches(html, rule)
+    .filter(text => text !== null && text !== undefined)
+    .map(text => applyRegex(String(text).replace(/\s+/g, ' ').trim(), rule.regex));
+  const type = rule.type || 'text';
+
+  // Counted elements can be empty (logos, icons); only a regex filters them
+  if (type === 'count') {
+    const count = matches.filter(text => text !== null).length;
+    return { value: count, display: String(count) };
+  }
+
+  const texts = matches.filter(text => text);
+
+  if (type === 'list') {
+    const items = [...new Set(texts)];
+    return items.length > 0 ? { value: items, display: items.join(', ') } : { value: null, display: null };
+  }
+
+  const text = texts[0];
+  if (text === undefined) {
+    return { value: null, display: null };
+  }
+
+  if (type === 'number') {
+    const number = parsePrice(text);
+    return number === null ? { value: null, display: null } : { value: number, display: text };
+  }
+
+  if (type === 'price') {
+    const amount = parsePrice(text);
+    return amount === null ? { value: null, display: null } : { value: { amount, currency: detectCurrency(text) }, display: text };
+  }
+
+  return { value: text, display: text };
+}
+
+/**
+ * Describe how a field changed, naming the field
+ * @param {Object} rule - Extraction rule
+ * @param {Object} previous - Previous { value, display }
+ * @param {Object} current - Current { value, display }
+ * @returns {string|null} Description, or null if the value did not change
+ */
+function describeFieldChange(rule, previous, current) {
+  if (isEqual(previous.value, current.value)) {
+    return null;
+  }
+
+  if (current.value === null) {
+    return `${rule.name} no longer found on the page (was ${previous.display})`;
+  }
+
+  if (previous.value === null) {
+    return `${rule.name} now shows ${current.display}`;
+  }
+
+  if (rule.type === 'list') {
+    const added = current.value.filter(item => !previous.value.includes(item));
+    const removed = previous.value.filter(item => !current.value.includes(item));
+    const name = items => items.slice(0, MAX_LISTED_ITEMS).join(', ') + (items.length > MAX_LISTED_ITEMS ? ` and ${items.length - MAX_LISTED_ITEMS} more` : '');
+
+    // Same items in a different order
+    if (added.length === 0 && removed.length === 0) {
+      return null;
+    }
+
+    return `${rule.name}: ${[
+      added.length > 0 ? `added ${name(added)}` : null,
+      removed.length > 0 ? `removed ${name(removed)}` : null
+    ].filter(Boolean).join('; ')}`;
+  }
+
+  return `${rule.name} changed from ${previous.display} to ${current.display}`;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  extractField,
+  describeFieldChange
+};
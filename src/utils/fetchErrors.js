@@ -0,0 +1,105 @@
+/**
+ * Page fetch failures, classified so reports can tell "site down" from "we were blocked"
+ * and so only transient failures are retried.
+ *
+ * Categories: dns, tls, timeout, network, http-4xx, http-5xx, bot-challenge, crash, unknown
+ */
+const RETRYABLE_CATEGORIES = ['timeout', 'network', 'http-5xx', 'crash'];
+
+// Chromium net errors and Puppeteer messages, matched in order
+const ERROR_PATTERNS = [
+  { category: 'dns', pattern: /ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED|ENOTFOUND|EAI_AGAIN/ },
+  { category: 'tls', pattern: /ERR_CERT_|ERR_SSL_|ERR_BAD_SSL|certificate|EPROTO/i },
+  { category: 'timeout', pattern: /timeout|timed out|ERR_TIMED_OUT|ETIMEDOUT/i },
+  { category: 'network', pattern: /ERR_CONNECTION_|ERR_EMPTY_RESPONSE|ERR_ADDRESS_UNREACHABLE|ERR_INTERNET_DISCONNECTED|ECONNREFUSED|ECONNRESET/ },
+  { category: 'crash', pattern: /Target closed|Session closed|Protocol error|browser has disconnected|frame was detached|Page crashed|ERR_ABORTED/i }
+];
+
+// Markers of Cloudflare, Akamai, PerimeterX, DataDome and similar interstitials
+const CHALLENGE_TITLES = /just a moment|attention required|are you a robot|verify you are human|pardon our interruption|access denied|security check/i;
+const CHALLENGE_MARKERS = ['_cf_chl_opt', 'cf-browser-verification', 'challenge-platform', 'px-captcha', 'captcha-delivery.com', '/_Incapsula_Resource'];
+
+class FetchError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.category - Failure category
+   * @param {number} details.status - HTTP status code, when a response was received
+   * @param {Object} details.headers - Response headers, when a response was received
+   */
+  constructor(message, { category = 'unknown', status = null, headers = null } = {}) {
+    super(message);
+    this.name = 'FetchError';
+    this.category = category;
+    this.status = status;
+    this.headers = headers;
+    this.attempts = 1;
+  }
+
+  /**
+   * Whether trying again later in the same run may succeed
+   * @returns {boolean}
+   */
+  get retryable() {
+    return RETRYABLE_CATEGORIES.includes(this.category) || this.status === 429;
+  }
+
+  /**
+   * Plain representation stored with page results
+   * @returns {Object} { category, message, status, attempts }
+   */
+  toJSON() {
+    return { category: this.category, message: this.message, status: this.status, attempts: this.attempts };
+  }
+}
+
+/**
+ * Wrap an error thrown while loading a page in a FetchError
+ * @param {Error} error - Original error
+ * @returns {FetchError} Classified error
+ */
+function classifyError(error) {
+  if (error instanceof FetchError) {
+    return error;
+  }
+
+  const message = error.message || String(error);
+  const match = error.name === 'TimeoutError'
+    ? { category: 'timeout' }
+    : ERROR_PATTERNS.find(({ pattern }) => pattern.test(message));
+
+  return new FetchError(message, { category: match?.category || 'unknown' });
+}
+
+/**
+ * Classify an HTTP response that did not deliver the page
+ * @param {number} status - HTTP status code
+ * @param {Object} headers - Response headers (lower-case names)
+ * @param {Object} page - Page title and HTML
+ * @returns {FetchError|null} Error, or null if the response is usable
+ */
+function classifyResponse(status, headers = {}, { title = '', html = '' } = {}) {
+  const challenged = headers['cf-mitigated'] === 'challenge'
+    || CHALLENGE_MARKERS.some(marker => html.includes(marker))
+    || ([403, 429, 503].includes(status) && CHALLENGE_TITLES.test(title));
+
+  if (challenged) {
+    return new FetchError(`Bot challenge served (HTTP ${status})`, { category: 'bot-challenge', status, headers });
+  }
+
+  if (status >= 500) {
+    return new FetchError(`HTTP ${status}`, { category: 'http-5xx', status, headers });
+  }
+
+  if (status >= 400) {
+    return new FetchError(`HTTP ${status}`, { category: 'http-4xx', status, headers });
+  }
+
+  return null;
+}
+
+module.exports = {
+  FetchError,
+  classifyError,
+  classifyResponse
+};
@@ -0,0 +1,88 @@
+const cheerio = require('cheerio');
+const { config } = require('../config');
+
+const MASK = '[ignored]';
+
+/**
+ * Build the ignore rules for a competitor: global defaults plus its own selectors and masks
+ * @param {Object} competitor - Competitor object
+ * @returns {Object} Rules ({ selectors, patterns }) with compiled regular expressions
+ */
+function getIgnoreRules(competitor) {
+  const own = competitor.ignore || {};
+  const useDefaults = own.useDefaults !== false;
+
+  const selectors = [
+    ...(useDefaults ? config.ignore.selectors : []),
+    ...(own.selectors || [])
+  ];
+  const patterns = [
+    ...(useDefaults ? config.ignore.patterns : []),
+    ...(own.patterns || [])
+  ];
+
+  return {
+    selectors: [...new Set(selectors)],
+    patterns: [...new Set(patterns)].map(pattern => new RegExp(pattern, 'gi'))
+  };
+}
+
+/**
+ * Replace every match of the mask patterns
+ * @param {string} text - Text or HTML
+ * @param {Array} patterns - Compiled regular expressions
+ * @returns {string} Masked text
+ */
+function applyMasks(text, patterns) {
+  if (!text) {
+    return text;
+  }
+
+  return patterns.reduce((masked, pattern) => masked.replace(pattern, MASK), text);
+}
+
+/**
+ * Strip ignored elements and mask patterns from page HTML, for hashing
+ * @param {string} html - Raw page HTML
+ * @param {Object} rules - Ignore rules
+ * @returns {string} Comparable HTML
+ */
+function filterHtml(html, rules) {
+  const $ = cheerio.load(html || '');
+
+  rules.selectors.forEach(selector => {
+    try {
+      $(selector).remove();
+    } catch (error) {
+      // Selectors cheerio cannot parse are still applied in the browser
+    }
+  });
+
+  return applyMasks($.html(), rules.patterns);
+}
+
+/**
+ * Apply the mask patterns to the visible text fields of fetched page content.
+ * The raw HTML is kept as-is; compare it through filterHtml().
+ * @param {Object} content - Page content ({ title, textContent })
+ * @param {Object} rules - Ignore rules
+ * @returns {Object} Masked page content
+ */
+function maskContent(content, rules) {
+  if (rules.patterns.length === 0) {
+    return content;
+  }
+
+  return {
+    ...content,
+    title: applyMasks(content.title, rules.patterns),
+    textContent: applyMasks(content.textContent, rules.patterns)
+  };
+}
+
+module.exports = {
+  getIgnoreRules,
+  applyMasks,
+  filterHtml,
+  maskContent
+};
@@ -0,0 +1,144 @@
+/**
+ * Lab measurement of page performance in Puppeteer: navigation timing, Core Web Vitals
+ * (LCP, CLS, TBT) and network totals for the page load.
+ */
+
+// A main-thread task blocks input for the time it runs beyond this (ms)
+const BLOCKING_THRESHOLD = 50;
+
+// Public suffixes with a second level (co.uk, com.au, ...) need one more label for the site's domain
+const SECOND_LEVEL_SUFFIX = /^(co|com|net|org|gov|edu|ac|ne|or)$/;
+
+/**
+ * Installed before any page script runs: collects LCP candidates, layout shifts and long tasks
+ * on window.__pagePerformance. Runs in the browser.
+ */
+function observePerformance() {
+  const state = { lcp: null, cls: 0, longTasks: [] };
+  window.__pagePerformance = state;
+
+  const observe = (type, callback) => {
+    try {
+      new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+    } catch (error) {
+      // Entry type not supported by this browser
+    }
+  };
+
+  observe('largest-contentful-paint', entry => {
+    state.lcp = entry.startTime;
+  });
+
+  // CLS is the largest session window: shifts less than 1s apart, for at most 5s
+  let session = { value: 0, start: 0, last: 0 };
+  observe('layout-shift', entry => {
+    if (entry.hadRecentInput) {
+      return;
+    }
+    if (session.value > 0 && entry.startTime - session.last < 1000 && entry.startTime - session.start < 5000) {
+      session.value += entry.value;
+    } else {
+      session = { value: entry.value, start: entry.startTime, last: entry.startTime };
+    }
+    session.last = entry.startTime;
+    state.cls = Math.max(state.cls, session.value);
+  });
+
+  observe('longtask', entry => {
+    state.longTasks.push({ start: entry.startTime, duration: entry.duration });
+  });
+}
+
+/**
+ * Approximate the registrable domain of a host name (example.co.uk for www.shop.example.co.uk)
+ * @param {string} hostname - Host name
+ * @returns {string} Site domain
+ */
+function getSiteDomain(hostname) {
+  const labels = hostname.toLowerCase().split('.');
+  if (labels.length <= 2 || /^[\d.]+$/.test(hostname)) {
+    return hostname.toLowerCase();
+  }
+
+  const secondLevel = labels[labels.length - 1].length === 2 && SECOND_LEVEL_SUFFIX.test(labels[labels.length - 2]);
+  return labels.slice(secondLevel ? -3 : -2).join('.');
+}
+
+/**
+ * Start measuring a page. Call before navigating, then call collect() once the page has loaded.
+ * @param {Object} page - Puppeteer page
+ * @returns {Object} { collect } - collect(pageUrl) resolves to the measurement
+ */
+async function startPerformanceCapture(page) {
+  const requests = new Map();
+  const client = await page.target().createCDPSession();
+
+  await client.send('Network.enable');
+  client.on('Network.requestWillBeSent', ({ requestId, request }) => {
+    // Redirects reuse the request ID
+    if (!requests.has(requestId) && /^https?:/.test(request.url)) {
+      requests.set(requestId, { url: request.url, bytes: 0 });
+    }
+  });
+  client.on('Network.loadingFinished', ({ requestId, encodedDataLength }) => {
+    const request = requests.get(requestId);
+    if (request) {
+      request.bytes = encodedDataLength;
+    }
+  });
+
+  await page.evaluateOnNewDocument(observePerformance);
+
+  /**
+   * @param {string} pageUrl - Final URL of the page; requests to other site domains count as third-party
+   * @returns {Object} { ttfb, fcp, domContentLoaded, load, lcp, cls, tbt, transferSize, requestCount, thirdPartyShare }
+   */
+  const collect = async (pageUrl) => {
+    const timing = await page.evaluate(() => {
+      const [navigation] = performance.getEntriesByType('navigation');
+      const paint = performance.getEntriesByName('first-contentful-paint')[0];
+      const observed = window.__pagePerformance || { lcp: null, cls: null, longTasks: [] };
+
+      return {
+        ttfb: navigation ? navigation.responseStart : null,
+        domContentLoaded: navigation ? navigation.domContentLoadedEventEnd : null,
+        load: navigation ? navigation.loadEventEnd : null,
+        fcp: paint ? paint.startTime : null,
+        ...observed
+      };
+    });
+    await client.detach().catch(() => {});
+
+    // TBT as in Lighthouse, from first contentful paint until the page was read
+    const tbt = timing.fcp === null
+      ? null
+      : timing.longTasks
+        .filter(task => task.start >= timing.fcp)
+        .reduce((total, task) => total + Math.max(0, task.duration - BLOCKING_THRESHOLD), 0);
+
+    const siteDomain = getSiteDomain(new URL(pageUrl).hostname);
+    const entries = [...requests.values()];
+    const thirdParty = entries.filter(request => getSiteDomain(new URL(request.url).hostname) !== siteDomain);
+    const round = value => (value ? Math.round(value) : null);
+
+    return {
+      ttfb: round(timing.ttfb),
+      fcp: round(timing.fcp),
+      domContentLoaded: round(timing.domContentLoaded),
+      load: round(timing.load),
+      lcp: round(timing.lcp),
+      cls: timing.cls === null ? null : Math.round(timing.cls * 1000) / 1000,
+      tbt: tbt === null ? null : Math.round(tbt),
+      transferSize: entries.reduce((total, request) => total + request.bytes, 0),
+      requestCount: entries.length,
+      thirdPartyShare: entries.length > 0 ? Math.round((thirdParty.length / entries.length) * 1000) / 1000 : null
+    };
+  };
+
+  return { collect };
+}
+
+module.exports = {
+  startPerformanceCapture,
+  getSiteDomain
+};
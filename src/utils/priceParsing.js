@@ -0,0 +1,72 @@
+const CURRENCY_SYMBOLS = {
+  '€': 'EUR',
+  '$': 'USD',
+  '£': 'GBP',
+  'CHF': 'CHF'
+};
+
+// The first number in a price text: digits with thousands groups (".", ",", "'" or a space) and decimals,
+// so "1.190,00 € incl. 22% IVA" reads 1.190,00 and not 1.190,0022
+const PRICE_PATTERN = /\d+(?:[.,'\u2019\s]\d{3}(?!\d))*(?:[.,]\d+)?/;
+
+/**
+ * Parse a price in either "1.190,00" or "1,190.00" notation
+ * @param {string|number} value - Price text
+ * @returns {number|null} Price
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (!value) {
+    return null;
+  }
+
+  const token = String(value).match(PRICE_PATTERN)?.[0];
+  if (!token) {
+    return null;
+  }
+
+  let number = token.replace(/[^\d.,]/g, '');
+  const lastComma = number.lastIndexOf(',');
+  const lastDot = number.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Both separators: the last one is the decimal separator
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    number = number.split(thousands).join('').replace(decimal, '.');
+  } else if (lastComma !== -1 || lastDot !== -1) {
+    // One separator: exactly three trailing digits means thousands
+    const separator = lastComma !== -1 ? ',' : '.';
+    const parts = number.split(separator);
+    const isThousands = parts.length > 2 || parts[parts.length - 1].length === 3;
+    number = isThousands ? parts.join('') : parts.join('.');
+  }
+
+  const price = parseFloat(number);
+  return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * Detect the currency of a price text from its symbol or ISO code
+ * @param {string} text - Price text
+ * @returns {string|null} ISO currency code
+ */
+function detectCurrency(text) {
+  if (!text) {
+    return null;
+  }
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(key => text.includes(key));
+  if (symbol) {
+    return CURRENCY_SYMBOLS[symbol];
+  }
+
+  return text.match(/\b[A-Z]{3}\b/)?.[0] || null;
+}
+
+module.exports = {
+  parsePrice,
+  detectCurrency
+};
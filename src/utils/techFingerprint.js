@@ -0,0 +1,40 @@
+const cheerio = require('cheerio');
+const { CATEGORIES, SIGNATURES } = require('./techSignatures');
+
+/**
+ * Fingerprint the technologies a page is built with, using the local signature database
+ * @param {Object} content - Fetched page ({ html, headers, cookies })
+ * @returns {Array} Technologies ({ name, category }), sorted by name
+ */
+function detectTechnologies({ html = '', headers = {}, cookies = [] } = {}) {
+  const $ = cheerio.load(html);
+  const scripts = $('script[src]').toArray().map(element => $(element).attr('src'));
+  const generators = $('meta[name="generator" i]').toArray().map(element => $(element).attr('content') || '');
+
+  const matches = (patterns = [], values) => patterns.some(pattern => values.some(value => pattern.test(value)));
+
+  return SIGNATURES
+    .filter(signature =>
+      matches(signature.html, [html])
+      || matches(signature.scripts, scripts)
+      || matches(signature.meta, generators)
+      || matches(signature.cookies, cookies)
+      || Object.entries(signature.headers || {}).some(([name, pattern]) => headers[name] !== undefined && pattern.test(String(headers[name])))
+    )
+    .map(signature => ({ name: signature.name, category: signature.category }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the display label and change severity of a technology category
+ * @param {string} category - Category key
+ * @returns {Object} { label, severity }
+ */
+function getCategory(category) {
+  return CATEGORIES[category] || { label: category, severity: 'low' };
+}
+
+module.exports = {
+  detectTechnologies,
+  getCategory
+};
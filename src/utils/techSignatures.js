@@ -0,0 +1,150 @@
+/**
+ * Local technology signature database.
+ *
+ * Each signature lists the evidence that identifies a technology; any single match is enough:
+ *   html     - patterns matched against the page markup (including inline scripts)
+ *   scripts  - patterns matched against <script src> URLs
+ *   meta     - patterns matched against <meta name="generator"> content
+ *   headers  - { header name: pattern } matched against response headers
+ *   cookies  - patterns matched against cookie names
+ */
+
+// Categories, with the severity of a technology in them being added or removed
+const CATEGORIES = {
+  cms: { label: 'CMS', severity: 'high' },
+  'headless-cms': { label: 'Headless CMS', severity: 'high' },
+  ecommerce: { label: 'E-commerce', severity: 'high' },
+  framework: { label: 'JavaScript framework', severity: 'high' },
+  'web-framework': { label: 'Web framework', severity: 'medium' },
+  analytics: { label: 'Analytics', severity: 'medium' },
+  'tag-manager': { label: 'Tag manager', severity: 'medium' },
+  advertising: { label: 'Advertising', severity: 'medium' },
+  'marketing-automation': { label: 'Marketing automation / CRM', severity: 'medium' },
+  chat: { label: 'Live chat', severity: 'medium' },
+  payments: { label: 'Payments', severity: 'medium' },
+  scheduling: { label: 'Scheduling', severity: 'low' },
+  consent: { label: 'Cookie consent', severity: 'low' },
+  library: { label: 'JavaScript library', severity: 'low' },
+  cdn: { label: 'CDN', severity: 'low' },
+  hosting: { label: 'Hosting', severity: 'low' },
+  server: { label: 'Web server', severity: 'low' }
+};
+
+const SIGNATURES = [
+  // CMS
+  {
+    name: 'WordPress',
+    category: 'cms',
+    html: [/\/wp-content\//, /\/wp-includes\//],
+    meta: [/^WordPress/i],
+    headers: { link: /api\.w\.org/ },
+    cookies: [/^wordpress_/, /^wp-settings/]
+  },
+  { name: 'Drupal', category: 'cms', html: [/\/sites\/default\/files\//, /drupal-settings-json/], meta: [/Drupal/i], headers: { 'x-generator': /Drupal/i, 'x-drupal-cache': /./ } },
+  { name: 'Joomla', category: 'cms', html: [/\/media\/jui\//, /\/components\/com_/], meta: [/Joomla/i] },
+  { name: 'Wix', category: 'cms', html: [/static\.wixstatic\.com/, /static\.parastorage\.com/], meta: [/Wix\.com/i], headers: { 'x-wix-request-id': /./ } },
+  { name: 'Squarespace', category: 'cms', html: [/static1\.squarespace\.com/, /Static\.SQUARESPACE_CONTEXT/] },
+  { name: 'Webflow', category: 'cms', html: [/data-wf-page=/, /assets\.website-files\.com/], meta: [/Webflow/i] },
+  { name: 'Ghost', category: 'cms', meta: [/^Ghost/i] },
+  { name: 'HubSpot CMS', category: 'cms', headers: { 'x-hs-hub-id': /./ }, meta: [/HubSpot/i] },
+  { name: 'Elementor', category: 'cms', html: [/elementor-kit-\d+/, /\/plugins\/elementor\//], meta: [/Elementor/i] },
+
+  // Headless CMS
+  { name: 'Contentful', category: 'headless-cms', html: [/images\.ctfassets\.net/, /cdn\.contentful\.com/] },
+  { name: 'Sanity', category: 'headless-cms', html: [/cdn\.sanity\.io/] },
+  { name: 'Storyblok', category: 'headless-cms', html: [/a\.storyblok\.com/, /img2\.storyblok\.com/] },
+  { name: 'Prismic', category: 'headless-cms', html: [/images\.prismic\.io/, /cdn\.prismic\.io/] },
+  { name: 'DatoCMS', category: 'headless-cms', html: [/www\.datocms-assets\.com/] },
+  { name: 'Strapi', category: 'headless-cms', headers: { 'x-powered-by': /Strapi/i } },
+
+  // E-commerce
+  { name: 'Shopify', category: 'ecommerce', html: [/cdn\.shopify\.com/, /Shopify\.theme/], headers: { 'x-shopid': /./, 'x-shopify-stage': /./ }, cookies: [/^_shopify_/] },
+  { name: 'WooCommerce', category: 'ecommerce', html: [/\/plugins\/woocommerce\//, /woocommerce-no-js/], meta: [/WooCommerce/i], cookies: [/^woocommerce_/] },
+  { name: 'Magento', category: 'ecommerce', html: [/Magento_[A-Z]\w+\//, /mage\/cookies/], cookies: [/^mage-/] },
+  { name: 'PrestaShop', category: 'ecommerce', html: [/var prestashop\s*=/], meta: [/PrestaShop/i], cookies: [/^PrestaShop-/] },
+  { name: 'BigCommerce', category: 'ecommerce', html: [/cdn\d*\.bigcommerce\.com/] },
+
+  // JavaScript frameworks
+  { name: 'Next.js', category: 'framework', html: [/__NEXT_DATA__/, /\/_next\/static\//], headers: { 'x-powered-by': /Next\.js/i } },
+  { name: 'Nuxt', category: 'framework', html: [/window\.__NUXT__/, /\/_nuxt\//] },
+  { name: 'Gatsby', category: 'framework', html: [/id="___gatsby"/], meta: [/Gatsby/i] },
+  { name: 'Astro', category: 'framework', html: [/<astro-island/], meta: [/^Astro/i] },
+  { name: 'SvelteKit', category: 'framework', html: [/__sveltekit_/, /data-sveltekit-/] },
+  { name: 'Angular', category: 'framework', html: [/ng-version="/] },
+  { name: 'React', category: 'framework', html: [/data-reactroot/], scripts: [/react(-dom)?(\.production)?(\.min)?\.js/] },
+  { name: 'Vue.js', category: 'framework', html: [/data-v-[0-9a-f]{8}/, /data-server-rendered="true"/], scripts: [/vue(\.runtime)?(\.global)?(\.prod)?(\.min)?\.js/] },
+
+  // Web frameworks and platforms
+  { name: 'Laravel', category: 'web-framework', cookies: [/^laravel_session$/] },
+  { name: 'ASP.NET', category: 'web-framework', headers: { 'x-aspnet-version': /./, 'x-powered-by': /ASP\.NET/ }, cookies: [/^ASP\.NET_SessionId$/] },
+  { name: 'PHP', category: 'web-framework', headers: { 'x-powered-by': /PHP/ }, cookies: [/^PHPSESSID$/] },
+
+  // Analytics and tag managers
+  { name: 'Google Analytics', category: 'analytics', html: [/gtag\(\s*['"]config['"],\s*['"]G-/], scripts: [/google-analytics\.com\/(analytics|ga)\.js/, /googletagmanager\.com\/gtag\/js/], cookies: [/^_ga$/] },
+  { name: 'Google Tag Manager', category: 'tag-manager', html: [/googletagmanager\.com\/gtm\.js/, /googletagmanager\.com\/ns\.html\?id=GTM-/] },
+  { name: 'Matomo', category: 'analytics', html: [/_paq\.push/], scripts: [/matomo\.js/, /piwik\.js/] },
+  { name: 'Hotjar', category: 'analytics', html: [/static\.hotjar\.com/], cookies: [/^_hj/] },
+  { name: 'Microsoft Clarity', category: 'analytics', html: [/www\.clarity\.ms\/tag/] },
+  { name: 'Plausible', category: 'analytics', scripts: [/plausible\.io\/js/] },
+  { name: 'Mixpanel', category: 'analytics', html: [/cdn\.mxpnl\.com/, /mixpanel\.init\(/] },
+  { name: 'Segment', category: 'analytics', html: [/cdn\.segment\.com\/analytics\.js/] },
+  { name: 'Adobe Analytics', category: 'analytics', scripts: [/assets\.adobedtm\.com/] },
+
+  // Advertising pixels
+  { name: 'Meta Pixel', category: 'advertising', html: [/connect\.facebook\.net\/[\w_]+\/fbevents\.js/, /fbq\(\s*['"]init['"]/], cookies: [/^_fbp$/] },
+  { name: 'LinkedIn Insight Tag', category: 'advertising', html: [/snap\.licdn\.com\/li\.lms-analytics/, /_linkedin_partner_id/] },
+  { name: 'Google Ads', category: 'advertising', html: [/googleadservices\.com\/pagead\/conversion/, /gtag\(\s*['"]config['"],\s*['"]AW-/] },
+  { name: 'TikTok Pixel', category: 'advertising', html: [/analytics\.tiktok\.com\/i18n\/pixel/] },
+
+  // Marketing automation and CRM
+  { name: 'HubSpot', category: 'marketing-automation', scripts: [/js\.hs-scripts\.com/, /js\.hsforms\.net/, /js\.hs-analytics\.net/], cookies: [/^__hstc$/, /^hubspotutk$/] },
+  { name: 'Salesforce Pardot', category: 'marketing-automation', html: [/pi\.pardot\.com/, /piAId\s*=/] },
+  { name: 'Marketo', category: 'marketing-automation', html: [/munchkin\.marketo\.net/] },
+  { name: 'ActiveCampaign', category: 'marketing-automation', html: [/trackcmp\.net/] },
+  { name: 'Mailchimp', category: 'marketing-automation', html: [/chimpstatic\.com/, /list-manage\.com\/subscribe/] },
+  { name: 'Klaviyo', category: 'marketing-automation', html: [/static\.klaviyo\.com/] },
+  { name: 'Brevo', category: 'marketing-automation', html: [/sibautomation\.com/, /sibforms\.com/] },
+
+  // Live chat
+  { name: 'Intercom', category: 'chat', html: [/widget\.intercom\.io/, /js\.intercomcdn\.com/] },
+  { name: 'Drift', category: 'chat', html: [/js\.driftt\.com/] },
+  { name: 'Zendesk Chat', category: 'chat', html: [/static\.zdassets\.com\/ekr\/snippet\.js/, /v2\.zopim\.com/] },
+  { name: 'Tawk.to', category: 'chat', html: [/embed\.tawk\.to/] },
+  { name: 'Crisp', category: 'chat', html: [/client\.crisp\.chat/] },
+  { name: 'LiveChat', category: 'chat', html: [/cdn\.livechatinc\.com/] },
+  { name: 'Tidio', category: 'chat', html: [/code\.tidio\.co/] },
+
+  // Payments and scheduling
+  { name: 'Stripe', category: 'payments', scripts: [/js\.stripe\.com/] },
+  { name: 'PayPal', category: 'payments', scripts: [/paypal\.com\/sdk\/js/, /paypalobjects\.com/] },
+  { name: 'Calendly', category: 'scheduling', html: [/assets\.calendly\.com/, /calendly\.com\/[\w-]+\/[\w-]+/] },
+
+  // Cookie consent
+  { name: 'Cookiebot', category: 'consent', scripts: [/consent\.cookiebot\.com/] },
+  { name: 'OneTrust', category: 'consent', html: [/cdn\.cookielaw\.org/, /optanon/i] },
+  { name: 'iubenda', category: 'consent', html: [/cdn\.iubenda\.com/] },
+  { name: 'Complianz', category: 'consent', html: [/\/plugins\/complianz-gdpr/, /cmplz-cookiebanner/] },
+
+  // Libraries
+  { name: 'jQuery', category: 'library', scripts: [/jquery[.-]?(\d[\d.]*)?(\.slim)?(\.min)?\.js/i] },
+  { name: 'Bootstrap', category: 'library', html: [/bootstrap(\.bundle)?(\.min)?\.(css|js)/] },
+
+  // CDN, hosting and servers
+  { name: 'Cloudflare', category: 'cdn', headers: { server: /cloudflare/i, 'cf-ray': /./ } },
+  { name: 'Amazon CloudFront', category: 'cdn', headers: { 'x-amz-cf-id': /./ } },
+  { name: 'Fastly', category: 'cdn', headers: { 'x-fastly-request-id': /./, 'x-served-by': /^cache-/ } },
+  { name: 'Akamai', category: 'cdn', headers: { 'x-akamai-transformed': /./, server: /AkamaiGHost/i } },
+  { name: 'Vercel', category: 'hosting', headers: { 'x-vercel-id': /./, server: /Vercel/i } },
+  { name: 'Netlify', category: 'hosting', headers: { 'x-nf-request-id': /./, server: /Netlify/i } },
+  { name: 'WP Engine', category: 'hosting', headers: { 'x-powered-by': /WP Engine/i } },
+  { name: 'Kinsta', category: 'hosting', headers: { 'x-kinsta-cache': /./ } },
+  { name: 'Nginx', category: 'server', headers: { server: /nginx/i } },
+  { name: 'Apache', category: 'server', headers: { server: /Apache/i } },
+  { name: 'LiteSpeed', category: 'server', headers: { server: /LiteSpeed/i } },
+  { name: 'Microsoft IIS', category: 'server', headers: { server: /Microsoft-IIS/i } }
+];
+
+module.exports = {
+  CATEGORIES,
+  SIGNATURES
+};
@@ -0,0 +1,84 @@
+const { diffArrays } = require('diff');
+
+// Keep change records (and the reports built from them) to a readable size
+const MAX_HUNKS = 20;
+const MAX_BLOCK_LENGTH = 500;
+
+/**
+ * Split extracted page text into comparable blocks (paragraphs / lines)
+ * @param {string} text - Page text content
+ * @returns {Array} Non-empty blocks with collapsed whitespace
+ */
+function splitBlocks(text) {
+  return (text || '')
+    .split(/\n+/)
+    .map(block => block.replace(/\s+/g, ' ').trim())
+    .filter(block => block.length > 0);
+}
+
+/**
+ * Truncate a block for storage in a change record
+ * @param {string} block - Text block
+ * @returns {string} Truncated block
+ */
+function truncateBlock(block) {
+  return block.length > MAX_BLOCK_LENGTH ? `${block.slice(0, MAX_BLOCK_LENGTH)}…` : block;
+}
+
+/**
+ * Compute a block-level diff between two versions of a page's text
+ * @param {string} previousText - Previous text content
+ * @param {string} currentText - Current text content
+ * @returns {Object} Diff with added/removed blocks, before/after hunks and a change rate (0-1)
+ */
+function diffText(previousText, currentText) {
+  const previousBlocks = splitBlocks(previousText);
+  const currentBlocks = splitBlocks(currentText);
+  const parts = diffArrays(previousBlocks, currentBlocks);
+
+  const added = [];
+  const removed = [];
+  const hunks = [];
+  let unchanged = 0;
+  let hunk = null;
+
+  parts.forEach(part => {
+    if (!part.added && !part.removed) {
+      unchanged += part.value.length;
+      hunk = null;
+      return;
+    }
+
+    // Consecutive removed/added parts form one before/after hunk
+    if (!hunk) {
+      hunk = { removed: [], added: [] };
+      hunks.push(hunk);
+    }
+
+    if (part.added) {
+      added.push(...part.value);
+      hunk.added.push(...part.value.map(truncateBlock));
+    } else {
+      removed.push(...part.value);
+      hunk.removed.push(...part.value.map(truncateBlock));
+    }
+  });
+
+  const total = previousBlocks.length + currentBlocks.length;
+
+  return {
+    added: added.slice(0, MAX_HUNKS * 5).map(truncateBlock),
+    removed: removed.slice(0, MAX_HUNKS * 5).map(truncateBlock),
+    addedCount: added.length,
+    removedCount: removed.length,
+    unchangedCount: unchanged,
+    hunks: hunks.slice(0, MAX_HUNKS),
+    truncated: hunks.length > MAX_HUNKS,
+    changeRate: total > 0 ? (added.length + removed.length) / total : 0
+  };
+}
+
+module.exports = {
+  splitBlocks,
+  diffText
+};
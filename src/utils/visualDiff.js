@@ -0,0 +1,118 @@
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+
+// Rows compared at a time, so padding a shorter or narrower image never copies it whole
+const STRIP_HEIGHT = 256;
+
+/**
+ * Get rows of an image on a white canvas of the given width, past its bottom edge too
+ * @param {PNG} image - Source image
+ * @param {number} y - First row
+ * @param {number} width - Canvas width
+ * @param {number} height - Rows
+ * @returns {Buffer} RGBA pixels (a view into the image when no padding is needed)
+ */
+function readStrip(image, y, width, height) {
+  if (image.width === width && y + height <= image.height) {
+    return image.data.subarray(y * width * 4, (y + height) * width * 4);
+  }
+
+  const strip = Buffer.alloc(width * height * 4, 255);
+  const rows = Math.max(0, Math.min(height, image.height - y));
+  for (let row = 0; row < rows; row++) {
+    const start = (y + row) * image.width * 4;
+    image.data.copy(strip, row * width * 4, start, start + Math.min(image.width, width) * 4);
+  }
+  return strip;
+}
+
+/**
+ * Compare two screenshots pixel by pixel, a strip of rows at a time.
+ * Pages of different heights are compared on the larger canvas (up to maxHeight), so added or removed
+ * sections count as changed pixels. The overlay is only drawn when enough of the page changed.
+ * @param {Buffer} previousPng - Previous screenshot
+ * @param {Buffer} currentPng - Current screenshot
+ * @param {Object} options - Comparison options
+ * @param {number} options.threshold - Per-pixel color distance tolerated (0-1)
+ * @param {number} options.maxHeight - Rows compared, from the top
+ * @param {number} options.minChangePercent - Below this, no overlay is drawn
+ * @returns {Object} { changedPixels, totalPixels, changePercent, overlay } (overlay is a PNG buffer, or null)
+ */
+function compareScreenshots(previousPng, currentPng, { threshold = 0.1, maxHeight = Infinity, minChangePercent = 0 } = {}) {
+  const previous = PNG.sync.read(previousPng);
+  const current = PNG.sync.read(currentPng);
+  const width = Math.max(previous.width, current.width);
+  const height = Math.min(Math.max(previous.height, current.height), maxHeight);
+  const options = { threshold, alpha: 0.2, diffColor: [255, 0, 0] };
+
+  const compareStrips = overlay => {
+    let changed = 0;
+    for (let y = 0; y < height; y += STRIP_HEIGHT) {
+      const rows = Math.min(STRIP_HEIGHT, height - y);
+      const output = overlay ? overlay.data.subarray(y * width * 4, (y + rows) * width * 4) : null;
+      changed += pixelmatch(readStrip(previous, y, width, rows), readStrip(current, y, width, rows), output, width, rows, options);
+    }
+    return changed;
+  };
+
+  const changedPixels = compareStrips(null);
+  const totalPixels = width * height;
+  const changePercent = Math.round((changedPixels / totalPixels) * 10000) / 100;
+
+  let overlay = null;
+  if (changePercent >= minChangePercent) {
+    const image = new PNG({ width, height });
+    compareStrips(image);
+    overlay = PNG.sync.write(image);
+  }
+
+  return { changedPixels, totalPixels, changePercent, overlay };
+}
+
+/**
+ * Create a thumbnail of the top of a screenshot (the part seen above the fold)
+ * @param {Buffer} png - Screenshot
+ * @param {Object} options - Thumbnail options
+ * @param {number} options.width - Thumbnail width
+ * @param {number} options.aspectRatio - Height / width of the area kept
+ * @returns {Buffer} PNG thumbnail
+ */
+function createThumbnail(png, { width = 320, aspectRatio = 0.75 } = {}) {
+  const source = PNG.sync.read(png);
+  const scale = source.width / width;
+  const height = Math.max(1, Math.min(Math.round(width * aspectRatio), Math.floor(source.height / scale)));
+  const thumbnail = new PNG({ width, height });
+
+  // Box-average each block of source pixels into one thumbnail pixel
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.floor(x * scale);
+      const y0 = Math.floor(y * scale);
+      const x1 = Math.max(x0 + 1, Math.min(source.width, Math.floor((x + 1) * scale)));
+      const y1 = Math.max(y0 + 1, Math.min(source.height, Math.floor((y + 1) * scale)));
+      const sum = [0, 0, 0, 0];
+
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const offset = (sy * source.width + sx) * 4;
+          for (let channel = 0; channel < 4; channel++) {
+            sum[channel] += source.data[offset + channel];
+          }
+        }
+      }
+
+      const count = (x1 - x0) * (y1 - y0);
+      const offset = (y * width + x) * 4;
+      for (let channel = 0; channel < 4; channel++) {
+        thumbnail.data[offset + channel] = Math.round(sum[channel] / count);
+      }
+    }
+  }
+
+  return PNG.sync.write(thumbnail);
+}
+
+module.exports = {
+  compareScreenshots,
+  createThumbnail
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const { escapeRegExp } = require('lodash');
+const logger = require('./logger');
+const { config } = require('../config');
+
+/**
+ * Keyword and topic watchlists (WATCHLISTS_FILE, data/watchlists.json by default):
+ *
+ * { "watchlists": [{ "name": "Platforms", "terms": ["Shopify", { "term": "AI", "caseSensitive": true },
+ *   { "term": "e-commerce", "aliases": ["ecommerce"] }] }] }
+ *
+ * Terms match whole words only, case-insensitive unless caseSensitive is set; mentions of the
+ * aliases count towards the term.
+ */
+
+/**
+ * Read and validate the watchlists file
+ * @param {string} file - Watchlists file
+ * @returns {Array} Watched terms ({ term, watchlist, severity, patterns }), or an empty list when the file does not exist
+ * @throws {Error} When the file is not valid JSON or a watchlist is invalid
+ */
+function readWatchlists(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(data.watchlists)) {
+    throw new Error('"watchlists" must be an array');
+  }
+
+  const terms = [];
+  data.watchlists.forEach((watchlist, index) => {
+    if (!watchlist.name || !Array.isArray(watchlist.terms)) {
+      throw new Error(`Watchlist ${index} needs a name and a "terms" array`);
+    }
+
+    watchlist.terms.forEach(entry => {
+      const term = typeof entry === 'string' ? { term: entry } : entry;
+      if (!term || typeof term.term !== 'string' || !term.term.trim()) {
+        throw new Error(`Watchlist "${watchlist.name}" has a term without text`);
+      }
+
+      // A term listed in several watchlists is counted once, under the first one
+      if (terms.some(existing => existing.term === term.term)) {
+        return;
+      }
+
+      const flags = term.caseSensitive ? 'gu' : 'giu';
+      terms.push({
+        term: term.term,
+        watchlist: watchlist.name,
+        severity: term.severity || watchlist.severity || null,
+        patterns: [term.term, ...(term.aliases || [])].map(text => new RegExp(
+          `(?<![\\p{L}\\p{N}])${escapeRegExp(text.trim()).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`, flags
+        ))
+      });
+    });
+  });
+
+  return terms;
+}
+
+/**
+ * Get the watched terms. An invalid watchlists file is logged and ignored.
+ * @returns {Array} Watched terms
+ */
+function getWatchTerms() {
+  try {
+    return readWatchlists(config.watchlists.file);
+  } catch (error) {
+    logger.error(`Invalid watchlists in ${config.watchlists.file}: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Count the mentions of each watched term in a text
+ * @param {string} text - Page text
+ * @param {Array} terms - Watched terms
+ * @returns {Object} Mentions keyed by term
+ */
+function countMentions(text, terms) {
+  const counts = {};
+  terms.forEach(({ term, patterns }) => {
+    counts[term] = patterns.reduce((total, pattern) => total + ((text || '').match(pattern) || []).length, 0);
+  });
+  return counts;
+}
+
+module.exports = {
+  readWatchlists,
+  getWatchTerms,
+  countMentions
+};
@@ -0,0 +1,28 @@
+/**
+ * Run an async worker over a list of items with bounded concurrency
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} options - Pool options
+ * @param {number} options.concurrency - Maximum number of items processed at the same time
+ * @returns {Array} Results, in the same order as the items
+ */
+async function runPool(items, worker, { concurrency = 1 } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, runWorker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  runPool
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AlertWatcher = require('../src/services/alertWatcher');
+const { config } = require('../src/config');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/storage', () => ({ getStorage: () => null }));
+
+const acme = { id: 'acme', name: 'Acme', website: 'https://acme.test', ecommerce: { url: 'https://acme.test/shop', critical: true } };
+const beta = { id: 'beta', name: 'Beta', website: 'https://beta.test', ecommerce: { url: 'https://beta.test/shop', critical: true } };
+
+describe('AlertWatcher', () => {
+  const { minSeverity, quietHours } = config.alerts;
+  let dir;
+  let notifiers;
+  let watcher;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+    notifiers = { notifyAll: jest.fn().mockResolvedValue([{ channel: 'slack', status: 'sent' }]) };
+    watcher = new AlertWatcher({
+      notifiers,
+      competitorsLoader: { getCompetitorsWithMonitoring: () => [acme, beta] }
+    });
+    watcher.stateFile = path.join(dir, 'state.json');
+
+    watcher.websiteMonitor.getTrackedPages = competitor => [
+      { url: `${competitor.website}/`, critical: true },
+      { url: `${competitor.website}/blog` }
+    ];
+    watcher.websiteMonitor.crawlPolicy = { check: jest.fn().mockResolvedValue({ allowed: true }) };
+    watcher.websiteMonitor.checkPage = jest.fn().mockResolvedValue({
+      hash: 'abc',
+      changes: [
+        { type: 'title', description: 'Title changed', severity: 'high' },
+        { type: 'content', description: 'Content changed', severity: 'medium' }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true });
+    Object.assign(config.alerts, { minSeverity, quietHours });
+  });
+
+  it('alerts changes at or above the minimum severity', () => {
+    config.alerts.minSeverity = 'medium';
+
+    expect(watcher.isAlertWorthy({ severity: 'high' })).toBe(true);
+    expect(watcher.isAlertWorthy({ severity: 'medium' })).toBe(true);
+    expect(watcher.isAlertWorthy({ severity: 'low' })).toBe(false);
+    expect(watcher.isAlertWorthy({})).toBe(false);
+  });
+
+  it('falls back to high for an unknown ALERT_MIN_SEVERITY', () => {
+    jest.isolateModules(() => {
+      process.env.ALERT_MIN_SEVERITY = 'critical';
+      expect(require('../src/config').config.alerts.minSeverity).toBe('high');
+      delete process.env.ALERT_MIN_SEVERITY;
+    });
+  });
+
+  it('checks only critical pages and alerts their worthy changes', async () => {
+    config.alerts.minSeverity = 'high';
+    const alerts = await watcher.checkWebsites();
+
+    expect(watcher.websiteMonitor.checkPage.mock.calls.map(([, target]) => target.url)).toEqual(['https://acme.test/', 'https://beta.test/']);
+    expect(alerts).toHaveLength(2);
+    expect(alerts[0]).toMatchObject({ competitorId: 'acme', source: 'website', page: 'https://acme.test/', type: 'title', severity: 'high' });
+    expect(alerts[0].fingerprint).toMatch(/^[0-9a-f]{16}$/);
+    expect(alerts[0].fingerprint).not.toBe(alerts[1].fingerprint);
+  });
+
+  it('skips pages robots.txt disallows', async () => {
+    watcher.websiteMonitor.crawlPolicy.check.mockResolvedValue({ allowed: false, reason: 'Disallowed by robots.txt (Disallow: /)' });
+
+    expect(await watcher.checkWebsites()).toEqual([]);
+    expect(watcher.websiteMonitor.checkPage).not.toHaveBeenCalled();
+  });
+
+  it('keeps checking catalogs after one fails', async () => {
+    config.alerts.minSeverity = 'high';
+    watcher.priceMonitor.monitorCatalog = jest.fn()
+      .mockRejectedValueOnce(new Error('Navigation timeout of 30000 ms exceeded'))
+      .mockResolvedValueOnce({
+        events: [
+          { type: 'price-drop', description: 'Pro plan dropped to €99', severity: 'high', price: 99, product: { key: 'sku:pro', name: 'Pro', url: 'https://beta.test/pro' } },
+          { type: 'new-product', description: 'New product: Mini', severity: 'low', product: { key: 'sku:mini', name: 'Mini' } }
+        ]
+      });
+
+    const alerts = await watcher.checkPrices();
+
+    expect(watcher.priceMonitor.monitorCatalog).toHaveBeenCalledWith(acme, { record: false });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ competitorId: 'beta', source: 'price', page: 'https://beta.test/pro', pageName: 'Pro', type: 'price-drop' });
+  });
+
+  it('alerts the same change once within the dedup window', async () => {
+    const alerts = await watcher.checkWebsites();
+
+    await watcher.dispatch(alerts);
+    await watcher.dispatch(await watcher.checkWebsites());
+
+    expect(notifiers.notifyAll).toHaveBeenCalledTimes(1);
+    expect(notifiers.notifyAll.mock.calls[0][1].alerts).toHaveLength(alerts.length);
+    expect((await watcher.getStatus()).recent).toHaveLength(alerts.length);
+  });
+
+  it('alerts a change again once the dedup window has passed', async () => {
+    const [alert] = await watcher.checkWebsites();
+    const longAgo = new Date(Date.now() - (config.alerts.dedupHours + 1) * 60 * 60 * 1000).toISOString();
+
+    await watcher.dispatch([{ ...alert, detectedAt: longAgo }]);
+    await watcher.dispatch([alert]);
+
+    expect(notifiers.notifyAll).toHaveBeenCalledTimes(2);
+  });
+
+  it('holds alerts during quiet hours and sends them afterwards', async () => {
+    config.alerts.quietHours = '00:00-23:59';
+    const alerts = await watcher.checkWebsites();
+    await watcher.dispatch(alerts);
+
+    expect(notifiers.notifyAll).not.toHaveBeenCalled();
+    expect((await watcher.getStatus()).pending).toHaveLength(alerts.length);
+
+    config.alerts.quietHours = '';
+    await watcher.dispatch([]);
+
+    expect(notifiers.notifyAll.mock.calls[0][1].alerts).toHaveLength(alerts.length);
+    expect((await watcher.getStatus()).pending).toEqual([]);
+  });
+
+  it('keeps alerts pending when no channel took them', async () => {
+    notifiers.notifyAll.mockResolvedValue([{ channel: 'slack', status: 'failed' }]);
+    const alerts = await watcher.checkWebsites();
+    await watcher.dispatch(alerts);
+
+    expect((await watcher.getStatus()).pending).toHaveLength(alerts.length);
+  });
+
+  it('reads quiet hours spanning midnight in the schedule timezone', () => {
+    config.alerts.quietHours = '22:00-07:00';
+    const { timezone } = config.schedule;
+    config.schedule.timezone = 'Europe/Rome';
+
+    expect(watcher.isQuietTime(new Date('2024-06-12T21:30:00Z'))).toBe(true);
+    expect(watcher.isQuietTime(new Date('2024-06-13T04:59:00Z'))).toBe(true);
+    expect(watcher.isQuietTime(new Date('2024-06-13T05:00:00Z'))).toBe(false);
+    expect(watcher.isQuietTime(new Date('2024-06-12T19:30:00Z'))).toBe(false);
+    config.schedule.timezone = timezone;
+  });
+});
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ChangeScorer, loadScoringRules } = require('../src/services/changeScorer');
+
+const rules = {
+  base: { default: 20, types: { content: 30, 'price-drop': 55 } },
+  categories: { default: 'content', sources: { price: 'pricing' }, types: { title: 'messaging' } },
+  severity: { high: 70, medium: 40 },
+  rules: [
+    { name: 'Pricing page', when: { type: ['content', 'title'], page: '/(pricing|prezzi)' }, add: 15, category: 'pricing' },
+    { name: 'Hiring', when: { keywords: ['We are hiring'] }, add: 10, category: 'hiring' },
+    { name: 'Large change', when: { diffSize: { min: 30 } }, add: 15 },
+    { name: 'Small change', when: { diffSize: { max: 5 } }, add: -10 },
+    { name: 'Homepage', when: { homepage: true }, add: 10 },
+    { name: 'Key competitor', when: { competitorPriority: 'high' }, add: 15 },
+    { name: 'Legal page', when: { page: '/privacy' }, severity: 'low' }
+  ]
+};
+
+describe('ChangeScorer', () => {
+  const scorer = new ChangeScorer(rules);
+
+  it('starts from the base score of the change type', () => {
+    expect(scorer.score({ type: 'content' })).toMatchObject({ score: 30, category: 'content', severity: 'low' });
+    expect(scorer.score({ type: 'unknown' }).score).toBe(20);
+  });
+
+  it('adds the points of every matching rule', () => {
+    const result = scorer.score(
+      { type: 'content', diff: { changeRate: 0.4, added: ['New plans'], removed: [] } },
+      { competitor: { priority: 'high' }, page: { url: 'https://acme.test/pricing', homepage: false } }
+    );
+
+    expect(result.score).toBe(75);
+    expect(result.scoring.factors.map(factor => factor.rule)).toEqual(['Pricing page', 'Large change', 'Key competitor']);
+    expect(result.category).toBe('pricing');
+    expect(result.severity).toBe('high');
+  });
+
+  it('matches keywords case-insensitively in the description and diff', () => {
+    const result = scorer.score({ type: 'content', diff: { changeRate: 0.1, added: ['WE ARE HIRING developers'], removed: [] } });
+
+    expect(result.category).toBe('hiring');
+    expect(result.score).toBe(40);
+  });
+
+  it('only applies diffSize rules to changes with a measure', () => {
+    expect(scorer.score({ type: 'content', diff: { changeRate: 0.02 } }).score).toBe(20);
+    expect(scorer.score({ type: 'content' }).scoring.factors).toEqual([]);
+  });
+
+  it('keeps the score between 0 and 100', () => {
+    const negative = new ChangeScorer({ base: { default: 5 }, rules: [{ name: 'Noise', when: {}, add: -50 }] });
+    const positive = new ChangeScorer({ base: { default: 90 }, rules: [{ name: 'Boost', when: {}, add: 50 }] });
+
+    expect(negative.score({ type: 'content' }).score).toBe(0);
+    expect(positive.score({ type: 'content' }).score).toBe(100);
+  });
+
+  it('derives the severity from the thresholds', () => {
+    const context = { page: { url: 'https://acme.test/pricing' } };
+
+    expect(scorer.score({ type: 'title' }, context)).toMatchObject({ score: 35, severity: 'low' });
+    expect(scorer.score({ type: 'content' }, context)).toMatchObject({ score: 45, severity: 'medium' });
+    expect(scorer.score({ type: 'price-drop' }, { source: 'price', competitor: { priority: 'high' } }))
+      .toMatchObject({ score: 70, severity: 'high', category: 'pricing' });
+  });
+
+  it('never scores a change below the severity its detector gave', () => {
+    const result = scorer.score({ type: 'content', severity: 'high' });
+
+    expect(result.score).toBe(30);
+    expect(result.severity).toBe('high');
+    expect(result.scoring.detectorSeverity).toBe('high');
+  });
+
+  it('lets a rule set the severity whatever the score', () => {
+    const result = scorer.score({ type: 'content', severity: 'high' }, { page: { url: 'https://acme.test/privacy', homepage: true } });
+
+    expect(result.score).toBe(40);
+    expect(result.severity).toBe('low');
+  });
+
+  it('keeps the detector severity when rescoring', () => {
+    const change = { type: 'content', severity: 'high' };
+    scorer.scoreChanges([change], {});
+    change.severity = 'low';
+
+    expect(scorer.score(change).severity).toBe('high');
+  });
+});
+
+describe('loadScoringRules', () => {
+  it('loads the default rules', () => {
+    const defaults = loadScoringRules(path.join(__dirname, '../src/config/scoring.json'));
+
+    expect(defaults.severity).toEqual({ high: 70, medium: 40 });
+    expect(defaults.rules.length).toBeGreaterThan(0);
+  });
+
+  it('does not count a bare euro sign as pricing wording', () => {
+    const scorer = new ChangeScorer(loadScoringRules(path.join(__dirname, '../src/config/scoring.json')));
+    const rules = change => scorer.score(change, { source: 'website' }).scoring.factors.map(factor => factor.rule);
+
+    expect(rules({ type: 'content', description: 'Footer changed', diff: { added: ['© 2024 Acme S.r.l. - Capitale sociale € 10.000'], removed: [] } }))
+      .not.toContain('Pricing keywords');
+    expect(rules({ type: 'content', description: 'Content changed', diff: { added: ['New pricing from €99 per month'], removed: [] } }))
+      .toContain('Pricing keywords');
+  });
+
+  it('rejects a rule with an unknown severity', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'scoring-')), 'scoring.json');
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ name: 'Legal page', when: { page: '/privacy' }, severity: 'urgent' }] }));
+
+    expect(() => loadScoringRules(file)).toThrow('Rule "Legal page": "severity" must be low, medium or high');
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+});
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+process.env.REPORTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'competitors-api-'));
+
+const CompetitorsAnalysisAgent = require('../src/index');
+
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+jest.mock('../src/utils/logger');
+jest.mock('../src/storage', () => ({ getStorage: () => null, closeStorage: jest.fn() }));
+
+describe('Competitors API', () => {
+  let agent;
+  let filePath;
+
+  beforeEach(() => {
+    filePath = path.join(process.env.REPORTS_DIR, 'competitors.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      competitors: [{ id: 'acme', name: 'Acme', website: 'https://acme.test', monitoring: { enabled: true, pricing: false } }]
+    }));
+
+    agent = new CompetitorsAnalysisAgent();
+    agent.competitorsLoader.filePath = filePath;
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.REPORTS_DIR, { recursive: true, force: true });
+  });
+
+  it('adds a competitor with the default monitoring settings', async () => {
+    const response = await request(agent.app).post('/competitors').send({ name: 'Beta Shop', website: 'https://beta.test' });
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({
+      id: 'beta-shop',
+      monitoring: { enabled: true, website: true, socialMedia: true, pricing: true, seo: true }
+    });
+  });
+
+  it('rejects a duplicate ID with 409', async () => {
+    const response = await request(agent.app).post('/competitors').send({ id: 'acme', name: 'Acme', website: 'https://acme.test' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('Competitor acme already exists');
+  });
+
+  it('rejects a duplicate ID the loader had not seen with 409', async () => {
+    agent.competitorsLoader.getCompetitors();
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    data.competitors.push({ id: 'beta', name: 'Beta', website: 'https://beta.test' });
+    fs.writeFileSync(filePath, JSON.stringify(data));
+
+    const response = await request(agent.app).post('/competitors').send({ id: 'beta', name: 'Beta', website: 'https://beta.test' });
+
+    expect(response.status).toBe(409);
+  });
+
+  it('only accepts http and https URLs', async () => {
+    const response = await request(agent.app).post('/competitors').send({
+      name: 'Gamma',
+      website: 'ftp:/gamma.test',
+      ecommerce: { url: 'javascript:alert(1)' },
+      pages: ['/pricing'],
+      discovery: { feeds: ['data:text/xml,<rss/>'] }
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(error => error.field)).toEqual(['website', 'ecommerce.url', 'pages[0]', 'discovery.feeds[0]']);
+  });
+
+  it('validates the crawl settings', async () => {
+    const response = await request(agent.app).post('/competitors').send({
+      name: 'Gamma',
+      website: 'https://gamma.test',
+      crawl: { maxDepth: -1, maxPages: 0, include: ['^/blog/', '(unclosed'], exclude: '/tag/' }
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(error => error.field)).toEqual(['crawl.maxDepth', 'crawl.maxPages', 'crawl.include[1]', 'crawl.exclude']);
+  });
+
+  it('accepts known device profiles only', async () => {
+    const response = await request(agent.app).post('/competitors').send({ name: 'Gamma', website: 'https://gamma.test', devices: ['mobile', 'watch'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([{ field: 'devices[1]', message: 'Unknown device profile (use desktop, tablet, mobile)' }]);
+    expect((await request(agent.app).post('/competitors').send({ name: 'Delta', website: 'https://delta.test', devices: [] })).status).toBe(400);
+  });
+
+  it('validates extraction rules', async () => {
+    const response = await request(agent.app).post('/competitors').send({
+      name: 'Gamma',
+      website: 'https://gamma.test',
+      extract: [
+        { name: 'Price', selector: '.price', type: 'price' },
+        { name: 'Price', xpath: '//div[', regex: '(unclosed', type: 'date' },
+        { selector: 'h1', xpath: '//h1', page: 'ftp://gamma.test/', severity: 'critical' }
+      ]
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors.map(error => error.field)).toEqual([
+      'extract[1].name',
+      'extract[1].xpath',
+      'extract[1].regex',
+      'extract[1].type',
+      'extract[2].name',
+      'extract[2]',
+      'extract[2].page',
+      'extract[2].severity'
+    ]);
+  });
+
+  it('merges the fields a PATCH gives', async () => {
+    const response = await request(agent.app).patch('/competitors/acme').send({ priority: 'high' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ id: 'acme', priority: 'high', monitoring: { pricing: false } });
+  });
+
+  it('gives a replaced competitor the default monitoring settings', async () => {
+    const response = await request(agent.app).put('/competitors/acme').send({
+      name: 'Acme',
+      website: 'https://acme.test',
+      monitoring: { seo: false }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      id: 'acme',
+      name: 'Acme',
+      website: 'https://acme.test',
+      monitoring: { enabled: true, website: true, socialMedia: true, pricing: true, seo: false }
+    });
+  });
+
+  it('does not let an update change the ID', async () => {
+    const response = await request(agent.app).patch('/competitors/acme').send({ id: 'other' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual([{ field: 'id', message: 'ID cannot be changed' }]);
+  });
+
+  it('answers 404 for an unknown competitor', async () => {
+    expect((await request(agent.app).put('/competitors/unknown').send({ name: 'X', website: 'https://x.test' })).status).toBe(404);
+    expect((await request(agent.app).delete('/competitors/unknown')).status).toBe(404);
+  });
+});
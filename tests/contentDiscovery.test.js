@@ -0,0 +1,152 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const ContentDiscovery = require('../src/services/contentDiscovery');
+const { config } = require('../src/config');
+
+jest.mock('axios');
+jest.mock('../src/utils/logger');
+jest.mock('../src/storage', () => ({ getStorage: () => null }));
+jest.mock('../src/utils/crawlPolicy', () => {
+  const policy = { check: jest.fn(), wait: jest.fn() };
+  return { getCrawlPolicy: () => policy };
+});
+
+const competitor = {
+  id: 'acme',
+  name: 'Acme',
+  website: 'https://acme.test/',
+  discovery: { sitemaps: ['/sitemap.xml'], feeds: ['/feed.xml'] }
+};
+
+const sitemap = paths => `<?xml version="1.0"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  ${paths.map(url => `<url><loc>https://acme.test${url}</loc><lastmod>2024-06-01</lastmod></url>`).join('\n')}
+</urlset>`;
+
+const feed = posts => `<?xml version="1.0"?>
+<rss version="2.0"><channel>
+  ${posts.map(([url, title]) => `<item><link>https://acme.test${url}</link><title>${title}</title><pubDate>Mon, 03 Jun 2024 09:00:00 GMT</pubDate></item>`).join('\n')}
+</channel></rss>`;
+
+describe('ContentDiscovery', () => {
+  const { maxUrls } = config.discovery;
+  let site;
+  let discovery;
+
+  const serve = pages => {
+    site = pages;
+  };
+
+  beforeEach(() => {
+    discovery = new ContentDiscovery();
+    discovery.contentDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-'));
+    discovery.crawlPolicy.check.mockResolvedValue({ allowed: true });
+    axios.get.mockImplementation(async url => {
+      const body = site[new URL(url).pathname];
+      if (body instanceof Error) {
+        throw body;
+      }
+      if (body === undefined) {
+        throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+      }
+      return { status: 200, data: Buffer.from(body) };
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(discovery.contentDir, { recursive: true });
+    config.discovery.maxUrls = maxUrls;
+  });
+
+  it('records a baseline on the first run', async () => {
+    serve({ '/sitemap.xml': sitemap(['/', '/blog/launch']), '/feed.xml': feed([['/blog/launch', 'Launch']]) });
+    const results = await discovery.discoverContent(competitor);
+
+    expect(results.total).toBe(2);
+    expect(results.added).toEqual([]);
+    expect(results.removed).toEqual([]);
+    expect(results.sources).toEqual({ sitemaps: ['https://acme.test/sitemap.xml'], feeds: ['https://acme.test/feed.xml'] });
+  });
+
+  it('takes titles from feeds and reports new URLs', async () => {
+    serve({ '/sitemap.xml': sitemap(['/']), '/feed.xml': feed([]) });
+    await discovery.discoverContent(competitor);
+
+    serve({ '/sitemap.xml': sitemap(['/', '/blog/launch']), '/feed.xml': feed([['/blog/launch', 'Launch']]) });
+    const results = await discovery.discoverContent(competitor);
+
+    expect(results.added).toEqual([
+      { url: 'https://acme.test/blog/launch', title: 'Launch', lastmod: '2024-06-01', source: 'sitemap' }
+    ]);
+  });
+
+  it('reports URLs dropped from the sitemap as removed', async () => {
+    serve({ '/sitemap.xml': sitemap(['/', '/pricing', '/old-offer']), '/feed.xml': feed([]) });
+    await discovery.discoverContent(competitor);
+
+    serve({ '/sitemap.xml': sitemap(['/', '/pricing']), '/feed.xml': feed([]) });
+    const results = await discovery.discoverContent(competitor);
+
+    expect(results.removed.map(item => item.url)).toEqual(['https://acme.test/old-offer']);
+  });
+
+  it('does not remove posts that only left the feed', async () => {
+    serve({ '/sitemap.xml': sitemap(['/']), '/feed.xml': feed([['/blog/old-post', 'Old post']]) });
+    await discovery.discoverContent(competitor);
+
+    serve({ '/sitemap.xml': sitemap(['/']), '/feed.xml': feed([['/blog/new-post', 'New post']]) });
+    const results = await discovery.discoverContent(competitor);
+
+    expect(results.added.map(item => item.url)).toEqual(['https://acme.test/blog/new-post']);
+    expect(results.removed).toEqual([]);
+  });
+
+  it('does not remove anything when a source fails', async () => {
+    serve({ '/sitemap.xml': sitemap(['/', '/pricing']), '/feed.xml': feed([['/blog/launch', 'Launch']]) });
+    await discovery.discoverContent(competitor);
+
+    serve({ '/sitemap.xml': new Error('timeout of 30000ms exceeded'), '/feed.xml': feed([['/blog/launch', 'Launch']]) });
+    const results = await discovery.discoverContent(competitor);
+
+    expect(results.errors).toEqual(['https://acme.test/sitemap.xml: timeout of 30000ms exceeded']);
+    expect(results.removed).toEqual([]);
+  });
+
+  it('does not remove anything when robots.txt disallows a source', async () => {
+    serve({ '/sitemap.xml': sitemap(['/', '/pricing']), '/feed.xml': feed([['/blog/launch', 'Launch']]) });
+    await discovery.discoverContent(competitor);
+
+    discovery.crawlPolicy.check.mockImplementation(async url => (url.endsWith('/sitemap.xml')
+      ? { allowed: false, reason: 'Disallowed by robots.txt (Disallow: /sitemap.xml)' }
+      : { allowed: true }));
+    const results = await discovery.discoverContent(competitor);
+
+    expect(results.skipped).toEqual([{ url: 'https://acme.test/sitemap.xml', reason: 'Disallowed by robots.txt (Disallow: /sitemap.xml)' }]);
+    expect(results.removed).toEqual([]);
+  });
+
+  it('does not remove URLs cut by the URL limit', async () => {
+    serve({ '/sitemap.xml': sitemap(['/', '/pricing']), '/feed.xml': feed([]) });
+    await discovery.discoverContent(competitor);
+
+    config.discovery.maxUrls = 1;
+    const results = await discovery.discoverContent(competitor);
+
+    expect(results.total).toBe(1);
+    expect(results.removed).toEqual([]);
+  });
+
+  it('filters URLs by path, ignoring invalid patterns', async () => {
+    serve({ '/sitemap.xml': sitemap(['/', '/blog/launch', '/blog/tag/news']), '/feed.xml': feed([]) });
+    const results = await discovery.discoverContent({
+      ...competitor,
+      discovery: { ...competitor.discovery, include: ['^/blog/', '(unclosed'], exclude: ['/tag/'] }
+    });
+
+    expect(results.total).toBe(1);
+    expect(JSON.parse(fs.readFileSync(path.join(discovery.contentDir, 'acme.json'), 'utf8')).items.map(item => item.url))
+      .toEqual(['https://acme.test/blog/launch']);
+  });
+});
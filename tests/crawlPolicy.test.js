@@ -0,0 +1,133 @@
+const axios = require('axios');
+const { CrawlPolicy, parseRobotsTxt, matchesRule } = require('../src/utils/crawlPolicy');
+
+jest.mock('axios');
+jest.mock('../src/utils/logger');
+
+describe('parseRobotsTxt', () => {
+  it('groups consecutive user agents with their rules and crawl delay', () => {
+    const groups = parseRobotsTxt([
+      'User-agent: Googlebot',
+      'User-agent: TestAgent # also us',
+      'Disallow: /private',
+      'Allow: /private/press',
+      'Crawl-delay: 5',
+      '',
+      'User-agent: *',
+      'Disallow: /admin',
+      'Disallow:',
+      'Sitemap: https://example.com/sitemap.xml'
+    ].join('\r\n'));
+
+    expect(groups).toEqual([
+      {
+        agents: ['googlebot', 'testagent'],
+        rules: [{ allow: false, path: '/private' }, { allow: true, path: '/private/press' }],
+        crawlDelay: 5
+      },
+      { agents: ['*'], rules: [{ allow: false, path: '/admin' }], crawlDelay: null }
+    ]);
+  });
+
+  it('ignores rules before the first user agent', () => {
+    expect(parseRobotsTxt('Disallow: /\nUser-agent: *\nAllow: /')).toEqual([
+      { agents: ['*'], rules: [{ allow: true, path: '/' }], crawlDelay: null }
+    ]);
+  });
+});
+
+describe('matchesRule', () => {
+  it('matches path prefixes', () => {
+    expect(matchesRule('/blog', '/blog/post-1')).toBe(true);
+    expect(matchesRule('/blog', '/about/blog')).toBe(false);
+  });
+
+  it('expands * wildcards', () => {
+    expect(matchesRule('/*.pdf', '/files/brochure.pdf')).toBe(true);
+    expect(matchesRule('/shop/*/cart', '/shop/it/cart?step=2')).toBe(true);
+    expect(matchesRule('/shop/*/cart', '/shop/it/checkout')).toBe(false);
+  });
+
+  it('anchors patterns ending with $', () => {
+    expect(matchesRule('/*.pdf$', '/files/brochure.pdf')).toBe(true);
+    expect(matchesRule('/*.pdf$', '/files/brochure.pdf?download=1')).toBe(false);
+    expect(matchesRule('/$', '/')).toBe(true);
+    expect(matchesRule('/$', '/pricing')).toBe(false);
+  });
+
+  it('treats other characters literally', () => {
+    expect(matchesRule('/search?q=', '/search?q=price')).toBe(true);
+    expect(matchesRule('/a.b', '/axb')).toBe(false);
+  });
+});
+
+describe('CrawlPolicy.check', () => {
+  const createPolicy = () => new CrawlPolicy({ userAgent: 'TestAgent/1.0 (+https://example.com/bot)', cacheTtl: 60000, domainDelay: 0 });
+  const serveRobots = robotsTxt => axios.get.mockResolvedValue({ status: 200, data: robotsTxt });
+
+  beforeEach(() => {
+    axios.get.mockReset();
+  });
+
+  it('applies the longest matching rule', async () => {
+    serveRobots('User-agent: *\nDisallow: /private\nAllow: /private/press');
+    const policy = createPolicy();
+
+    expect(await policy.check('https://example.com/private/team')).toEqual({
+      allowed: false,
+      reason: 'Disallowed by robots.txt (Disallow: /private)'
+    });
+    expect((await policy.check('https://example.com/private/press/2024')).allowed).toBe(true);
+    expect((await policy.check('https://example.com/pricing')).allowed).toBe(true);
+  });
+
+  it('lets Allow win a tie', async () => {
+    serveRobots('User-agent: *\nDisallow: /page\nAllow: /page');
+    const policy = createPolicy();
+
+    expect((await policy.check('https://example.com/page')).allowed).toBe(true);
+  });
+
+  it('prefers the group naming our user agent over *', async () => {
+    serveRobots('User-agent: *\nDisallow: /\n\nUser-agent: TestAgent\nDisallow: /admin');
+    const policy = createPolicy();
+
+    expect((await policy.check('https://example.com/pricing')).allowed).toBe(true);
+    expect((await policy.check('https://example.com/admin')).allowed).toBe(false);
+  });
+
+  it('fetches robots.txt once per origin', async () => {
+    serveRobots('User-agent: *\nDisallow: /admin');
+    const policy = createPolicy();
+
+    await Promise.all([policy.check('https://example.com/a'), policy.check('https://example.com/b')]);
+
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get.mock.calls[0][0]).toBe('https://example.com/robots.txt');
+  });
+
+  it('disallows everything while robots.txt answers with a server error', async () => {
+    axios.get.mockRejectedValue(Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } }));
+    const policy = createPolicy();
+
+    expect(await policy.check('https://example.com/pricing')).toEqual({
+      allowed: false,
+      reason: 'robots.txt unavailable (HTTP 503), retrying later'
+    });
+  });
+
+  it('allows everything when robots.txt cannot be reached', async () => {
+    axios.get.mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND example.com'), { code: 'ENOTFOUND' }));
+    const policy = createPolicy();
+
+    expect((await policy.check('https://example.com/pricing')).allowed).toBe(true);
+  });
+
+  it('skips the check for competitors that opted out', async () => {
+    serveRobots('User-agent: *\nDisallow: /');
+    const policy = createPolicy();
+
+    expect((await policy.check('https://example.com/', { name: 'Acme', robots: { respect: false } })).allowed).toBe(true);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { extractField, describeFieldChange } = require('../src/utils/extractionRules');
+const FieldTracker = require('../src/services/fieldTracker');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/storage', () => ({ getStorage: () => null }));
+
+const html = `<html><body>
+  <h1 class="headline">  Save 20%
+    on every plan </h1>
+  <div class="plan" data-sku="basic"><h2>Basic</h2><span class="price">€1.299,00 / year</span></div>
+  <div class="plan" data-sku="pro"><h2>Pro</h2><span class="price">€2.499,00 / year</span></div>
+  <p class="team">Our team of 120 people</p>
+  <ul class="clients"><li>Globex</li><li>Initech</li><li>Globex</li><li></li></ul>
+  <div class="logos"><img class="logo" src="a.png"><img class="logo" src="b.png"><img class="logo" src="c.png"></div>
+</body></html>`;
+
+describe('extractField', () => {
+  it('reads the first match as text, with whitespace collapsed', () => {
+    expect(extractField(html, { selector: '.headline' })).toEqual({ value: 'Save 20% on every plan', display: 'Save 20% on every plan' });
+  });
+
+  it('reads attributes and applies the regex capture group', () => {
+    expect(extractField(html, { selector: '.plan', attribute: 'data-sku' }).value).toBe('basic');
+    expect(extractField(html, { selector: '.team', regex: 'team of (\\d+)', type: 'number' })).toEqual({ value: 120, display: '120' });
+  });
+
+  it('parses prices with their currency', () => {
+    expect(extractField(html, { selector: '.plan .price', type: 'price' })).toEqual({
+      value: { amount: 1299, currency: 'EUR' },
+      display: '€1.299,00 / year'
+    });
+  });
+
+  it('lists the distinct non-empty matches and counts elements', () => {
+    expect(extractField(html, { selector: '.clients li', type: 'list' })).toEqual({ value: ['Globex', 'Initech'], display: 'Globex, Initech' });
+    expect(extractField(html, { selector: '.logo', type: 'count' })).toEqual({ value: 3, display: '3' });
+    expect(extractField(html, { selector: '.clients li', type: 'count', regex: '^Glo' }).value).toBe(2);
+  });
+
+  it('evaluates XPath expressions', () => {
+    expect(extractField(html, { xpath: '//div[@class="plan"][2]/h2' }).value).toBe('Pro');
+    expect(extractField(html, { xpath: '//div[@class="plan"]', attribute: 'data-sku', type: 'list' }).value).toEqual(['basic', 'pro']);
+    expect(extractField(html, { xpath: 'count(//div[@class="plan"])', type: 'number' }).value).toBe(2);
+  });
+
+  it('returns null when nothing matches', () => {
+    expect(extractField(html, { selector: '.missing' })).toEqual({ value: null, display: null });
+    expect(extractField(html, { selector: '.headline', type: 'number' })).toEqual({ value: 20, display: 'Save 20% on every plan' });
+    expect(extractField(html, { selector: '.headline', regex: 'Buy (\\d+)' })).toEqual({ value: null, display: null });
+    expect(extractField(html, { selector: '.missing', type: 'list' }).value).toBeNull();
+    expect(extractField(html, { selector: '.missing', type: 'count' }).value).toBe(0);
+  });
+
+  it('throws on an invalid XPath expression', () => {
+    expect(() => extractField(html, { xpath: '//div[' })).toThrow();
+  });
+});
+
+describe('describeFieldChange', () => {
+  const field = (value, display = String(value)) => ({ value, display });
+
+  it('describes changed, appeared and vanished values', () => {
+    const rule = { name: 'Team size', type: 'number' };
+
+    expect(describeFieldChange(rule, field(120), field(120))).toBeNull();
+    expect(describeFieldChange(rule, field(120), field(150))).toBe('Team size changed from 120 to 150');
+    expect(describeFieldChange(rule, field(null, null), field(150))).toBe('Team size now shows 150');
+    expect(describeFieldChange(rule, field(120), field(null, null))).toBe('Team size no longer found on the page (was 120)');
+  });
+
+  it('names added and removed list items, ignoring the order', () => {
+    const rule = { name: 'Clients', type: 'list' };
+    const many = Array.from({ length: 12 }, (item, index) => `Client ${index + 1}`);
+
+    expect(describeFieldChange(rule, field(['Globex', 'Initech']), field(['Initech', 'Globex']))).toBeNull();
+    expect(describeFieldChange(rule, field(['Globex', 'Initech']), field(['Initech', 'Hooli']))).toBe('Clients: added Hooli; removed Globex');
+    expect(describeFieldChange(rule, field([]), field(many))).toBe(`Clients: added ${many.slice(0, 10).join(', ')} and 2 more`);
+  });
+});
+
+describe('FieldTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new FieldTracker();
+    tracker.fieldsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fields-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tracker.fieldsDir, { recursive: true });
+  });
+
+  it('reports changed fields from the second value on', async () => {
+    const plan = { name: 'Pro price', type: 'price' };
+    const team = { name: 'Team size', type: 'number', severity: 'low' };
+    const url = 'https://acme.test/pricing';
+
+    expect(await tracker.track('acme', url, [{ rule: plan, value: { amount: 99, currency: 'EUR' }, display: '€99' }, { rule: team, value: 120, display: '120' }])).toEqual([]);
+
+    const changes = await tracker.track('acme', url, [
+      { rule: plan, value: { amount: 129, currency: 'EUR' }, display: '€129' },
+      { rule: team, value: 120, display: '120' }
+    ]);
+
+    expect(changes).toEqual([{
+      type: 'extraction',
+      severity: 'medium',
+      description: 'Pro price changed from €99 to €129',
+      field: { name: 'Pro price', type: 'price', previous: { amount: 99, currency: 'EUR' }, current: { amount: 129, currency: 'EUR' }, previousDisplay: '€99', currentDisplay: '€129' }
+    }]);
+    expect((await tracker.loadFields('acme'))['Pro price']).toMatchObject({ url, type: 'price', history: [{ display: '€99' }, { display: '€129' }] });
+  });
+});
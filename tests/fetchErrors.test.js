@@ -0,0 +1,62 @@
+const { FetchError, classifyError, classifyResponse } = require('../src/utils/fetchErrors');
+
+describe('classifyError', () => {
+  it.each([
+    ['net::ERR_NAME_NOT_RESOLVED at https://acme.test/', 'dns', false],
+    ['getaddrinfo ENOTFOUND acme.test', 'dns', false],
+    ['net::ERR_CERT_DATE_INVALID at https://acme.test/', 'tls', false],
+    ['Navigation timeout of 30000 ms exceeded', 'timeout', true],
+    ['net::ERR_CONNECTION_RESET at https://acme.test/', 'network', true],
+    ['connect ECONNREFUSED 127.0.0.1:443', 'network', true],
+    ['Protocol error (Page.navigate): Target closed.', 'crash', true],
+    ['Something else went wrong', 'unknown', false]
+  ])('classifies "%s" as %s', (message, category, retryable) => {
+    const error = classifyError(new Error(message));
+
+    expect(error).toBeInstanceOf(FetchError);
+    expect(error.category).toBe(category);
+    expect(error.retryable).toBe(retryable);
+    expect(error.message).toBe(message);
+  });
+
+  it('classifies Puppeteer timeouts by name', () => {
+    expect(classifyError(Object.assign(new Error('Waiting failed'), { name: 'TimeoutError' })).category).toBe('timeout');
+  });
+
+  it('returns errors already classified as-is', () => {
+    const error = new FetchError('HTTP 503', { category: 'http-5xx', status: 503 });
+
+    expect(classifyError(error)).toBe(error);
+  });
+});
+
+describe('classifyResponse', () => {
+  it('accepts successful responses', () => {
+    expect(classifyResponse(200, {}, { title: 'Acme', html: '<h1>Acme</h1>' })).toBeNull();
+    expect(classifyResponse(304)).toBeNull();
+  });
+
+  it('classifies HTTP errors, retrying 5xx and 429 only', () => {
+    const serverError = classifyResponse(502);
+    const notFound = classifyResponse(404);
+    const rateLimited = classifyResponse(429, { 'retry-after': '30' });
+
+    expect([serverError.category, serverError.retryable]).toEqual(['http-5xx', true]);
+    expect([notFound.category, notFound.retryable, notFound.message]).toEqual(['http-4xx', false, 'HTTP 404']);
+    expect([rateLimited.category, rateLimited.retryable, rateLimited.headers]).toEqual(['http-4xx', true, { 'retry-after': '30' }]);
+  });
+
+  it('recognizes bot challenges', () => {
+    expect(classifyResponse(403, {}, { title: 'Just a moment...' }).category).toBe('bot-challenge');
+    expect(classifyResponse(503, { 'cf-mitigated': 'challenge' }).category).toBe('bot-challenge');
+    expect(classifyResponse(200, {}, { html: '<script src="https://ct.captcha-delivery.com/c.js"></script>' }).category).toBe('bot-challenge');
+    expect(classifyResponse(200, {}, { title: 'Access denied: the basics of permissions' })).toBeNull();
+  });
+
+  it('stores the failure details with page results', () => {
+    const error = classifyResponse(503);
+    error.attempts = 3;
+
+    expect(JSON.parse(JSON.stringify(error))).toEqual({ category: 'http-5xx', message: 'HTTP 503', status: 503, attempts: 3 });
+  });
+});
@@ -0,0 +1,72 @@
+const { getIgnoreRules, applyMasks, filterHtml, maskContent } = require('../src/utils/ignoreRules');
+const { config } = require('../src/config');
+
+describe('getIgnoreRules', () => {
+  it('adds a competitor\'s rules to the global defaults, without duplicates', () => {
+    const rules = getIgnoreRules({ ignore: { selectors: ['.promo-bar', 'script'], patterns: ['\\d+ visitors'] } });
+
+    expect(rules.selectors).toEqual([...config.ignore.selectors, '.promo-bar']);
+    expect(rules.patterns).toHaveLength(config.ignore.patterns.length + 1);
+    expect(rules.patterns.every(pattern => pattern.flags === 'gi')).toBe(true);
+  });
+
+  it('leaves the defaults out when the competitor opts out of them', () => {
+    const rules = getIgnoreRules({ ignore: { useDefaults: false, selectors: ['.promo-bar'] } });
+
+    expect(rules).toEqual({ selectors: ['.promo-bar'], patterns: [] });
+  });
+});
+
+describe('filterHtml', () => {
+  const rules = getIgnoreRules({ ignore: { selectors: ['.promo-bar'], patterns: ['\\d+ people viewing'] } });
+  const page = ({ nonce, time, viewers }) => `<html><head>
+    <script nonce="${nonce}">track()</script>
+    <link rel="stylesheet" href="/app.css?ver=${time}">
+  </head><body>
+    <div class="promo-bar">Sale ends in ${viewers} minutes</div>
+    <p>Updated ${time}T09:00:00Z, ${viewers} people viewing</p>
+    <input type="hidden" name="csrf_token" value="${nonce}">
+  </body></html>`;
+
+  it('gives the same result for pages that differ only in ignored parts', () => {
+    const first = filterHtml(page({ nonce: 'abc', time: '2024-06-12', viewers: 12 }), rules);
+    const second = filterHtml(page({ nonce: 'xyz', time: '2024-06-13', viewers: 40 }), rules);
+
+    expect(first).toBe(second);
+    expect(first).not.toContain('promo-bar');
+    expect(first).not.toContain('<script');
+    expect(first).toContain('[ignored]');
+  });
+
+  it('still reports a change outside the ignored parts', () => {
+    const before = filterHtml('<p>Plans from €99</p>', rules);
+    const after = filterHtml('<p>Plans from €129</p>', rules);
+
+    expect(before).not.toBe(after);
+  });
+
+  it('skips selectors cheerio cannot parse', () => {
+    expect(filterHtml('<p>Hello</p><div class="promo-bar">Sale</div>', { selectors: ['div:has-text(Sale)', '.promo-bar'], patterns: [] }))
+      .toBe('<html><head></head><body><p>Hello</p></body></html>');
+  });
+});
+
+describe('maskContent', () => {
+  it('masks the title and text, keeping the raw HTML', () => {
+    const rules = { selectors: [], patterns: [/\d+ people viewing/gi] };
+    const content = { title: 'Pro - 4 people viewing', textContent: 'Pro plan\n12 People viewing', html: '<p>12 people viewing</p>' };
+
+    expect(maskContent(content, rules)).toEqual({
+      title: 'Pro - [ignored]',
+      textContent: 'Pro plan\n[ignored]',
+      html: '<p>12 people viewing</p>'
+    });
+  });
+
+  it('returns the content unchanged without mask patterns', () => {
+    const content = { title: 'Pro', textContent: 'Pro plan' };
+
+    expect(maskContent(content, { selectors: [], patterns: [] })).toBe(content);
+    expect(applyMasks(null, [/x/g])).toBeNull();
+  });
+});
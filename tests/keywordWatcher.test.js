@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readWatchlists, countMentions } = require('../src/utils/watchlists');
+const KeywordWatcher = require('../src/services/keywordWatcher');
+const SnapshotStore = require('../src/services/snapshotStore');
+const { config } = require('../src/config');
+
+jest.mock('../src/utils/logger');
+
+describe('watchlists', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlists-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  const write = data => {
+    const file = path.join(dir, 'watchlists.json');
+    fs.writeFileSync(file, JSON.stringify(data));
+    return file;
+  };
+
+  it('reads terms, counting a term listed twice under its first watchlist', () => {
+    const terms = readWatchlists(write({
+      watchlists: [
+        { name: 'Platforms', severity: 'high', terms: ['Shopify', { term: 'AI', caseSensitive: true, severity: 'low' }] },
+        { name: 'Topics', terms: ['Shopify', { term: 'e-commerce', aliases: ['ecommerce'] }] }
+      ]
+    }));
+
+    expect(terms.map(({ term, watchlist, severity, patterns }) => [term, watchlist, severity, patterns.length])).toEqual([
+      ['Shopify', 'Platforms', 'high', 1],
+      ['AI', 'Platforms', 'low', 1],
+      ['e-commerce', 'Topics', null, 2]
+    ]);
+  });
+
+  it('has no terms without a file and rejects invalid watchlists', () => {
+    expect(readWatchlists(path.join(dir, 'missing.json'))).toEqual([]);
+    expect(() => readWatchlists(write({ watchlists: {} }))).toThrow('"watchlists" must be an array');
+    expect(() => readWatchlists(write({ watchlists: [{ name: 'Topics' }] }))).toThrow('Watchlist 0 needs a name and a "terms" array');
+    expect(() => readWatchlists(write({ watchlists: [{ name: 'Topics', terms: [' '] }] }))).toThrow('Watchlist "Topics" has a term without text');
+  });
+
+  it('counts whole-word mentions, with aliases and case sensitivity', () => {
+    const terms = readWatchlists(write({
+      watchlists: [{
+        name: 'Topics',
+        terms: ['Shopify', { term: 'AI', caseSensitive: true }, { term: 'e-commerce', aliases: ['ecommerce'] }, 'free trial', 'café']
+      }]
+    }));
+    const text = 'Shopify apps, Shopify Plus and Shopifying. AI-powered, not ai or AIR. '
+      + 'E-commerce and ecommerce tools. Start a free\n  trial. Cafés and the café.';
+
+    expect(countMentions(text, terms)).toEqual({ Shopify: 2, AI: 1, 'e-commerce': 2, 'free trial': 1, café: 1 });
+    expect(countMentions(null, terms).Shopify).toBe(0);
+  });
+});
+
+describe('KeywordWatcher', () => {
+  const { frequencyChange, minFrequencyChange } = config.watchlists;
+  const terms = [
+    { term: 'Shopify', watchlist: 'Platforms', severity: null },
+    { term: 'AI', watchlist: 'Topics', severity: 'high' }
+  ];
+  let dir;
+  let watcher;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'keywords-'));
+    watcher = new KeywordWatcher(new SnapshotStore(dir));
+    Object.assign(config.watchlists, { frequencyChange: 0.5, minFrequencyChange: 2 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true });
+    Object.assign(config.watchlists, { frequencyChange, minFrequencyChange });
+  });
+
+  it('reports terms that appeared, disappeared or changed frequency', () => {
+    const changes = (current, previous) => watcher.compare(terms, current, previous).map(change => [change.description, change.severity]);
+
+    expect(changes({ Shopify: 1, AI: 0 }, { Shopify: 0, AI: 3 })).toEqual([
+      ['"Shopify" now mentioned (once)', 'medium'],
+      ['"AI" no longer mentioned (was 3 times)', 'high']
+    ]);
+    expect(changes({ Shopify: 6 }, { Shopify: 3 })).toEqual([['"Shopify" mentioned 6 times (was 3)', 'low']]);
+    expect(changes({ Shopify: 2 }, { Shopify: 1 })).toEqual([]);
+    expect(changes({ Shopify: 12 }, { Shopify: 10 })).toEqual([]);
+  });
+
+  it('adds up mentions across the pages of a site', () => {
+    const pages = [{ keywords: { Shopify: 2, AI: 0 } }, { keywords: { Shopify: 1 } }, { errors: ['HTTP 503'] }];
+
+    expect(watcher.summarize(terms, pages)).toEqual([
+      { term: 'Shopify', watchlist: 'Platforms', count: 3, pages: 2 },
+      { term: 'AI', watchlist: 'Topics', count: 0, pages: 0 }
+    ]);
+  });
+
+  it('follows mentions over the snapshot days, counting unchanged pages on each', async () => {
+    const save = (url, textContent, timestamp) => watcher.snapshotStore.save('acme', url, { textContent, hash: textContent, timestamp });
+    const watched = [{ term: 'Shopify', watchlist: 'Platforms', patterns: [/Shopify/g] }];
+    const [first, second, third] = [3, 2, 1].map(days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString());
+    const day = timestamp => timestamp.slice(0, 10);
+
+    await save('https://acme.test/', 'Shopify', first);
+    await save('https://acme.test/blog', 'Shopify and Shopify', second);
+    await save('https://acme.test/', 'Nothing', third);
+
+    expect(await watcher.loadMentions('acme', watched)).toEqual([{
+      term: 'Shopify',
+      watchlist: 'Platforms',
+      count: 2,
+      trend: [{ date: day(first), count: 1 }, { date: day(second), count: 3 }, { date: day(third), count: 2 }]
+    }]);
+    expect((await watcher.getTrend('acme', watched, { points: 2 })).dates).toEqual([day(second), day(third)]);
+  });
+});
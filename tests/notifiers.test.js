@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Notifier = require('../src/notifiers/notifier');
+const DeliveryLog = require('../src/notifiers/deliveryLog');
+const { NotifierRegistry } = require('../src/notifiers');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/storage', () => ({ getStorage: () => null }));
+
+class StubNotifier extends Notifier {
+  constructor(name, options) {
+    super(name, { enabled: true, retryBackoff: 1, ...options });
+    this.send = jest.fn().mockResolvedValue();
+  }
+
+  formatAlert(data) {
+    return { text: `${data.alerts.length} alerts` };
+  }
+}
+
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+describe('NotifierRegistry', () => {
+  let dir;
+  let deliveryLog;
+  let registry;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifiers-'));
+    deliveryLog = new DeliveryLog();
+    deliveryLog.logFile = path.join(dir, 'deliveries.json');
+    registry = new NotifierRegistry(deliveryLog);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('retries server errors and records the attempts', async () => {
+    const slack = new StubNotifier('slack');
+    slack.send.mockRejectedValueOnce(httpError(503));
+    registry.register(slack);
+
+    const [delivery] = await registry.notifyAll('alert', { alerts: [{}] }, { runId: 7, reference: 'alert' });
+
+    expect(slack.send).toHaveBeenCalledTimes(2);
+    expect(slack.send).toHaveBeenCalledWith({ text: '1 alerts' });
+    expect(delivery).toMatchObject({ channel: 'slack', kind: 'alert', status: 'sent', attempts: 2, error: null, runId: 7, reference: 'alert' });
+  });
+
+  it('does not retry client errors, and gives up after the last retry', async () => {
+    const teams = new StubNotifier('teams');
+    teams.send.mockRejectedValue(httpError(400));
+    const webhook = new StubNotifier('webhook', { retries: 1 });
+    webhook.send.mockRejectedValue(httpError(502));
+    registry.register(teams).register(webhook);
+
+    const deliveries = await registry.notifyAll('alert', { alerts: [] });
+
+    expect(deliveries.map(delivery => [delivery.channel, delivery.status, delivery.attempts])).toEqual([
+      ['teams', 'failed', 1],
+      ['webhook', 'failed', 2]
+    ]);
+    expect(deliveries[0].error).toBe('HTTP 400: Request failed with status code 400');
+  });
+
+  it('keeps delivering after a channel fails, and skips disabled or unselected channels', async () => {
+    const broken = new StubNotifier('broken');
+    broken.notify = jest.fn().mockRejectedValue(new Error('boom'));
+    const slack = new StubNotifier('slack');
+    const email = new StubNotifier('email', { enabled: false });
+    const telegram = new StubNotifier('telegram');
+    registry.register(broken).register(slack).register(email).register(telegram);
+
+    const deliveries = await registry.notifyAll('alert', { alerts: [] }, { channels: ['broken', 'slack', 'email'] });
+
+    expect(deliveries.map(delivery => [delivery.channel, delivery.status])).toEqual([['broken', 'failed'], ['slack', 'sent']]);
+    expect(email.send).not.toHaveBeenCalled();
+    expect(telegram.send).not.toHaveBeenCalled();
+  });
+
+  it('fails a channel without a template for the kind', async () => {
+    registry.register(new StubNotifier('slack'));
+
+    const [delivery] = await registry.notifyAll('report', {});
+
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 0, error: 'Template failed: The slack channel has no report template' });
+  });
+
+  it('records every delivery in the log, newest first', async () => {
+    registry.register(new StubNotifier('slack')).register(new StubNotifier('teams'));
+
+    await registry.notifyAll('alert', { alerts: [] });
+    await registry.notifyChannel('slack', 'alert', { alerts: [] });
+
+    expect((await deliveryLog.list()).map(delivery => [delivery.id, delivery.channel])).toEqual([[3, 'slack'], [2, 'teams'], [1, 'slack']]);
+    expect((await deliveryLog.list({ channel: 'teams' })).map(delivery => delivery.id)).toEqual([2]);
+  });
+});
+
+describe('DeliveryLog', () => {
+  let dir;
+  let deliveryLog;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deliveries-'));
+    deliveryLog = new DeliveryLog();
+    deliveryLog.logFile = path.join(dir, 'notifications', 'deliveries.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('keeps every entry of concurrent deliveries', async () => {
+    await Promise.all(Array.from({ length: 20 }, (item, index) => deliveryLog.record({ channel: `channel-${index}`, status: 'sent' })));
+
+    const deliveries = await deliveryLog.list();
+    expect(deliveries).toHaveLength(20);
+    expect(deliveries.map(delivery => delivery.id)).toEqual(Array.from({ length: 20 }, (item, index) => 20 - index));
+  });
+
+  it('keeps recording after a failed write', async () => {
+    fs.writeFileSync(path.join(dir, 'notifications'), '');
+    await deliveryLog.record({ channel: 'slack', status: 'sent' });
+    fs.rmSync(path.join(dir, 'notifications'));
+
+    await deliveryLog.record({ channel: 'teams', status: 'sent' });
+
+    expect((await deliveryLog.list()).map(delivery => delivery.channel)).toEqual(['teams']);
+  });
+});
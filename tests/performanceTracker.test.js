@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PerformanceTracker = require('../src/services/performanceTracker');
+const { config } = require('../src/config');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/storage', () => ({ getStorage: () => null }));
+
+describe('PerformanceTracker', () => {
+  const { regressionThreshold, baselineRuns } = config.performance;
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new PerformanceTracker();
+    tracker.performanceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'performance-'));
+    Object.assign(config.performance, { regressionThreshold: 0.2, baselineRuns: 3 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tracker.performanceDir, { recursive: true });
+    Object.assign(config.performance, { regressionThreshold, baselineRuns });
+  });
+
+  const describeEvents = events => events.map(event => [event.performance.metric, event.performance.direction, event.severity]);
+
+  it('compares with the median of the baseline', () => {
+    const baseline = [{ lcp: 1800 }, { lcp: 9000 }, { lcp: 2000 }];
+    const [event] = tracker.detectPerformanceEvents({ lcp: 4500 }, baseline);
+
+    expect(event).toEqual({
+      type: 'performance',
+      severity: 'high',
+      description: 'Largest Contentful Paint regressed from 2.0 s to 4.5 s (+125%)',
+      performance: { metric: 'lcp', direction: 'regression', previous: 2000, current: 4500, change: 1.25, rating: 'poor' }
+    });
+  });
+
+  it('ignores changes below the minimum delta or the relative threshold', () => {
+    expect(tracker.detectPerformanceEvents({ lcp: 1200, ttfb: 2200 }, [{ lcp: 1000, ttfb: 2000 }])).toEqual([]);
+    expect(tracker.detectPerformanceEvents({ lcp: 4000 }, [])).toEqual([]);
+    expect(tracker.detectPerformanceEvents(null, [{ lcp: 1000 }])).toEqual([]);
+  });
+
+  it('rates severity by Core Web Vitals rating changes', () => {
+    const events = tracker.detectPerformanceEvents(
+      { lcp: 3000, cls: 0.5, tbt: 150, load: 4000, fcp: 1000 },
+      [{ lcp: 2000, cls: 0.3, tbt: 400, load: 2500, fcp: 2000 }]
+    );
+
+    expect(describeEvents(events)).toEqual([
+      ['lcp', 'regression', 'medium'],
+      ['cls', 'regression', 'medium'],
+      ['tbt', 'improvement', 'medium'],
+      ['fcp', 'improvement', 'medium'],
+      ['load', 'regression', 'low']
+    ]);
+  });
+
+  it('reports shares as absolute changes', () => {
+    const [event] = tracker.detectPerformanceEvents({ thirdPartyShare: 0.6 }, [{ thirdPartyShare: 0.45 }]);
+
+    expect(event.description).toBe('Third-party request share regressed from 45% to 60%');
+  });
+
+  it('keeps a series per page and device, comparing with the recent runs only', async () => {
+    const page = (lcp, device = 'desktop') => ({ url: 'https://acme.test/', device, performance: { lcp } });
+
+    for (const lcp of [3000, 3000, 3000, 1000, 1000, 1000]) {
+      await tracker.track('acme', page(lcp));
+    }
+    expect(await tracker.track('acme', page(5000, 'mobile'))).toEqual([]);
+
+    expect(describeEvents(await tracker.track('acme', page(2000)))).toEqual([['lcp', 'regression', 'medium']]);
+    expect((await tracker.loadHistory('acme', 'https://acme.test/')).map(entry => entry.lcp)).toEqual([3000, 3000, 3000, 1000, 1000, 1000, 2000]);
+    expect((await tracker.loadSeries('acme')).map(series => series.device)).toEqual(['desktop', 'mobile']);
+  });
+
+  it('formats metrics for reports', () => {
+    expect(PerformanceTracker.formatMetrics({ lcp: 2480, cls: 0.1234, transferSize: 3.5 * 1024 * 1024, requestCount: 42, ttfb: 180 })).toEqual({
+      lcp: '2.5 s',
+      cls: '0.12',
+      tbt: '-',
+      fcp: '-',
+      ttfb: '180 ms',
+      load: '-',
+      transferSize: '3.5 MB',
+      requestCount: '42',
+      thirdPartyShare: '-'
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const PriceMonitor = require('../src/services/priceMonitor');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/storage', () => ({ getStorage: () => null }));
+
+describe('PriceMonitor', () => {
+  const monitor = new PriceMonitor();
+
+  describe('extractProducts', () => {
+    it('reads JSON-LD products, item lists included', () => {
+      const html = `<script type="application/ld+json">${JSON.stringify({
+        '@type': 'ItemList',
+        itemListElement: [
+          { '@type': 'ListItem', item: { '@type': 'Product', name: 'Pro', sku: 'PRO-1', url: '/pro', offers: { price: '129.00', priceCurrency: 'EUR', availability: 'https://schema.org/InStock' } } },
+          { '@type': 'ListItem', item: { '@type': 'Product', name: 'Team', offers: [{ lowPrice: 299, priceCurrency: 'EUR', availability: 'https://schema.org/SoldOut' }] } }
+        ]
+      })}</script>`;
+
+      expect(monitor.extractProducts(html, 'https://acme.test/shop', null)).toEqual([
+        { name: 'Pro', sku: 'PRO-1', url: 'https://acme.test/pro', price: 129, currency: 'EUR', availability: 'in_stock', key: expect.any(String) },
+        { name: 'Team', sku: null, url: null, price: 299, currency: 'EUR', availability: 'out_of_stock', key: expect.any(String) }
+      ]);
+    });
+
+    it('reads products with selectors, attributes included', () => {
+      const html = `<ul>
+        <li class="product" data-sku="MINI"><a href="/mini">Mini</a><span class="price">1.190,00 € incl. 22% IVA</span><em>Non disponibile</em></li>
+        <li class="product"><span class="price">€ 9,90</span></li>
+      </ul>`;
+      const selectors = { item: '.product', name: 'a', sku: '@data-sku', url: 'a@href', price: '.price', availability: 'em' };
+
+      expect(monitor.extractProducts(html, 'https://acme.test/shop', selectors)).toEqual([
+        { name: 'Mini', sku: 'MINI', url: 'https://acme.test/mini', price: 1190, currency: 'EUR', availability: 'out_of_stock', key: expect.any(String) }
+      ]);
+    });
+
+    it('keys products by SKU, then URL, then name', () => {
+      const key = product => monitor.getProductKey({ sku: null, url: null, ...product });
+
+      expect(key({ sku: 'PRO-1', url: '/a', name: 'Pro' })).toBe(key({ sku: 'PRO-1', name: 'Other' }));
+      expect(key({ url: 'https://acme.test/pro', name: 'Pro' })).not.toBe(key({ url: 'https://acme.test/team', name: 'Pro' }));
+      expect(key({ name: 'Pro' })).toBe(key({ name: 'PRO' }));
+    });
+  });
+
+  describe('normalizeAvailability', () => {
+    it.each([
+      ['https://schema.org/InStock', 'in_stock'],
+      ['https://schema.org/OutOfStock', 'out_of_stock'],
+      ['In stock', 'in_stock'],
+      ['Not in stock', 'out_of_stock'],
+      ['Currently unavailable', 'out_of_stock'],
+      ['Not available', 'out_of_stock'],
+      ['Disponibile', 'in_stock'],
+      ['Non disponibile', 'out_of_stock'],
+      ['Ships in 3 days', null]
+    ])('maps %s', (value, expected) => {
+      expect(monitor.normalizeAvailability(value)).toBe(expected);
+    });
+  });
+
+  describe('detectPriceEvents', () => {
+    const product = fields => ({ key: 'pro', name: 'Pro', sku: 'PRO-1', url: null, price: 100, currency: 'EUR', availability: 'in_stock', ...fields });
+    const history = fields => ({
+      pro: { history: [{ price: 100, currency: 'EUR', availability: 'in_stock', observedAt: '2024-06-05T09:00:00.000Z', ...fields }] }
+    });
+
+    it('records a baseline on the first run', () => {
+      expect(monitor.detectPriceEvents([product()], {})).toEqual([]);
+    });
+
+    it('reports drops and increases, high from 20%', () => {
+      const [drop] = monitor.detectPriceEvents([product({ price: 75 })], history());
+      const [increase] = monitor.detectPriceEvents([product({ price: 110 })], history());
+
+      expect(drop).toMatchObject({ type: 'price-drop', previousPrice: 100, price: 75, changePercent: -25, severity: 'high' });
+      expect(drop.description).toBe('Pro: price dropped from €100.00 to €75.00 (-25.0%)');
+      expect(increase).toMatchObject({ type: 'price-increase', changePercent: 10, severity: 'medium' });
+    });
+
+    it('does not compare prices in different currencies', () => {
+      expect(monitor.detectPriceEvents([product({ price: 110, currency: 'USD' })], history())).toEqual([]);
+      expect(monitor.detectPriceEvents([product({ price: 110, currency: null })], history())).toHaveLength(1);
+    });
+
+    it('reports products going out of stock once', () => {
+      expect(monitor.detectPriceEvents([product({ availability: 'out_of_stock' })], history()).map(event => event.type)).toEqual(['out-of-stock']);
+      expect(monitor.detectPriceEvents([product({ availability: 'out_of_stock' })], history({ availability: 'out_of_stock' }))).toEqual([]);
+    });
+
+    it('reports new products after the first run', () => {
+      const [event] = monitor.detectPriceEvents([product(), product({ key: 'team', name: 'Team', price: 299 })], history());
+
+      expect(event).toMatchObject({ type: 'new-product', price: 299, description: 'New product: Team (€299.00)' });
+    });
+  });
+
+  describe('monitorAll', () => {
+    it('works without a website monitor', async () => {
+      const standalone = new PriceMonitor();
+      standalone.monitorCatalog = jest.fn().mockResolvedValue({ events: [] });
+
+      const results = await standalone.monitorAll([
+        { id: 'acme', ecommerce: { url: 'https://acme.test/shop' } },
+        { id: 'beta', ecommerce: { url: 'https://beta.test/shop' }, monitoring: { pricing: false } },
+        { id: 'gamma' }
+      ]);
+
+      expect(results).toHaveLength(1);
+      expect(standalone.monitorCatalog).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+const { parsePrice, detectCurrency } = require('../src/utils/priceParsing');
+
+describe('parsePrice', () => {
+  it.each([
+    ['€ 1.190,00', 1190],
+    ['$1,190.00', 1190],
+    ['99,90 €', 99.9],
+    ['£12.50', 12.5],
+    ['CHF 1\'250.–', 1250],
+    ['1.190', 1190],
+    ['1,190', 1190],
+    ['12,5', 12.5],
+    ['1.234.567', 1234567],
+    ['1,234,567.89', 1234567.89],
+    ['from 49 EUR / month', 49],
+    ['1.190,00 € incl. 22% IVA', 1190],
+    ['€ 1 190,00', 1190],
+    ['€49.99 (was €59.99)', 49.99]
+  ])('parses %s', (text, expected) => {
+    expect(parsePrice(text)).toBe(expected);
+  });
+
+  it('returns numbers unchanged', () => {
+    expect(parsePrice(19.99)).toBe(19.99);
+  });
+
+  it('returns null without a number', () => {
+    expect(parsePrice('')).toBeNull();
+    expect(parsePrice(null)).toBeNull();
+    expect(parsePrice('Free')).toBeNull();
+  });
+});
+
+describe('detectCurrency', () => {
+  it.each([
+    ['€ 1.190,00', 'EUR'],
+    ['$1,190.00', 'USD'],
+    ['£12.50', 'GBP'],
+    ['CHF 1250', 'CHF'],
+    ['1 250 SEK', 'SEK']
+  ])('detects the currency of %s', (text, expected) => {
+    expect(detectCurrency(text)).toBe(expected);
+  });
+
+  it('returns null without a symbol or code', () => {
+    expect(detectCurrency('1.190,00')).toBeNull();
+    expect(detectCurrency(null)).toBeNull();
+  });
+});
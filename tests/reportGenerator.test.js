@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.REPORTS_DIR = path.join(os.tmpdir(), 'competitors-analysis-test-reports');
+
+const ReportGenerator = require('../src/services/reportGenerator');
+const { config } = require('../src/config');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/storage', () => ({ getStorage: () => null }));
+
+const data = {
+  websiteMonitoring: [
+    {
+      competitorId: 'acme',
+      competitor: 'Acme',
+      changes: [{ type: 'title', severity: 'high' }, { type: 'content', severity: 'medium' }, { type: 'metric' }],
+      pages: [{ url: 'https://acme.test/', changes: [{ type: 'title', severity: 'high' }, { type: 'metric', severity: 'low' }] }]
+    },
+    { competitorId: 'beta', competitor: 'Beta', changes: [{ type: 'title', severity: 'high' }], pages: [] }
+  ],
+  priceMonitoring: [
+    { competitorId: 'acme', events: [{ type: 'price-drop', severity: 'high' }, { type: 'out-of-stock', severity: 'low' }] }
+  ],
+  seoMonitoring: [
+    { competitorId: 'beta', events: [{ type: 'title-changed', severity: 'medium' }] }
+  ],
+  contentDiscovery: [
+    { competitorId: 'acme', added: [{ url: 'https://acme.test/blog/launch' }] },
+    { competitorId: 'beta', added: [] }
+  ]
+};
+
+describe('ReportGenerator.filterData', () => {
+  const generator = new ReportGenerator(null);
+
+  afterAll(() => {
+    fs.rmSync(process.env.REPORTS_DIR, { recursive: true, force: true });
+  });
+
+  it('keeps the results of the given competitors only', () => {
+    const filtered = generator.filterData(data, { competitorIds: ['acme'] });
+
+    expect(filtered.websiteMonitoring.map(result => result.competitorId)).toEqual(['acme']);
+    expect(filtered.priceMonitoring).toHaveLength(1);
+    expect(filtered.seoMonitoring).toEqual([]);
+    expect(filtered.contentDiscovery.map(result => result.competitorId)).toEqual(['acme']);
+  });
+
+  it('keeps every change at the default minimum severity', () => {
+    const filtered = generator.filterData(data, { competitorIds: ['acme', 'beta'] });
+
+    expect(filtered.websiteMonitoring[0].changes).toHaveLength(3);
+    expect(filtered.priceMonitoring[0].events).toHaveLength(2);
+  });
+
+  it('drops changes below the minimum severity, counting unrated ones as low', () => {
+    const filtered = generator.filterData(data, { competitorIds: ['acme', 'beta'], minSeverity: 'medium' });
+
+    expect(filtered.websiteMonitoring[0].changes.map(change => change.type)).toEqual(['title', 'content']);
+    expect(filtered.websiteMonitoring[0].pages[0].changes.map(change => change.type)).toEqual(['title']);
+    expect(filtered.priceMonitoring[0].events.map(event => event.type)).toEqual(['price-drop']);
+    expect(filtered.seoMonitoring[0].events).toHaveLength(1);
+  });
+
+  it('keeps only high severity changes at high', () => {
+    const filtered = generator.filterData(data, { competitorIds: ['acme', 'beta'], minSeverity: 'high' });
+
+    expect(filtered.websiteMonitoring.map(result => result.changes.length)).toEqual([1, 1]);
+    expect(filtered.seoMonitoring[0].events).toEqual([]);
+  });
+
+  it('leaves the original data untouched', () => {
+    generator.filterData(data, { competitorIds: ['acme'], minSeverity: 'high' });
+
+    expect(data.websiteMonitoring[0].changes).toHaveLength(3);
+    expect(data.websiteMonitoring[0].pages[0].changes).toHaveLength(2);
+  });
+});
+
+describe('ReportGenerator PDF reports', () => {
+  const { format, branding } = config.reports;
+  let page;
+  let websiteMonitor;
+  let generator;
+
+  beforeEach(() => {
+    page = {
+      setContent: jest.fn(),
+      emulateMediaType: jest.fn(),
+      pdf: jest.fn().mockResolvedValue(new Uint8Array([37, 80, 68, 70])),
+      close: jest.fn().mockResolvedValue()
+    };
+    websiteMonitor = {
+      initBrowser: jest.fn().mockResolvedValue({ newPage: async () => page }),
+      closeBrowser: jest.fn()
+    };
+    generator = new ReportGenerator(websiteMonitor);
+  });
+
+  afterEach(() => {
+    config.reports.format = format;
+    config.reports.branding = branding;
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.REPORTS_DIR, { recursive: true, force: true });
+  });
+
+  it('reads the report formats from REPORT_FORMAT', () => {
+    const formats = value => {
+      config.reports.format = value;
+      return generator.getFormats();
+    };
+
+    expect(formats('html')).toEqual(['html']);
+    expect(formats('PDF, json')).toEqual(['json', 'pdf']);
+    expect(formats('all')).toEqual(['html', 'json', 'pdf']);
+    expect(formats('docx')).toEqual([]);
+  });
+
+  it('embeds the branding logo, ignoring unsupported files', async () => {
+    const logo = path.join(process.env.REPORTS_DIR, 'logo.png');
+    fs.mkdirSync(process.env.REPORTS_DIR, { recursive: true });
+    fs.writeFileSync(logo, Buffer.from('png'));
+
+    config.reports.branding = { name: 'Agency', logo, color: '#ff0000' };
+    expect(await generator.getBranding()).toEqual({ name: 'Agency', logo: 'data:image/png;base64,cG5n', color: '#ff0000' });
+
+    config.reports.branding = { name: 'Agency', logo: path.join(process.env.REPORTS_DIR, 'logo.gif'), color: '#ff0000' };
+    expect((await generator.getBranding()).logo).toBeNull();
+
+    config.reports.branding = { name: 'Agency', logo: path.join(process.env.REPORTS_DIR, 'missing.png'), color: '#ff0000' };
+    expect((await generator.getBranding()).logo).toBeNull();
+  });
+
+  it('prints the HTML report to an A4 PDF with the branding in the header', async () => {
+    config.reports.branding = { name: 'Smith & Co', logo: '', color: '#123456' };
+
+    const pdf = await generator.generatePDFReport('<h1>Report</h1>', { reportId: 'weekly-report-2024-06-12', period: 'Jun 5 - Jun 12, 2024' });
+
+    expect(pdf).toEqual(Buffer.from('%PDF'));
+    expect(page.setContent).toHaveBeenCalledWith('<h1>Report</h1>', expect.objectContaining({ waitUntil: 'load' }));
+    const options = page.pdf.mock.calls[0][0];
+    expect(options).toMatchObject({ format: 'A4', printBackground: true, displayHeaderFooter: true });
+    expect(options.headerTemplate).toContain('Smith &amp; Co');
+    expect(options.headerTemplate).toContain('Competitors Analysis Report - Jun 5 - Jun 12, 2024');
+    expect(options.footerTemplate).toContain('Report weekly-report-2024-06-12');
+    expect(page.close).toHaveBeenCalled();
+  });
+
+  it('keeps the other formats when the PDF fails, and leaves out the HTML when not asked for', async () => {
+    const data = { websiteMonitoring: [], priceMonitoring: [], seoMonitoring: [], contentDiscovery: [] };
+    page.setContent.mockRejectedValue(new Error('Failed to launch the browser process'));
+
+    config.reports.format = 'html,pdf';
+    const withoutPdf = await generator.generateWeeklyReport(data);
+    expect(Object.keys(withoutPdf.files)).toEqual(['html']);
+    expect(page.close).toHaveBeenCalled();
+    expect(websiteMonitor.closeBrowser).toHaveBeenCalled();
+
+    page.setContent.mockResolvedValue();
+    config.reports.format = 'pdf';
+    const pdfOnly = await generator.generateWeeklyReport(data);
+    expect(Object.keys(pdfOnly.files)).toEqual(['pdf']);
+    expect(fs.readFileSync(pdfOnly.files.pdf, 'utf8')).toBe('%PDF');
+  });
+});
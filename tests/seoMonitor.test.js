@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const SeoMonitor = require('../src/services/seoMonitor');
+
+jest.mock('axios');
+jest.mock('../src/utils/logger');
+jest.mock('../src/storage', () => ({ getStorage: () => null }));
+jest.mock('../src/utils/crawlPolicy', () => {
+  const policy = { check: jest.fn(), wait: jest.fn() };
+  return { getCrawlPolicy: () => policy };
+});
+
+const competitor = { id: 'acme', name: 'Acme', website: 'https://acme.test/' };
+
+const page = ({ title = 'Acme', robots = 'index, follow', links = 5 } = {}) => `<html><head>
+  <title>${title}</title>
+  <meta name="description" content="Tools for teams">
+  <meta name="robots" content="${robots}">
+  <link rel="canonical" href="https://acme.test/">
+  <script type="application/ld+json">{"@context":"https://schema.org","@graph":[{"@type":"Organization"},{"@type":"WebSite"}]}</script>
+</head><body>
+  <h1>Acme</h1><h2>Pricing</h2>
+  ${Array.from({ length: links }, (item, index) => `<a href="/page-${index}">Page</a>`).join('')}
+  <a href="https://twitter.com/acme">Twitter</a>
+</body></html>`;
+
+const sitemap = urls => `<urlset>${urls.map(url => `<url><loc>https://acme.test${url}</loc></url>`).join('')}</urlset>`;
+
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+describe('SeoMonitor', () => {
+  let site;
+  let monitor;
+
+  const serve = pages => {
+    site = pages;
+  };
+
+  beforeEach(() => {
+    monitor = new SeoMonitor({ getTrackedPages: () => [{ url: 'https://acme.test/' }] });
+    monitor.seoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seo-'));
+    monitor.crawlPolicy.check.mockResolvedValue({ allowed: true });
+    axios.get.mockImplementation(async url => {
+      const body = site[new URL(url).pathname];
+      if (body instanceof Error) {
+        throw body;
+      }
+      if (body === undefined) {
+        throw httpError(404);
+      }
+      return { status: 200, data: body };
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(monitor.seoDir, { recursive: true });
+  });
+
+  const savedSnapshot = () => JSON.parse(fs.readFileSync(path.join(monitor.seoDir, 'acme.json'), 'utf8'));
+
+  it('extracts the on-page SEO signals', () => {
+    expect(monitor.extractSeoData(page(), 'https://acme.test/')).toEqual({
+      url: 'https://acme.test/',
+      title: 'Acme',
+      metaDescription: 'Tools for teams',
+      canonical: 'https://acme.test/',
+      robots: 'index, follow',
+      hreflang: [],
+      headings: { h1: ['Acme'], h2: ['Pricing'] },
+      structuredData: ['Organization', 'WebSite'],
+      openGraph: {},
+      links: { internal: 5, external: 1 }
+    });
+  });
+
+  it('reports page, robots.txt and sitemap changes', async () => {
+    serve({ '/': page(), '/robots.txt': 'User-agent: *\nDisallow: /admin', '/sitemap.xml': sitemap(['/']) });
+    expect((await monitor.monitorSeo(competitor)).events).toEqual([]);
+
+    serve({
+      '/': page({ title: 'Acme - New', robots: 'noindex', links: 8 }),
+      '/robots.txt': 'User-agent: *\nDisallow: /',
+      '/sitemap.xml': sitemap(['/', '/pricing'])
+    });
+    const { events } = await monitor.monitorSeo(competitor);
+
+    expect(events.map(event => [event.type, event.severity])).toEqual([
+      ['title-changed', 'high'],
+      ['robots-meta-changed', 'high'],
+      ['internal-links-changed', 'low'],
+      ['robots-txt-changed', 'high'],
+      ['sitemap-changed', 'medium']
+    ]);
+    expect(events[0].description).toBe('Title changed from "Acme" to "Acme - New"');
+    expect(events[4].description).toBe('sitemap.xml changed: 2 URLs (was 1)');
+  });
+
+  it('reports robots.txt and sitemap.xml as removed on a 404', async () => {
+    serve({ '/': page(), '/robots.txt': 'User-agent: *\nDisallow:', '/sitemap.xml': sitemap(['/']) });
+    await monitor.monitorSeo(competitor);
+
+    serve({ '/': page() });
+    const results = await monitor.monitorSeo(competitor);
+
+    expect(results.errors).toEqual([]);
+    expect(results.events.map(event => event.description)).toEqual(['robots.txt was removed', 'sitemap.xml was removed']);
+  });
+
+  it('keeps the previous robots.txt and sitemap when they fail', async () => {
+    serve({ '/': page(), '/robots.txt': 'User-agent: *\nDisallow:', '/sitemap.xml': sitemap(['/']) });
+    await monitor.monitorSeo(competitor);
+    const before = savedSnapshot();
+
+    serve({ '/': page(), '/robots.txt': httpError(503), '/sitemap.xml': new Error('timeout of 30000ms exceeded') });
+    const results = await monitor.monitorSeo(competitor);
+
+    expect(results.events).toEqual([]);
+    expect(results.errors).toEqual([
+      'https://acme.test/robots.txt: Request failed with status code 503',
+      'https://acme.test/sitemap.xml: timeout of 30000ms exceeded'
+    ]);
+    expect(savedSnapshot()).toMatchObject({ robotsTxt: before.robotsTxt, sitemap: before.sitemap });
+  });
+
+  it('does not report a file as added after failing on the first run', async () => {
+    serve({ '/': page(), '/robots.txt': httpError(500), '/sitemap.xml': sitemap(['/']) });
+    await monitor.monitorSeo(competitor);
+
+    serve({ '/': page(), '/robots.txt': 'User-agent: *\nDisallow:', '/sitemap.xml': sitemap(['/']) });
+
+    expect((await monitor.monitorSeo(competitor)).events).toEqual([]);
+  });
+
+  it('keeps the previous data of a page that fails', async () => {
+    serve({ '/': page(), '/robots.txt': '', '/sitemap.xml': sitemap(['/']) });
+    await monitor.monitorSeo(competitor);
+
+    serve({ '/': httpError(502), '/robots.txt': '', '/sitemap.xml': sitemap(['/']) });
+    const failed = await monitor.monitorSeo(competitor);
+    expect(failed.pages).toEqual([]);
+    expect(savedSnapshot().pages.map(item => item.title)).toEqual(['Acme']);
+
+    serve({ '/': page({ title: 'Acme - New' }), '/robots.txt': '', '/sitemap.xml': sitemap(['/']) });
+    const { events } = await monitor.monitorSeo(competitor);
+    expect(events.map(event => event.type)).toEqual(['title-changed']);
+  });
+
+  it('skips sitemap.xml when robots.txt disallows it', async () => {
+    serve({ '/': page(), '/robots.txt': 'User-agent: *\nDisallow: /sitemap.xml', '/sitemap.xml': sitemap(['/']) });
+    await monitor.monitorSeo(competitor);
+    axios.get.mockClear();
+
+    monitor.crawlPolicy.check.mockImplementation(async url => (url.endsWith('/sitemap.xml')
+      ? { allowed: false, reason: 'Disallowed by robots.txt (Disallow: /sitemap.xml)' }
+      : { allowed: true }));
+    const results = await monitor.monitorSeo(competitor);
+
+    expect(results.skipped).toEqual([{ url: 'https://acme.test/sitemap.xml', reason: 'Disallowed by robots.txt (Disallow: /sitemap.xml)' }]);
+    expect(axios.get.mock.calls.map(([url]) => url)).not.toContain('https://acme.test/sitemap.xml');
+    expect(results.events).toEqual([]);
+  });
+});
@@ -0,0 +1,138 @@
+const http = require('http');
+const SlackNotifier = require('../src/notifiers/slackNotifier');
+const { config } = require('../src/config');
+
+jest.mock('../src/utils/logger');
+
+const reportResult = {
+  reportId: 'weekly-report-2024-06-12',
+  period: 'Jun 5 - Jun 12, 2024',
+  summary: { totalCompetitors: 3, websiteChanges: 4, priceChanges: 2, seoChanges: 1, newContent: 5 },
+  digest: {
+    topChanges: [
+      { competitor: 'Acme <Web>', pageName: 'Pricing', description: 'Plans from €99 to €129', score: 82, category: 'pricing' }
+    ],
+    insights: [{ title: 'Pricing moves', description: 'Acme raised its prices', severity: 'high' }],
+    recommendations: [{ title: 'Review pricing', priority: 'high', action: 'Compare your plans' }]
+  }
+};
+
+describe('SlackNotifier', () => {
+  let server;
+  let responses;
+  let requests;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ at: Date.now(), body: JSON.parse(body) });
+        const { status = 200, headers = {}, body: responseBody = 'ok' } = responses.shift() || {};
+        res.writeHead(status, { 'Content-Type': 'text/plain', ...headers });
+        res.end(responseBody);
+      });
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  const createNotifier = () => {
+    const notifier = new SlackNotifier();
+    notifier.webhookUrl = `http://127.0.0.1:${server.address().port}/services/T000/B000/XXXX`;
+    notifier.retries = 3;
+    notifier.retryBackoff = 10;
+    return notifier;
+  };
+
+  beforeEach(() => {
+    responses = [];
+    requests = [];
+    config.publicUrl = 'https://agent.example.com';
+  });
+
+  it('delivers a report on the first attempt', async () => {
+    const delivery = await createNotifier().notify('report', reportResult);
+
+    expect(delivery).toEqual({ channel: 'slack', kind: 'report', status: 'sent', attempts: 1, error: null });
+    expect(requests).toHaveLength(1);
+  });
+
+  it('posts a Block Kit summary of the run', async () => {
+    await createNotifier().notify('report', reportResult);
+    const { text, blocks, channel } = requests[0].body;
+
+    expect(channel).toBe(config.slack.channel);
+    expect(text).toBe('Competitors analysis: 4 website, 2 price and 1 SEO changes');
+    expect(blocks.map(block => block.type)).toEqual(['header', 'section', 'divider', 'section', 'divider', 'section', 'divider', 'section', 'actions']);
+    expect(blocks[0].text).toEqual({ type: 'plain_text', text: 'Competitors Analysis - Jun 5 - Jun 12, 2024' });
+    expect(blocks[1].fields).toContainEqual({ type: 'mrkdwn', text: '*Website changes*\n4' });
+    expect(blocks[3].text.text).toBe('*Top changes*\n• `82` *Acme &lt;Web&gt;* Pricing: Plans from €99 to €129 _pricing_');
+    expect(blocks[8].elements[0]).toEqual({
+      type: 'button',
+      text: { type: 'plain_text', text: 'Open full report' },
+      url: 'https://agent.example.com/reports/weekly-report-2024-06-12'
+    });
+  });
+
+  it('names the report when there is no public URL to link to', async () => {
+    config.publicUrl = undefined;
+    await createNotifier().notify('report', { reportId: 'weekly-report-2024-06-12', summary: {} });
+    const { blocks } = requests[0].body;
+
+    expect(blocks.map(block => block.type)).toEqual(['header', 'section', 'context']);
+    expect(blocks[2].elements[0].text).toBe('Full report: weekly-report-2024-06-12');
+  });
+
+  it('waits as long as Retry-After asks when rate limited', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '1' }, body: 'rate_limited' });
+    const delivery = await createNotifier().notify('report', reportResult);
+
+    expect(delivery).toMatchObject({ status: 'sent', attempts: 2 });
+    expect(requests[1].at - requests[0].at).toBeGreaterThanOrEqual(950);
+  });
+
+  it('gives up when Retry-After is longer than the maximum retry delay', async () => {
+    responses.push({ status: 429, headers: { 'Retry-After': '3600' }, body: 'rate_limited' });
+    const delivery = await createNotifier().notify('report', reportResult);
+
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 1 });
+    expect(delivery.error).toMatch(/^HTTP 429: rate_limited/);
+    expect(requests).toHaveLength(1);
+  });
+
+  it('retries server errors', async () => {
+    responses.push({ status: 500, body: 'internal_error' }, { status: 503, body: 'service_unavailable' });
+    const delivery = await createNotifier().notify('report', reportResult);
+
+    expect(delivery).toMatchObject({ status: 'sent', attempts: 3, error: null });
+    expect(requests).toHaveLength(3);
+  });
+
+  it('fails after the last retry', async () => {
+    responses.push(...Array(4).fill({ status: 500, body: 'internal_error' }));
+    const delivery = await createNotifier().notify('report', reportResult);
+
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 4, error: 'HTTP 500: internal_error' });
+  });
+
+  it('does not retry client errors', async () => {
+    responses.push({ status: 404, body: 'no_service' });
+    const delivery = await createNotifier().notify('report', reportResult);
+
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 1, error: 'HTTP 404: no_service' });
+    expect(requests).toHaveLength(1);
+  });
+
+  it('reports a channel without a webhook URL as not configured', async () => {
+    const notifier = createNotifier();
+    notifier.webhookUrl = undefined;
+
+    expect(await notifier.notify('report', reportResult)).toMatchObject({ status: 'failed', attempts: 0, error: 'Channel enabled but not configured' });
+  });
+});
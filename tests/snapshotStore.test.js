@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SnapshotStore = require('../src/services/snapshotStore');
+const { config } = require('../src/config');
+
+jest.mock('../src/utils/logger');
+
+const url = 'https://acme.test/pricing';
+const snapshot = fields => ({ html: '<h1>Plans</h1>', textContent: 'Plans', hash: 'a1', title: 'Pricing', ...fields });
+
+describe('SnapshotStore', () => {
+  const { maxVersions } = config.snapshots;
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+    store = new SnapshotStore(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true });
+    config.snapshots.maxVersions = maxVersions;
+  });
+
+  const screenshotFiles = pageKey => fs.readdirSync(path.join(dir, 'acme', pageKey, 'screenshots')).sort();
+
+  it('appends versions and stores unchanged content once', async () => {
+    const first = await store.save('acme', url, snapshot());
+    const second = await store.save('acme', url, snapshot());
+    const third = await store.save('acme', url, snapshot({ html: '<h1>New plans</h1>', hash: 'b2' }));
+
+    expect([first.version, second.version, third.version]).toEqual([1, 2, 3]);
+    expect([first.unchanged, second.unchanged, third.unchanged]).toEqual([false, true, false]);
+    expect(fs.readdirSync(path.join(dir, 'acme', first.pageKey, 'blobs')).sort()).toEqual(['a1.json', 'b2.json']);
+    expect(await store.getVersion('acme', first.pageKey, 2)).toMatchObject({ version: 2, html: '<h1>Plans</h1>' });
+    expect(await store.getLatest('acme', url)).toMatchObject({ version: 3, html: '<h1>New plans</h1>' });
+  });
+
+  it('keeps device profiles apart', async () => {
+    const desktop = await store.save('acme', url, snapshot());
+    const mobile = await store.save('acme', url, snapshot(), 'mobile');
+
+    expect(desktop.pageKey).toBe(store.getPageKey(url));
+    expect(desktop.pageKey).not.toBe(mobile.pageKey);
+    expect(mobile.version).toBe(1);
+    expect((await store.listPages('acme')).map(page => page.device).sort()).toEqual(['desktop', 'mobile']);
+  });
+
+  it('drops versions past the retention limit with their blobs', async () => {
+    config.snapshots.maxVersions = 2;
+    await store.save('acme', url, snapshot());
+    await store.save('acme', url, snapshot({ hash: 'b2' }));
+    const latest = await store.save('acme', url, snapshot({ hash: 'c3' }));
+
+    const [page] = await store.listPages('acme');
+    expect(page.versions.map(entry => entry.version)).toEqual([2, 3]);
+    expect(fs.readdirSync(path.join(dir, 'acme', latest.pageKey, 'blobs')).sort()).toEqual(['b2.json', 'c3.json']);
+  });
+
+  it('imports the homepage snapshot of the single-file layout once', async () => {
+    fs.writeFileSync(path.join(dir, 'acme.json'), JSON.stringify(snapshot({ hash: 'raw' })));
+
+    const record = await store.importLegacySnapshot('acme', url, legacy => ({ ...legacy, hash: 'a1' }));
+
+    expect(record).toMatchObject({ version: 1, hash: 'a1' });
+    expect(fs.existsSync(path.join(dir, 'acme.json'))).toBe(false);
+    expect(await store.importLegacySnapshot('acme', url)).toBeNull();
+  });
+
+  it('shares the screenshot of a version the page still looks like', async () => {
+    const first = await store.save('acme', url, snapshot({ screenshot: Buffer.from('png-1') }));
+    await store.saveScreenshot('acme', first.pageKey, 1, Buffer.from('thumb-1'), 'thumb');
+    const second = await store.save('acme', url, snapshot({ hash: 'b2', screenshotVersion: 1 }));
+
+    expect(second).toMatchObject({ screenshot: true, screenshotVersion: 1 });
+    expect(screenshotFiles(first.pageKey)).toEqual(['v1-thumb.png', 'v1.png']);
+    expect((await store.loadScreenshot('acme', first.pageKey, 2)).toString()).toBe('png-1');
+    expect((await store.loadScreenshot('acme', first.pageKey, 2, 'thumb')).toString()).toBe('thumb-1');
+    expect(await store.loadScreenshot('acme', first.pageKey, 2, 'diff')).toBeNull();
+    expect(await store.getLatestScreenshot('acme', url)).toEqual({ version: 1, png: Buffer.from('png-1') });
+  });
+
+  it('keeps a shared screenshot after its own version is dropped', async () => {
+    config.snapshots.maxVersions = 2;
+    const first = await store.save('acme', url, snapshot({ screenshot: Buffer.from('png-1') }));
+    await store.save('acme', url, snapshot({ screenshotVersion: 1 }));
+    await store.save('acme', url, snapshot({ screenshotVersion: 1 }));
+
+    expect(screenshotFiles(first.pageKey)).toEqual(['v1.png']);
+    expect((await store.loadScreenshot('acme', first.pageKey, 3)).toString()).toBe('png-1');
+
+    await store.save('acme', url, snapshot({ screenshot: Buffer.from('png-4') }));
+    await store.save('acme', url, snapshot({ screenshot: Buffer.from('png-5') }));
+
+    expect(screenshotFiles(first.pageKey)).toEqual(['v4.png', 'v5.png']);
+  });
+
+  it('rejects page keys and variants outside the store', async () => {
+    expect(await store.loadIndex('acme', '../../etc')).toBeNull();
+    expect(await store.loadScreenshot('acme', '0123456789abcdef', 1, '../index')).toBeNull();
+  });
+});
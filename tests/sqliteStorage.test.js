@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../src/storage');
+const CompetitorsLoader = require('../src/utils/competitorsLoader');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/storage', () => ({ ...jest.requireActual('../src/storage'), getStorage: () => null }));
+
+const acme = { id: 'acme', name: 'Acme', website: 'https://acme.test' };
+const beta = { id: 'beta', name: 'Beta', website: 'https://beta.test' };
+
+describe('SqliteStorage', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createStorage('sqlite://:memory:');
+  });
+
+  afterEach(() => {
+    storage.close();
+  });
+
+  it('applies each migration once', () => {
+    expect(storage.migrate()).toBe(0);
+  });
+
+  it('rejects invalid and unsupported database URLs', () => {
+    expect(() => createStorage('competitors.db')).toThrow('Invalid database URL: competitors.db');
+    expect(() => createStorage('postgres://localhost/competitors')).toThrow('Unsupported database type: postgres');
+  });
+
+  it('replaces the competitors list, keeping their order and creation dates', () => {
+    storage.saveCompetitors([acme, beta]);
+    const createdAt = storage.db.prepare('SELECT created_at FROM competitors WHERE id = ?').get('acme').created_at;
+
+    storage.saveCompetitors([{ ...beta, priority: 'high' }, { ...acme, name: 'Acme Inc' }]);
+
+    expect(storage.listCompetitors()).toEqual([{ ...beta, priority: 'high' }, { ...acme, name: 'Acme Inc' }]);
+    expect(storage.db.prepare('SELECT created_at FROM competitors WHERE id = ?').get('acme').created_at).toBe(createdAt);
+
+    storage.saveCompetitors([beta]);
+    expect(storage.countCompetitors()).toBe(1);
+  });
+
+  it('records runs and returns the last one with a status', () => {
+    const failed = storage.startRun('scheduled');
+    storage.finishRun(failed, { status: 'failed', duration: 10, error: 'Browser crashed' });
+    const succeeded = storage.startRun('manual');
+    storage.finishRun(succeeded, { status: 'success', duration: 1200, reportId: 'weekly-report-2024-06-12', stats: { pages: 4 } });
+    storage.startRun('manual');
+
+    expect(storage.getLastRun()).toMatchObject({
+      id: succeeded,
+      trigger: 'manual',
+      status: 'success',
+      duration: 1200,
+      reportId: 'weekly-report-2024-06-12',
+      stats: { pages: 4 }
+    });
+    expect(storage.getLastRun('failed')).toMatchObject({ id: failed, error: 'Browser crashed', stats: null });
+  });
+
+  it('lists the page and site changes of a run', () => {
+    const runId = storage.startRun('manual');
+    storage.saveCompetitors([acme]);
+    storage.recordPageResult(runId, 'acme', {
+      url: 'https://acme.test/pricing',
+      name: 'Pricing',
+      device: 'mobile',
+      metrics: { wordCount: 120 },
+      errors: [],
+      changes: [{ type: 'title', severity: 'high', description: 'Title changed', score: 70 }]
+    }, { hash: 'a1', title: 'Pricing' });
+    storage.recordSiteChanges(runId, 'acme', [
+      { type: 'technology-added', severity: 'low', description: 'Now using Stripe', page: 'https://acme.test/', pageName: 'Homepage' }
+    ]);
+    storage.recordSiteChanges(storage.startRun('manual'), 'acme', [{ type: 'technology-removed', page: 'https://acme.test/' }]);
+
+    expect(storage.getRunChanges(runId)).toEqual([
+      expect.objectContaining({ competitorId: 'acme', page: 'https://acme.test/pricing', pageName: 'Pricing', device: 'mobile', type: 'title', score: 70 }),
+      expect.objectContaining({ competitorId: 'acme', page: 'https://acme.test/', pageName: 'Homepage', device: 'desktop', type: 'technology-added' })
+    ]);
+  });
+
+  it('saves report metadata, newest first', () => {
+    storage.saveReport({ reportId: 'weekly-report-2024-06-05', generatedAt: '2024-06-05T09:00:00Z', summary: { websiteChanges: 1 }, files: { html: 'a.html' } });
+    storage.saveReport({ reportId: 'weekly-report-2024-06-12', generatedAt: '2024-06-12T09:00:00Z', summary: null, files: { html: 'b.html' } });
+    storage.saveReport({ reportId: 'weekly-report-2024-06-05', generatedAt: '2024-06-05T09:00:00Z', summary: { websiteChanges: 2 }, files: { html: 'a.html' } });
+
+    expect(storage.listReports().map(report => report.id)).toEqual(['weekly-report-2024-06-12', 'weekly-report-2024-06-05']);
+    expect(storage.getReport('weekly-report-2024-06-05')).toMatchObject({ summary: { websiteChanges: 2 }, files: { html: 'a.html' } });
+    expect(storage.getReport('unknown')).toBeNull();
+  });
+
+  it('imports competitors.json into the database the first time only', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    const loader = new CompetitorsLoader();
+    loader.storage = storage;
+    loader.filePath = path.join(dir, 'competitors.json');
+    fs.writeFileSync(loader.filePath, JSON.stringify({ competitors: [acme, beta] }));
+
+    expect(loader.loadFromStorage().map(competitor => competitor.id)).toEqual(['acme', 'beta']);
+
+    fs.writeFileSync(loader.filePath, JSON.stringify({ competitors: [beta] }));
+    expect(loader.loadFromStorage().map(competitor => competitor.id)).toEqual(['acme', 'beta']);
+
+    fs.rmSync(dir, { recursive: true });
+  });
+});
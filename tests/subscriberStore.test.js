@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SubscriberStore = require('../src/services/subscriberStore');
+
+jest.mock('../src/utils/logger');
+jest.mock('../src/storage', () => ({ getStorage: () => null }));
+
+const subscriber = (fields = {}) => ({ email: 'team@example.com', competitors: [], tags: [], minSeverity: 'low', depth: 'full', ...fields });
+
+describe('SubscriberStore.matches', () => {
+  const store = new SubscriberStore();
+  const acme = { id: 'acme', tags: ['retail', 'italy'] };
+  const beta = { id: 'beta' };
+
+  it('matches every competitor without a filter', () => {
+    expect(store.matches(subscriber(), acme)).toBe(true);
+    expect(store.matches(subscriber(), beta)).toBe(true);
+  });
+
+  it('matches listed competitors', () => {
+    expect(store.matches(subscriber({ competitors: ['acme'] }), acme)).toBe(true);
+    expect(store.matches(subscriber({ competitors: ['acme'] }), beta)).toBe(false);
+  });
+
+  it('matches competitors sharing a tag', () => {
+    expect(store.matches(subscriber({ tags: ['italy'] }), acme)).toBe(true);
+    expect(store.matches(subscriber({ tags: ['italy'] }), beta)).toBe(false);
+  });
+
+  it('matches competitors that are listed or tagged', () => {
+    const filtered = subscriber({ competitors: ['beta'], tags: ['retail'] });
+
+    expect(store.matches(filtered, acme)).toBe(true);
+    expect(store.matches(filtered, beta)).toBe(true);
+    expect(store.matches(filtered, { id: 'gamma', tags: ['saas'] })).toBe(false);
+  });
+});
+
+describe('SubscriberStore.validate', () => {
+  const store = new SubscriberStore();
+
+  it('accepts a complete subscriber', () => {
+    expect(store.validate(subscriber({ name: 'Team', competitors: ['acme'], minSeverity: 'high', depth: 'summary' }), { competitorIds: ['acme'] }))
+      .toEqual({ isValid: true, errors: [] });
+  });
+
+  it('reports every invalid field', () => {
+    const { isValid, errors } = store.validate({
+      email: 'not-an-email',
+      competitors: ['acme', 'unknown'],
+      tags: 'retail',
+      minSeverity: 'critical',
+      depth: 'brief',
+      active: 'yes'
+    }, { competitorIds: ['acme'] });
+
+    expect(isValid).toBe(false);
+    expect(errors.map(error => error.field)).toEqual(['email', 'competitors[1]', 'tags', 'minSeverity', 'depth', 'active']);
+  });
+});
+
+describe('SubscriberStore without a database', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subscribers-'));
+    store = new SubscriberStore();
+    store.filePath = path.join(dir, 'subscribers.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('adds subscribers with defaults and an unsubscribe token', async () => {
+    const created = await store.add({ email: ' Team@Example.com ', tags: ['retail'] });
+
+    expect(created).toMatchObject({ id: 1, email: 'Team@Example.com', name: null, tags: ['retail'], minSeverity: 'low', depth: 'full', unsubscribedAt: null });
+    expect(created.token).toMatch(/^[\w-]{32}$/);
+    expect(await store.getByEmail('team@example.com')).toEqual(created);
+    expect((await store.add({ email: 'ceo@example.com' })).id).toBe(2);
+  });
+
+  it('unsubscribes by token and subscribes again with active: true', async () => {
+    const created = await store.add({ email: 'team@example.com' });
+
+    const unsubscribed = await store.unsubscribe(created.token);
+    expect(unsubscribed.unsubscribedAt).not.toBeNull();
+    expect(await store.getActive()).toEqual([]);
+    expect(await store.unsubscribe('unknown-token')).toBeNull();
+
+    const resubscribed = await store.update(created.id, { active: true });
+    expect(resubscribed.unsubscribedAt).toBeNull();
+    expect(await store.getActive()).toHaveLength(1);
+  });
+
+  it('keeps the fields an update does not give, unless replacing', async () => {
+    const created = await store.add({ email: 'team@example.com', tags: ['retail'], depth: 'summary' });
+
+    expect(await store.update(created.id, { minSeverity: 'high' })).toMatchObject({ tags: ['retail'], depth: 'summary', minSeverity: 'high' });
+    expect(await store.update(created.id, { email: 'team@example.com' }, { replace: true })).toMatchObject({ tags: [], depth: 'full', minSeverity: 'low' });
+    expect(await store.update(99, { depth: 'full' })).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+const { detectTechnologies, getCategory } = require('../src/utils/techFingerprint');
+
+describe('detectTechnologies', () => {
+  it('matches markup, script URLs and generator tags', () => {
+    const html = `<html><head>
+      <meta name="Generator" content="WordPress 6.5">
+      <link rel="stylesheet" href="/wp-content/themes/acme/style.css">
+      <script src="https://js.stripe.com/v3/"></script>
+      <script>(function(w,d,s,l,i){})(window,document,'script','dataLayer','GTM-XXXX'); var src = 'https://www.googletagmanager.com/gtm.js';</script>
+    </head><body></body></html>`;
+
+    expect(detectTechnologies({ html })).toEqual([
+      { name: 'Google Tag Manager', category: 'tag-manager' },
+      { name: 'Stripe', category: 'payments' },
+      { name: 'WordPress', category: 'cms' }
+    ]);
+  });
+
+  it('matches response headers and cookie names', () => {
+    const technologies = detectTechnologies({
+      html: '<html><body>Plans</body></html>',
+      headers: { 'x-powered-by': 'PHP/8.2', 'x-shopid': '12345' },
+      cookies: ['_ga', 'session']
+    });
+
+    expect(technologies.map(tech => tech.name)).toEqual(['Google Analytics', 'PHP', 'Shopify']);
+  });
+
+  it('finds nothing on a plain page or without content', () => {
+    expect(detectTechnologies({ html: '<html><body><p>Plans from €99</p></body></html>', headers: { 'content-type': 'text/html' } })).toEqual([]);
+    expect(detectTechnologies()).toEqual([]);
+  });
+});
+
+describe('getCategory', () => {
+  it('gives the label and change severity of a category', () => {
+    expect(getCategory('cms')).toEqual({ label: 'CMS', severity: 'high' });
+    expect(getCategory('unknown')).toEqual({ label: 'unknown', severity: 'low' });
+  });
+});
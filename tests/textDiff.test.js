@@ -0,0 +1,63 @@
+const { splitBlocks, diffText } = require('../src/utils/textDiff');
+
+describe('splitBlocks', () => {
+  it('splits text into lines with collapsed whitespace, dropping empty ones', () => {
+    expect(splitBlocks('  Hello   world \n\n\nSecond\tline\n  \n')).toEqual(['Hello world', 'Second line']);
+  });
+
+  it('handles missing text', () => {
+    expect(splitBlocks(null)).toEqual([]);
+  });
+});
+
+describe('diffText', () => {
+  it('reports no change for identical text', () => {
+    const diff = diffText('One\nTwo', 'One\nTwo');
+
+    expect(diff.hunks).toEqual([]);
+    expect(diff.unchangedCount).toBe(2);
+    expect(diff.changeRate).toBe(0);
+  });
+
+  it('pairs a replaced block into one before/after hunk', () => {
+    const diff = diffText('Intro\nPlans from €99\nContact', 'Intro\nPlans from €129\nContact');
+
+    expect(diff.hunks).toEqual([{ removed: ['Plans from €99'], added: ['Plans from €129'] }]);
+    expect(diff.added).toEqual(['Plans from €129']);
+    expect(diff.removed).toEqual(['Plans from €99']);
+    expect(diff.unchangedCount).toBe(2);
+    expect(diff.changeRate).toBeCloseTo(2 / 6);
+  });
+
+  it('keeps separate hunks for changes split by unchanged blocks', () => {
+    const diff = diffText('A\nB\nC\nD', 'A\nB2\nC\nD\nE');
+
+    expect(diff.hunks).toEqual([
+      { removed: ['B'], added: ['B2'] },
+      { removed: [], added: ['E'] }
+    ]);
+    expect(diff.addedCount).toBe(2);
+    expect(diff.removedCount).toBe(1);
+  });
+
+  it('ignores whitespace-only differences', () => {
+    expect(diffText('Hello  world', 'Hello world\n\n').hunks).toEqual([]);
+  });
+
+  it('truncates long blocks', () => {
+    const diff = diffText('', 'x'.repeat(600));
+
+    expect(diff.hunks[0].added[0]).toHaveLength(501);
+    expect(diff.hunks[0].added[0].endsWith('…')).toBe(true);
+  });
+
+  it('keeps at most 20 hunks', () => {
+    const previous = Array.from({ length: 30 }, (_, i) => `Block ${i}\nSame ${i}`).join('\n');
+    const current = Array.from({ length: 30 }, (_, i) => `Changed ${i}\nSame ${i}`).join('\n');
+    const diff = diffText(previous, current);
+
+    expect(diff.hunks).toHaveLength(20);
+    expect(diff.truncated).toBe(true);
+    expect(diff.addedCount).toBe(30);
+  });
+});
@@ -0,0 +1,68 @@
+const { PNG } = require('pngjs');
+const { compareScreenshots, createThumbnail } = require('../src/utils/visualDiff');
+
+// A white image with an optional black block (rows from..to, full width)
+const image = (width, height, block = null) => {
+  const png = new PNG({ width, height });
+  png.data.fill(255);
+  if (block) {
+    png.data.fill(0, block.from * width * 4, block.to * width * 4);
+    for (let i = 3; i < png.data.length; i += 4) {
+      png.data[i] = 255;
+    }
+  }
+  return PNG.sync.write(png);
+};
+
+describe('compareScreenshots', () => {
+  it('finds no change between identical screenshots', () => {
+    const diff = compareScreenshots(image(20, 600), image(20, 600));
+
+    expect(diff).toMatchObject({ changedPixels: 0, totalPixels: 12000, changePercent: 0 });
+  });
+
+  it('counts changed pixels across strips and draws the overlay', () => {
+    const diff = compareScreenshots(image(20, 600), image(20, 600, { from: 200, to: 350 }));
+
+    expect(diff.changedPixels).toBe(3000);
+    expect(diff.changePercent).toBe(25);
+
+    const overlay = PNG.sync.read(diff.overlay);
+    expect([overlay.width, overlay.height]).toEqual([20, 600]);
+    expect([...overlay.data.subarray(300 * 20 * 4, 300 * 20 * 4 + 3)]).toEqual([255, 0, 0]);
+  });
+
+  it('counts added height as changed', () => {
+    const diff = compareScreenshots(image(20, 400), image(20, 600, { from: 400, to: 600 }));
+
+    expect(diff.totalPixels).toBe(12000);
+    expect(diff.changedPixels).toBe(4000);
+  });
+
+  it('compares the top maxHeight rows only', () => {
+    const diff = compareScreenshots(image(20, 400), image(20, 1000, { from: 500, to: 1000 }), { maxHeight: 500 });
+
+    expect(diff).toMatchObject({ changedPixels: 0, totalPixels: 10000 });
+  });
+
+  it('draws no overlay below minChangePercent', () => {
+    const diff = compareScreenshots(image(20, 600), image(20, 600, { from: 0, to: 3 }), { minChangePercent: 1 });
+
+    expect(diff.changePercent).toBe(0.5);
+    expect(diff.overlay).toBeNull();
+  });
+});
+
+describe('createThumbnail', () => {
+  it('keeps the top of the page at the thumbnail width', () => {
+    const thumbnail = PNG.sync.read(createThumbnail(image(128, 400), { width: 32 }));
+
+    expect([thumbnail.width, thumbnail.height]).toEqual([32, 24]);
+  });
+
+  it('keeps short pages whole', () => {
+    const thumbnail = PNG.sync.read(createThumbnail(image(64, 20), { width: 32 }));
+
+    expect([thumbnail.width, thumbnail.height]).toEqual([32, 10]);
+  });
+});
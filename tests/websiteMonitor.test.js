@@ -0,0 +1,430 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+process.env.REPORTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'website-monitor-'));
+
+const WebsiteMonitor = require('../src/services/websiteMonitor');
+const { FetchError } = require('../src/utils/fetchErrors');
+const { config } = require('../src/config');
+
+jest.mock('axios');
+jest.mock('../src/utils/logger');
+jest.mock('../src/storage', () => ({ getStorage: () => null }));
+jest.mock('../src/utils/crawlPolicy', () => {
+  const policy = { check: jest.fn(), wait: jest.fn() };
+  return { getCrawlPolicy: () => policy };
+});
+
+const links = hrefs => `<html><body>${hrefs.map(href => `<a href="${href}">Link</a>`).join('')}</body></html>`;
+
+describe('WebsiteMonitor', () => {
+  let monitor;
+
+  beforeEach(() => {
+    monitor = new WebsiteMonitor();
+    monitor.crawlPolicy.check.mockResolvedValue({ allowed: true });
+  });
+
+  afterAll(() => {
+    fs.rmSync(process.env.REPORTS_DIR, { recursive: true, force: true });
+  });
+
+  describe('crawling', () => {
+    const site = {
+      'https://acme.test/': links(['/pricing', '/blog', '/blog#top', 'https://other.test/', 'mailto:sales@acme.test']),
+      'https://acme.test/pricing': links(['/pricing/enterprise']),
+      'https://acme.test/blog': links(['/blog/launch', '/blog/tag/news']),
+      'https://acme.test/pricing/enterprise': links(['/deep'])
+    };
+
+    const crawl = async crawlOptions => {
+      monitor.monitorPage = jest.fn(async (competitor, target) => ({
+        pageResult: { url: target.url, name: target.name, device: 'desktop', changes: [], errors: [], metrics: {} },
+        content: { url: target.url, html: site[target.url] || links([]) }
+      }));
+      monitor.updateTechProfile = jest.fn().mockResolvedValue([]);
+
+      const results = await monitor.monitorWebsite({ id: 'acme', name: 'Acme', website: 'https://acme.test/', devices: ['desktop'], crawl: crawlOptions });
+      return results.pages.map(page => page.url);
+    };
+
+    it('monitors only the tracked pages without crawl settings', async () => {
+      expect(await crawl(undefined)).toEqual(['https://acme.test/']);
+      expect(await crawl({ enabled: false })).toEqual(['https://acme.test/']);
+    });
+
+    it('follows same-origin links breadth first up to the max depth', async () => {
+      expect(await crawl({ maxDepth: 1, maxPages: 10 })).toEqual([
+        'https://acme.test/',
+        'https://acme.test/pricing',
+        'https://acme.test/blog'
+      ]);
+      expect(await crawl({ maxDepth: 2, maxPages: 10 })).toEqual([
+        'https://acme.test/',
+        'https://acme.test/pricing',
+        'https://acme.test/blog',
+        'https://acme.test/pricing/enterprise',
+        'https://acme.test/blog/launch',
+        'https://acme.test/blog/tag/news'
+      ]);
+    });
+
+    it('stops queueing links at the max pages', async () => {
+      expect(await crawl({ maxDepth: 5, maxPages: 3 })).toEqual([
+        'https://acme.test/',
+        'https://acme.test/pricing',
+        'https://acme.test/blog'
+      ]);
+    });
+
+    it('skips pages robots.txt disallows and does not follow their links', async () => {
+      monitor.crawlPolicy.check.mockImplementation(async url => (url === 'https://acme.test/blog'
+        ? { allowed: false, reason: 'Disallowed by robots.txt (Disallow: /blog)' }
+        : { allowed: true }));
+
+      expect(await crawl({ maxDepth: 2, maxPages: 10 })).toEqual([
+        'https://acme.test/',
+        'https://acme.test/pricing',
+        'https://acme.test/pricing/enterprise'
+      ]);
+    });
+  });
+
+  describe('device profiles', () => {
+    const { default: defaultDevices } = config.devices;
+
+    afterEach(() => {
+      config.devices.default = defaultDevices;
+    });
+
+    it('keeps the known profiles a competitor lists, falling back to desktop', () => {
+      config.devices.default = ['desktop', 'mobile'];
+
+      expect(monitor.getDevices({})).toEqual(['desktop', 'mobile']);
+      expect(monitor.getDevices({ devices: ['mobile', 'watch', 'mobile'] })).toEqual(['mobile']);
+      expect(monitor.getDevices({ devices: ['watch'] })).toEqual(['desktop']);
+    });
+
+    it('monitors each page once per profile, extracting fields on the first only', async () => {
+      monitor.monitorPage = jest.fn(async (competitor, target, { device }) => ({
+        pageResult: { url: target.url, device, changes: [{ type: 'title' }], errors: [], metrics: {} },
+        content: null
+      }));
+      monitor.updateTechProfile = jest.fn().mockResolvedValue([]);
+
+      const results = await monitor.monitorWebsite({
+        id: 'acme',
+        name: 'Acme',
+        website: 'https://acme.test/',
+        devices: ['mobile', 'desktop'],
+        extract: [{ name: 'plan', selector: '.plan' }]
+      });
+
+      expect(monitor.monitorPage.mock.calls.map(([, , options]) => [options.device, options.extract.length])).toEqual([['mobile', 1], ['desktop', 0]]);
+      expect(results.changes.map(change => change.device)).toEqual(['mobile', 'desktop']);
+    });
+  });
+
+  describe('monitorAll', () => {
+    const { competitors: concurrency, runBudget } = config.concurrency;
+    const competitors = ['acme', 'beta', 'gamma', 'delta'].map(id => ({ id, name: id, website: `https://${id}.test/`, monitoring: { website: id !== 'gamma' } }));
+
+    beforeEach(() => {
+      monitor.closeBrowser = jest.fn();
+    });
+
+    afterEach(() => {
+      Object.assign(config.concurrency, { competitors: concurrency, runBudget });
+    });
+
+    it('monitors competitors concurrently, returning results in order', async () => {
+      config.concurrency.competitors = 2;
+      let running = 0;
+      let peak = 0;
+      monitor.monitorWebsite = jest.fn(async competitor => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(resolve => setTimeout(resolve, competitor.id === 'acme' ? 20 : 5));
+        running--;
+        return { competitorId: competitor.id };
+      });
+
+      const results = await monitor.monitorAll(competitors);
+
+      expect(results.map(result => result.competitorId)).toEqual(['acme', 'beta', 'delta']);
+      expect(peak).toBe(2);
+      expect(monitor.closeBrowser).toHaveBeenCalled();
+    });
+
+    it('skips competitors once the run time budget is spent', async () => {
+      config.concurrency.runBudget = -1;
+      monitor.monitorWebsite = jest.fn();
+
+      const results = await monitor.monitorAll(competitors);
+
+      expect(monitor.monitorWebsite).not.toHaveBeenCalled();
+      expect(results.map(result => result.errors)).toEqual(Array(3).fill(['Skipped: run time budget exceeded']));
+    });
+  });
+
+  describe('fetch failures', () => {
+    const { retries, availabilityThreshold } = config.fetch;
+
+    beforeEach(() => {
+      monitor.delay = jest.fn();
+    });
+
+    afterEach(() => {
+      Object.assign(config.fetch, { retries, availabilityThreshold });
+    });
+
+    it('retries transient failures with exponential backoff', async () => {
+      config.fetch.retries = 2;
+      monitor.fetchPage = jest.fn()
+        .mockRejectedValueOnce(new Error('net::ERR_CONNECTION_RESET at https://acme.test/'))
+        .mockRejectedValueOnce(new Error('Navigation timeout of 30000 ms exceeded'))
+        .mockResolvedValueOnce({ title: 'Acme' });
+
+      expect(await monitor.getPageContent('https://acme.test/')).toEqual({ title: 'Acme' });
+      expect(monitor.delay.mock.calls).toEqual([[config.fetch.retryBackoff], [config.fetch.retryBackoff * 2]]);
+    });
+
+    it('gives up after the last retry, and at once on permanent failures', async () => {
+      config.fetch.retries = 1;
+      monitor.fetchPage = jest.fn().mockRejectedValue(new FetchError('HTTP 503', { category: 'http-5xx', status: 503 }));
+      await expect(monitor.getPageContent('https://acme.test/')).rejects.toMatchObject({ category: 'http-5xx', attempts: 2 });
+
+      monitor.fetchPage = jest.fn().mockRejectedValue(new Error('net::ERR_NAME_NOT_RESOLVED at https://acme.test/'));
+      await expect(monitor.getPageContent('https://acme.test/')).rejects.toMatchObject({ category: 'dns', attempts: 1 });
+      expect(monitor.fetchPage).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports a page down at the failure threshold and back up once it loads', async () => {
+      config.fetch.availabilityThreshold = 2;
+      const failure = new FetchError('HTTP 503', { category: 'http-5xx', status: 503 });
+
+      expect(await monitor.trackAvailability('acme', 'page-down', failure)).toBeNull();
+      expect(await monitor.trackAvailability('acme', 'page-down', failure)).toMatchObject({
+        type: 'availability',
+        severity: 'high',
+        description: 'Page unavailable for 2 consecutive checks (http-5xx: HTTP 503)',
+        availability: { status: 'down', failures: 2, category: 'http-5xx', httpStatus: 503 }
+      });
+      expect(await monitor.trackAvailability('acme', 'page-down', failure)).toBeNull();
+
+      const recovery = await monitor.trackAvailability('acme', 'page-down');
+      expect(recovery).toMatchObject({ severity: 'medium', availability: { status: 'up', failures: 3, category: 'http-5xx' } });
+      expect(recovery.description).toMatch(/^Page back online after 3 failed checks/);
+      expect(await monitor.trackAvailability('acme', 'page-down')).toBeNull();
+    });
+
+    it('does not report a page that failed below the threshold', async () => {
+      config.fetch.availabilityThreshold = 3;
+      const challenge = new FetchError('Bot challenge served (HTTP 403)', { category: 'bot-challenge', status: 403 });
+
+      await monitor.trackAvailability('acme', 'page-flaky', challenge);
+      await monitor.trackAvailability('acme', 'page-flaky', challenge);
+
+      expect(await monitor.trackAvailability('acme', 'page-flaky')).toBeNull();
+      expect(await monitor.snapshotStore.loadAvailability('acme', 'page-flaky')).toEqual({ failures: 0 });
+    });
+  });
+
+  describe('HTTP fetch mode', () => {
+    const words = count => Array.from({ length: count }, (item, index) => `word${index}`).join(' ');
+    const article = `<html><head><title> Acme
+      pricing </title><script>var tracking = 1;</script></head><body>
+      <nav class="promo">Summer sale</nav>
+      <h1>Plans</h1><p>${words(60)}</p><a href="/pro">Pro</a><img src="/pro.png">
+    </body></html>`;
+    const respond = (html, status = 200, headers = {}) => axios.get.mockResolvedValue({ status, headers, data: html });
+
+    beforeEach(() => {
+      monitor.browserOriginsFile = path.join(fs.mkdtempSync(path.join(process.env.REPORTS_DIR, 'origins-')), 'browser-origins.json');
+      monitor.loadPage = jest.fn(async url => ({ url, fetchMode: 'browser', metrics: { wordCount: 400 } }));
+    });
+
+    it('reads the text and metrics of a page without running it', async () => {
+      respond(article, 200, { 'content-type': 'text/html', 'set-cookie': ['session=abc; HttpOnly', 'ab_test=b'] });
+
+      const content = await monitor.loadStaticPage('https://acme.test/pricing', { ignoreSelectors: ['.promo'] });
+
+      expect(monitor.crawlPolicy.wait).toHaveBeenCalledWith('https://acme.test/pricing');
+      expect(axios.get.mock.calls[0][1].headers['User-Agent']).toBe(config.crawler.userAgent);
+      expect(content).toMatchObject({
+        title: 'Acme pricing',
+        status: 200,
+        headers: { 'content-type': 'text/html' },
+        cookies: ['session', 'ab_test'],
+        fetchMode: 'http',
+        textContent: `Plans\n${words(60)}\nPro`,
+        metrics: { wordCount: 62, linkCount: 1, imageCount: 1, headingCount: 1 },
+        screenshot: null
+      });
+    });
+
+    it('fails on error pages and bot challenges', async () => {
+      respond('<title>Not found</title>', 404);
+      await expect(monitor.loadStaticPage('https://acme.test/gone')).rejects.toMatchObject({ category: 'http-4xx', status: 404 });
+
+      respond('<title>Just a moment...</title>', 403);
+      await expect(monitor.loadStaticPage('https://acme.test/')).rejects.toMatchObject({ category: 'bot-challenge' });
+    });
+
+    it('tells pages that only render with JavaScript', () => {
+      const content = html => ({ html, metrics: { wordCount: html.split(/\s+/).length } });
+
+      expect(monitor.needsBrowser(content(`<p>${words(10)}</p>`))).toBe(true);
+      expect(monitor.needsBrowser(content(`<p>${words(60)}</p><div id="root"></div>`))).toBe(true);
+      expect(monitor.needsBrowser(content(`<div id="root"><p>${words(60)}</p></div>`))).toBe(false);
+    });
+
+    it('keeps to HTTP in http mode', async () => {
+      respond('<p>Loading</p>');
+      expect((await monitor.fetchPage('https://acme.test/', { mode: 'http' })).fetchMode).toBe('http');
+
+      respond('<title>Forbidden</title>', 403);
+      await expect(monitor.fetchPage('https://acme.test/', { mode: 'http' })).rejects.toMatchObject({ category: 'http-4xx' });
+      expect(monitor.loadPage).not.toHaveBeenCalled();
+    });
+
+    it('falls back to the browser in auto mode and keeps using it for sites scripts render', async () => {
+      respond(article);
+      expect((await monitor.fetchPage('https://acme.test/', { mode: 'auto' })).fetchMode).toBe('http');
+
+      respond('<div id="app"></div>');
+      expect((await monitor.fetchPage('https://beta.test/', { mode: 'auto' })).fetchMode).toBe('browser');
+
+      const next = new WebsiteMonitor();
+      next.browserOriginsFile = monitor.browserOriginsFile;
+      next.loadPage = monitor.loadPage;
+      respond(article);
+      expect((await next.fetchPage('https://beta.test/pricing', { mode: 'auto' })).fetchMode).toBe('browser');
+      expect((await next.fetchPage('https://acme.test/pricing', { mode: 'auto' })).fetchMode).toBe('http');
+    });
+
+    it('loads forbidden pages and screenshots in the browser in auto mode', async () => {
+      respond('<title>Forbidden</title>', 403);
+      expect((await monitor.fetchPage('https://acme.test/', { mode: 'auto' })).fetchMode).toBe('browser');
+      expect(JSON.parse(fs.readFileSync(monitor.browserOriginsFile, 'utf8'))).toEqual(['https://acme.test']);
+
+      await monitor.fetchPage('https://beta.test/', { mode: 'auto', screenshot: true });
+      expect(monitor.loadPage).toHaveBeenLastCalledWith('https://beta.test/', { screenshot: true });
+    });
+  });
+
+  describe('technology profile', () => {
+    const competitor = { id: 'acme', name: 'Acme', website: 'https://acme.test/' };
+    const stripe = { name: 'Stripe', category: 'payments' };
+    const wordpress = { name: 'WordPress', category: 'cms' };
+    const hubspot = { name: 'HubSpot', category: 'marketing-automation' };
+    const run = (pages, timestamp = '2024-06-12T09:00:00.000Z') => monitor.updateTechProfile(competitor, { timestamp, pages });
+
+    beforeEach(() => {
+      monitor.technologiesDir = fs.mkdtempSync(path.join(process.env.REPORTS_DIR, 'technologies-'));
+    });
+
+    it('records a baseline on the first run', async () => {
+      expect(await run([{ url: 'https://acme.test/', technologies: [wordpress, stripe] }])).toEqual([]);
+      expect((await monitor.loadTechProfile('acme')).technologies.map(tech => tech.name)).toEqual(['Stripe', 'WordPress']);
+    });
+
+    it('reports added and removed technologies with their category severity', async () => {
+      await run([{ url: 'https://acme.test/', technologies: [wordpress, stripe] }]);
+      const changes = await run([{ url: 'https://acme.test/', technologies: [wordpress, hubspot] }], '2024-06-19T09:00:00.000Z');
+
+      expect(changes.map(change => [change.description, change.severity])).toEqual([
+        ['Technology added: HubSpot (Marketing automation / CRM)', 'medium'],
+        ['Technology removed: Stripe (Payments)', 'medium']
+      ]);
+      expect(changes[0]).toMatchObject({ type: 'technology', page: 'https://acme.test/', pageName: 'Technology stack' });
+
+      const { technologies } = await monitor.loadTechProfile('acme');
+      expect(technologies.find(tech => tech.name === 'WordPress')).toMatchObject({
+        firstSeenAt: '2024-06-12T09:00:00.000Z',
+        lastSeenAt: '2024-06-19T09:00:00.000Z'
+      });
+    });
+
+    it('does not remove a technology while a page it was seen on failed to load', async () => {
+      await run([
+        { url: 'https://acme.test/', technologies: [wordpress] },
+        { url: 'https://acme.test/checkout', technologies: [wordpress, stripe] }
+      ]);
+
+      expect(await run([{ url: 'https://acme.test/', technologies: [wordpress] }, { url: 'https://acme.test/checkout' }])).toEqual([]);
+      expect((await monitor.loadTechProfile('acme')).technologies.map(tech => tech.name)).toEqual(['Stripe', 'WordPress']);
+      expect(await run([{ url: 'https://acme.test/', technologies: [] }])).toEqual([]);
+      expect((await run([{ url: 'https://acme.test/checkout', technologies: [] }])).map(change => change.description))
+        .toEqual(['Technology removed: Stripe (Payments)', 'Technology removed: WordPress (CMS)']);
+    });
+  });
+
+  describe('extraction rules', () => {
+    const competitor = {
+      name: 'Acme',
+      website: 'https://acme.test/',
+      extract: [
+        { name: 'Headline', selector: 'h1' },
+        { name: 'Pro price', page: '/pricing/', selector: '.pro .price', type: 'price' },
+        { name: 'Broken', page: 'http://[invalid', selector: 'h1' }
+      ]
+    };
+
+    it('resolves each rule\'s page and monitors it', () => {
+      expect(monitor.getExtractionRules(competitor).map(rule => [rule.name, rule.url])).toEqual([
+        ['Headline', 'https://acme.test/'],
+        ['Pro price', 'https://acme.test/pricing']
+      ]);
+      expect(monitor.getTrackedPages(competitor).map(page => page.url)).toEqual(['https://acme.test/', 'https://acme.test/pricing']);
+    });
+
+    it('reports a failing rule as a page error and keeps the others', () => {
+      const pageResult = { errors: [] };
+      const fields = monitor.extractFields('<h1>Save 20%</h1>', [
+        { name: 'Headline', selector: 'h1' },
+        { name: 'Plans', xpath: '//div[' }
+      ], pageResult);
+
+      expect(fields.map(field => [field.rule.name, field.value])).toEqual([['Headline', 'Save 20%']]);
+      expect(pageResult.errors).toHaveLength(1);
+      expect(pageResult.errors[0]).toMatch(/^Extraction rule "Plans" failed: /);
+    });
+  });
+
+  describe('getCrawlOptions', () => {
+    const { maxDepth, maxPages } = config.crawl;
+    const competitor = crawl => ({ name: 'Acme', crawl });
+
+    it('falls back to the global defaults', () => {
+      expect(monitor.getCrawlOptions(competitor({}))).toEqual({ maxDepth, maxPages, include: [], exclude: [] });
+      expect(monitor.getCrawlOptions(competitor({ maxDepth: 0, maxPages: 2 }))).toMatchObject({ maxDepth: 0, maxPages: 2 });
+    });
+
+    it('leaves out invalid patterns', () => {
+      const options = monitor.getCrawlOptions(competitor({ include: ['^/blog/', '(unclosed'], exclude: ['[a-'] }));
+
+      expect(options.include).toEqual([/^\/blog\//]);
+      expect(options.exclude).toEqual([]);
+    });
+  });
+
+  describe('extractLinks', () => {
+    const html = links(['/blog/launch', '/blog/launch/', '/blog/tag/news?page=2', '/pricing', 'http://[invalid', 'https://other.test/blog/x']);
+
+    it('keeps normalized same-origin links in document order', () => {
+      expect(monitor.extractLinks(html, 'https://acme.test/', { include: [], exclude: [] })).toEqual([
+        'https://acme.test/blog/launch',
+        'https://acme.test/blog/tag/news?page=2',
+        'https://acme.test/pricing'
+      ]);
+    });
+
+    it('matches include and exclude patterns on the path and query', () => {
+      expect(monitor.extractLinks(html, 'https://acme.test/', { include: [/^\/blog\//], exclude: [/page=\d/] }))
+        .toEqual(['https://acme.test/blog/launch']);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { runPool } = require('../src/utils/workerPool');
+const DomainThrottle = require('../src/utils/domainThrottle');
+
+const tick = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('runPool', () => {
+  it('returns the results in item order', async () => {
+    const results = await runPool([30, 10, 20], async (ms, index) => {
+      await tick(ms);
+      return `${index}:${ms}`;
+    }, { concurrency: 3 });
+
+    expect(results).toEqual(['0:30', '1:10', '2:20']);
+  });
+
+  it('never runs more items than the concurrency at once', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await runPool(Array.from({ length: 7 }, (item, index) => index), async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await tick(5);
+      running--;
+    }, { concurrency: 2 });
+
+    expect(peak).toBe(2);
+  });
+
+  it('handles an empty list and a concurrency above the item count', async () => {
+    const worker = jest.fn(async item => item * 2);
+
+    expect(await runPool([], worker, { concurrency: 4 })).toEqual([]);
+    expect(await runPool([1, 2], worker, { concurrency: 10 })).toEqual([2, 4]);
+    expect(worker).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects when a worker fails', async () => {
+    await expect(runPool([1, 2], async item => {
+      if (item === 2) throw new Error('boom');
+      return item;
+    })).rejects.toThrow('boom');
+  });
+});
+
+describe('DomainThrottle', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 0 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('spaces requests to the same host, queueing concurrent callers', async () => {
+    const throttle = new DomainThrottle(1000);
+    const times = [];
+    const request = url => throttle.wait(url).then(() => times.push([url, Date.now()]));
+
+    const requests = Promise.all([
+      request('https://acme.test/'),
+      request('https://acme.test/pricing'),
+      request('https://beta.test/'),
+      request('https://acme.test/blog')
+    ]);
+    await jest.advanceTimersByTimeAsync(2000);
+    await requests;
+
+    expect(times).toEqual([
+      ['https://acme.test/', 0],
+      ['https://beta.test/', 0],
+      ['https://acme.test/pricing', 1000],
+      ['https://acme.test/blog', 2000]
+    ]);
+  });
+
+  it('takes a per-request delay', async () => {
+    const throttle = new DomainThrottle(1000);
+    await throttle.wait('https://acme.test/', 5000);
+
+    const next = throttle.wait('https://acme.test/pricing').then(() => Date.now());
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(await next).toBe(5000);
+  });
+});